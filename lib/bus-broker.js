@@ -0,0 +1,673 @@
+/**
+ * イベントバスブローカー (Event Bus Broker)
+ * 1つのプロセスでイベントバスをホストし、別プロセスのスキルから接続できるようにする
+ */
+
+const EventEmitter = require('events');
+const { SkillEventBus, SkillRegistration } = require('./skill-event-bus');
+const { NetTransport, formatAddress, parseAddress } = require('./bus-transport');
+const { matchFilter, validateFilter, serializeFilter } = require('./subscription-filter');
+const { currentTraceContext, runWithTraceContext, formatTraceparent, parseTraceparent } = require('./tracing');
+
+/**
+ * UUID生成
+ */
+function uuidv4() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+    const r = Math.random() * 16 | 0;
+    const v = c === 'x' ? r : (r & 0x3 | 0x8);
+    return v.toString(16);
+  });
+}
+
+/**
+ * エラーをフレーム用のオブジェクトに変換
+ */
+function serializeError(error) {
+  return {
+    message: error.message,
+    code: error.code || 'ERR_INTERNAL'
+  };
+}
+
+/**
+ * フレームのエラーをErrorに復元
+ */
+function deserializeError(data) {
+  const error = new Error(data.message);
+  error.code = data.code;
+  return error;
+}
+
+/**
+ * ブローカー実装
+ * 接続ごとに登録スキルと購読を管理し、切断時に後始末する
+ */
+class BusBroker {
+  constructor(eventBus, config = {}) {
+    this.eventBus = eventBus;
+    this.config = {
+      address: config.address,
+      deliveryTimeout: config.deliveryTimeout || 30000
+    };
+
+    this.transport = config.transport || new NetTransport();
+    this.server = null;
+    this.clients = new Set();
+
+    // 配信ID → 確認待ち
+    this.pendingDeliveries = new Map();
+  }
+
+  /**
+   * ブローカーを起動
+   */
+  async start() {
+    this.server = await this.transport.listen(this.config.address, (connection) => {
+      this.handleConnection(connection);
+    });
+
+    console.log(`✓ Event bus broker listening on ${formatAddress(this.server.address)}`);
+    return this.server.address;
+  }
+
+  /**
+   * 新しい接続を処理
+   */
+  handleConnection(connection) {
+    const client = {
+      id: uuidv4(),
+      connection,
+      skills: new Set(),
+      subscriptions: new Map()
+    };
+
+    this.clients.add(client);
+
+    connection.on('frame', frame => this.handleFrame(client, frame));
+    connection.on('close', () => this.handleDisconnect(client));
+    connection.on('transport_error', (error) => {
+      console.error(`Bus client ${client.id} error: ${error.message}`);
+    });
+  }
+
+  /**
+   * クライアントからのフレームを処理
+   */
+  async handleFrame(client, frame) {
+    try {
+      let result = null;
+
+      switch (frame.op) {
+        case 'register':
+          result = this.eventBus.register(frame.skillId, frame.options || {});
+          client.skills.add(frame.skillId);
+          break;
+
+        case 'unregister':
+          // 解除後に同じIDで登録し直すなりすましを防ぐため、自分の接続のスキルだけ解除できる
+          this.assertOwnSkill(client, frame.skillId);
+          this.eventBus.unregister(frame.skillId);
+          client.skills.delete(frame.skillId);
+          result = { success: true };
+          break;
+
+        case 'subscribe':
+          this.assertOwnSkill(client, frame.skillId);
+          this.subscribeRemote(client, frame);
+          result = { success: true };
+          break;
+
+        case 'unsubscribe':
+          this.assertOwnSkill(client, frame.skillId);
+          this.unsubscribeRemote(client, frame.skillId, frame.subscriptionIds);
+          result = { success: true };
+          break;
+
+        case 'send':
+          this.assertOwnSkill(client, frame.message?.source);
+          result = await this.eventBus.send(frame.message, frame.options);
+          break;
+
+        case 'request_capability':
+          this.assertOwnSkill(client, frame.options?.source);
+          result = await this.eventBus.requestCapability(
+            frame.capability,
+            frame.action,
+            frame.params,
+            frame.options
+          );
+          break;
+
+        case 'list_capabilities':
+          result = this.eventBus.listCapabilities();
+          break;
+
+        case 'action_catalog':
+          result = this.eventBus.getActionCatalog();
+          break;
+
+        case 'heartbeat':
+          this.assertOwnSkill(client, frame.skillId);
+          this.eventBus.updateHeartbeat(frame.skillId);
+          break;
+
+        case 'metrics':
+          result = this.eventBus.getMetrics();
+          break;
+
+        case 'ack':
+          this.handleAck(frame);
+          return;
+
+        default:
+          throw new Error(`Unknown bus frame: ${frame.op}`);
+      }
+
+      if (frame.requestId) {
+        client.connection.write({ op: 'result', requestId: frame.requestId, result });
+      }
+    } catch (error) {
+      if (frame.requestId) {
+        client.connection.write({
+          op: 'result',
+          requestId: frame.requestId,
+          error: serializeError(error)
+        });
+      } else {
+        console.error(`Error handling bus frame ${frame.op}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * 送信元・操作対象がこの接続で登録したスキルであることを確認
+   * 他のスキルになりすました送信・購読・登録解除は認証ミドルウェアやACLを迂回できてしまうため拒否する
+   */
+  assertOwnSkill(client, skillId) {
+    if (!client.skills.has(skillId)) {
+      const error = new Error(`Source ${skillId || '(none)'} is not registered on this connection`);
+      error.code = 'ERR_PERMISSION_DENIED';
+      throw error;
+    }
+  }
+
+  /**
+   * リモート購読を登録
+   */
+  subscribeRemote(client, frame) {
+    const { skillId, filter, subscriptionId } = frame;
+
+    const subscription = this.eventBus.subscribe(skillId, filter, (message) => {
+      return this.forward(client, subscriptionId, message);
+    });
+
+    client.subscriptions.set(subscriptionId, { skillId, subscription });
+  }
+
+  /**
+   * リモート購読を解除
+   */
+  unsubscribeRemote(client, skillId, subscriptionIds = null) {
+    for (const [subscriptionId, entry] of client.subscriptions) {
+      if (entry.skillId !== skillId) {
+        continue;
+      }
+      if (subscriptionIds && !subscriptionIds.includes(subscriptionId)) {
+        continue;
+      }
+
+      this.eventBus.removeSubscription(skillId, entry.subscription);
+      client.subscriptions.delete(subscriptionId);
+    }
+  }
+
+  /**
+   * メッセージをクライアントに転送し、処理完了の確認を待つ
+   * クライアント側の購読者が失敗した場合はバスの再試行に任せるため例外にする
+   */
+  forward(client, subscriptionId, message) {
+    const deliveryId = uuidv4();
+
+    return new Promise((resolve, reject) => {
+      if (client.connection.closed) {
+        reject(new Error(`Bus client disconnected: ${client.id}`));
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        this.pendingDeliveries.delete(deliveryId);
+        const error = new Error(`Remote delivery timeout: ${this.config.deliveryTimeout}ms`);
+        error.code = 'ERR_TIMEOUT';
+        reject(error);
+      }, this.config.deliveryTimeout);
+
+      this.pendingDeliveries.set(deliveryId, { clientId: client.id, resolve, reject, timer });
+
+      // 配信スパンのコンテキストを渡し、リモート側で送信されるメッセージの親にする
+      const traceContext = currentTraceContext();
+      client.connection.write({
+        op: 'deliver',
+        deliveryId,
+        subscriptionId,
+        message,
+        traceparent: traceContext ? formatTraceparent(traceContext) : undefined
+      });
+    });
+  }
+
+  /**
+   * 配信確認を処理
+   */
+  handleAck(frame) {
+    const pending = this.pendingDeliveries.get(frame.deliveryId);
+
+    if (!pending) {
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    this.pendingDeliveries.delete(frame.deliveryId);
+
+    if (frame.error) {
+      pending.reject(deserializeError(frame.error));
+    } else {
+      pending.resolve();
+    }
+  }
+
+  /**
+   * 切断時の後始末
+   */
+  handleDisconnect(client) {
+    this.clients.delete(client);
+
+    // 確認待ちの配信を失敗させる
+    for (const [deliveryId, pending] of this.pendingDeliveries) {
+      if (pending.clientId === client.id) {
+        clearTimeout(pending.timer);
+        this.pendingDeliveries.delete(deliveryId);
+        pending.reject(new Error(`Bus client disconnected: ${client.id}`));
+      }
+    }
+
+    for (const [, entry] of client.subscriptions) {
+      this.eventBus.removeSubscription(entry.skillId, entry.subscription);
+    }
+    client.subscriptions.clear();
+
+    for (const skillId of client.skills) {
+      if (this.eventBus.skills.has(skillId)) {
+        this.eventBus.unregister(skillId);
+      }
+    }
+    client.skills.clear();
+
+    console.log(`✓ Bus client disconnected: ${client.id}`);
+  }
+
+  /**
+   * ブローカーを停止
+   */
+  async stop() {
+    for (const client of this.clients) {
+      client.connection.close();
+    }
+
+    if (this.server) {
+      await this.server.close();
+      this.server = null;
+    }
+
+    console.log('✓ Event bus broker stopped');
+  }
+}
+
+/**
+ * リモートイベントバス
+ * ブローカーに接続し、SkillEventBusと同じインターフェースを提供する
+ * BaseSkillAdapterはこのインスタンスをそのままイベントバスとして使用できる
+ */
+class RemoteEventBus extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      address: parseAddress(config.address),
+      reconnect: config.reconnect !== false,
+      reconnectDelay: config.reconnectDelay || 1000,
+      maxReconnectDelay: config.maxReconnectDelay || 30000
+    };
+
+    this.transport = config.transport || new NetTransport();
+    this.connection = null;
+    this.connected = false;
+    this.closing = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+
+    // 登録済みスキル（再接続時に再登録する）
+    this.skills = new Map();
+
+    // 購読ID → 購読情報
+    this.subscriptions = new Map();
+
+    // リクエストID → 結果待ち
+    this.pendingCalls = new Map();
+
+    // 切断中に送信されたフレーム
+    this.outbox = [];
+  }
+
+  /**
+   * ブローカーに接続
+   */
+  async connect() {
+    const connection = await this.transport.connect(this.config.address);
+
+    this.connection = connection;
+    this.connected = true;
+    this.reconnectAttempts = 0;
+
+    connection.on('frame', frame => this.handleFrame(frame));
+    connection.on('close', () => this.handleClose());
+    connection.on('transport_error', (error) => {
+      console.error(`Event bus connection error: ${error.message}`);
+    });
+
+    // 再接続時は登録と購読を復元してから未送信フレームを送る
+    for (const [skillId, options] of this.skills) {
+      this.write({ op: 'register', skillId, options });
+    }
+    for (const [subscriptionId, { skillId, filter }] of this.subscriptions) {
+      this.write({ op: 'subscribe', skillId, filter: serializeFilter(filter), subscriptionId });
+    }
+    for (const frame of this.outbox.splice(0)) {
+      this.write(frame);
+    }
+
+    console.log(`✓ Connected to event bus at ${formatAddress(this.config.address)}`);
+    this.emit('connected');
+  }
+
+  /**
+   * フレームを送信（切断中は保留）
+   */
+  write(frame) {
+    if (this.connected) {
+      this.connection.write(frame);
+    } else {
+      this.outbox.push(frame);
+    }
+  }
+
+  /**
+   * 結果を待つフレームを送信
+   */
+  call(op, data = {}) {
+    if (!this.connected && !this.config.reconnect) {
+      const error = new Error('Event bus is not connected');
+      error.code = 'ERR_BUS_DISCONNECTED';
+      return Promise.reject(error);
+    }
+
+    const requestId = uuidv4();
+
+    return new Promise((resolve, reject) => {
+      this.pendingCalls.set(requestId, { resolve, reject });
+      this.write({ op, requestId, ...data });
+    });
+  }
+
+  /**
+   * ブローカーからのフレームを処理
+   */
+  async handleFrame(frame) {
+    switch (frame.op) {
+      case 'result': {
+        const pending = this.pendingCalls.get(frame.requestId);
+        if (!pending) {
+          return;
+        }
+        this.pendingCalls.delete(frame.requestId);
+
+        if (frame.error) {
+          pending.reject(deserializeError(frame.error));
+        } else {
+          pending.resolve(frame.result);
+        }
+        break;
+      }
+
+      case 'deliver': {
+        const subscription = this.subscriptions.get(frame.subscriptionId);
+        const ack = { op: 'ack', deliveryId: frame.deliveryId };
+
+        if (subscription && matchFilter(frame.message, subscription.filter)) {
+          const traceContext = parseTraceparent(frame.traceparent);
+          try {
+            if (traceContext) {
+              await runWithTraceContext(traceContext, () => subscription.callback(frame.message));
+            } else {
+              await subscription.callback(frame.message);
+            }
+          } catch (error) {
+            ack.error = serializeError(error);
+          }
+        }
+
+        this.write(ack);
+        break;
+      }
+
+      default:
+        console.warn(`Unknown bus frame from broker: ${frame.op}`);
+    }
+  }
+
+  /**
+   * 切断を処理
+   */
+  handleClose() {
+    this.connected = false;
+    this.connection = null;
+
+    // 送信済みで結果が返っていない呼び出しは失敗させる
+    for (const [requestId, pending] of this.pendingCalls) {
+      const error = new Error('Event bus connection closed');
+      error.code = 'ERR_BUS_DISCONNECTED';
+      pending.reject(error);
+      this.pendingCalls.delete(requestId);
+    }
+
+    this.emit('disconnected');
+
+    if (!this.closing && this.config.reconnect) {
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * 再接続をスケジュール（指数バックオフ）
+   */
+  scheduleReconnect() {
+    this.reconnectAttempts++;
+    const delay = Math.min(
+      this.config.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1),
+      this.config.maxReconnectDelay
+    );
+
+    console.warn(`Event bus disconnected, reconnecting in ${delay}ms...`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect().catch((error) => {
+        console.error(`Reconnect failed: ${error.message}`);
+        this.scheduleReconnect();
+      });
+    }, delay);
+  }
+
+  /**
+   * スキル登録
+   */
+  register(skillId, options = {}) {
+    this.skills.set(skillId, options);
+
+    this.call('register', { skillId, options }).catch((error) => {
+      console.error(`Failed to register ${skillId} on remote bus: ${error.message}`);
+    });
+
+    return new SkillRegistration(skillId, options);
+  }
+
+  /**
+   * スキル登録解除
+   */
+  unregister(skillId) {
+    this.skills.delete(skillId);
+
+    this.call('unregister', { skillId }).catch((error) => {
+      console.error(`Failed to unregister ${skillId} on remote bus: ${error.message}`);
+    });
+  }
+
+  /**
+   * メッセージ送信
+   * リクエストの場合はブローカー側で待機したレスポンスを返す
+   */
+  async send(message, options = {}) {
+    return await this.call('send', { message, options });
+  }
+
+  /**
+   * 能力を指定してリクエスト送信
+   */
+  async requestCapability(capability, action, params = {}, options = {}) {
+    return await this.call('request_capability', { capability, action, params, options });
+  }
+
+  /**
+   * 能力一覧を取得（ブローカー側のバスの登録情報）
+   */
+  async listCapabilities() {
+    return await this.call('list_capabilities');
+  }
+
+  /**
+   * アクションカタログを取得（ブローカー側のバスの登録情報）
+   */
+  async getActionCatalog() {
+    return await this.call('action_catalog');
+  }
+
+  /**
+   * メッセージ購読
+   */
+  subscribe(skillId, filter, callback) {
+    validateFilter(filter);
+
+    const subscriptionId = uuidv4();
+    const subscription = {
+      filter,
+      callback,
+      subscribedAt: new Date().toISOString()
+    };
+
+    this.subscriptions.set(subscriptionId, { skillId, ...subscription });
+    // 述語関数はブローカーに送れないため、受信時にこちらで再評価する
+    this.write({ op: 'subscribe', skillId, filter: serializeFilter(filter), subscriptionId });
+
+    return subscription;
+  }
+
+  /**
+   * メッセージ購読解除
+   */
+  unsubscribe(skillId, filter = null) {
+    const subscriptionIds = [];
+
+    for (const [subscriptionId, entry] of this.subscriptions) {
+      if (entry.skillId !== skillId) {
+        continue;
+      }
+      if (filter !== null && JSON.stringify(entry.filter) !== JSON.stringify(filter)) {
+        continue;
+      }
+
+      subscriptionIds.push(subscriptionId);
+      this.subscriptions.delete(subscriptionId);
+    }
+
+    this.write({ op: 'unsubscribe', skillId, subscriptionIds });
+  }
+
+  /**
+   * 全ての購読を解除
+   */
+  unsubscribeAll(skillId) {
+    this.unsubscribe(skillId);
+  }
+
+  /**
+   * ハートビート更新
+   */
+  updateHeartbeat(skillId) {
+    this.write({ op: 'heartbeat', skillId });
+  }
+
+  /**
+   * メトリクス取得（ブローカー側のバスのメトリクス）
+   */
+  async getMetrics() {
+    return await this.call('metrics');
+  }
+
+  /**
+   * 接続を閉じる
+   */
+  async shutdown() {
+    this.closing = true;
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    if (this.connection) {
+      this.connection.close();
+    }
+
+    console.log('✓ Remote event bus connection closed');
+  }
+}
+
+module.exports = {
+  BusBroker,
+  RemoteEventBus
+};
+
+// ブローカーとして起動: node lib/bus-broker.js [address]
+if (require.main === module) {
+  const eventBus = new SkillEventBus({
+    persistence: {
+      enabled: process.env.OPENCLAW_BUS_PERSISTENCE === 'true'
+    },
+    tracing: {
+      enabled: process.env.OPENCLAW_TRACING === 'true',
+      exportPath: process.env.OPENCLAW_TRACE_PATH
+    }
+  });
+  const broker = new BusBroker(eventBus, { address: process.argv[2] });
+
+  broker.start().catch((error) => {
+    console.error('Failed to start broker:', error.message);
+    process.exit(1);
+  });
+
+  process.on('SIGINT', async () => {
+    await broker.stop();
+    await eventBus.shutdown();
+    process.exit(0);
+  });
+}
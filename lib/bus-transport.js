@@ -0,0 +1,168 @@
+/**
+ * イベントバストランスポート (Event Bus Transport)
+ * プロセス間でイベントバスのフレームを送受信するための差し替え可能なトランスポート
+ */
+
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const EventEmitter = require('events');
+
+/**
+ * デフォルトのブローカーアドレス
+ * WindowsではUnixソケットの代わりに名前付きパイプを使用する
+ */
+const DEFAULT_ADDRESS = process.platform === 'win32'
+  ? '\\\\.\\pipe\\openclaw-bus'
+  : path.join(os.tmpdir(), 'openclaw-bus.sock');
+
+/**
+ * アドレスを解析
+ * 'tcp://host:port' / 'unix:/path' / '/path' / { host, port } / { path } に対応
+ */
+function parseAddress(address = process.env.OPENCLAW_BUS_ADDRESS || DEFAULT_ADDRESS) {
+  if (typeof address === 'object' && address !== null) {
+    if (address.path) {
+      return { path: address.path };
+    }
+    return { host: address.host || '127.0.0.1', port: Number(address.port) };
+  }
+
+  if (address.startsWith('tcp://')) {
+    const url = new URL(address);
+    return { host: url.hostname || '127.0.0.1', port: Number(url.port) };
+  }
+
+  if (address.startsWith('unix:')) {
+    return { path: address.slice('unix:'.length) };
+  }
+
+  return { path: address };
+}
+
+/**
+ * アドレスを表示用文字列に変換
+ */
+function formatAddress(address) {
+  return address.path ? `unix:${address.path}` : `tcp://${address.host}:${address.port}`;
+}
+
+/**
+ * 改行区切りJSONのフレーム接続
+ * ソケットをラップし、1行1フレームで送受信する
+ */
+class FrameConnection extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.buffer = '';
+    this.closed = false;
+
+    socket.setEncoding('utf8');
+
+    socket.on('data', (chunk) => {
+      this.buffer += chunk;
+
+      let newlineIndex;
+      while ((newlineIndex = this.buffer.indexOf('\n')) !== -1) {
+        const line = this.buffer.slice(0, newlineIndex);
+        this.buffer = this.buffer.slice(newlineIndex + 1);
+
+        if (!line.trim()) {
+          continue;
+        }
+
+        try {
+          this.emit('frame', JSON.parse(line));
+        } catch (error) {
+          console.error(`Invalid bus frame: ${error.message}`);
+        }
+      }
+    });
+
+    socket.on('close', () => {
+      this.closed = true;
+      this.emit('close');
+    });
+
+    socket.on('error', (error) => {
+      this.emit('transport_error', error);
+    });
+  }
+
+  /**
+   * フレームを送信
+   */
+  write(frame) {
+    if (this.closed) {
+      return false;
+    }
+
+    return this.socket.write(JSON.stringify(frame) + '\n');
+  }
+
+  /**
+   * 接続を閉じる
+   */
+  close() {
+    this.closed = true;
+    this.socket.end();
+  }
+}
+
+/**
+ * net モジュールによるトランスポート（Unixソケット・名前付きパイプ・TCP）
+ * 独自トランスポートは同じ listen/connect インターフェースを実装する
+ */
+class NetTransport {
+  /**
+   * サーバーを起動
+   */
+  listen(address, onConnection) {
+    const parsed = parseAddress(address);
+
+    // 前回のプロセスが残したソケットファイルを削除
+    if (parsed.path && process.platform !== 'win32' && fs.existsSync(parsed.path)) {
+      fs.unlinkSync(parsed.path);
+    }
+
+    const server = net.createServer((socket) => {
+      onConnection(new FrameConnection(socket));
+    });
+
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(parsed.path ? parsed.path : { host: parsed.host, port: parsed.port }, () => {
+        server.removeListener('error', reject);
+        resolve({
+          address: parsed.path ? parsed : { ...parsed, port: server.address().port },
+          close: () => new Promise(done => server.close(() => done()))
+        });
+      });
+    });
+  }
+
+  /**
+   * サーバーに接続
+   */
+  connect(address) {
+    const parsed = parseAddress(address);
+
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(parsed.path ? { path: parsed.path } : parsed, () => {
+        socket.removeListener('error', reject);
+        resolve(new FrameConnection(socket));
+      });
+      socket.once('error', reject);
+    });
+  }
+}
+
+module.exports = {
+  NetTransport,
+  FrameConnection,
+  parseAddress,
+  formatAddress,
+  DEFAULT_ADDRESS
+};
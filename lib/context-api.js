@@ -0,0 +1,329 @@
+/**
+ * コンテキストのHTTP API (Context HTTP API)
+ * イベントバスに参加していないスクリプトや外部ツールから、共有コンテキストを読み書きするためのローカルHTTPサーバー
+ *
+ * 認証は Authorization: Bearer <トークン>。トークンごとにスキルIDを割り当て、
+ * 読み書きはそのスキルの権限（アクセスレベル・ACL・管理者）で行う
+ *
+ * エンドポイント:
+ *   GET    /health             死活確認（認証不要）
+ *   GET    /metrics            ContextStore の統計情報
+ *   GET    /context            検索（q: クエリ言語、type / tag / creator / userId / limit / offset / sortBy / sortOrder）
+ *   POST   /context            追加 { type, data, options }
+ *   GET    /context/:id        取得
+ *   PATCH  /context/:id        更新 { data, options }（If-Match: 版数 で compare-and-set）
+ *   DELETE /context/:id        削除
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { parseQuery, SORT_FIELDS } = require('./context-query');
+const { ALL_USERS } = require('./context-sharing');
+
+const DEFAULT_PORT = 3100;
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_LIMIT = 500;
+
+/**
+ * エラーコードとHTTPステータス
+ */
+const STATUS_CODES = {
+  ERR_INVALID_QUERY: 400,
+  ERR_INVALID_REQUEST: 400,
+  ERR_UNAUTHORIZED: 401,
+  ERR_ACCESS_DENIED: 403,
+  ERR_NOT_FOUND: 404,
+  ERR_METHOD_NOT_ALLOWED: 405,
+  ERR_CONFLICT: 409,
+  ERR_PAYLOAD_TOO_LARGE: 413
+};
+
+/**
+ * コード付きエラーを作成
+ */
+function apiError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function digestOf(token) {
+  return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+/**
+ * 数値のクエリパラメータ
+ */
+function intParam(params, name, fallback) {
+  const value = params.get(name);
+  if (value === null) {
+    return fallback;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw apiError('ERR_INVALID_QUERY', `${name} must be a non-negative integer`);
+  }
+  return number;
+}
+
+/**
+ * HTTP API サーバー
+ */
+class ContextApiServer {
+  constructor(manager, config = {}) {
+    this.manager = manager;
+    this.store = manager.store;
+    this.config = {
+      port: config.port ?? DEFAULT_PORT,
+      // 既定ではローカルからの接続のみ受け付ける
+      host: config.host || '127.0.0.1'
+    };
+
+    // トークン（SHA-256）→ スキルID
+    this.tokens = Object.entries(config.tokens || {}).map(([token, skillId]) => ({ digest: digestOf(token), skillId }));
+    if (this.tokens.length === 0) {
+      throw new Error('ContextApiServer requires at least one API token');
+    }
+
+    this.server = null;
+  }
+
+  /**
+   * サーバーを起動（待ち受けているアドレスを返す）
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res);
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, resolve);
+    });
+
+    const { address, port } = this.server.address();
+    console.log(`✓ Context API listening on http://${address}:${port}`);
+    return { host: address, port };
+  }
+
+  /**
+   * サーバーを停止
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * トークンからスキルIDを取得
+   */
+  authenticate(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (!match) {
+      throw apiError('ERR_UNAUTHORIZED', 'Missing bearer token');
+    }
+
+    const digest = digestOf(match[1]);
+    const entry = this.tokens.find(candidate => crypto.timingSafeEqual(candidate.digest, digest));
+    if (!entry) {
+      throw apiError('ERR_UNAUTHORIZED', 'Invalid API token');
+    }
+
+    return entry.skillId;
+  }
+
+  /**
+   * リクエストを処理
+   */
+  async handleRequest(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+      if (url.pathname === '/health') {
+        this.sendJson(res, 200, { status: 'ok' });
+        return;
+      }
+
+      const skillId = this.authenticate(req);
+      const userId = this.manager.resolveUserId({ source: skillId }, { userId: url.searchParams.get('userId') });
+      const options = { requester: skillId, userId };
+
+      if (url.pathname === '/metrics') {
+        this.requireMethod(req, ['GET']);
+        this.sendJson(res, 200, await this.manager.getStats());
+        return;
+      }
+
+      if (segments[0] !== 'context' || segments.length > 2) {
+        throw apiError('ERR_NOT_FOUND', `Not found: ${url.pathname}`);
+      }
+
+      if (segments.length === 1) {
+        this.requireMethod(req, ['GET', 'POST']);
+
+        if (req.method === 'GET') {
+          this.sendJson(res, 200, await this.findItems(url.searchParams, options));
+        } else {
+          const body = await this.readBody(req);
+          if (typeof body.type !== 'string' || body.type === '') {
+            throw apiError('ERR_INVALID_REQUEST', 'type is required');
+          }
+          if (userId === ALL_USERS) {
+            throw apiError('ERR_INVALID_REQUEST', 'Context must belong to a single user');
+          }
+          const item = await this.store.add(body.type, body.data, { ...body.options, ...options });
+          this.sendJson(res, 201, { item: item.toRecord() });
+        }
+        return;
+      }
+
+      const id = segments[1];
+      this.requireMethod(req, ['GET', 'PATCH', 'DELETE']);
+
+      switch (req.method) {
+        case 'GET': {
+          const item = await this.store.get(id, options);
+          if (!item) {
+            throw apiError('ERR_NOT_FOUND', `Context item not found: ${id}`);
+          }
+          this.sendJson(res, 200, { item: item.toRecord() });
+          break;
+        }
+
+        case 'PATCH': {
+          const body = await this.readBody(req);
+          if (!this.store.findItem(id, options)) {
+            throw apiError('ERR_NOT_FOUND', `Context item not found: ${id}`);
+          }
+
+          const ifMatch = req.headers['if-match'];
+          const expectedVersion = ifMatch !== undefined ? Number(ifMatch.replace(/"/g, '')) : body.options?.expectedVersion;
+          if (expectedVersion !== undefined && !Number.isInteger(expectedVersion)) {
+            throw apiError('ERR_INVALID_REQUEST', 'If-Match must be an item version');
+          }
+
+          const item = await this.store.update(id, body.data, { ...body.options, ...options, expectedVersion });
+          this.sendJson(res, 200, { item: item.toRecord() });
+          break;
+        }
+
+        case 'DELETE':
+          if (!(await this.store.remove(id, options))) {
+            throw apiError('ERR_NOT_FOUND', `Context item not found: ${id}`);
+          }
+          this.sendJson(res, 200, { removed: true });
+          break;
+      }
+    } catch (error) {
+      this.sendError(res, error);
+    }
+  }
+
+  /**
+   * 検索（クエリ言語の q と個別のパラメータを組み合わせる）
+   */
+  async findItems(params, options) {
+    const filter = parseQuery(params.get('q') || '');
+    const operator = params.get('operator') || 'and';
+
+    if (params.has('type')) {
+      filter.types = [...(filter.types || []), ...params.getAll('type')];
+    }
+    if (params.has('tag')) {
+      const tags = params.getAll('tag');
+      filter.tags.push(...(operator === 'or' ? [tags] : tags.map(tag => [tag])));
+    }
+    if (params.has('creator')) {
+      filter.creators = [...(filter.creators || []), ...params.getAll('creator')];
+    }
+
+    // クエリの user: も、URL の userId と同じく権限を確認する
+    const userId = filter.userId === undefined
+      ? options.userId
+      : this.manager.resolveUserId({ source: options.requester }, { userId: filter.userId });
+
+    const sortBy = params.get('sortBy') || undefined;
+    const sortOrder = params.get('sortOrder') || undefined;
+    if (sortBy && !SORT_FIELDS.includes(sortBy)) {
+      throw apiError('ERR_INVALID_QUERY', `cannot sort by ${sortBy} (use ${SORT_FIELDS.join(', ')})`);
+    }
+    if (sortOrder && !['asc', 'desc'].includes(sortOrder)) {
+      throw apiError('ERR_INVALID_QUERY', 'sortOrder must be asc or desc');
+    }
+
+    const limit = Math.min(intParam(params, 'limit', 100), MAX_LIMIT);
+    const offset = intParam(params, 'offset', 0);
+    const { items, total } = await this.store.find(filter, { ...options, userId, limit, offset, sortBy, sortOrder });
+
+    return { items: items.map(item => item.toRecord()), total, limit, offset };
+  }
+
+  requireMethod(req, methods) {
+    if (!methods.includes(req.method)) {
+      throw apiError('ERR_METHOD_NOT_ALLOWED', `${req.method} is not allowed (use ${methods.join(', ')})`);
+    }
+  }
+
+  /**
+   * JSONのリクエストボディを読み込む
+   */
+  async readBody(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        throw apiError('ERR_PAYLOAD_TOO_LARGE', `Request body exceeds ${MAX_BODY_BYTES} bytes`);
+      }
+      chunks.push(chunk);
+    }
+
+    try {
+      const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+      if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        throw new Error('body must be an object');
+      }
+      return body;
+    } catch (error) {
+      throw apiError('ERR_INVALID_REQUEST', `Invalid JSON body: ${error.message}`);
+    }
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * エラーを返す（想定外のエラーは内容を返さない）
+   */
+  sendError(res, error) {
+    const status = STATUS_CODES[error.code];
+
+    if (!status) {
+      console.error('Context API error:', error.message);
+      this.sendJson(res, 500, { error: { code: 'ERR_INTERNAL', message: 'Internal server error' } });
+      return;
+    }
+
+    this.sendJson(res, status, {
+      error: {
+        code: error.code,
+        message: error.message,
+        ...(error.code === 'ERR_CONFLICT' ? { currentVersion: error.currentVersion } : {})
+      }
+    });
+  }
+}
+
+module.exports = {
+  ContextApiServer,
+  DEFAULT_PORT
+};
@@ -0,0 +1,151 @@
+/**
+ * コンテキストのマージ戦略 (Context Merge Strategies)
+ * 複数のスキルが同じアイテムを更新したときに、他のスキルが書いたフィールドを失わないよう
+ * コンテキストタイプごとに data のフィールド単位のマージ方法を宣言する
+ *
+ * 戦略の設定:
+ *   default  fields に指定のないフィールドの戦略（既定 'lww'）
+ *   fields   フィールドのパス（'stats.totalInteractions' のようにドット区切り）→ 戦略
+ *   tags     アイテムのタグの戦略（'union' で既存のタグに加える、既定 'replace'）
+ */
+
+/**
+ * マージの方法
+ */
+const MergeStrategies = {
+  REPLACE: 'replace', // 値全体を置き換える
+  LWW: 'lww',         // フィールドごとに後から書いた値を使う（更新に含まれないフィールドは残す）
+  COUNTER: 'counter', // 数値を増分として加える
+  UNION: 'union'      // 配列を和集合にする
+};
+
+/**
+ * 既定の戦略（キーは ContextTypes の値）
+ * ユーザープロファイルは personalized-ai-agent と self-learning-agent が別々のフィールドを更新する
+ */
+const DEFAULT_MERGE_STRATEGIES = {
+  user_profile: { default: MergeStrategies.LWW, fields: {}, tags: MergeStrategies.UNION }
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 既定の戦略に上書き設定を重ねる（null を指定したタイプはマージしない）
+ */
+function resolveMergeStrategies(overrides = {}) {
+  const strategies = {};
+  const known = Object.values(MergeStrategies);
+
+  for (const type of new Set([...Object.keys(DEFAULT_MERGE_STRATEGIES), ...Object.keys(overrides)])) {
+    if (overrides[type] === null) {
+      continue;
+    }
+
+    const base = DEFAULT_MERGE_STRATEGIES[type] || {};
+    const override = overrides[type] || {};
+    const strategy = {
+      default: override.default || base.default || MergeStrategies.LWW,
+      fields: { ...base.fields, ...override.fields },
+      tags: override.tags || base.tags || MergeStrategies.REPLACE
+    };
+
+    for (const [field, name] of Object.entries({ default: strategy.default, tags: strategy.tags, ...strategy.fields })) {
+      if (!known.includes(name)) {
+        throw new Error(`Invalid merge strategy for ${type}.${field}: ${name}`);
+      }
+    }
+    strategies[type] = strategy;
+  }
+
+  return strategies;
+}
+
+/**
+ * 配列の和集合（要素の同一性はJSONで判定し、既存の順序を保つ）
+ */
+function union(current, incoming) {
+  const result = Array.isArray(current) ? [...current] : [];
+  const seen = new Set(result.map(value => JSON.stringify(value)));
+
+  for (const value of Array.isArray(incoming) ? incoming : [incoming]) {
+    const key = JSON.stringify(value);
+    if (!seen.has(key)) {
+      seen.add(key);
+      result.push(value);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 1つの値をマージ
+ */
+function mergeValue(current, incoming, strategy, fieldPath) {
+  const name = strategy.fields[fieldPath] || strategy.default;
+
+  switch (name) {
+    case MergeStrategies.COUNTER:
+      if (typeof incoming !== 'number') {
+        throw new Error(`Counter field ${fieldPath} must be updated with a number`);
+      }
+      return (typeof current === 'number' ? current : 0) + incoming;
+
+    case MergeStrategies.UNION:
+      return union(current, incoming);
+
+    case MergeStrategies.LWW:
+      // オブジェクト同士はフィールドごとにマージする（別々のスキルが書いた入れ子のフィールドを残す）
+      if (isPlainObject(current) && isPlainObject(incoming)) {
+        return mergeFields(current, incoming, strategy, fieldPath);
+      }
+      return incoming;
+
+    default:
+      return incoming;
+  }
+}
+
+/**
+ * オブジェクトのフィールドをマージ（更新に含まれないフィールドは残す）
+ */
+function mergeFields(current, incoming, strategy, prefix = '') {
+  const result = { ...current };
+
+  for (const [key, value] of Object.entries(incoming)) {
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+    result[key] = mergeValue(current[key], value, strategy, fieldPath);
+  }
+
+  return result;
+}
+
+/**
+ * 現在の data に更新をマージ
+ * どちらかがオブジェクトでなければ更新の値で置き換える
+ * default が 'replace' の場合も、fields に指定のないフィールドをフィールド単位で置き換える（更新に含まれないフィールドは残す）
+ */
+function mergeData(current, incoming, strategy) {
+  if (!isPlainObject(current) || !isPlainObject(incoming)) {
+    return incoming;
+  }
+
+  return mergeFields(current, incoming, strategy);
+}
+
+/**
+ * アイテムのタグをマージ
+ */
+function mergeTags(current, incoming, strategy) {
+  return strategy.tags === MergeStrategies.UNION ? union(current, incoming) : incoming;
+}
+
+module.exports = {
+  MergeStrategies,
+  DEFAULT_MERGE_STRATEGIES,
+  resolveMergeStrategies,
+  mergeData,
+  mergeTags
+};
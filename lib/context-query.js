@@ -0,0 +1,156 @@
+/**
+ * コンテキストのクエリ言語 (Context Query Language)
+ * `type:tasks tag:urgent createdAfter:2026-10-01 "deploy failed"` のような文字列を検索条件に変換する
+ *
+ * 構文:
+ *   key:value          条件（値は "..." で囲むと空白を含められる）
+ *   key:a,b            いずれかに一致（type / tag / creator / access）
+ *   語 / "フレーズ"     data に含まれるキーワード（全て含むもの）
+ *
+ * キー:
+ *   type / tag / creator / access     タイプ・タグ・作成者・アクセスレベル（tag を複数書いた場合は全てに一致）
+ *   user                              所有ユーザー
+ *   createdAfter / createdBefore      作成日時の範囲（ISO 8601 または YYYY-MM-DD）
+ *   updatedAfter / updatedBefore      更新日時の範囲
+ *   sort                              並び順（createdAt / updatedAt / expiresAt、先頭に - で降順）
+ */
+
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'expiresAt'];
+const DATE_KEYS = ['createdAfter', 'createdBefore', 'updatedAfter', 'updatedBefore'];
+
+/**
+ * クエリのエラーを作成
+ */
+function invalidQuery(message) {
+  const error = new Error(`Invalid query: ${message}`);
+  error.code = 'ERR_INVALID_QUERY';
+  return error;
+}
+
+/**
+ * 空白で区切った語に分割（"..." の中の空白は区切らない）
+ * 返り値: [{ key, value }]（キーのない語は key: null）
+ */
+function tokenize(text) {
+  const terms = [];
+  const pattern = /(?:([A-Za-z]+):)?(?:"([^"]*)"|(\S+))/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const value = match[2] !== undefined ? match[2] : match[3];
+    if (value.includes('"')) {
+      throw invalidQuery(`unbalanced quote near ${match[0]}`);
+    }
+    terms.push({ key: match[1] || null, value });
+  }
+
+  return terms;
+}
+
+/**
+ * 日時を解釈
+ */
+function parseDate(key, value) {
+  const date = new Date(value);
+  if (!/^\d{4}-\d{2}-\d{2}/.test(value) || Number.isNaN(date.getTime())) {
+    throw invalidQuery(`${key} must be a date (YYYY-MM-DD or ISO 8601): ${value}`);
+  }
+  return date;
+}
+
+/**
+ * クエリ文字列を検索条件に変換
+ */
+function parseQuery(text = '') {
+  const filter = {
+    types: null,
+    tags: [],
+    creators: null,
+    accessLevels: null,
+    userId: undefined,
+    keywords: [],
+    sortBy: undefined,
+    sortOrder: undefined
+  };
+  const list = value => value.split(',').map(entry => entry.trim()).filter(Boolean);
+
+  for (const { key, value } of tokenize(String(text))) {
+    if (value === '') {
+      throw invalidQuery(`${key || 'keyword'} needs a value`);
+    }
+
+    switch (key) {
+      case null:
+        filter.keywords.push(value.toLowerCase());
+        break;
+
+      case 'type':
+        filter.types = [...(filter.types || []), ...list(value)];
+        break;
+
+      case 'tag':
+        filter.tags.push(list(value));
+        break;
+
+      case 'creator':
+        filter.creators = [...(filter.creators || []), ...list(value)];
+        break;
+
+      case 'access':
+        filter.accessLevels = [...(filter.accessLevels || []), ...list(value)];
+        break;
+
+      case 'user':
+        filter.userId = value;
+        break;
+
+      case 'sort': {
+        const field = value.replace(/^-/, '');
+        if (!SORT_FIELDS.includes(field)) {
+          throw invalidQuery(`cannot sort by ${field} (use ${SORT_FIELDS.join(', ')})`);
+        }
+        filter.sortBy = field;
+        filter.sortOrder = value.startsWith('-') ? 'desc' : 'asc';
+        break;
+      }
+
+      default:
+        if (!DATE_KEYS.includes(key)) {
+          throw invalidQuery(`unknown key ${key}`);
+        }
+        filter[key] = parseDate(key, value);
+    }
+  }
+
+  return filter;
+}
+
+/**
+ * アイテムが条件に一致するか（userId と並び順は呼び出し側で扱う）
+ */
+function matchesQuery(item, filter) {
+  const createdAt = new Date(item.createdAt);
+  const updatedAt = new Date(item.updatedAt);
+
+  if (filter.types && !filter.types.includes(item.type)) return false;
+  if (filter.creators && !filter.creators.includes(item.creator)) return false;
+  if (filter.accessLevels && !filter.accessLevels.includes(item.accessLevel)) return false;
+  if (!filter.tags.every(anyOf => anyOf.some(tag => item.tags.includes(tag)))) return false;
+  if (filter.createdAfter && !(createdAt > filter.createdAfter)) return false;
+  if (filter.createdBefore && !(createdAt < filter.createdBefore)) return false;
+  if (filter.updatedAfter && !(updatedAt > filter.updatedAfter)) return false;
+  if (filter.updatedBefore && !(updatedAt < filter.updatedBefore)) return false;
+
+  if (filter.keywords.length > 0) {
+    const text = JSON.stringify(item.data ?? '').toLowerCase();
+    return filter.keywords.every(keyword => text.includes(keyword));
+  }
+
+  return true;
+}
+
+module.exports = {
+  parseQuery,
+  matchesQuery,
+  SORT_FIELDS
+};
@@ -0,0 +1,181 @@
+/**
+ * コンテキストの保持ポリシー (Context Retention)
+ * コンテキストタイプごとに保持期間・残す件数・古いアイテムの日次集計を宣言し、
+ * コンパクション（ContextStore.compact）で適用する
+ *
+ * ポリシーの項目:
+ *   ttlDays     作成から保持する日数（追加時の有効期限にも使う）
+ *   keepLatest  ユーザーごとに残す最新のアイテム数（日次集計のアイテムは数えない）
+ *   downsample  { afterDays } 作成から afterDays 日を過ぎたアイテムを日次集計にまとめて削除する
+ *               指定した場合は keepLatest を超えたアイテムも削除せずに集計に含める
+ */
+
+/**
+ * 既定のポリシー（キーは ContextTypes の値）
+ * 指定のないタイプは従来どおり、明示した有効期限と retentionDays のみで整理する
+ */
+const DEFAULT_RETENTION_POLICIES = {
+  error_log: { ttlDays: 30 },
+  session_data: { ttlDays: 1 },
+  metrics: { keepLatest: 1000, downsample: { afterDays: 7 } }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 日次集計のアイテムに付けるタグ（metadata.aggregate にも記録する）
+const DAILY_AGGREGATE = 'daily';
+
+// コンパクションで削除した理由
+const CompactionReasons = {
+  EXPIRED: 'expired',        // 有効期限切れ
+  TTL: 'ttl',                // ポリシーの保持日数を超えた
+  KEEP_LATEST: 'keepLatest', // 最新N件を超えた
+  DOWNSAMPLED: 'downsampled' // 日次集計にまとめた
+};
+
+/**
+ * 既定のポリシーに上書き設定を重ねる
+ * タイプごとに項目単位で上書きし、null を指定したタイプはポリシーなしにする
+ */
+function resolveRetentionPolicies(overrides = {}) {
+  const policies = {};
+
+  for (const type of new Set([...Object.keys(DEFAULT_RETENTION_POLICIES), ...Object.keys(overrides)])) {
+    if (overrides[type] === null) {
+      continue;
+    }
+
+    const policy = { ...DEFAULT_RETENTION_POLICIES[type], ...overrides[type] };
+    for (const key of ['ttlDays', 'keepLatest']) {
+      if (policy[key] !== undefined && policy[key] !== null && !(Number.isFinite(policy[key]) && policy[key] >= 0)) {
+        throw new Error(`Invalid retention policy for ${type}: ${key} must be a non-negative number`);
+      }
+    }
+    policies[type] = policy;
+  }
+
+  return policies;
+}
+
+/**
+ * 日次集計のアイテムか
+ */
+function isAggregate(item) {
+  return item.metadata?.aggregate === DAILY_AGGREGATE;
+}
+
+/**
+ * 日付（UTC, YYYY-MM-DD）
+ */
+function dayOf(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * 集計の単位（ユーザー・作成者・メトリクス名・日付）
+ */
+function bucketKeyOf(userId, creator, name, date) {
+  return JSON.stringify([userId, creator, name, date]);
+}
+
+/**
+ * アイテムが属する集計の単位
+ */
+function bucketOf(item) {
+  const name = item.data?.name || item.type;
+  const date = dayOf(item.createdAt);
+
+  return {
+    key: bucketKeyOf(item.userId, item.creator, name, date),
+    name,
+    date
+  };
+}
+
+/**
+ * 日次集計にアイテムを加える（data の数値フィールドごとに件数・合計・最小・最大・平均）
+ */
+function addToAggregate(aggregate, item) {
+  const fields = { ...aggregate.fields };
+
+  for (const [key, value] of Object.entries(item.data || {})) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      continue;
+    }
+
+    const stats = fields[key] || { count: 0, sum: 0, min: value, max: value };
+    const count = stats.count + 1;
+    const sum = stats.sum + value;
+    fields[key] = {
+      count,
+      sum,
+      min: Math.min(stats.min, value),
+      max: Math.max(stats.max, value),
+      avg: sum / count
+    };
+  }
+
+  return {
+    ...aggregate,
+    samples: aggregate.samples + 1,
+    from: !aggregate.from || item.createdAt < aggregate.from ? item.createdAt : aggregate.from,
+    to: !aggregate.to || item.createdAt > aggregate.to ? item.createdAt : aggregate.to,
+    fields
+  };
+}
+
+/**
+ * 空の日次集計
+ */
+function emptyAggregate(name, date) {
+  return { name, date, samples: 0, from: null, to: null, fields: {} };
+}
+
+/**
+ * 日付から保持期限の境界（この時刻より前に作成されたアイテムが対象）
+ */
+function cutoffOf(now, days) {
+  return new Date(now.getTime() - days * DAY_MS);
+}
+
+/**
+ * コンパクションの結果
+ */
+function createCompactionReport(startedAt) {
+  return {
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    removed: Object.fromEntries(Object.values(CompactionReasons).map(reason => [reason, 0])),
+    byType: {},
+    aggregates: { created: 0, updated: 0 },
+    total: 0
+  };
+}
+
+/**
+ * 削除したアイテムを結果に記録
+ */
+function recordRemoval(report, item, reason) {
+  report.removed[reason]++;
+  report.total++;
+
+  const typeReport = report.byType[item.type] || (report.byType[item.type] = { removed: 0 });
+  typeReport.removed++;
+  typeReport[reason] = (typeReport[reason] || 0) + 1;
+}
+
+module.exports = {
+  DEFAULT_RETENTION_POLICIES,
+  DAILY_AGGREGATE,
+  CompactionReasons,
+  resolveRetentionPolicies,
+  isAggregate,
+  dayOf,
+  bucketKeyOf,
+  bucketOf,
+  addToAggregate,
+  emptyAggregate,
+  cutoffOf,
+  createCompactionReport,
+  recordRemoval
+};
@@ -3,8 +3,17 @@
  * スキル間でコンテキストを共有するための実装
  */
 
-const fs = require('fs').promises;
+const fs = require('fs');
 const path = require('path');
+const EventEmitter = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createStorageBackend, DEFAULT_JSON_PATH, DEFAULT_USER_ID } = require('./context-storage');
+const { SemanticIndex, textOf, readLongTermDocuments, DEFAULT_LONG_TERM_PATH } = require('./semantic-index');
+const { encryptJson, decryptJson, loadEncryptionKey } = require('./secrets-vault');
+const { ContextSnapshots } = require('./context-snapshots');
+const retention = require('./context-retention');
+const { resolveMergeStrategies, mergeData, mergeTags } = require('./context-merge');
+const { matchesQuery } = require('./context-query');
 
 /**
  * UUID生成
@@ -17,9 +26,6 @@ function uuidv4() {
   });
 }
 
-const BASE_DIR = __dirname;
-const CONTEXT_STORE_PATH = path.join(BASE_DIR, 'context-store.json');
-
 /**
  * コンテキストタイプ
  */
@@ -33,6 +39,37 @@ const ContextTypes = {
   METRICS: 'metrics'
 };
 
+/**
+ * 全ユーザーを対象にする userId（管理用）
+ */
+const ALL_USERS = '*';
+
+/**
+ * 機密アイテムの暗号鍵を保存する保管庫のシークレット名
+ */
+const CONTEXT_KEY_SECRET = 'context-encryption-key';
+
+/**
+ * 保管庫から機密アイテムの暗号鍵を読み込む（保管庫がなければ null）
+ */
+function loadContextEncryptionKey() {
+  return loadEncryptionKey(CONTEXT_KEY_SECRET);
+}
+
+/**
+ * 鍵がない・鍵が違うために復号できなかったエラーか
+ */
+function isDecryptionError(error) {
+  return error.code === 'ERR_VAULT_LOCKED' || error.code === 'ERR_VAULT_DECRYPT';
+}
+
+/**
+ * 暗号鍵を Buffer に変換（base64 文字列も受け付ける）
+ */
+function toEncryptionKey(key) {
+  return typeof key === 'string' ? Buffer.from(key, 'base64') : key;
+}
+
 /**
  * アクセスレベル
  */
@@ -42,12 +79,107 @@ const AccessLevels = {
   PRIVATE: 'private'      // 作成スキルのみアクセス可能
 };
 
+/**
+ * ユーザープロファイルの既定のACL
+ */
+const DEFAULT_PROFILE_ACL = {
+  readers: ['self-learning-agent', 'feedback-loop', 'morning-secretary', 'productivity-advisor'],
+  writers: ['personalized-ai-agent', 'self-learning-agent']
+};
+
+/**
+ * アクセス拒否エラーを作成
+ */
+function accessDenied(requester, operation, item) {
+  const error = new Error(`${requester} is not allowed to ${operation} context ${item.type} (${item.id})`);
+  error.code = 'ERR_ACCESS_DENIED';
+  return error;
+}
+
+/**
+ * 更新の競合エラーを作成（読み取った後に他のスキルが更新していた）
+ */
+function versionConflict(item, expectedVersion) {
+  const error = new Error(`Context ${item.type} (${item.id}) was updated concurrently: expected version ${expectedVersion}, current version ${item.version}`);
+  error.code = 'ERR_CONFLICT';
+  error.currentVersion = item.version;
+  return error;
+}
+
+// 更新中に別のストアが同じアイテムを更新していた場合に、読み直して更新し直す回数
+const UPDATE_ATTEMPTS = 3;
+
+/**
+ * 管理者権限が必要な操作のエラーを作成
+ */
+function adminRequired(requester, operation) {
+  const error = new Error(`${requester} is not allowed to ${operation}: admin skills only`);
+  error.code = 'ERR_ACCESS_DENIED';
+  return error;
+}
+
+/**
+ * ACLにスキルが含まれるか（'*' は全スキル）
+ */
+function aclIncludes(list, skillId) {
+  return list.includes('*') || list.includes(skillId);
+}
+
+/**
+ * コンテキスト共有マネージャーが受け付けるアクションと失敗時のエラーコード
+ */
+const CONTEXT_ERROR_CODES = {
+  get_context: 'ERR_CONTEXT_GET_FAILED',
+  update_context: 'ERR_CONTEXT_UPDATE_FAILED',
+  remove_context: 'ERR_CONTEXT_REMOVE_FAILED',
+  set_context_acl: 'ERR_CONTEXT_ACL_FAILED',
+  semantic_search: 'ERR_SEMANTIC_SEARCH_FAILED',
+  watch_context: 'ERR_CONTEXT_WATCH_FAILED',
+  unwatch_context: 'ERR_CONTEXT_WATCH_FAILED',
+  list_users: 'ERR_CONTEXT_ADMIN_FAILED',
+  export_user_data: 'ERR_CONTEXT_ADMIN_FAILED',
+  delete_user_data: 'ERR_CONTEXT_ADMIN_FAILED',
+  compact_context: 'ERR_CONTEXT_COMPACTION_FAILED',
+  create_snapshot: 'ERR_CONTEXT_SNAPSHOT_FAILED',
+  list_snapshots: 'ERR_CONTEXT_SNAPSHOT_FAILED',
+  diff_snapshots: 'ERR_CONTEXT_SNAPSHOT_FAILED',
+  restore_snapshot: 'ERR_CONTEXT_SNAPSHOT_FAILED'
+};
+
+const CONTEXT_ACTIONS = Object.keys(CONTEXT_ERROR_CODES);
+
+/**
+ * 保持ポリシーを定期適用する間隔（1時間）
+ */
+const DEFAULT_COMPACTION_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * アクションごとのエラーコードに置き換えずに返すエラーコード
+ */
+const PASSTHROUGH_ERROR_CODES = ['ERR_ACCESS_DENIED', 'ERR_CONFLICT'];
+
+/**
+ * 管理者のみが実行できるアクション
+ */
+const ADMIN_ACTIONS = [
+  'list_users',
+  'export_user_data',
+  'delete_user_data',
+  'compact_context',
+  'create_snapshot',
+  'list_snapshots',
+  'diff_snapshots',
+  'restore_snapshot'
+];
+
 /**
  * コンテキストアイテム
  */
 class ContextItem {
   constructor(type, data, options = {}) {
     this.id = uuidv4();
+    // 所有ユーザー（DiscordやLINEのユーザーごとに分離する）
+    this.userId = options.userId || DEFAULT_USER_ID;
     this.type = type;
     this.data = data;
     this.accessLevel = options.accessLevel || AccessLevels.PUBLIC;
@@ -55,8 +187,46 @@ class ContextItem {
     this.createdAt = new Date().toISOString();
     this.updatedAt = new Date().toISOString();
     this.expiresAt = options.expiresAt || null;
+    // data を更新するたびに増える版数（楽観的並行性制御に使う）
+    this.version = options.version || 1;
     this.tags = options.tags || [];
     this.metadata = options.metadata || {};
+    // 作成者以外に読み書きを許可するスキルID（'*' は全スキル）
+    this.acl = {
+      readers: options.acl?.readers || [],
+      writers: options.acl?.writers || []
+    };
+  }
+
+  /**
+   * スキルが読み取り可能か
+   * PUBLIC: 全スキル / PROTECTED: 作成者とACLのreaders・writers / PRIVATE: 作成者のみ
+   */
+  canRead(skillId) {
+    if (skillId === this.creator || this.accessLevel === AccessLevels.PUBLIC) {
+      return true;
+    }
+
+    if (this.accessLevel === AccessLevels.PRIVATE) {
+      return false;
+    }
+
+    return aclIncludes(this.acl.readers, skillId) || aclIncludes(this.acl.writers, skillId);
+  }
+
+  /**
+   * スキルが書き込み可能か（作成者とACLのwriters、PRIVATEは作成者のみ）
+   */
+  canWrite(skillId) {
+    if (skillId === this.creator) {
+      return true;
+    }
+
+    if (this.accessLevel === AccessLevels.PRIVATE) {
+      return false;
+    }
+
+    return aclIncludes(this.acl.writers, skillId);
   }
 
   /**
@@ -74,6 +244,7 @@ class ContextItem {
    */
   update(data, options = {}) {
     this.data = data;
+    this.version++;
     this.updatedAt = new Date().toISOString();
     if (options.expiresAt) {
       this.expiresAt = options.expiresAt;
@@ -82,446 +253,1276 @@ class ContextItem {
       this.tags = options.tags;
     }
   }
+
+  /**
+   * 保存用のレコードに変換
+   */
+  toRecord() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      type: this.type,
+      data: this.data,
+      accessLevel: this.accessLevel,
+      creator: this.creator,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      expiresAt: this.expiresAt,
+      tags: [...this.tags],
+      metadata: this.metadata,
+      acl: { readers: [...this.acl.readers], writers: [...this.acl.writers] },
+      version: this.version
+    };
+  }
+
+  /**
+   * 保存されたレコードから復元
+   */
+  static fromRecord(record) {
+    const item = new ContextItem(record.type, record.data, {
+      userId: record.userId,
+      accessLevel: record.accessLevel,
+      creator: record.creator,
+      tags: record.tags,
+      metadata: record.metadata,
+      expiresAt: record.expiresAt,
+      acl: record.acl,
+      version: record.version
+    });
+    item.id = record.id;
+    item.createdAt = record.createdAt;
+    item.updatedAt = record.updatedAt;
+    return item;
+  }
 }
 
+/**
+ * 変更イベントの種類
+ */
+const ChangeTypes = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  EXPIRED: 'expired',
+  REMOVED: 'removed'
+};
+
 /**
  * コンテキストストア
+ * 全ての変更で 'change'（と変更の種類名）イベントを発行する: { type, item, previous, timestamp }
+ * トランザクション中の変更はコミット後にまとめて発行し、ロールバックした場合は発行しない
+ *
+ * アイテムはユーザー（options.userId）ごとに分離される
+ * 省略時は 'default' ユーザー、'*' を指定した検索は全ユーザーが対象
  */
-class ContextStore {
+class ContextStore extends EventEmitter {
   constructor(config = {}) {
+    super();
+
     this.config = {
       maxItems: config.maxItems || 10000,
       retentionDays: config.retentionDays || 90,
       autoCleanup: config.autoCleanup !== false,
-      persistenceEnabled: config.persistenceEnabled !== false
+      persistenceEnabled: config.persistenceEnabled !== false,
+      maxAuditEntries: config.maxAuditEntries || 1000,
+      // 保存先: 'auto'（SQLite、使えなければJSON） / 'sqlite' / 'json' / 'memory'、またはバックエンドのインスタンス
+      storage: config.storage || (config.persistenceEnabled === false ? 'memory' : 'auto'),
+      storagePath: config.storagePath || null,
+      jsonPath: config.jsonPath || DEFAULT_JSON_PATH,
+      // セマンティック検索の埋め込み（省略時は文字n-gramのハッシュ）
+      embedder: config.embedder || null,
+      // 機密アイテム（PRIVATE と sensitiveTypes のタイプ）の data を保存時に暗号化する鍵（32バイト）
+      // 鍵を返す関数（loadContextEncryptionKey など）を渡すと、読み込みの前に呼んで鍵を取得する
+      encryptionKey: config.encryptionKey || null,
+      sensitiveTypes: config.sensitiveTypes || [],
+      // タイプごとの保持ポリシー（既定の DEFAULT_RETENTION_POLICIES に重ねる）
+      retentionPolicies: config.retentionPolicies || {},
+      // タイプごとの更新時のマージ戦略（既定の DEFAULT_MERGE_STRATEGIES に重ねる）
+      mergeStrategies: config.mergeStrategies || {}
     };
 
+    this.retentionPolicies = retention.resolveRetentionPolicies(this.config.retentionPolicies);
+    this.mergeStrategies = resolveMergeStrategies(this.config.mergeStrategies);
+
+    this.encryptionKey = typeof this.config.encryptionKey === 'function'
+      ? null
+      : toEncryptionKey(this.config.encryptionKey);
+
+    this.backend = createStorageBackend(this.config.storage, {
+      path: this.config.storagePath,
+      jsonPath: this.config.jsonPath
+    });
+
+    // 読み込んだアイテム（検索はバックエンドのインデックスで行う）
     this.items = new Map();
-    this.tagsIndex = new Map();
-    this.typeIndex = new Map();
-    this.creatorIndex = new Map();
 
-    this.load().catch(err => {
+    // 復号できなかった機密アイテムの保存用レコード（id → レコード）
+    // 読み込まずに暗号化されたまま残し、スナップショットとユーザーの削除の対象には含める
+    this.unreadableRecords = new Map();
+
+    // 実行中のトランザクション: { writes: id → 操作, changes: 変更イベント }
+    // 非同期の呼び出しの流れごとに保持し、並行して行われた無関係な書き込みを巻き込まない
+    this.transactionScope = new AsyncLocalStorage();
+
+    // セマンティック検索のインデックス（初回の検索時に作成し、変更されたアイテムは検索時に埋め込み直す）
+    this.semanticIndex = null;
+
+    // アクセスの監査ログ（書き込み、非公開アイテムの読み取り、拒否されたアクセス）
+    this.auditTrail = [];
+
+    // 読み込みに失敗した場合は ready を待つ操作を全て失敗させる（空のストアとして動かさない）
+    this.ready = this.open();
+    this.ready.catch(err => {
       console.error('Failed to load context store:', err.message);
     });
   }
 
   /**
-   * コンテキストを追加
+   * 暗号鍵を取得してストアを読み込む
    */
-  async add(type, data, options = {}) {
-    const item = new ContextItem(type, data, options);
-
-    // 最大アイテム数チェック
-    if (this.items.size >= this.config.maxItems) {
-      await this.cleanup();
+  async open() {
+    if (typeof this.config.encryptionKey === 'function') {
+      this.encryptionKey = toEncryptionKey(await this.config.encryptionKey());
     }
 
-    this.items.set(item.id, item);
-    this.updateIndexes(item);
+    await this.load();
+  }
+
+  /**
+   * 複数の書き込みを1つのトランザクションで反映
+   * fn が例外を投げた場合や保存に失敗した場合は、fn 内の変更を全て取り消す
+   * fn から（await を挟んでも）呼ばれた書き込みだけがこのトランザクションに含まれ、
+   * 同時に別の場所から行われた書き込みはそのまま保存される
+   */
+  async transaction(fn) {
+    await this.ready;
 
-    if (this.config.persistenceEnabled) {
-      await this.save();
+    if (this.transactionScope.getStore()) {
+      return await fn(this);
     }
 
-    console.log(`✓ Context added: ${item.type} (${item.id})`);
-    return item;
+    const scope = { writes: new Map(), changes: [] };
+
+    try {
+      const result = await this.transactionScope.run(scope, () => fn(this));
+      await this.backend.write(Array.from(scope.writes.values()));
+
+      for (const change of scope.changes) {
+        this.publishChange(change);
+      }
+      return result;
+    } catch (error) {
+      this.rollback(Array.from(scope.writes.keys()));
+      throw error;
+    }
   }
 
   /**
-   * コンテキストを取得
+   * 変更イベントを発行（トランザクション中はコミットまで保留）
    */
-  async get(id) {
-    const item = this.items.get(id);
-
-    if (!item) {
-      return null;
+  emitChange(type, item, previous = null) {
+    const change = { type, item, previous, timestamp: new Date().toISOString() };
+    const scope = this.transactionScope.getStore();
+
+    if (scope) {
+      scope.changes.push(change);
+    } else {
+      this.publishChange(change);
     }
+  }
 
-    if (!item.isValid()) {
-      await this.remove(id);
-      return null;
+  publishChange(change) {
+    // 購読側の例外で書き込みが失敗扱いにならないようにする
+    for (const eventName of ['change', change.type]) {
+      try {
+        this.emit(eventName, change);
+      } catch (error) {
+        console.error(`Error in context ${eventName} listener:`, error.message);
+      }
     }
-
-    return item;
   }
 
   /**
-   * タイプでコンテキストを検索
+   * 書き込みをバックエンドに反映（トランザクション中は溜めておく）
    */
-  async getByType(type, options = {}) {
-    const limit = options.limit || 100;
-    const offset = options.offset || 0;
-    const sortBy = options.sortBy || 'createdAt';
-    const sortOrder = options.sortOrder || 'desc';
-
-    const items = Array.from(this.items.values())
-      .filter(item => item.type === type && item.isValid());
+  async persist(...ops) {
+    this.invalidateEmbeddings(ops.map(op => op.id || op.record.id));
+
+    const scope = this.transactionScope.getStore();
+    if (scope) {
+      for (const op of ops) {
+        // 同じアイテムへの書き込みは最後のものだけ反映し、版数の確認はトランザクション前の版数で行う
+        const id = op.id || op.record.id;
+        const earlier = scope.writes.get(id);
+        scope.writes.set(id, earlier && op.type === 'put' ? { ...op, expectedVersion: earlier.expectedVersion } : op);
+      }
+      return;
+    }
 
-    // ソート
-    items.sort((a, b) => {
-      const valueA = new Date(a[sortBy]).getTime();
-      const valueB = new Date(b[sortBy]).getTime();
-      return sortOrder === 'asc' ? valueA - valueB : valueB - valueA;
-    });
+    await this.ready;
 
-    // ページネーション
-    return items.slice(offset, offset + limit);
+    try {
+      await this.backend.write(ops);
+    } catch (error) {
+      this.rollback(ops.map(op => op.id || op.record.id));
+      throw error;
+    }
   }
 
   /**
-   * タグでコンテキストを検索
+   * 保存に失敗したアイテムをバックエンドの内容に戻す
    */
-  async getByTags(tags, options = {}) {
-    const limit = options.limit || 100;
-    const offset = options.offset || 0;
-    const operator = options.operator || 'and'; // 'and' or 'or'
+  rollback(ids) {
+    this.invalidateEmbeddings(ids);
 
-    const items = Array.from(this.items.values())
-      .filter(item => {
-        if (!item.isValid()) {
-          return false;
-        }
+    for (const id of ids) {
+      const record = this.backend.get(id);
 
-        if (operator === 'and') {
-          return tags.every(tag => item.tags.includes(tag));
-        } else {
-          return tags.some(tag => item.tags.includes(tag));
-        }
-      });
+      if (record) {
+        this.loadRecord(record);
+      } else {
+        this.items.delete(id);
+        this.unreadableRecords.delete(id);
+      }
+    }
+  }
 
-    return items.slice(offset, offset + limit);
+  /**
+   * 保存時に暗号化するアイテムか
+   */
+  isSensitive(item) {
+    return item.accessLevel === AccessLevels.PRIVATE || this.config.sensitiveTypes.includes(item.type);
   }
 
   /**
-   * キーワードでコンテキストを検索
+   * 保存用のレコードに変換（鍵がある場合、機密アイテムの data はアイテムIDに紐づけて暗号化する）
    */
-  async search(keyword, options = {}) {
-    const limit = options.limit || 100;
-    const offset = options.offset || 0;
-    const fields = options.fields || ['data']; // 検索対象フィールド
+  toStored(item) {
+    const record = item.toRecord();
 
-    const lowerKeyword = keyword.toLowerCase();
+    if (this.encryptionKey && this.isSensitive(item)) {
+      record.data = { $encrypted: encryptJson(this.encryptionKey, record.data, record.id) };
+    }
 
-    const items = Array.from(this.items.values())
-      .filter(item => {
-        if (!item.isValid()) {
-          return false;
-        }
+    return record;
+  }
 
-        return fields.some(field => {
-          const value = item[field];
-          if (typeof value === 'string') {
-            return value.toLowerCase().includes(lowerKeyword);
-          } else if (typeof value === 'object' && value !== null) {
-            return JSON.stringify(value).toLowerCase().includes(lowerKeyword);
-          }
-          return false;
-        });
-      });
+  /**
+   * 保存されたレコードからアイテムを復元（暗号化された data は復号する）
+   */
+  fromStored(record) {
+    if (record.data && record.data.$encrypted) {
+      if (!this.encryptionKey) {
+        const error = new Error(`Context item ${record.id} is encrypted but no encryptionKey is configured`);
+        error.code = 'ERR_VAULT_LOCKED';
+        throw error;
+      }
 
-    return items.slice(offset, offset + limit);
+      record = { ...record, data: decryptJson(this.encryptionKey, record.data.$encrypted, record.id) };
+    }
+
+    return ContextItem.fromRecord(record);
   }
 
   /**
-   * ユーザープロファイルを取得
+   * 保存されたレコードからアイテムを復元（復号できない場合は null）
    */
-  async getUserProfile() {
-    return await this.getByType(ContextTypes.USER_PROFILE, { limit: 1 });
+  readRecord(record) {
+    try {
+      return this.fromStored(record);
+    } catch (error) {
+      if (!isDecryptionError(error)) {
+        throw error;
+      }
+      return null;
+    }
   }
 
   /**
-   * ユーザープロファイルを設定
+   * 保存されたレコードを読み込んだアイテムに反映（復号できないレコードは unreadableRecords に残す）
    */
-  async setUserProfile(profile, creator = 'personalized-ai-agent') {
-    // 既存のプロファイルを削除
-    const existing = await this.getUserProfile();
-    if (existing.length > 0) {
-      for (const item of existing) {
-        await this.remove(item.id);
-      }
+  loadRecord(record) {
+    const item = this.readRecord(record);
+
+    if (item) {
+      this.items.set(record.id, item);
+      this.unreadableRecords.delete(record.id);
+    } else {
+      this.items.delete(record.id);
+      this.unreadableRecords.set(record.id, record);
     }
 
-    // 新しいプロファイルを追加
-    return await this.add(ContextTypes.USER_PROFILE, profile, {
-      creator,
-      accessLevel: AccessLevels.PROTECTED,
-      tags: ['user', 'profile'],
-      expiresAt: null // プロファイルは期限なし
-    });
+    return item;
   }
 
   /**
-   * パターンを追加
+   * 変更されたアイテムをセマンティックインデックスから外す（次の検索時に埋め込み直す）
    */
-  async addPattern(patternType, patternData, creator = 'self-learning-agent') {
-    return await this.add(ContextTypes.PATTERNS, {
-      type: patternType,
-      ...patternData
-    }, {
-      creator,
-      accessLevel: AccessLevels.PROTECTED,
-      tags: ['pattern', patternType],
-      metadata: {
-        confidence: patternData.confidence || 0.5
-      },
-      expiresAt: this.calculateExpiryDate()
-    });
+  invalidateEmbeddings(ids) {
+    if (this.semanticIndex) {
+      for (const id of ids) {
+        this.semanticIndex.remove(id);
+      }
+    }
   }
 
   /**
-   * タスクを追加
+   * 検索対象のユーザー（'*' は全ユーザーなので絞り込まない）
    */
-  async addTask(task, creator = 'task-tracker') {
-    return await this.add(ContextTypes.TASKS, task, {
-      creator,
-      accessLevel: AccessLevels.PUBLIC,
-      tags: ['task', task.status || 'pending'],
-      expiresAt: task.completedAt ? this.calculateExpiryDate() : null
-    });
+  userScope(options = {}) {
+    const userId = options.userId || DEFAULT_USER_ID;
+    return userId === ALL_USERS ? undefined : userId;
   }
 
   /**
-   * エラーを記録
+   * アイテムがユーザーの範囲内か
    */
-  async logError(error, creator = 'error-auto-healer') {
-    return await this.add(ContextTypes.ERROR_LOG, {
-      message: error.message,
-      stack: error.stack,
-      code: error.code || 'ERR_UNKNOWN',
-      timestamp: new Date().toISOString()
-    }, {
-      creator,
-      accessLevel: AccessLevels.PRIVATE,
-      tags: ['error', error.code || 'unknown'],
-      expiresAt: this.calculateExpiryDate()
-    });
+  inUserScope(item, options = {}) {
+    const userId = this.userScope(options);
+    return userId === undefined || item.userId === userId;
   }
 
   /**
-   * コンテキストを更新
+   * IDでアイテムを取得（userIdを指定した場合は他のユーザーのアイテムは見つからない扱い）
    */
-  async update(id, data, options = {}) {
+  findItem(id, options = {}) {
     const item = this.items.get(id);
 
-    if (!item) {
-      throw new Error(`Context item not found: ${id}`);
-    }
-
-    item.update(data, options);
-
-    this.updateIndexes(item);
-
-    if (this.config.persistenceEnabled) {
-      await this.save();
+    if (!item || (options.userId && !this.inUserScope(item, options))) {
+      return null;
     }
 
-    console.log(`✓ Context updated: ${item.type} (${id})`);
     return item;
   }
 
   /**
-   * コンテキストを削除
+   * バックエンドのインデックスで検索し、アイテムに変換（期限切れは除外）
    */
-  async remove(id) {
-    const item = this.items.get(id);
-
-    if (!item) {
-      return false;
-    }
+  async queryItems(filter) {
+    await this.ready;
 
-    this.removeFromIndexes(item);
-    this.items.delete(id);
+    return this.backend.query(filter)
+      .map(id => this.items.get(id))
+      .filter(item => item && item.isValid());
+  }
 
-    if (this.config.persistenceEnabled) {
-      await this.save();
-    }
+  /**
+   * コンテキストを追加
+   * options.requester を指定した場合はそのスキルを作成者にする
+   * options.userId: 所有ユーザー（省略時は 'default'）
+   */
+  async add(type, data, options = {}) {
+    if (options.userId === ALL_USERS) {
+      throw new Error('Context must belong to a single user');
+    }
 
-    console.log(`✓ Context removed: ${item.type} (${id})`);
-    return true;
+    const item = new ContextItem(type, data, {
+      ...options,
+      creator: options.requester || options.creator,
+      // 有効期限の指定がなければタイプの保持日数を使う（null は無期限）
+      expiresAt: options.expiresAt !== undefined || this.retentionPolicies[type]?.ttlDays === undefined
+        ? options.expiresAt
+        : this.calculateExpiryDate(type)
+    });
+
+    // 最大アイテム数チェック
+    if (this.items.size >= this.config.maxItems) {
+      await this.cleanup();
+    }
+
+    this.items.set(item.id, item);
+    await this.persist({ type: 'put', record: this.toStored(item) });
+    this.audit(options.requester || item.creator, 'add', item, 'allowed');
+    this.emitChange(ChangeTypes.CREATED, item);
+
+    console.log(`✓ Context added: ${item.type} (${item.id})`);
+    return item;
+  }
+
+  /**
+   * コンテキストを取得
+   * options.requester を指定した場合は読み取り権限を確認する（権限がなければ ERR_ACCESS_DENIED）
+   */
+  async get(id, options = {}) {
+    const item = this.findItem(id, options);
+
+    if (!item) {
+      return null;
+    }
+
+    if (!item.isValid()) {
+      await this.remove(id, { expired: true });
+      return null;
+    }
+
+    this.checkAccess(item, options.requester, 'read');
+    return item;
+  }
+
+  /**
+   * アクセス権限を確認（requesterを省略した内部呼び出しは確認しない）
+   */
+  checkAccess(item, requester, operation) {
+    if (!requester) {
+      return;
+    }
+
+    const allowed = operation === 'read' ? item.canRead(requester) : item.canWrite(requester);
+
+    if (!allowed) {
+      this.audit(requester, operation, item, 'denied');
+      throw accessDenied(requester, operation, item);
+    }
+
+    if (operation === 'read' && item.accessLevel !== AccessLevels.PUBLIC) {
+      this.audit(requester, operation, item, 'allowed');
+    }
+  }
+
+  /**
+   * 一覧から読み取り権限のないアイテムを除外
+   */
+  filterReadable(items, requester) {
+    if (!requester) {
+      return items;
+    }
+
+    return items.filter(item => {
+      if (!item.canRead(requester)) {
+        return false;
+      }
+      if (item.accessLevel !== AccessLevels.PUBLIC) {
+        this.audit(requester, 'read', item, 'allowed');
+      }
+      return true;
+    });
+  }
+
+  /**
+   * 監査ログに記録
+   */
+  audit(actor, operation, item, decision) {
+    this.auditTrail.push({
+      timestamp: new Date().toISOString(),
+      actor: actor || 'internal',
+      operation,
+      itemId: item.id,
+      type: item.type,
+      accessLevel: item.accessLevel,
+      decision
+    });
+
+    if (this.auditTrail.length > this.config.maxAuditEntries) {
+      this.auditTrail.splice(0, this.auditTrail.length - this.config.maxAuditEntries);
+    }
+  }
+
+  /**
+   * 監査ログを取得（actor / itemId / operation / decision で絞り込み、新しい順）
+   */
+  getAuditTrail(filters = {}) {
+    const limit = filters.limit || 100;
+
+    return this.auditTrail
+      .filter(entry => ['actor', 'itemId', 'operation', 'decision'].every(key =>
+        filters[key] === undefined || entry[key] === filters[key]
+      ))
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * アイテムのACLを変更（作成者のみ）
+   */
+  async setAcl(id, acl, options = {}) {
+    const item = this.findItem(id, options);
+
+    if (!item) {
+      throw new Error(`Context item not found: ${id}`);
+    }
+
+    if (options.requester && options.requester !== item.creator) {
+      this.audit(options.requester, 'acl', item, 'denied');
+      throw accessDenied(options.requester, 'change the ACL of', item);
+    }
+
+    const previous = ContextItem.fromRecord(item.toRecord());
+    item.acl = {
+      readers: acl.readers || item.acl.readers,
+      writers: acl.writers || item.acl.writers
+    };
+    if (acl.accessLevel) {
+      item.accessLevel = acl.accessLevel;
+    }
+    await this.persist({ type: 'put', record: this.toStored(item) });
+    this.audit(options.requester, 'acl', item, 'allowed');
+    this.emitChange(ChangeTypes.UPDATED, item, previous);
+
+    return item;
   }
 
   /**
-   * タイプ別にコンテキストを削除
+   * タイプでコンテキストを検索
    */
-  async removeByType(type) {
+  async getByType(type, options = {}) {
+    const limit = options.limit || 100;
+    const offset = options.offset || 0;
+    const sortBy = options.sortBy || 'createdAt';
+    const sortOrder = options.sortOrder || 'desc';
+
+    const items = this.filterReadable(
+      await this.queryItems({ userId: this.userScope(options), type, sortBy, sortOrder }),
+      options.requester
+    );
+
+    // ページネーション
+    return items.slice(offset, offset + limit);
+  }
+
+  /**
+   * タグでコンテキストを検索
+   */
+  async getByTags(tags, options = {}) {
+    const limit = options.limit || 100;
+    const offset = options.offset || 0;
+    const operator = options.operator || 'and'; // 'and' or 'or'
+
+    const items = await this.queryItems({ userId: this.userScope(options), tags, operator });
+
+    return this.filterReadable(items, options.requester).slice(offset, offset + limit);
+  }
+
+  /**
+   * キーワードでコンテキストを検索
+   */
+  async search(keyword, options = {}) {
+    const limit = options.limit || 100;
+    const offset = options.offset || 0;
+    const fields = options.fields || ['data']; // 検索対象フィールド
+
+    const lowerKeyword = keyword.toLowerCase();
+
     const items = Array.from(this.items.values())
-      .filter(item => item.type === type);
+      .filter(item => {
+        if (!item.isValid() || !this.inUserScope(item, options)) {
+          return false;
+        }
 
-    for (const item of items) {
-      await this.remove(item.id);
+        return fields.some(field => {
+          const value = item[field];
+          if (typeof value === 'string') {
+            return value.toLowerCase().includes(lowerKeyword);
+          } else if (typeof value === 'object' && value !== null) {
+            return JSON.stringify(value).toLowerCase().includes(lowerKeyword);
+          }
+          return false;
+        });
+      });
+
+    return this.filterReadable(items, options.requester).slice(offset, offset + limit);
+  }
+
+  /**
+   * クエリ言語の条件（parseQuery の結果）でコンテキストを検索
+   * options: requester / userId / limit / offset / sortBy / sortOrder（条件に sort があればそちらを優先）
+   * 返り値: { items, total }（total はページングする前の件数）
+   */
+  async find(filter, options = {}) {
+    const limit = options.limit || 100;
+    const offset = options.offset || 0;
+    const sortBy = filter.sortBy || options.sortBy || 'createdAt';
+    const sortOrder = filter.sortOrder || options.sortOrder || 'desc';
+
+    // タイプが1つならバックエンドのインデックスで絞り込む
+    const candidates = await this.queryItems({
+      userId: this.userScope(options),
+      type: filter.types?.length === 1 ? filter.types[0] : undefined,
+      sortBy,
+      sortOrder
+    });
+    const items = this.filterReadable(candidates.filter(item => matchesQuery(item, filter)), options.requester);
+
+    return { items: items.slice(offset, offset + limit), total: items.length };
+  }
+
+  /**
+   * 意味の近いコンテキストを検索（コサイン類似度の高い順）
+   * options: limit / minScore / types（対象のタイプ）/ requester / userId
+   * 返り値: [{ item, score }]
+   */
+  async semanticSearch(query, options = {}) {
+    await this.ready;
+
+    if (!this.semanticIndex) {
+      this.semanticIndex = new SemanticIndex({ embedder: this.config.embedder || undefined });
+    }
+
+    for (const item of this.items.values()) {
+      if (!this.semanticIndex.has(item.id)) {
+        await this.semanticIndex.add(item.id, `${textOf(item.data)} ${item.tags.join(' ')}`);
+      }
     }
 
-    return items.length;
+    const types = options.types || null;
+    const matches = await this.semanticIndex.search(query, {
+      limit: this.semanticIndex.size,
+      minScore: options.minScore,
+      filter: (id) => {
+        const item = this.items.get(id);
+        return Boolean(item) && item.isValid() && this.inUserScope(item, options) && (!types || types.includes(item.type));
+      }
+    });
+
+    const scores = new Map(matches.map(match => [match.id, match.score]));
+    return this.filterReadable(matches.map(match => this.items.get(match.id)), options.requester)
+      .slice(0, options.limit || 10)
+      .map(item => ({ item, score: scores.get(item.id) }));
   }
 
   /**
-   * 期限切れコンテキストを削除
+   * ユーザープロファイルを取得
    */
-  async cleanup() {
-    const now = new Date();
+  async getUserProfile(options = {}) {
+    return await this.getByType(ContextTypes.USER_PROFILE, { limit: 1, requester: options.requester, userId: options.userId });
+  }
+
+  /**
+   * ユーザープロファイルを設定
+   * 既存のプロファイルがあり、プロファイルのマージ戦略があればマージする（他のスキルが書いたフィールドを残す）
+   * options.merge が false の場合やマージ戦略がない場合は、options.userId のプロファイルを置き換える
+   * options.requester を指定した場合は既存プロファイルの書き込み権限を確認する
+   * options.expectedVersion を指定した場合は、既存プロファイルの版数が一致しなければ ERR_CONFLICT
+   */
+  async setUserProfile(profile, creator = 'personalized-ai-agent', options = {}) {
+    const existing = await this.getByType(ContextTypes.USER_PROFILE, { userId: options.userId });
+    for (const item of existing) {
+      this.checkAccess(item, options.requester, 'write');
+    }
+
+    if (existing.length > 0 && options.merge !== false && this.mergeStrategies[ContextTypes.USER_PROFILE]) {
+      return await this.update(existing[0].id, profile, {
+        requester: options.requester,
+        userId: options.userId,
+        expectedVersion: options.expectedVersion,
+        tags: ['user', 'profile']
+      });
+    }
+
+    if (options.expectedVersion !== undefined && existing[0] && existing[0].version !== options.expectedVersion) {
+      throw versionConflict(existing[0], options.expectedVersion);
+    }
+
+    // 既存のプロファイルを削除して追加する。1つのトランザクションで反映し、プロファイルがない状態を残さない
+    return await this.transaction(async () => {
+      for (const item of existing) {
+        await this.remove(item.id);
+      }
+
+      // 新しいプロファイルを追加（ACLは既存プロファイルから引き継ぐ）
+      return await this.add(ContextTypes.USER_PROFILE, profile, {
+        creator,
+        userId: options.userId,
+        accessLevel: AccessLevels.PROTECTED,
+        acl: options.acl || existing[0]?.acl || DEFAULT_PROFILE_ACL,
+        tags: ['user', 'profile'],
+        expiresAt: null // プロファイルは期限なし
+      });
+    });
+  }
+
+  /**
+   * パターンを追加
+   */
+  async addPattern(patternType, patternData, creator = 'self-learning-agent', options = {}) {
+    return await this.add(ContextTypes.PATTERNS, {
+      type: patternType,
+      ...patternData
+    }, {
+      creator,
+      userId: options.userId,
+      accessLevel: AccessLevels.PROTECTED,
+      tags: ['pattern', patternType],
+      metadata: {
+        confidence: patternData.confidence || 0.5
+      },
+      expiresAt: this.calculateExpiryDate(ContextTypes.PATTERNS)
+    });
+  }
+
+  /**
+   * タスクを追加
+   */
+  async addTask(task, creator = 'task-tracker', options = {}) {
+    return await this.add(ContextTypes.TASKS, task, {
+      creator,
+      userId: options.userId,
+      accessLevel: AccessLevels.PUBLIC,
+      tags: ['task', task.status || 'pending'],
+      expiresAt: task.completedAt ? this.calculateExpiryDate(ContextTypes.TASKS) : null
+    });
+  }
+
+  /**
+   * エラーを記録
+   */
+  async logError(error, creator = 'error-auto-healer', options = {}) {
+    return await this.add(ContextTypes.ERROR_LOG, {
+      message: error.message,
+      stack: error.stack,
+      code: error.code || 'ERR_UNKNOWN',
+      timestamp: new Date().toISOString()
+    }, {
+      creator,
+      userId: options.userId,
+      accessLevel: AccessLevels.PRIVATE,
+      tags: ['error', error.code || 'unknown'],
+      expiresAt: this.calculateExpiryDate(ContextTypes.ERROR_LOG)
+    });
+  }
+
+  /**
+   * コンテキストを更新
+   * options.requester を指定した場合は書き込み権限を確認する
+   * options.expectedVersion: 読み取った時の版数。他の更新で版数が変わっていれば ERR_CONFLICT（compare-and-set）
+   * options.merge: false で、タイプのマージ戦略を使わず data を置き換える
+   *
+   * 版数の確認は保存先でも行う（同じ保存先を開いた別のストアの更新を上書きしない）
+   * expectedVersion を指定しない場合は、保存先の最新の内容を読み直して更新し直す
+   */
+  async update(id, data, options = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.applyUpdate(id, data, options);
+      } catch (error) {
+        const retry = error.code === 'ERR_CONFLICT'
+          && options.expectedVersion === undefined
+          && attempt < UPDATE_ATTEMPTS
+          && !this.transactionScope.getStore();
+        if (!retry) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * 更新を1回試みる（保存先の版数が読み込んだ時と違えば ERR_CONFLICT）
+   */
+  async applyUpdate(id, data, options) {
+    const item = this.findItem(id, options);
+
+    if (!item) {
+      throw new Error(`Context item not found: ${id}`);
+    }
+
+    this.checkAccess(item, options.requester, 'write');
+
+    if (options.expectedVersion !== undefined && options.expectedVersion !== item.version) {
+      this.audit(options.requester, 'update', item, 'conflict');
+      throw versionConflict(item, options.expectedVersion);
+    }
+
+    const strategy = options.merge === false ? null : this.mergeStrategies[item.type];
+    const previous = ContextItem.fromRecord(item.toRecord());
+    item.update(strategy ? mergeData(item.data, data, strategy) : data, {
+      ...options,
+      tags: strategy && options.tags ? mergeTags(item.tags, options.tags, strategy) : options.tags
+    });
+    await this.persist({ type: 'put', record: this.toStored(item), expectedVersion: previous.version });
+    this.audit(options.requester, 'update', item, 'allowed');
+    this.emitChange(ChangeTypes.UPDATED, item, previous);
+
+    console.log(`✓ Context updated: ${item.type} (${id})`);
+    return item;
+  }
+
+  /**
+   * コンテキストを削除
+   * options.requester を指定した場合は書き込み権限を確認する
+   * options.expired: 期限切れによる削除（'expired' イベントを発行する）
+   */
+  async remove(id, options = {}) {
+    const item = this.findItem(id, options);
+
+    if (!item) {
+      return false;
+    }
+
+    this.checkAccess(item, options.requester, 'write');
+    if (options.requester) {
+      this.audit(options.requester, 'remove', item, 'allowed');
+    }
+
+    this.items.delete(id);
+    await this.persist({ type: 'delete', id });
+    this.emitChange(options.expired ? ChangeTypes.EXPIRED : ChangeTypes.REMOVED, item);
+
+    console.log(`✓ Context removed: ${item.type} (${id})`);
+    return true;
+  }
+
+  /**
+   * タイプ別にコンテキストを削除（options.userId のアイテムのみ）
+   */
+  async removeByType(type, options = {}) {
+    await this.ready;
+    const ids = this.backend.query({ type, userId: this.userScope(options) });
     let removed = 0;
 
-    for (const [id, item] of this.items) {
-      if (!item.isValid()) {
-        await this.remove(id);
-        removed++;
+    await this.transaction(async () => {
+      for (const id of ids) {
+        if (await this.remove(id)) {
+          removed++;
+        }
+      }
+    });
+
+    return removed;
+  }
+
+  /**
+   * コンテキストを持つユーザーの一覧（管理用）
+   */
+  async listUsers() {
+    await this.ready;
+    return this.backend.users();
+  }
+
+  /**
+   * ユーザーの全てのコンテキストを書き出す（管理用、期限切れも含む）
+   * 復号できないアイテムはスナップショットと同じく暗号化されたままのレコードを undecryptable に入れる
+   */
+  async exportUser(userId) {
+    await this.ready;
+    const items = [];
+    const undecryptable = [];
+
+    for (const id of this.backend.query({ userId })) {
+      if (this.unreadableRecords.has(id)) {
+        undecryptable.push(this.unreadableRecords.get(id));
+      } else {
+        items.push(this.items.get(id).toRecord());
       }
     }
 
-    // 期限切れを検出
-    const expired = Array.from(this.items.values())
-      .filter(item => item.expiresAt && new Date(item.expiresAt) < now);
+    return {
+      userId,
+      exportedAt: new Date().toISOString(),
+      items,
+      undecryptable
+    };
+  }
 
-    for (const item of expired) {
-      await this.remove(item.id);
-      removed++;
+  /**
+   * ユーザーの全てのコンテキストを削除（管理用）
+   * 削除した件数を返す
+   */
+  async deleteUser(userId) {
+    if (!userId || userId === ALL_USERS) {
+      throw new Error('deleteUser requires a single userId');
     }
 
+    await this.ready;
+    const ids = this.backend.query({ userId });
+    let removed = 0;
+
+    await this.transaction(async () => {
+      for (const id of ids) {
+        if (this.unreadableRecords.has(id)) {
+          // 復号できないアイテムも削除する
+          this.unreadableRecords.delete(id);
+          await this.persist({ type: 'delete', id });
+          removed++;
+        } else if (await this.remove(id)) {
+          removed++;
+        }
+      }
+    });
+
+    console.log(`✓ Deleted ${removed} context items of user ${userId}`);
+    return removed;
+  }
+
+  /**
+   * 全ユーザーの全アイテムの保存用レコード（スナップショット用、機密アイテムは暗号化されたまま）
+   */
+  async snapshotRecords() {
+    await this.ready;
+    return [
+      ...Array.from(this.items.values(), item => this.toStored(item)),
+      ...this.unreadableRecords.values()
+    ];
+  }
+
+  /**
+   * スナップショットのレコードで全アイテムを置き換える（1つのトランザクションで反映）
+   * 変更のあったアイテムだけ書き込み、変更イベントを発行する
+   */
+  async restoreRecords(records) {
+    await this.ready;
+    const restoredIds = new Set(records.map(record => record.id));
+    const result = { created: 0, updated: 0, removed: 0 };
+
+    await this.transaction(async () => {
+      for (const item of Array.from(this.items.values())) {
+        if (!restoredIds.has(item.id)) {
+          this.items.delete(item.id);
+          await this.persist({ type: 'delete', id: item.id });
+          this.emitChange(ChangeTypes.REMOVED, item);
+          result.removed++;
+        }
+      }
+
+      for (const id of Array.from(this.unreadableRecords.keys())) {
+        if (!restoredIds.has(id)) {
+          this.unreadableRecords.delete(id);
+          await this.persist({ type: 'delete', id });
+          result.removed++;
+        }
+      }
+
+      for (const record of records) {
+        const item = this.readRecord(record);
+
+        if (!item) {
+          // 復号できないアイテムは暗号化されたまま戻す
+          const previous = this.unreadableRecords.get(record.id) || null;
+          if (!previous || JSON.stringify(previous) !== JSON.stringify(record)) {
+            this.items.delete(record.id);
+            this.unreadableRecords.set(record.id, record);
+            await this.persist({ type: 'put', record });
+            result[previous ? 'updated' : 'created']++;
+          }
+          continue;
+        }
+
+        const previous = this.items.get(item.id) || null;
+
+        if (previous && JSON.stringify(previous.toRecord()) === JSON.stringify(item.toRecord())) {
+          continue;
+        }
+
+        this.items.set(item.id, item);
+        await this.persist({ type: 'put', record: this.toStored(item) });
+        this.emitChange(previous ? ChangeTypes.UPDATED : ChangeTypes.CREATED, item, previous);
+        result[previous ? 'updated' : 'created']++;
+      }
+    });
+
+    console.log(`✓ Restored context items: ${result.created} created, ${result.updated} updated, ${result.removed} removed`);
+    return result;
+  }
+
+  /**
+   * 期限切れコンテキストを削除
+   */
+  async cleanup() {
+    await this.ready;
+    const expired = this.backend.query({ expiredBefore: new Date() });
+    let removed = 0;
+
+    await this.transaction(async () => {
+      for (const id of expired) {
+        if (await this.remove(id, { expired: true })) {
+          removed++;
+        }
+      }
+    });
+
     console.log(`✓ Cleaned up ${removed} expired context items`);
     return removed;
   }
 
   /**
-   * インデックスを更新
+   * 保持ポリシーを適用してコンテキストを整理
+   * 1. 有効期限切れと、ポリシーの ttlDays を超えたアイテムを削除
+   * 2. keepLatest を超えたアイテムと downsample.afterDays を過ぎたアイテムを
+   *    日次集計にまとめて削除（downsample がなければそのまま削除）
+   * 全て1つのトランザクションで行い、削除したアイテム数を理由・タイプ別に返す
+   */
+  async compact(options = {}) {
+    await this.ready;
+    const now = options.now || new Date();
+    const report = retention.createCompactionReport(now);
+
+    await this.transaction(async () => {
+      const remaining = [];
+
+      for (const item of Array.from(this.items.values())) {
+        const ttlDays = this.retentionPolicies[item.type]?.ttlDays;
+
+        if (item.expiresAt && new Date(item.expiresAt) <= now) {
+          await this.remove(item.id, { expired: true });
+          retention.recordRemoval(report, item, retention.CompactionReasons.EXPIRED);
+        } else if (ttlDays !== undefined && new Date(item.createdAt) < retention.cutoffOf(now, ttlDays)) {
+          await this.remove(item.id, { expired: true });
+          retention.recordRemoval(report, item, retention.CompactionReasons.TTL);
+        } else {
+          remaining.push(item);
+        }
+      }
+
+      for (const [type, policy] of Object.entries(this.retentionPolicies)) {
+        if (policy.keepLatest !== undefined || policy.downsample) {
+          await this.compactType(type, policy, remaining.filter(item => item.type === type), now, report);
+        }
+      }
+    });
+
+    report.finishedAt = new Date().toISOString();
+    console.log(`✓ Compacted context: ${report.total} items removed, ${report.aggregates.created} daily aggregates created`);
+    return report;
+  }
+
+  /**
+   * 1つのタイプに keepLatest と downsample を適用
    */
-  updateIndexes(item) {
-    // タグインデックス
-    for (const tag of item.tags) {
-      if (!this.tagsIndex.has(tag)) {
-        this.tagsIndex.set(tag, new Set());
+  async compactType(type, policy, items, now, report) {
+    const byUser = new Map();
+    const aggregates = new Map();
+
+    for (const item of items) {
+      if (retention.isAggregate(item)) {
+        aggregates.set(retention.bucketKeyOf(item.userId, item.creator, item.data.name, item.data.date), item);
+        continue;
+      }
+      if (!byUser.has(item.userId)) {
+        byUser.set(item.userId, []);
       }
-      this.tagsIndex.get(tag).add(item.id);
+      byUser.get(item.userId).push(item);
     }
 
-    // タイプインデックス
-    if (!this.typeIndex.has(item.type)) {
-      this.typeIndex.set(item.type, new Set());
-    }
-    this.typeIndex.get(item.type).add(item.id);
+    const downsampleBefore = policy.downsample ? retention.cutoffOf(now, policy.downsample.afterDays || 0) : null;
+    const pendingAggregates = new Map();
+
+    for (const userItems of byUser.values()) {
+      // 新しい順（作成日時が同じ場合は後から追加したものを新しいとみなす）
+      userItems.reverse().sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+      for (const [index, item] of userItems.entries()) {
+        const overflow = policy.keepLatest !== undefined && index >= policy.keepLatest;
+        const old = downsampleBefore && new Date(item.createdAt) < downsampleBefore;
+
+        if (!overflow && !old) {
+          continue;
+        }
+
+        if (policy.downsample) {
+          const bucket = retention.bucketOf(item);
+          const pending = pendingAggregates.get(bucket.key) || {
+            source: item,
+            data: aggregates.get(bucket.key)?.data || retention.emptyAggregate(bucket.name, bucket.date)
+          };
+          pending.data = retention.addToAggregate(pending.data, item);
+          pendingAggregates.set(bucket.key, pending);
+        }
+
+        await this.remove(item.id);
+        retention.recordRemoval(report, item, policy.downsample
+          ? retention.CompactionReasons.DOWNSAMPLED
+          : retention.CompactionReasons.KEEP_LATEST);
+      }
+    }
+
+    // 既存の日次集計に加えるか、集計のアイテムを作成する（元のアイテムの所有者・作成者・公開範囲を引き継ぐ）
+    for (const [key, { source, data }] of pendingAggregates) {
+      const existing = aggregates.get(key);
+
+      if (existing) {
+        await this.update(existing.id, data);
+        report.aggregates.updated++;
+      } else {
+        await this.add(type, data, {
+          userId: source.userId,
+          creator: source.creator,
+          accessLevel: source.accessLevel,
+          acl: source.acl,
+          tags: [type, retention.DAILY_AGGREGATE],
+          metadata: { aggregate: retention.DAILY_AGGREGATE },
+          expiresAt: null
+        });
+        report.aggregates.created++;
+      }
+    }
+  }
+
+  /**
+   * 有効期限を計算（タイプの保持ポリシーに ttlDays があればそれを、なければ retentionDays を使う）
+   */
+  calculateExpiryDate(type) {
+    const days = this.retentionPolicies[type]?.ttlDays ?? this.config.retentionDays;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  /**
+   * ストアを読み込み
+   */
+  async load() {
+    const records = await this.backend.open();
+
+    for (const record of records) {
+      this.loadRecord(record);
+    }
+
+    console.log(`✓ Loaded ${this.items.size} context items (${this.backend.name})`);
+
+    if (this.unreadableRecords.size > 0) {
+      console.warn(`Skipped ${this.unreadableRecords.size} encrypted context items that could not be decrypted (missing or wrong encryptionKey)`);
+    }
+  }
+
+  /**
+   * ストアを閉じる
+   */
+  async close() {
+    await this.ready;
+    await this.backend.close();
+  }
+
+  /**
+   * 統計情報を取得
+   */
+  getStats() {
+    const items = Array.from(this.items.values());
+    const validItems = items.filter(item => item.isValid());
+    const expiredItems = items.filter(item => !item.isValid());
+
+    const typeStats = {};
+    for (const item of validItems) {
+      typeStats[item.type] = (typeStats[item.type] || 0) + 1;
+    }
+
+    const creatorStats = {};
+    for (const item of validItems) {
+      creatorStats[item.creator] = (creatorStats[item.creator] || 0) + 1;
+    }
+
+    const userStats = {};
+    for (const item of validItems) {
+      userStats[item.userId] = (userStats[item.userId] || 0) + 1;
+    }
+
+    return {
+      total: items.length,
+      valid: validItems.length,
+      expired: expiredItems.length,
+      unreadable: this.unreadableRecords.size,
+      utilization: `${((items.length / this.config.maxItems) * 100).toFixed(1)}%`,
+      byType: typeStats,
+      byCreator: creatorStats,
+      byUser: userStats,
+      storage: this.backend.name,
+      ...this.backend.stats()
+    };
+  }
+}
+
+/**
+ * ライブクエリ
+ * 条件（userId / type / tags + operator / creator）に一致するアイテムの集合を保ち、
+ * ストアの変更を added / updated / removed の差分に変換する
+ */
+class LiveQuery {
+  constructor(id, query = {}, options = {}) {
+    this.id = id;
+    this.query = {
+      userId: query.userId || DEFAULT_USER_ID,
+      type: query.type,
+      tags: query.tags || null,
+      operator: query.operator || 'and',
+      creator: query.creator
+    };
+    // 購読スキル（指定した場合は読み取れるアイテムのみ）
+    this.subscriber = options.subscriber || null;
+    this.listener = options.listener;
+    this.createdAt = new Date().toISOString();
+
+    // 現在結果に含まれるアイテムID
+    this.ids = new Set();
 
-    // 作成者インデックス
-    if (!this.creatorIndex.has(item.creator)) {
-      this.creatorIndex.set(item.creator, new Set());
-    }
-    this.creatorIndex.get(item.creator).add(item.id);
+    // 次の通知までに溜めた差分（id → { change, item, reason }）
+    this.pending = new Map();
   }
 
   /**
-   * インデックスから削除
+   * アイテムが条件に一致するか
    */
-  removeFromIndexes(item) {
-    for (const tag of item.tags) {
-      const index = this.tagsIndex.get(tag);
-      if (index) {
-        index.delete(item.id);
-        if (index.size === 0) {
-          this.tagsIndex.delete(tag);
-        }
-      }
+  matches(item) {
+    const { userId, type, tags, operator, creator } = this.query;
+
+    if (userId !== ALL_USERS && item.userId !== userId) {
+      return false;
     }
 
-    const typeIndex = this.typeIndex.get(item.type);
-    if (typeIndex) {
-      typeIndex.delete(item.id);
-      if (typeIndex.size === 0) {
-        this.typeIndex.delete(item.type);
-      }
+    if (!item.isValid() || (type !== undefined && item.type !== type) || (creator !== undefined && item.creator !== creator)) {
+      return false;
     }
 
-    const creatorIndex = this.creatorIndex.get(item.creator);
-    if (creatorIndex) {
-      creatorIndex.delete(item.id);
-      if (creatorIndex.size === 0) {
-        this.creatorIndex.delete(item.creator);
+    if (tags && tags.length > 0) {
+      const hasTag = tag => item.tags.includes(tag);
+      if (operator === 'or' ? !tags.some(hasTag) : !tags.every(hasTag)) {
+        return false;
       }
     }
-  }
 
-  /**
-   * 有効期限を計算
-   */
-  calculateExpiryDate() {
-    const expiryDate = new Date();
-    expiryDate.setDate(expiryDate.getDate() + this.config.retentionDays);
-    return expiryDate.toISOString();
+    return !this.subscriber || item.canRead(this.subscriber);
   }
 
   /**
-   * ストアを保存
+   * ストアの変更を差分として溜める（結果に影響しない変更は無視）
    */
-  async save() {
-    const data = {
-      version: '1.0.0',
-      savedAt: new Date().toISOString(),
-      items: Array.from(this.items.values())
-    };
-
-    await fs.writeFile(CONTEXT_STORE_PATH, JSON.stringify(data, null, 2), 'utf8');
+  apply(change) {
+    const { item } = change;
+    const wasIncluded = this.ids.has(item.id);
+    const isIncluded = (change.type === ChangeTypes.CREATED || change.type === ChangeTypes.UPDATED) && this.matches(item);
+
+    if (isIncluded) {
+      this.ids.add(item.id);
+      this.record(item, wasIncluded ? 'updated' : 'added');
+    } else if (wasIncluded) {
+      this.ids.delete(item.id);
+      // 条件から外れた更新は 'unmatched'、それ以外は変更の種類（expired / removed）
+      this.record(item, 'removed', change.type === ChangeTypes.UPDATED ? 'unmatched' : change.type);
+    }
   }
 
   /**
-   * ストアを読み込み
+   * 同じアイテムの差分を1つにまとめる（追加後の削除は通知しない）
    */
-  async load() {
-    try {
-      const data = await fs.readFile(CONTEXT_STORE_PATH, 'utf8');
-      const parsed = JSON.parse(data);
-
-      if (parsed.items) {
-        for (const itemData of parsed.items) {
-          const item = new ContextItem(itemData.type, itemData.data, {
-            accessLevel: itemData.accessLevel,
-            creator: itemData.creator,
-            tags: itemData.tags,
-            metadata: itemData.metadata,
-            expiresAt: itemData.expiresAt
-          });
-          item.id = itemData.id;
-          item.createdAt = itemData.createdAt;
-          item.updatedAt = itemData.updatedAt;
-          this.items.set(item.id, item);
-          this.updateIndexes(item);
-        }
-      }
+  record(item, change, reason = null) {
+    const previous = this.pending.get(item.id);
 
-      console.log(`✓ Loaded ${this.items.size} context items`);
-    } catch (err) {
-      if (err.code !== 'ENOENT') {
-        console.error('Error loading context store:', err.message);
+    if (previous && previous.change === 'added') {
+      if (change === 'removed') {
+        this.pending.delete(item.id);
+        return;
       }
+      change = 'added';
+    } else if (previous && previous.change === 'removed' && change === 'added') {
+      change = 'updated';
     }
+
+    this.pending.set(item.id, { change, item, reason });
   }
 
   /**
-   * 統計情報を取得
+   * 溜めた差分を取り出す（なければnull）
    */
-  getStats() {
-    const items = Array.from(this.items.values());
-    const validItems = items.filter(item => item.isValid());
-    const expiredItems = items.filter(item => !item.isValid());
-
-    const typeStats = {};
-    for (const item of validItems) {
-      typeStats[item.type] = (typeStats[item.type] || 0) + 1;
+  takeDiff() {
+    if (this.pending.size === 0) {
+      return null;
     }
 
-    const creatorStats = {};
-    for (const item of validItems) {
-      creatorStats[item.creator] = (creatorStats[item.creator] || 0) + 1;
+    const diff = { subscriptionId: this.id, added: [], updated: [], removed: [] };
+    for (const [id, entry] of this.pending) {
+      if (entry.change === 'removed') {
+        diff.removed.push({ id, reason: entry.reason });
+      } else {
+        diff[entry.change].push(entry.item);
+      }
     }
 
-    return {
-      total: items.length,
-      valid: validItems.length,
-      expired: expiredItems.length,
-      utilization: `${((items.length / this.config.maxItems) * 100).toFixed(1)}%`,
-      byType: typeStats,
-      byCreator: creatorStats,
-      tagCount: this.tagsIndex.size,
-      typeCount: this.typeIndex.size,
-      creatorCount: this.creatorIndex.size
-    };
+    this.pending.clear();
+    return diff;
   }
 }
 
@@ -531,7 +1532,44 @@ class ContextStore {
 class ContextSharingManager {
   constructor(eventBus, config = {}) {
     this.eventBus = eventBus;
-    this.store = new ContextStore(config);
+
+    // 機密アイテムの暗号鍵は指定がなければ保管庫から取得する（保管庫がない場合とメモリ上のストアは暗号化しない）
+    const persistent = config.storage !== 'memory' && config.persistenceEnabled !== false;
+    this.store = new ContextStore({
+      ...config,
+      encryptionKey: config.encryptionKey !== undefined || !persistent ? config.encryptionKey : loadContextEncryptionKey
+    });
+
+    // 管理用アクション（list_users など）と全ユーザー（userId: '*'）を対象にできるスキル
+    this.adminSkills = config.adminSkills || [];
+
+    // 記憶全体のスナップショット（config.snapshots: { dir, components, maxSnapshots }）
+    this.snapshots = new ContextSnapshots({ ...config.snapshots, store: this.store });
+
+    // self-learning-agent の長期記憶（semantic_search の対象）
+    // longTermPath は既定ユーザーのファイルで、他のユーザーは隣の users/<userId>/ に置く（LearningStore と同じ配置）
+    this.longTermPath = config.longTermPath || DEFAULT_LONG_TERM_PATH;
+    this.embedder = config.embedder || undefined;
+    // userId → { index, documents, loadedAt }
+    this.longTermIndexes = new Map();
+
+    // ライブクエリ（subscriptionId → LiveQuery）
+    this.liveQueries = new Map();
+    this.flushScheduled = false;
+    this.store.on('change', change => this.handleStoreChange(change));
+
+    // 保持ポリシーの定期適用（autoCleanup が有効な場合、compactionInterval ごと）
+    this.compactionInterval = config.compactionInterval || DEFAULT_COMPACTION_INTERVAL;
+    this.compactionTimer = null;
+    this.lastCompaction = null;
+    if (this.store.config.autoCleanup) {
+      this.startCompaction();
+    }
+
+    // 登録解除されたスキルのライブクエリを破棄
+    if (typeof this.eventBus.on === 'function') {
+      this.eventBus.on('skill_unregistered', skill => this.unwatchAll(skill.skillId));
+    }
 
     // イベント購読を設定
     this.setupEventSubscriptions();
@@ -549,13 +1587,13 @@ class ContextSharingManager {
       }
     }, this.handleContextUpdate.bind(this));
 
-    // コンテキストリクエストイベント
+    // コンテキストリクエスト（取得・更新・削除・ACL変更）
     this.eventBus.subscribe('context-sharing-manager', {
       type: 'request',
       payload: {
-        action: 'get_context'
+        action: { $in: CONTEXT_ACTIONS }
       }
-    }, this.handleGetContext.bind(this));
+    }, this.handleContextRequest.bind(this));
 
     // プロファイル更新イベント
     this.eventBus.subscribe('context-sharing-manager', {
@@ -568,90 +1606,512 @@ class ContextSharingManager {
 
   /**
    * コンテキスト更新を処理
+   * 作成者は送信元スキルにする（他のスキルになりすまして作成できない）
    */
   async handleContextUpdate(event) {
-    const { type, data, options } = event.payload.data;
+    const { type, data, options = {} } = event.payload.data;
 
     try {
-      await this.store.add(type, data, options);
+      await this.store.add(type, data, {
+        ...options,
+        userId: options.userId || event.metadata?.userId,
+        requester: event.source
+      });
     } catch (error) {
       console.error('Error handling context update:', error.message);
     }
   }
 
   /**
-   * コンテキスト取得リクエストを処理
+   * コンテキストリクエストを処理
+   * 読み書きは送信元スキルの権限で行い、権限がなければ ERR_ACCESS_DENIED を返す
    */
-  async handleGetContext(request) {
-    const { action, params } = request.payload;
+  async handleContextRequest(request) {
+    const { action, params = {} } = request.payload;
+    const requester = request.source;
 
-    if (action === 'get_context') {
-      try {
-        const { type, id, tags, keyword } = params;
-        let items;
-
-        if (id) {
-          const item = await this.store.get(id);
-          items = item ? [item] : [];
-        } else if (type) {
-          items = await this.store.getByType(type, params);
-        } else if (tags) {
-          items = await this.store.getByTags(tags, params);
-        } else if (keyword) {
-          items = await this.store.search(keyword, params);
-        } else {
-          items = [];
+    try {
+      if (ADMIN_ACTIONS.includes(action) && !this.isAdmin(requester)) {
+        throw adminRequired(requester, action);
+      }
+
+      const userId = this.resolveUserId(request, params);
+      let data;
+
+      switch (action) {
+        case 'get_context':
+          data = { items: await this.handleGetContext(params, requester, userId) };
+          break;
+
+        case 'update_context':
+          data = { item: await this.store.update(params.id, params.data, { ...params.options, requester, userId }) };
+          break;
+
+        case 'remove_context':
+          data = { removed: await this.store.remove(params.id, { requester, userId }) };
+          break;
+
+        case 'set_context_acl':
+          data = { item: await this.store.setAcl(params.id, params.acl, { requester, userId }) };
+          break;
+
+        case 'semantic_search':
+          data = { results: await this.semanticSearch(params.query, { ...params, requester, userId }) };
+          break;
+
+        case 'watch_context':
+          data = await this.handleWatchContext(params, requester, userId);
+          break;
+
+        case 'unwatch_context':
+          data = { removed: this.unwatch(params.subscriptionId, requester) };
+          break;
+
+        case 'list_users':
+          data = { users: await this.store.listUsers() };
+          break;
+
+        case 'export_user_data':
+          data = await this.store.exportUser(this.requireUserId(params));
+          break;
+
+        case 'delete_user_data':
+          data = { deleted: await this.deleteUserData(this.requireUserId(params)) };
+          break;
+
+        case 'compact_context':
+          data = { report: await this.compact() };
+          break;
+
+        case 'create_snapshot':
+          data = { snapshot: await this.snapshots.create({ label: params.label, reason: params.reason }) };
+          break;
+
+        case 'list_snapshots':
+          data = { snapshots: this.snapshots.list() };
+          break;
+
+        case 'diff_snapshots':
+          data = await this.snapshots.diff(params.from, params.to);
+          break;
+
+        case 'restore_snapshot':
+          data = await this.restoreSnapshot(params.id, { components: params.components, backup: params.backup });
+          break;
+      }
+
+      await this.sendResponse(request, { status: 'success', data });
+    } catch (error) {
+      if (error.code === 'ERR_ACCESS_DENIED') {
+        console.warn(`✗ ${error.message}`);
+      }
+
+      // 競合は現在の版数を返し、送信元が読み直して再試行できるようにする
+      await this.sendResponse(request, {
+        status: 'error',
+        error: {
+          code: PASSTHROUGH_ERROR_CODES.includes(error.code) ? error.code : CONTEXT_ERROR_CODES[action],
+          message: error.message,
+          ...(error.code === 'ERR_CONFLICT' ? { currentVersion: error.currentVersion } : {})
         }
+      });
+    }
+  }
 
-        await this.eventBus.send({
-          type: 'response',
-          source: 'context-sharing-manager',
-          target: request.source,
-          correlationId: request.id,
-          payload: {
-            status: 'success',
-            data: { items }
-          }
-        });
+  /**
+   * 管理者スキルか
+   */
+  isAdmin(skillId) {
+    return this.adminSkills.includes(skillId);
+  }
+
+  /**
+   * リクエストの対象ユーザー（params.userId、なければ metadata.userId、どちらもなければ 'default'）
+   * 全ユーザー（'*'）を対象にできるのは管理者スキルのみ
+   */
+  resolveUserId(message, params = {}) {
+    const userId = params.userId || message.metadata?.userId || DEFAULT_USER_ID;
+
+    if (userId === ALL_USERS && !this.isAdmin(message.source)) {
+      throw adminRequired(message.source, 'access all users');
+    }
+
+    return userId;
+  }
+
+  /**
+   * 管理用アクションの対象ユーザー（全ユーザーは指定できない）
+   */
+  requireUserId(params) {
+    if (!params.userId || params.userId === ALL_USERS) {
+      throw new Error('A single userId is required');
+    }
+    return params.userId;
+  }
+
+  /**
+   * ユーザーのデータを削除し、独自にユーザーデータを持つスキルに通知する
+   */
+  async deleteUserData(userId) {
+    const deleted = await this.store.deleteUser(userId);
+
+    await this.eventBus.send({
+      type: 'event',
+      source: 'context-sharing-manager',
+      target: '*',
+      payload: {
+        eventType: 'user_data_deleted',
+        data: { userId, deleted }
+      }
+    });
+
+    return deleted;
+  }
+
+  /**
+   * 保持ポリシーの定期適用を開始
+   */
+  startCompaction() {
+    this.stopCompaction();
+    this.compactionTimer = setInterval(() => {
+      this.compact().catch(error => {
+        console.error('Context compaction failed:', error.message);
+      });
+    }, this.compactionInterval);
+    this.compactionTimer.unref();
+  }
+
+  /**
+   * 保持ポリシーの定期適用を停止
+   */
+  stopCompaction() {
+    clearInterval(this.compactionTimer);
+    this.compactionTimer = null;
+  }
+
+  /**
+   * 保持ポリシーを適用し、整理した内容を context_compacted イベントで通知する
+   */
+  async compact(options = {}) {
+    const report = await this.store.compact(options);
+    this.lastCompaction = report;
+
+    await this.eventBus.send({
+      type: 'event',
+      source: 'context-sharing-manager',
+      target: '*',
+      payload: {
+        eventType: 'context_compacted',
+        data: report
+      }
+    });
+
+    return report;
+  }
+
+  /**
+   * スナップショットから復元し、記憶をメモリに持つスキルに読み込み直しを通知する
+   */
+  async restoreSnapshot(id, options = {}) {
+    const result = await this.snapshots.restore(id, options);
+
+    await this.eventBus.send({
+      type: 'event',
+      source: 'context-sharing-manager',
+      target: '*',
+      payload: {
+        eventType: 'context_restored',
+        data: { snapshotId: id, components: result.components, backupId: result.backupId }
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * コンテキストを取得（送信元が読み取れるアイテムのみ）
+   */
+  async handleGetContext(params, requester, userId) {
+    const { type, id, tags, keyword } = params;
+    const options = { ...params, requester, userId };
+
+    if (id) {
+      const item = await this.store.get(id, options);
+      return item ? [item] : [];
+    } else if (type) {
+      return await this.store.getByType(type, options);
+    } else if (tags) {
+      return await this.store.getByTags(tags, options);
+    } else if (keyword) {
+      return await this.store.search(keyword, options);
+    }
+
+    return [];
+  }
+
+  /**
+   * ライブクエリを登録
+   * listener には変更がまとめて { subscriptionId, added, updated, removed } で渡される
+   * options.subscriber を指定した場合はそのスキルが読み取れるアイテムのみが対象
+   * 返り値: { subscriptionId, items }（登録時点で条件に一致するアイテム）
+   */
+  async watch(query, listener, options = {}) {
+    await this.store.ready;
+
+    const liveQuery = new LiveQuery(uuidv4(), query, { subscriber: options.subscriber, listener });
+    const items = Array.from(this.store.items.values()).filter(item => liveQuery.matches(item));
+
+    for (const item of items) {
+      liveQuery.ids.add(item.id);
+    }
+
+    this.liveQueries.set(liveQuery.id, liveQuery);
+    return { subscriptionId: liveQuery.id, items };
+  }
+
+  /**
+   * ライブクエリを解除（subscriberを指定した場合は登録したスキルのみ解除できる）
+   */
+  unwatch(subscriptionId, subscriber = null) {
+    const liveQuery = this.liveQueries.get(subscriptionId);
+
+    if (!liveQuery) {
+      return false;
+    }
+
+    if (subscriber && liveQuery.subscriber !== subscriber) {
+      const error = new Error(`${subscriber} cannot remove live query ${subscriptionId}`);
+      error.code = 'ERR_ACCESS_DENIED';
+      throw error;
+    }
+
+    return this.liveQueries.delete(subscriptionId);
+  }
+
+  /**
+   * スキルのライブクエリを全て解除
+   */
+  unwatchAll(subscriber) {
+    for (const [subscriptionId, liveQuery] of this.liveQueries) {
+      if (liveQuery.subscriber === subscriber) {
+        this.liveQueries.delete(subscriptionId);
+      }
+    }
+  }
+
+  /**
+   * バス経由のライブクエリ登録
+   * 差分は 'context_changed' イベントとして送信元スキルに届く
+   */
+  async handleWatchContext(params, requester, userId) {
+    const { subscriptionId, items } = await this.watch({ ...params.query, userId }, (diff) => {
+      this.eventBus.send({
+        type: 'event',
+        source: 'context-sharing-manager',
+        target: requester,
+        payload: {
+          eventType: 'context_changed',
+          data: diff
+        }
+      }).catch(error => {
+        console.error(`Failed to send context changes to ${requester}:`, error.message);
+      });
+    }, { subscriber: requester });
+
+    return { subscriptionId, items: params.includeInitial === false ? [] : items };
+  }
+
+  /**
+   * ストアの変更をライブクエリに反映し、差分の通知を予約
+   * 同じティック内の変更は1回の通知にまとめる
+   */
+  handleStoreChange(change) {
+    for (const liveQuery of this.liveQueries.values()) {
+      liveQuery.apply(change);
+    }
+
+    if (!this.flushScheduled) {
+      this.flushScheduled = true;
+      setImmediate(() => this.flushLiveQueries());
+    }
+  }
+
+  /**
+   * 溜めた差分を通知
+   */
+  flushLiveQueries() {
+    this.flushScheduled = false;
+
+    for (const liveQuery of this.liveQueries.values()) {
+      const diff = liveQuery.takeDiff();
+      if (!diff) {
+        continue;
+      }
+
+      try {
+        liveQuery.listener(diff);
       } catch (error) {
-        await this.eventBus.send({
-          type: 'response',
-          source: 'context-sharing-manager',
-          target: request.source,
-          correlationId: request.id,
-          payload: {
-            status: 'error',
-            error: {
-              code: 'ERR_CONTEXT_GET_FAILED',
-              message: error.message
-            }
-          }
-        });
+        console.error(`Error in live query ${liveQuery.id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * コンテキストと長期記憶をまとめてセマンティック検索
+   * options.sources: 'context' / 'long_term'（省略時は両方）
+   * 返り値: [{ source: 'context', score, item }, { source: 'long_term', score, section, entry }]（スコアの高い順）
+   */
+  async semanticSearch(query, options = {}) {
+    if (typeof query !== 'string' || !query.trim()) {
+      throw new Error('semantic_search requires a query string');
+    }
+
+    const limit = options.limit || 10;
+    const sources = options.sources || ['context', 'long_term'];
+    const results = [];
+
+    if (sources.includes('context')) {
+      const matches = await this.store.semanticSearch(query, options);
+      results.push(...matches.map(match => ({ source: 'context', score: match.score, item: match.item })));
+    }
+
+    if (sources.includes('long_term')) {
+      for (const userId of this.longTermUsers(options.userId || DEFAULT_USER_ID)) {
+        const longTerm = await this.refreshLongTermIndex(userId);
+        const matches = await longTerm.index.search(query, { limit, minScore: options.minScore });
+        results.push(...matches.map(match => {
+          const document = longTerm.documents.get(match.id);
+          return { source: 'long_term', score: match.score, userId, section: document.section, entry: document.entry };
+        }));
+      }
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * ユーザーの long-term.json のパス
+   */
+  longTermPathFor(userId) {
+    if (userId === DEFAULT_USER_ID) {
+      return this.longTermPath;
+    }
+    return path.join(path.dirname(this.longTermPath), 'users', encodeURIComponent(userId), path.basename(this.longTermPath));
+  }
+
+  /**
+   * 長期記憶を検索するユーザー（全ユーザー '*' は既定ユーザーと users/ 配下の全ユーザー）
+   */
+  longTermUsers(userId) {
+    if (userId !== ALL_USERS) {
+      return [userId];
+    }
+
+    const users = [DEFAULT_USER_ID];
+    try {
+      for (const entry of fs.readdirSync(path.join(path.dirname(this.longTermPath), 'users'), { withFileTypes: true })) {
+        if (entry.isDirectory()) {
+          users.push(decodeURIComponent(entry.name));
+        }
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+    return users;
+  }
+
+  /**
+   * ユーザーの long-term.json が更新されていればインデックスを作り直す
+   */
+  async refreshLongTermIndex(userId = DEFAULT_USER_ID) {
+    const longTermPath = this.longTermPathFor(userId);
+    let modifiedAt;
+
+    try {
+      modifiedAt = fs.statSync(longTermPath).mtimeMs;
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
       }
+      modifiedAt = null;
+    }
+
+    let longTerm = this.longTermIndexes.get(userId);
+    if (longTerm && modifiedAt === longTerm.loadedAt && longTerm.loadedAt !== null) {
+      return longTerm;
+    }
+
+    longTerm = { index: new SemanticIndex({ embedder: this.embedder }), documents: new Map(), loadedAt: modifiedAt };
+
+    for (const document of readLongTermDocuments(longTermPath)) {
+      await longTerm.index.add(document.id, document.text);
+      longTerm.documents.set(document.id, document);
     }
+
+    this.longTermIndexes.set(userId, longTerm);
+    return longTerm;
+  }
+
+  /**
+   * レスポンス送信
+   */
+  async sendResponse(request, payload) {
+    await this.eventBus.send({
+      type: 'response',
+      source: 'context-sharing-manager',
+      target: request.source,
+      correlationId: request.id,
+      payload
+    });
   }
 
   /**
    * プロファイル更新を処理
    */
   async handleProfileUpdate(event) {
-    const { profile, creator } = event.payload.data;
+    const { profile, expectedVersion } = event.payload.data;
+    const userId = event.payload.data.userId || event.metadata?.userId || DEFAULT_USER_ID;
 
     try {
-      await this.store.setUserProfile(profile, creator);
+      // 作成者はペイロードで指定させず、常に送信元のスキルとする
+      const item = await this.store.setUserProfile(profile, event.source, {
+        requester: event.source,
+        userId,
+        expectedVersion
+      });
 
-      // プロファイル更新イベントを発行
+      // プロファイル更新イベントを発行（マージ後のプロファイル）
       await this.eventBus.send({
         type: 'event',
         source: 'context-sharing-manager',
         target: '*',
         payload: {
           eventType: 'profile_synced',
-          data: { profile }
+          data: { profile: item.data, version: item.version, userId }
         }
       });
     } catch (error) {
-      console.error('Error handling profile update:', error.message);
+      if (error.code !== 'ERR_CONFLICT') {
+        console.error('Error handling profile update:', error.message);
+        return;
+      }
+
+      // 競合は送信元に現在のプロファイルを返し、読み直して再送できるようにする
+      console.warn(`✗ ${error.message}`);
+      const [current] = await this.store.getByType(ContextTypes.USER_PROFILE, { userId });
+      await this.eventBus.send({
+        type: 'event',
+        source: 'context-sharing-manager',
+        target: event.source,
+        payload: {
+          eventType: 'profile_conflict',
+          data: { userId, expectedVersion, currentVersion: error.currentVersion, profile: current?.data || null }
+        }
+      });
     }
   }
 
@@ -659,7 +2119,7 @@ class ContextSharingManager {
    * 統計情報を取得
    */
   async getStats() {
-    return this.store.getStats();
+    return { ...this.store.getStats(), lastCompaction: this.lastCompaction };
   }
 
   /**
@@ -673,9 +2133,14 @@ class ContextSharingManager {
 module.exports = {
   ContextTypes,
   AccessLevels,
+  ALL_USERS,
+  DEFAULT_USER_ID,
+  ChangeTypes,
   ContextStore,
   ContextSharingManager,
-  ContextItem
+  loadContextEncryptionKey,
+  ContextItem,
+  LiveQuery
 };
 
 // テスト用：メイン実行
@@ -0,0 +1,452 @@
+/**
+ * コンテキストのスナップショット (Context Snapshots)
+ * エージェントの記憶（共有コンテキスト・パターン・フィードバック・長期記憶・SOUL.md）をまとめて保存し、
+ * 一覧・比較・指定した時点への復元（全体または一部のコンポーネント）を行う
+ *
+ * スナップショットは snapshotDir に <id>.json.gz（gzip圧縮したJSON）として保存し、一覧は index.json に持つ
+ * 共有コンテキストは保存用レコードのまま保存する（機密アイテムは暗号化されたまま）
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_SNAPSHOT_DIR = path.join(__dirname, 'data', 'snapshots');
+const CONTEXT_COMPONENT = 'context';
+
+/**
+ * ファイルで保存されているコンポーネント（パスはリポジトリのルートから）
+ * '/' で終わるパスはディレクトリで、その下の全てのファイルを対象にする
+ */
+const DEFAULT_FILE_COMPONENTS = {
+  // 既定ユーザー以外の学習データ（長期記憶を含む）は users/<userId>/ にある
+  patterns: ['skills/self-learning-agent/patterns.json', 'skills/self-learning-agent/users/'],
+  feedback: ['skills/feedback-loop/data/feedback.json', 'skills/feedback-loop/data/stats.json'],
+  long_term: ['skills/self-learning-agent/long-term.json'],
+  soul: ['skills/self-learning-agent/SOUL.md']
+};
+
+// 取得中にファイルが書き換えられた場合に取り直す回数
+const CAPTURE_ATTEMPTS = 3;
+
+/**
+ * コード付きエラーを作成
+ */
+function snapshotError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function hashOf(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+}
+
+/**
+ * ファイルの状態（変更検出用）
+ */
+function statOf(filePath) {
+  try {
+    const stat = fs.statSync(filePath);
+    return `${stat.mtimeMs}:${stat.size}`;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 'missing';
+    }
+    throw error;
+  }
+}
+
+function readOptional(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * ディレクトリの下の全てのファイル（ディレクトリからの相対パス、'/' 区切り）
+ */
+function listFiles(dirPath) {
+  let entries;
+
+  try {
+    entries = fs.readdirSync(dirPath, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  return entries.flatMap(entry => (entry.isDirectory()
+    ? listFiles(path.join(dirPath, entry.name)).map(file => `${entry.name}/${file}`)
+    : [entry.name])).sort();
+}
+
+/**
+ * 空になったディレクトリを削除（dirPath 自体は残す）
+ */
+function removeEmptyDirs(dirPath) {
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      removeEmptyDirs(entryPath);
+      if (fs.readdirSync(entryPath).length === 0) {
+        fs.rmdirSync(entryPath);
+      }
+    }
+  }
+}
+
+/**
+ * 一時ファイルに書いてから置き換える
+ */
+function writeAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * 配列要素の識別キー（id・name があればそれを、なければ内容を使う）
+ */
+function identityOf(entry) {
+  if (entry && typeof entry === 'object') {
+    return entry.id ?? entry.name ?? JSON.stringify(entry);
+  }
+  return JSON.stringify(entry);
+}
+
+/**
+ * JSONのトップレベルのキーごとの差分
+ * 配列は追加・削除・変更された要素数、それ以外は変更の有無
+ */
+function diffJson(before, after) {
+  const keys = {};
+
+  for (const key of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+    const a = before?.[key];
+    const b = after?.[key];
+
+    if (JSON.stringify(a) === JSON.stringify(b)) {
+      continue;
+    }
+
+    if (Array.isArray(a) || Array.isArray(b)) {
+      const beforeEntries = new Map((a || []).map(entry => [identityOf(entry), JSON.stringify(entry)]));
+      const afterEntries = new Map((b || []).map(entry => [identityOf(entry), JSON.stringify(entry)]));
+      const added = [...afterEntries.keys()].filter(id => !beforeEntries.has(id)).length;
+      const removed = [...beforeEntries.keys()].filter(id => !afterEntries.has(id)).length;
+      const changed = [...afterEntries].filter(([id, json]) => beforeEntries.has(id) && beforeEntries.get(id) !== json).length;
+      keys[key] = { added, removed, changed };
+    } else {
+      keys[key] = { changed: true };
+    }
+  }
+
+  return { keys };
+}
+
+/**
+ * テキストの行単位の差分（追加・削除された行）
+ */
+function diffLines(before, after) {
+  const count = (text) => {
+    const lines = new Map();
+    for (const line of (text || '').split(/\r?\n/)) {
+      lines.set(line, (lines.get(line) || 0) + 1);
+    }
+    return lines;
+  };
+
+  const a = count(before);
+  const b = count(after);
+  const added = [];
+  const removed = [];
+
+  for (const [line, n] of b) {
+    for (let i = a.get(line) || 0; i < n; i++) added.push(line);
+  }
+  for (const [line, n] of a) {
+    for (let i = b.get(line) || 0; i < n; i++) removed.push(line);
+  }
+
+  return { added, removed };
+}
+
+/**
+ * ファイル1つの差分
+ */
+function diffFile(before, after) {
+  if (before === after) {
+    return { status: 'unchanged' };
+  }
+  if (before === null) {
+    return { status: 'added' };
+  }
+  if (after === null) {
+    return { status: 'removed' };
+  }
+
+  try {
+    return { status: 'changed', ...diffJson(JSON.parse(before), JSON.parse(after)) };
+  } catch (error) {
+    return { status: 'changed', lines: diffLines(before, after) };
+  }
+}
+
+/**
+ * 共有コンテキストの差分（アイテムID単位）
+ */
+function diffRecords(before, after) {
+  const summary = record => ({ id: record.id, type: record.type, userId: record.userId });
+  const beforeById = new Map(before.map(record => [record.id, record]));
+  const afterById = new Map(after.map(record => [record.id, record]));
+
+  return {
+    added: after.filter(record => !beforeById.has(record.id)).map(summary),
+    removed: before.filter(record => !afterById.has(record.id)).map(summary),
+    changed: after
+      .filter(record => beforeById.has(record.id) && JSON.stringify(beforeById.get(record.id)) !== JSON.stringify(record))
+      .map(summary)
+  };
+}
+
+/**
+ * スナップショットの管理
+ */
+class ContextSnapshots {
+  constructor(options = {}) {
+    this.store = options.store || null;
+    this.dir = options.dir || DEFAULT_SNAPSHOT_DIR;
+    this.rootDir = options.rootDir || ROOT_DIR;
+    this.fileComponents = options.components || DEFAULT_FILE_COMPONENTS;
+    this.maxSnapshots = options.maxSnapshots || 20;
+    this.indexPath = path.join(this.dir, 'index.json');
+  }
+
+  /**
+   * コンポーネント名の一覧
+   */
+  get componentNames() {
+    return [...(this.store ? [CONTEXT_COMPONENT] : []), ...Object.keys(this.fileComponents)];
+  }
+
+  resolvePath(filePath) {
+    return path.resolve(this.rootDir, filePath);
+  }
+
+  /**
+   * コンポーネントのファイル一覧（ディレクトリは現在その下にあるファイルに展開する）
+   */
+  expandFiles(entries) {
+    return entries.flatMap(entry => (entry.endsWith('/')
+      ? listFiles(this.resolvePath(entry)).map(file => `${entry}${file}`)
+      : [entry]));
+  }
+
+  /**
+   * 現在の状態を取得
+   * 取得中にファイルが書き換えられた場合は取り直し、全コンポーネントが同じ時点の内容になるようにする
+   */
+  async capture() {
+    const entries = Object.values(this.fileComponents).flat();
+    const stats = () => this.expandFiles(entries).map(file => `${file}:${statOf(this.resolvePath(file))}`).join('|');
+
+    for (let attempt = 0; attempt < CAPTURE_ATTEMPTS; attempt++) {
+      const before = stats();
+      const components = {};
+
+      for (const [name, componentFiles] of Object.entries(this.fileComponents)) {
+        const dirs = componentFiles.filter(file => file.endsWith('/'));
+        components[name] = {
+          files: Object.fromEntries(this.expandFiles(componentFiles).map(file => [file, readOptional(this.resolvePath(file))])),
+          // 復元時にスナップショットにないファイルを削除するディレクトリ
+          ...(dirs.length > 0 ? { dirs } : {})
+        };
+      }
+
+      if (this.store) {
+        components[CONTEXT_COMPONENT] = { records: await this.store.snapshotRecords() };
+      }
+
+      if (stats() === before) {
+        return components;
+      }
+    }
+
+    throw snapshotError('ERR_SNAPSHOT_INCONSISTENT', 'Files kept changing while the snapshot was taken');
+  }
+
+  /**
+   * スナップショットを作成（一覧用のエントリを返す）
+   */
+  async create(options = {}) {
+    const components = await this.capture();
+    const createdAt = new Date().toISOString();
+    const id = `snap-${createdAt.replace(/[-:.]/g, '')}-${crypto.randomBytes(3).toString('hex')}`;
+
+    const entry = {
+      id,
+      createdAt,
+      label: options.label || null,
+      reason: options.reason || 'manual',
+      components: Object.fromEntries(Object.entries(components).map(([name, component]) => [name, {
+        hash: hashOf(component),
+        ...(component.records
+          ? { items: component.records.length }
+          : { files: Object.values(component.files).filter(content => content !== null).length })
+      }]))
+    };
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    writeAtomic(this.snapshotPath(id), zlib.gzipSync(JSON.stringify({ ...entry, components })));
+
+    const index = [entry, ...this.list()];
+    for (const expired of index.splice(this.maxSnapshots)) {
+      fs.rmSync(this.snapshotPath(expired.id), { force: true });
+    }
+    writeAtomic(this.indexPath, JSON.stringify(index, null, 2));
+
+    console.log(`✓ Snapshot created: ${id}`);
+    return entry;
+  }
+
+  /**
+   * スナップショットの一覧（新しい順）
+   */
+  list() {
+    const content = readOptional(this.indexPath);
+    return content ? JSON.parse(content) : [];
+  }
+
+  snapshotPath(id) {
+    if (typeof id !== 'string' || !/^[\w-]+$/.test(id)) {
+      throw snapshotError('ERR_SNAPSHOT_NOT_FOUND', `Invalid snapshot id: ${id}`);
+    }
+    return path.join(this.dir, `${id}.json.gz`);
+  }
+
+  /**
+   * スナップショットを読み込む
+   */
+  load(id) {
+    let data;
+
+    try {
+      data = fs.readFileSync(this.snapshotPath(id));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw snapshotError('ERR_SNAPSHOT_NOT_FOUND', `Snapshot not found: ${id}`);
+      }
+      throw error;
+    }
+
+    return JSON.parse(zlib.gunzipSync(data).toString('utf8'));
+  }
+
+  /**
+   * 2つのスナップショットの差分（'current' は現在の状態）
+   */
+  async diff(fromId, toId = 'current') {
+    if (!fromId) {
+      throw snapshotError('ERR_SNAPSHOT_NOT_FOUND', 'A snapshot id to diff from is required');
+    }
+
+    const componentsOf = async id => (id === 'current' ? await this.capture() : this.load(id).components);
+    const from = await componentsOf(fromId);
+    const to = await componentsOf(toId);
+    const components = {};
+
+    for (const name of new Set([...Object.keys(from), ...Object.keys(to)])) {
+      if (name === CONTEXT_COMPONENT) {
+        components[name] = diffRecords(from[name]?.records || [], to[name]?.records || []);
+        continue;
+      }
+
+      const files = {};
+      for (const file of new Set([...Object.keys(from[name]?.files || {}), ...Object.keys(to[name]?.files || {})])) {
+        files[file] = diffFile(from[name]?.files[file] ?? null, to[name]?.files[file] ?? null);
+      }
+      components[name] = { files };
+    }
+
+    return { from: fromId, to: toId, components };
+  }
+
+  /**
+   * スナップショットの時点に復元
+   * options.components: 復元するコンポーネント（省略時は全て）
+   * options.backup: 復元前に現在の状態をスナップショットにする（既定true、元に戻せるようにする）
+   */
+  async restore(id, options = {}) {
+    const snapshot = this.load(id);
+    const names = options.components || Object.keys(snapshot.components);
+
+    for (const name of names) {
+      if (!snapshot.components[name]) {
+        throw snapshotError('ERR_SNAPSHOT_COMPONENT', `Snapshot ${id} has no component ${name}`);
+      }
+      if (name === CONTEXT_COMPONENT && !this.store) {
+        throw snapshotError('ERR_SNAPSHOT_COMPONENT', 'No context store to restore into');
+      }
+    }
+
+    const backup = options.backup === false
+      ? null
+      : await this.create({ label: `before restoring ${id}`, reason: 'pre-restore' });
+
+    const restored = {};
+    for (const name of names) {
+      const component = snapshot.components[name];
+
+      if (name === CONTEXT_COMPONENT) {
+        restored[name] = await this.store.restoreRecords(component.records);
+        continue;
+      }
+
+      for (const dir of component.dirs || []) {
+        for (const file of this.expandFiles([dir])) {
+          if (!(file in component.files)) {
+            fs.rmSync(this.resolvePath(file), { force: true });
+          }
+        }
+      }
+
+      for (const [file, content] of Object.entries(component.files)) {
+        if (content === null) {
+          fs.rmSync(this.resolvePath(file), { force: true });
+        } else {
+          writeAtomic(this.resolvePath(file), content);
+        }
+      }
+
+      for (const dir of component.dirs || []) {
+        if (fs.existsSync(this.resolvePath(dir))) {
+          removeEmptyDirs(this.resolvePath(dir));
+        }
+      }
+      restored[name] = { files: Object.keys(component.files).length };
+    }
+
+    console.log(`✓ Restored snapshot ${id}: ${names.join(', ')}`);
+    return { snapshotId: id, backupId: backup?.id || null, components: names, restored };
+  }
+}
+
+module.exports = {
+  ContextSnapshots,
+  diffJson,
+  diffLines,
+  DEFAULT_FILE_COMPONENTS,
+  DEFAULT_SNAPSHOT_DIR,
+  CONTEXT_COMPONENT
+};
@@ -0,0 +1,710 @@
+/**
+ * コンテキストストレージ (Context Storage Backends)
+ * ContextStore の永続化先。全てのバックエンドは同じインターフェースを実装する
+ *
+ *   open()            初期化して保存済みのレコードを返す
+ *   get(id)           レコードを1件取得（なければnull）
+ *   write(ops)        [{ type: 'put', record }, { type: 'delete', id }] をまとめて反映（全て成功するか全て失敗する）
+ *                     put の expectedVersion を指定すると、保存済みの版数が一致しなければ ERR_CONFLICT（compare-and-set）
+ *   query(filter)     条件に一致するIDの配列（userId / type / tags + operator / creator / expiredBefore / sortBy + sortOrder）
+ *   count() / stats() 件数とインデックスの統計
+ *   users()           ユーザーごとの件数 [{ userId, count }]
+ *   close()
+ *
+ * レコードは ContextItem をプレーンなオブジェクトにしたもの
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BASE_DIR = __dirname;
+const DEFAULT_JSON_PATH = path.join(BASE_DIR, 'context-store.json');
+const DEFAULT_SQLITE_PATH = path.join(BASE_DIR, 'data', 'context-store.db');
+
+// userId のない（名前空間導入前の）レコードの所有者
+const DEFAULT_USER_ID = 'default';
+
+/**
+ * ソート可能なフィールド → SQLiteのカラム
+ */
+const SORT_COLUMNS = {
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  expiresAt: 'expires_at'
+};
+
+/**
+ * コード付きエラーを作成
+ */
+function storageError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 版数の不一致のエラーを作成
+ */
+function versionConflict(id, expectedVersion, currentVersion) {
+  const error = storageError('ERR_CONFLICT', `Context item ${id} was updated concurrently: expected version ${expectedVersion}, current version ${currentVersion}`);
+  error.currentVersion = currentVersion;
+  return error;
+}
+
+/**
+ * 重複と空を除いたタグ一覧
+ */
+function normalizeTags(tags) {
+  return Array.from(new Set((tags || []).filter(Boolean)));
+}
+
+/**
+ * レコードを比較用のタイムスタンプに変換（値がなければnull）
+ */
+function timeOf(record, field) {
+  return record[field] ? new Date(record[field]).getTime() : null;
+}
+
+/**
+ * インメモリバックエンド
+ * テストや永続化不要な環境向け。ユーザー・型・タグ・作成者のインデックスを Map で持つ
+ */
+class MemoryBackend {
+  constructor() {
+    this.name = 'memory';
+    this.records = new Map();
+    this.userIndex = new Map();
+    this.typeIndex = new Map();
+    this.tagsIndex = new Map();
+    this.creatorIndex = new Map();
+  }
+
+  async open() {
+    return Array.from(this.records.values());
+  }
+
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  /**
+   * 書き込みを反映
+   * 検証を先に済ませ、途中で失敗して一部だけ反映されることがないようにする
+   */
+  async write(ops) {
+    for (const op of ops) {
+      if (op.type === 'put' ? !op.record?.id : op.type !== 'delete') {
+        throw storageError('ERR_STORAGE_WRITE', `Invalid storage operation: ${JSON.stringify(op)}`);
+      }
+
+      if (op.type === 'put' && op.expectedVersion !== undefined) {
+        const currentVersion = this.records.get(op.record.id)?.version ?? null;
+        if (currentVersion !== op.expectedVersion) {
+          throw versionConflict(op.record.id, op.expectedVersion, currentVersion);
+        }
+      }
+    }
+
+    for (const op of ops) {
+      if (op.type === 'put') {
+        this.putRecord(op.record);
+      } else {
+        this.deleteRecord(op.id);
+      }
+    }
+  }
+
+  putRecord(record) {
+    // 追加順を保つため、既存のレコードはインデックスだけ外して置き換える
+    this.removeFromIndexes(record.id);
+
+    // 呼び出し元がアイテムを変更してもインデックスとずれないようコピーを保持する
+    const stored = { ...record, userId: record.userId || DEFAULT_USER_ID, tags: normalizeTags(record.tags) };
+    this.records.set(stored.id, stored);
+
+    addToIndex(this.userIndex, stored.userId, stored.id);
+    addToIndex(this.typeIndex, stored.type, stored.id);
+    addToIndex(this.creatorIndex, stored.creator, stored.id);
+    for (const tag of stored.tags) {
+      addToIndex(this.tagsIndex, tag, stored.id);
+    }
+  }
+
+  deleteRecord(id) {
+    this.removeFromIndexes(id);
+    this.records.delete(id);
+  }
+
+  removeFromIndexes(id) {
+    const record = this.records.get(id);
+
+    if (!record) {
+      return;
+    }
+
+    removeFromIndex(this.userIndex, record.userId, id);
+    removeFromIndex(this.typeIndex, record.type, id);
+    removeFromIndex(this.creatorIndex, record.creator, id);
+    for (const tag of record.tags) {
+      removeFromIndex(this.tagsIndex, tag, id);
+    }
+  }
+
+  /**
+   * 条件に一致するIDを取得
+   * ソート指定がなければ追加順
+   */
+  query(filter = {}) {
+    const candidates = [];
+
+    if (filter.userId !== undefined) {
+      candidates.push(this.userIndex.get(filter.userId) || new Set());
+    }
+
+    if (filter.type !== undefined) {
+      candidates.push(this.typeIndex.get(filter.type) || new Set());
+    }
+
+    if (filter.creator !== undefined) {
+      candidates.push(this.creatorIndex.get(filter.creator) || new Set());
+    }
+
+    if (filter.tags) {
+      const tagSets = normalizeTags(filter.tags).map(tag => this.tagsIndex.get(tag) || new Set());
+
+      if (filter.operator === 'or') {
+        candidates.push(new Set(tagSets.flatMap(set => Array.from(set))));
+      } else {
+        candidates.push(...tagSets);
+      }
+    }
+
+    // 追加順を保つため、レコードの順に絞り込む
+    const expiredBefore = filter.expiredBefore ? new Date(filter.expiredBefore).getTime() : null;
+    const records = Array.from(this.records.values()).filter(record =>
+      candidates.every(set => set.has(record.id)) &&
+      (expiredBefore === null || (record.expiresAt && timeOf(record, 'expiresAt') < expiredBefore))
+    );
+
+    if (filter.sortBy) {
+      const direction = filter.sortOrder === 'asc' ? 1 : -1;
+      records.sort((a, b) => ((timeOf(a, filter.sortBy) || 0) - (timeOf(b, filter.sortBy) || 0)) * direction);
+    }
+
+    return records.map(record => record.id);
+  }
+
+  count() {
+    return this.records.size;
+  }
+
+  users() {
+    return Array.from(this.userIndex, ([userId, ids]) => ({ userId, count: ids.size }));
+  }
+
+  stats() {
+    return {
+      userCount: this.userIndex.size,
+      tagCount: this.tagsIndex.size,
+      typeCount: this.typeIndex.size,
+      creatorCount: this.creatorIndex.size
+    };
+  }
+
+  async close() {}
+}
+
+function addToIndex(index, key, id) {
+  if (!index.has(key)) {
+    index.set(key, new Set());
+  }
+  index.get(key).add(id);
+}
+
+function removeFromIndex(index, key, id) {
+  const ids = index.get(key);
+  if (ids) {
+    ids.delete(id);
+    if (ids.size === 0) {
+      index.delete(key);
+    }
+  }
+}
+
+// ファイルごとの書き込みの順番待ち（同じファイルを開いた JsonFileBackend で共有する）
+const fileWriteQueues = new Map();
+
+/**
+ * 同じファイルへの書き込みを順番に実行
+ */
+function enqueueFileWrite(filePath, task) {
+  const key = path.resolve(filePath);
+  const run = (fileWriteQueues.get(key) || Promise.resolve()).then(task, task);
+  fileWriteQueues.set(key, run.catch(() => {}));
+  return run;
+}
+
+/**
+ * JSONファイルバックエンド（従来の context-store.json 形式）
+ * 書き込みのたびにファイル全体を書き直す。一時ファイルからのリネームで書き換えるため、
+ * 書き込み途中で終了してもファイルは壊れない
+ * 書き込みの前にファイルを読み直すため、同じプロセスで同じファイルを開いた別のストアの変更を上書きしない
+ * （ファイルのロックは取らないため、複数のプロセスから書き込む場合はSQLiteを使う）
+ */
+class JsonFileBackend extends MemoryBackend {
+  constructor(options = {}) {
+    super();
+    this.name = 'json';
+    this.path = options.path || DEFAULT_JSON_PATH;
+    this.saving = Promise.resolve();
+  }
+
+  async open() {
+    this.reload();
+    return Array.from(this.records.values());
+  }
+
+  /**
+   * ファイルの内容を読み直す
+   */
+  reload() {
+    this.records.clear();
+    for (const index of [this.userIndex, this.typeIndex, this.tagsIndex, this.creatorIndex]) {
+      index.clear();
+    }
+
+    for (const record of readJsonStore(this.path)) {
+      this.putRecord(record);
+    }
+  }
+
+  write(ops) {
+    this.saving = enqueueFileWrite(this.path, async () => {
+      this.reload();
+      await super.write(ops);
+      await this.save();
+    });
+    return this.saving;
+  }
+
+  /**
+   * ファイルに保存
+   */
+  async save() {
+    const data = {
+      version: '1.0.0',
+      savedAt: new Date().toISOString(),
+      items: Array.from(this.records.values())
+    };
+
+    const tempPath = `${this.path}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+    await fs.promises.rename(tempPath, this.path);
+  }
+
+  async close() {
+    await this.saving.catch(() => {});
+  }
+}
+
+/**
+ * context-store.json のレコードを読み込む（ファイルがなければ空）
+ */
+function readJsonStore(jsonPath) {
+  let content;
+
+  try {
+    content = fs.readFileSync(jsonPath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
+
+  const parsed = JSON.parse(content);
+  return (parsed.items || []).filter(record => record && record.id && record.type);
+}
+
+/**
+ * SQLiteバックエンド（better-sqlite3）
+ * 書き込みはトランザクションで反映し、WALモードで複数プロセスからの同時アクセスに対応する
+ * 型・タグ・作成者・有効期限にインデックスを持つ
+ */
+class SqliteBackend {
+  constructor(options = {}) {
+    this.name = 'sqlite';
+    this.path = options.path || DEFAULT_SQLITE_PATH;
+    this.busyTimeout = options.busyTimeout || 5000;
+    // 初回起動時（データベースが空のとき）に取り込むJSONストア（nullで取り込まない）
+    this.migrateFrom = options.migrateFrom === undefined ? DEFAULT_JSON_PATH : options.migrateFrom;
+    this.db = null;
+    this.statements = null;
+  }
+
+  /**
+   * better-sqlite3 が利用可能か
+   */
+  static isAvailable() {
+    try {
+      require.resolve('better-sqlite3');
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  async open() {
+    const Database = require('better-sqlite3');
+
+    if (this.path !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    }
+
+    this.db = new Database(this.path);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.pragma(`busy_timeout = ${this.busyTimeout}`);
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS context_items (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL DEFAULT '${DEFAULT_USER_ID}',
+        type TEXT NOT NULL,
+        creator TEXT NOT NULL,
+        access_level TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        expires_at TEXT,
+        data TEXT,
+        tags TEXT NOT NULL DEFAULT '[]',
+        metadata TEXT NOT NULL DEFAULT '{}',
+        acl TEXT NOT NULL DEFAULT '{}',
+        version INTEGER NOT NULL DEFAULT 1
+      );
+
+      CREATE TABLE IF NOT EXISTS context_tags (
+        item_id TEXT NOT NULL REFERENCES context_items(id) ON DELETE CASCADE,
+        tag TEXT NOT NULL,
+        PRIMARY KEY (tag, item_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS context_meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_context_type ON context_items(type, created_at);
+    `);
+
+    // 名前空間導入前に作成されたデータベースにはuser_idがない
+    const columns = this.db.prepare('PRAGMA table_info(context_items)').all();
+    if (!columns.some(column => column.name === 'user_id')) {
+      this.db.exec(`ALTER TABLE context_items ADD COLUMN user_id TEXT NOT NULL DEFAULT '${DEFAULT_USER_ID}'`);
+    }
+
+    // 楽観的並行性制御の導入前に作成されたデータベースにはversionがない
+    if (!columns.some(column => column.name === 'version')) {
+      this.db.exec('ALTER TABLE context_items ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+    }
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_context_user ON context_items(user_id, type);
+      CREATE INDEX IF NOT EXISTS idx_context_creator ON context_items(creator);
+      CREATE INDEX IF NOT EXISTS idx_context_expires ON context_items(expires_at) WHERE expires_at IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_context_tags_item ON context_tags(item_id);
+    `);
+
+    this.statements = {
+      upsert: this.db.prepare(`
+        INSERT INTO context_items
+          (id, user_id, type, creator, access_level, created_at, updated_at, expires_at, data, tags, metadata, acl, version)
+        VALUES
+          (@id, @userId, @type, @creator, @accessLevel, @createdAt, @updatedAt, @expiresAt, @data, @tags, @metadata, @acl, @version)
+        ON CONFLICT(id) DO UPDATE SET
+          user_id = excluded.user_id,
+          type = excluded.type,
+          creator = excluded.creator,
+          access_level = excluded.access_level,
+          updated_at = excluded.updated_at,
+          expires_at = excluded.expires_at,
+          data = excluded.data,
+          tags = excluded.tags,
+          metadata = excluded.metadata,
+          acl = excluded.acl,
+          version = excluded.version
+      `),
+      deleteTags: this.db.prepare('DELETE FROM context_tags WHERE item_id = ?'),
+      insertTag: this.db.prepare('INSERT OR IGNORE INTO context_tags (item_id, tag) VALUES (?, ?)'),
+      delete: this.db.prepare('DELETE FROM context_items WHERE id = ?'),
+      get: this.db.prepare('SELECT * FROM context_items WHERE id = ?'),
+      version: this.db.prepare('SELECT version FROM context_items WHERE id = ?'),
+      all: this.db.prepare('SELECT * FROM context_items ORDER BY rowid'),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM context_items'),
+      users: this.db.prepare('SELECT user_id AS userId, COUNT(*) AS count FROM context_items GROUP BY user_id ORDER BY user_id'),
+      getMeta: this.db.prepare('SELECT value FROM context_meta WHERE key = ?'),
+      setMeta: this.db.prepare('INSERT OR REPLACE INTO context_meta (key, value) VALUES (?, ?)')
+    };
+
+    this.applyOps = this.db.transaction((ops) => {
+      for (const op of ops) {
+        if (op.type === 'put') {
+          if (op.expectedVersion !== undefined) {
+            const currentVersion = this.statements.version.get(op.record.id)?.version ?? null;
+            if (currentVersion !== op.expectedVersion) {
+              throw versionConflict(op.record.id, op.expectedVersion, currentVersion);
+            }
+          }
+          this.putRecord(op.record);
+        } else if (op.type === 'delete') {
+          this.statements.delete.run(op.id);
+        } else {
+          throw storageError('ERR_STORAGE_WRITE', `Invalid storage operation: ${JSON.stringify(op)}`);
+        }
+      }
+    });
+
+    if (this.migrateFrom && this.count() === 0 && !this.statements.getMeta.get('migrated_from')) {
+      const migrated = await migrateJsonStore(this.migrateFrom, this);
+      if (migrated > 0) {
+        console.log(`✓ Migrated ${migrated} context items from ${this.migrateFrom}`);
+      }
+    }
+
+    return this.statements.all.all().map(rowToRecord);
+  }
+
+  putRecord(record) {
+    const tags = normalizeTags(record.tags);
+
+    this.statements.upsert.run({
+      id: record.id,
+      userId: record.userId || DEFAULT_USER_ID,
+      type: record.type,
+      creator: record.creator || 'unknown',
+      accessLevel: record.accessLevel || 'public',
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt || record.createdAt,
+      expiresAt: record.expiresAt || null,
+      data: JSON.stringify(record.data === undefined ? null : record.data),
+      tags: JSON.stringify(tags),
+      metadata: JSON.stringify(record.metadata || {}),
+      acl: JSON.stringify(record.acl || {}),
+      version: record.version || 1
+    });
+
+    this.statements.deleteTags.run(record.id);
+    for (const tag of tags) {
+      this.statements.insertTag.run(record.id, tag);
+    }
+  }
+
+  /**
+   * 開いていなければエラー
+   */
+  ensureOpen() {
+    if (!this.db) {
+      throw storageError('ERR_STORAGE_CLOSED', `SQLite context store is not open: ${this.path}`);
+    }
+  }
+
+  get(id) {
+    this.ensureOpen();
+    const row = this.statements.get.get(id);
+    return row ? rowToRecord(row) : null;
+  }
+
+  async write(ops) {
+    this.ensureOpen();
+    // 版数の確認から書き込みまでの間に他の接続が書き込まないよう、最初に書き込みロックを取る
+    this.applyOps.immediate(ops);
+  }
+
+  query(filter = {}) {
+    this.ensureOpen();
+    const where = [];
+    const params = [];
+
+    if (filter.userId !== undefined) {
+      where.push('user_id = ?');
+      params.push(filter.userId);
+    }
+
+    if (filter.type !== undefined) {
+      where.push('type = ?');
+      params.push(filter.type);
+    }
+
+    if (filter.creator !== undefined) {
+      where.push('creator = ?');
+      params.push(filter.creator);
+    }
+
+    if (filter.expiredBefore) {
+      where.push('expires_at IS NOT NULL AND expires_at < ?');
+      params.push(new Date(filter.expiredBefore).toISOString());
+    }
+
+    if (filter.tags) {
+      const tags = normalizeTags(filter.tags);
+      const placeholders = tags.map(() => '?').join(', ');
+
+      if (filter.operator === 'or') {
+        where.push(tags.length > 0 ? `id IN (SELECT item_id FROM context_tags WHERE tag IN (${placeholders}))` : '0');
+        params.push(...tags);
+      } else if (tags.length > 0) {
+        where.push(`id IN (SELECT item_id FROM context_tags WHERE tag IN (${placeholders}) GROUP BY item_id HAVING COUNT(*) = ?)`);
+        params.push(...tags, tags.length);
+      }
+    }
+
+    const column = SORT_COLUMNS[filter.sortBy];
+    const order = column ? `${column} ${filter.sortOrder === 'asc' ? 'ASC' : 'DESC'}, rowid` : 'rowid';
+
+    const sql = `SELECT id FROM context_items${where.length > 0 ? ` WHERE ${where.join(' AND ')}` : ''} ORDER BY ${order}`;
+    return this.db.prepare(sql).all(...params).map(row => row.id);
+  }
+
+  count() {
+    this.ensureOpen();
+    return this.statements.count.get().count;
+  }
+
+  users() {
+    this.ensureOpen();
+    return this.statements.users.all();
+  }
+
+  stats() {
+    if (!this.db) {
+      return { userCount: 0, tagCount: 0, typeCount: 0, creatorCount: 0 };
+    }
+
+    return this.db.prepare(`
+      SELECT
+        (SELECT COUNT(DISTINCT user_id) FROM context_items) AS userCount,
+        (SELECT COUNT(DISTINCT tag) FROM context_tags) AS tagCount,
+        (SELECT COUNT(DISTINCT type) FROM context_items) AS typeCount,
+        (SELECT COUNT(DISTINCT creator) FROM context_items) AS creatorCount
+    `).get();
+  }
+
+  setMeta(key, value) {
+    this.statements.setMeta.run(key, value);
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+/**
+ * SQLiteの行をレコードに変換
+ */
+function rowToRecord(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    type: row.type,
+    data: JSON.parse(row.data),
+    accessLevel: row.access_level,
+    creator: row.creator,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    expiresAt: row.expires_at,
+    tags: JSON.parse(row.tags),
+    metadata: JSON.parse(row.metadata),
+    acl: JSON.parse(row.acl),
+    version: row.version
+  };
+}
+
+/**
+ * context-store.json のアイテムをバックエンドに取り込む（1つのトランザクションで反映）
+ * 取り込んだ件数を返す
+ */
+async function migrateJsonStore(jsonPath, backend) {
+  const records = readJsonStore(jsonPath);
+
+  if (records.length === 0) {
+    return 0;
+  }
+
+  await backend.write(records.map(record => ({ type: 'put', record })));
+
+  if (typeof backend.setMeta === 'function') {
+    backend.setMeta('migrated_from', path.resolve(jsonPath));
+    backend.setMeta('migrated_at', new Date().toISOString());
+  }
+
+  return records.length;
+}
+
+/**
+ * 設定からバックエンドを作成
+ * type: 'sqlite' | 'json' | 'memory' | 'auto'（better-sqlite3 があればSQLite、なければJSON）
+ * options.path: データベース / JSONファイルのパス
+ * options.jsonPath: 従来のJSONストア（SQLiteの初回起動時に取り込み、autoでSQLiteが使えない場合の保存先）
+ */
+function createStorageBackend(type = 'auto', options = {}) {
+  if (typeof type === 'object' && type !== null) {
+    return type;
+  }
+
+  const sqliteOptions = { path: options.path, migrateFrom: options.jsonPath, busyTimeout: options.busyTimeout };
+
+  switch (type) {
+    case 'auto':
+      if (SqliteBackend.isAvailable()) {
+        return new SqliteBackend(sqliteOptions);
+      }
+      console.warn('better-sqlite3 not available, storing context in JSON');
+      return new JsonFileBackend({ path: options.jsonPath });
+    case 'sqlite':
+      return new SqliteBackend(sqliteOptions);
+    case 'json':
+      return new JsonFileBackend({ path: options.path || options.jsonPath });
+    case 'memory':
+      return new MemoryBackend();
+    default:
+      throw storageError('ERR_UNKNOWN_BACKEND', `Unknown context storage backend: ${type}`);
+  }
+}
+
+module.exports = {
+  MemoryBackend,
+  JsonFileBackend,
+  SqliteBackend,
+  createStorageBackend,
+  migrateJsonStore,
+  readJsonStore,
+  DEFAULT_USER_ID,
+  DEFAULT_JSON_PATH,
+  DEFAULT_SQLITE_PATH
+};
+
+// メイン実行: JSONストアをSQLiteに移行
+//   node lib/context-storage.js [context-store.json] [context-store.db]
+if (require.main === module) {
+  const jsonPath = process.argv[2] || DEFAULT_JSON_PATH;
+  const backend = new SqliteBackend({ path: process.argv[3] || DEFAULT_SQLITE_PATH, migrateFrom: null });
+
+  backend.open()
+    .then(async (existing) => {
+      if (existing.length > 0) {
+        throw new Error(`${backend.path} already contains ${existing.length} items`);
+      }
+
+      const migrated = await migrateJsonStore(jsonPath, backend);
+      console.log(`✓ Migrated ${migrated} context items to ${backend.path}`);
+      await backend.close();
+    })
+    .catch(err => {
+      console.error('Migration failed:', err.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,140 @@
+/**
+ * デッドレターキュー (Dead Letter Queue)
+ * 再試行を使い切ったメッセージを保管し、調査・再投入できるようにする
+ */
+
+/**
+ * UUID生成
+ */
+function uuidv4() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+    const r = Math.random() * 16 | 0;
+    const v = c === 'x' ? r : (r & 0x3 | 0x8);
+    return v.toString(16);
+  });
+}
+
+/**
+ * デッドレターエントリ
+ */
+class DeadLetter {
+  constructor(message, error, attempts) {
+    this.id = uuidv4();
+    this.message = message;
+    this.messageId = message.id;
+    this.source = message.source;
+    this.target = message.target;
+    this.type = message.type;
+    this.error = {
+      message: error ? error.message || String(error) : 'Unknown error',
+      code: error?.code || 'ERR_DELIVERY_FAILED'
+    };
+    this.attempts = attempts;
+    this.deadLetteredAt = new Date().toISOString();
+  }
+
+  /**
+   * 通知用の要約を取得（メッセージ本文は含めない）
+   */
+  toSummary() {
+    return {
+      id: this.id,
+      messageId: this.messageId,
+      type: this.type,
+      source: this.source,
+      target: this.target,
+      action: this.message.payload?.action || null,
+      eventType: this.message.payload?.eventType || null,
+      error: this.error,
+      attempts: this.attempts,
+      deadLetteredAt: this.deadLetteredAt
+    };
+  }
+}
+
+/**
+ * デッドレターキュー実装
+ */
+class DeadLetterQueue {
+  constructor(config = {}) {
+    this.config = {
+      maxSize: config.maxSize || 1000
+    };
+
+    // デッドレターID → エントリ（挿入順を保持）
+    this.entries = new Map();
+  }
+
+  /**
+   * メッセージを追加
+   */
+  add(message, error, attempts) {
+    const deadLetter = new DeadLetter(message, error, attempts);
+    this.entries.set(deadLetter.id, deadLetter);
+
+    // 最大数を超えたら古いものを削除
+    if (this.entries.size > this.config.maxSize) {
+      const oldestId = this.entries.keys().next().value;
+      this.entries.delete(oldestId);
+    }
+
+    return deadLetter;
+  }
+
+  /**
+   * エントリを取得
+   */
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * エントリ一覧を取得
+   */
+  list(filters = {}) {
+    let results = Array.from(this.entries.values());
+
+    if (filters.source) {
+      results = results.filter(d => d.source === filters.source);
+    }
+
+    if (filters.target) {
+      results = results.filter(d => d.target === filters.target);
+    }
+
+    if (filters.type) {
+      results = results.filter(d => d.type === filters.type);
+    }
+
+    if (filters.limit) {
+      results = results.slice(-filters.limit);
+    }
+
+    return results;
+  }
+
+  /**
+   * エントリを削除
+   */
+  remove(id) {
+    return this.entries.delete(id);
+  }
+
+  /**
+   * 全てのエントリを削除
+   */
+  clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    return count;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = {
+  DeadLetterQueue,
+  DeadLetter
+};
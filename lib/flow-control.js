@@ -0,0 +1,249 @@
+/**
+ * フロー制御 (Flow Control)
+ * イベントバスのキュー処理で使うトークンバケット・レート制限・公平キュー
+ */
+
+const { matchGlob } = require('./subscription-filter');
+
+/**
+ * トークンバケット
+ * rate: 1秒あたりの補充トークン数、burst: バケット容量
+ */
+class TokenBucket {
+  constructor(rate, burst = rate) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * 経過時間分のトークンを補充
+   */
+  refill(now = Date.now()) {
+    const elapsed = (now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.rate);
+    this.updatedAt = now;
+  }
+
+  /**
+   * トークンが1つ以上あるか
+   */
+  available(now = Date.now()) {
+    this.refill(now);
+    return this.tokens >= 1;
+  }
+
+  /**
+   * トークンを1つ消費
+   */
+  take(now = Date.now()) {
+    if (!this.available(now)) {
+      return false;
+    }
+
+    this.tokens -= 1;
+    return true;
+  }
+
+  /**
+   * 次のトークンが補充されるまでの待ち時間（ミリ秒）
+   */
+  waitTime(now = Date.now()) {
+    this.refill(now);
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.rate * 1000);
+  }
+}
+
+/**
+ * 送信元・送信先ペアごとのレート制限
+ * ルール: { source: 'discord-*', target: '*', rate: 5, burst: 10 }
+ * source/targetはglobパターン（省略時は全て）で、一致したペアごとに個別のバケットを持つ
+ */
+class RateLimiter {
+  constructor(rules = []) {
+    this.rules = [];
+    this.buckets = new Map();
+
+    for (const rule of rules) {
+      this.addRule(rule);
+    }
+  }
+
+  /**
+   * ルールを追加
+   */
+  addRule(rule) {
+    if (!(rule.rate > 0)) {
+      throw new Error(`Rate limit rate must be positive: ${rule.rate}`);
+    }
+
+    this.rules.push({
+      source: rule.source || '*',
+      target: rule.target || '*',
+      rate: rule.rate,
+      burst: rule.burst || rule.rate
+    });
+  }
+
+  /**
+   * ペアに適用されるバケットを取得（最初に一致したルール、なければnull）
+   */
+  getBucket(source, target) {
+    const key = `${source}\u0000${target}`;
+
+    if (this.buckets.has(key)) {
+      return this.buckets.get(key).bucket;
+    }
+
+    const rule = this.rules.find(r => matchGlob(source, r.source) && matchGlob(target, r.target));
+
+    if (!rule) {
+      return null;
+    }
+
+    const entry = { source, target, rule, bucket: new TokenBucket(rule.rate, rule.burst), limited: 0 };
+    this.buckets.set(key, entry);
+    return entry.bucket;
+  }
+
+  /**
+   * 制限された回数を記録
+   */
+  recordLimited(source, target) {
+    const entry = this.buckets.get(`${source}\u0000${target}`);
+    if (entry) {
+      entry.limited++;
+    }
+  }
+
+  /**
+   * メトリクス取得
+   */
+  getStats() {
+    return Array.from(this.buckets.values()).map(entry => {
+      entry.bucket.refill();
+      return {
+        source: entry.source,
+        target: entry.target,
+        rate: entry.rule.rate,
+        burst: entry.rule.burst,
+        tokens: Math.floor(entry.bucket.tokens),
+        limited: entry.limited
+      };
+    });
+  }
+}
+
+/**
+ * キュー内で取り出し可能な最初の要素の位置を返す（なければ-1）
+ */
+function findEligible(queue, isEligible, laneOf) {
+  const heldLanes = new Set();
+
+  for (let at = 0; at < queue.length; at++) {
+    const lane = laneOf(queue[at]);
+    const blocked = lane !== null &&
+      (heldLanes.has('*') || (lane === '*' ? heldLanes.size > 0 : heldLanes.has(lane)));
+
+    if (blocked) {
+      continue;
+    }
+
+    if (isEligible(queue[at])) {
+      return at;
+    }
+
+    if (lane !== null) {
+      heldLanes.add(lane);
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * 公平キュー
+ * キー（送信元スキル）ごとのFIFOキューをラウンドロビンで取り出す
+ */
+class FairQueue {
+  constructor() {
+    this.queues = new Map();
+    this.order = [];
+    this.cursor = 0;
+    this.length = 0;
+  }
+
+  /**
+   * 要素を追加
+   */
+  push(key, item) {
+    if (!this.queues.has(key)) {
+      this.queues.set(key, []);
+      this.order.push(key);
+    }
+
+    this.queues.get(key).push(item);
+    this.length++;
+  }
+
+  /**
+   * 取り出し可能な要素を持つキーをラウンドロビンで探して取り出す
+   * キー内の順序はレーン（laneOf の戻り値）ごとに保ち、取り出せない要素より後ろにある同じレーンの要素は飛ばす
+   * レーン '*' の要素はすべてのレーンと順序を保ち、レーンが null の要素は順序を保たずに追い越す
+   * laneOf を省略した場合はキー全体が1つのレーンになる
+   */
+  shift(isEligible = () => true, laneOf = () => '*') {
+    const count = this.order.length;
+
+    for (let i = 0; i < count; i++) {
+      const index = (this.cursor + i) % count;
+      const key = this.order[index];
+      const queue = this.queues.get(key);
+
+      const position = findEligible(queue, isEligible, laneOf);
+      if (position === -1) {
+        continue;
+      }
+
+      const [item] = queue.splice(position, 1);
+      this.length--;
+
+      if (queue.length === 0) {
+        this.queues.delete(key);
+        this.order.splice(index, 1);
+        this.cursor = this.order.length > 0 ? index % this.order.length : 0;
+      } else {
+        this.cursor = (index + 1) % count;
+      }
+
+      return item;
+    }
+
+    return null;
+  }
+
+  /**
+   * キーごとの待機数
+   */
+  sizes() {
+    const sizes = {};
+    for (const [key, queue] of this.queues) {
+      sizes[key] = queue.length;
+    }
+    return sizes;
+  }
+
+  clear() {
+    this.queues.clear();
+    this.order = [];
+    this.cursor = 0;
+    this.length = 0;
+  }
+}
+
+module.exports = {
+  TokenBucket,
+  RateLimiter,
+  FairQueue
+};
@@ -0,0 +1,292 @@
+/**
+ * メッセージログ (Message Log)
+ * イベントバスの追記専用ログ（JSONL形式のWAL）
+ * 再起動時に未確認メッセージを再配信するために使用する
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BASE_DIR = __dirname;
+const DEFAULT_LOG_DIR = path.join(BASE_DIR, 'data', 'event-bus');
+
+/**
+ * 配信状態
+ */
+const DeliveryStates = {
+  PENDING: 'pending',      // キュー投入済み・未配信
+  WAITING: 'waiting',      // 再配信待ち（配信先未登録・再起動前の未処理）
+  ACKED: 'acked',          // 配信完了
+  FAILED: 'failed'         // 配信失敗
+};
+
+/**
+ * 終了状態（リプレイ対象外）
+ */
+const TERMINAL_STATES = [DeliveryStates.ACKED, DeliveryStates.FAILED];
+
+/**
+ * メッセージログ実装
+ * クラッシュ時にも記録が失われないよう、書き込みは同期的に追記する
+ */
+class MessageLog {
+  constructor(config = {}) {
+    this.config = {
+      busId: config.busId || 'default',
+      logDir: config.logDir || DEFAULT_LOG_DIR,
+      compactThreshold: config.compactThreshold || 1000
+    };
+
+    this.logPath = config.logPath ||
+      path.join(this.config.logDir, `${this.config.busId}.jsonl`);
+
+    // メッセージID → 配信状態
+    this.entries = new Map();
+
+    // 前回のコンパクション以降に終了状態になったエントリ数
+    this.terminalCount = 0;
+
+    fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+    this.load();
+  }
+
+  /**
+   * ログを読み込み、配信状態を復元
+   */
+  load() {
+    let content;
+
+    try {
+      content = fs.readFileSync(this.logPath, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error('Error loading message log:', err.message);
+      }
+      return;
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        // 書き込み途中でクラッシュした最終行は無視
+        console.warn(`Skipping corrupt message log line: ${line.slice(0, 80)}`);
+        continue;
+      }
+
+      this.applyRecord(record);
+    }
+
+    // 前回のプロセスでキューにあったメッセージは失われているので配信待ちに戻す
+    for (const entry of this.entries.values()) {
+      if (entry.state === DeliveryStates.PENDING) {
+        entry.state = DeliveryStates.WAITING;
+      }
+    }
+
+    console.log(`✓ Loaded message log: ${this.getWaiting().length} unacknowledged messages`);
+  }
+
+  /**
+   * ログレコードを配信状態に反映
+   */
+  applyRecord(record) {
+    if (record.op === 'enqueue') {
+      this.entries.set(record.message.id, {
+        message: record.message,
+        state: record.state || DeliveryStates.PENDING,
+        attempts: record.attempts || 0,
+        deliveredTo: record.deliveredTo || [],
+        error: null,
+        updatedAt: record.at
+      });
+      return;
+    }
+
+    const entry = this.entries.get(record.id);
+    if (!entry) {
+      return;
+    }
+
+    entry.updatedAt = record.at;
+
+    switch (record.op) {
+      case 'deliver':
+        if (!entry.deliveredTo.includes(record.skillId)) {
+          entry.deliveredTo.push(record.skillId);
+        }
+        break;
+
+      case 'wait':
+        entry.state = DeliveryStates.WAITING;
+        break;
+
+      case 'retry':
+        entry.state = DeliveryStates.PENDING;
+        entry.attempts++;
+        break;
+
+      case 'ack':
+        entry.state = DeliveryStates.ACKED;
+        this.terminalCount++;
+        break;
+
+      case 'fail':
+        entry.state = DeliveryStates.FAILED;
+        entry.error = record.error || null;
+        this.terminalCount++;
+        break;
+    }
+  }
+
+  /**
+   * レコードを追記
+   */
+  append(record) {
+    const stamped = { ...record, at: new Date().toISOString() };
+    fs.appendFileSync(this.logPath, JSON.stringify(stamped) + '\n', 'utf8');
+    this.applyRecord(stamped);
+
+    if (this.terminalCount >= this.config.compactThreshold) {
+      this.compact();
+    }
+  }
+
+  /**
+   * キュー投入を記録
+   */
+  recordEnqueue(message) {
+    // リプレイで再投入された場合は既存の状態を引き継ぐ
+    if (this.entries.has(message.id)) {
+      this.append({ op: 'retry', id: message.id });
+      return;
+    }
+
+    this.append({ op: 'enqueue', message });
+  }
+
+  /**
+   * スキルへの配信を記録
+   */
+  recordDelivery(messageId, skillId) {
+    this.append({ op: 'deliver', id: messageId, skillId });
+  }
+
+  /**
+   * 配信先待ちを記録
+   */
+  recordWaiting(messageId) {
+    this.append({ op: 'wait', id: messageId });
+  }
+
+  /**
+   * 配信完了を記録
+   */
+  recordAck(messageId) {
+    this.append({ op: 'ack', id: messageId });
+  }
+
+  /**
+   * 配信失敗を記録
+   */
+  recordFailure(messageId, error) {
+    this.append({
+      op: 'fail',
+      id: messageId,
+      error: error ? error.message || String(error) : null
+    });
+  }
+
+  /**
+   * メッセージの配信状態を取得
+   */
+  getState(messageId) {
+    const entry = this.entries.get(messageId);
+
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      messageId,
+      state: entry.state,
+      attempts: entry.attempts,
+      deliveredTo: [...entry.deliveredTo],
+      error: entry.error,
+      updatedAt: entry.updatedAt
+    };
+  }
+
+  /**
+   * 再配信待ちのメッセージを取得
+   */
+  getWaiting(target = null) {
+    return Array.from(this.entries.values())
+      .filter(entry => entry.state === DeliveryStates.WAITING)
+      .filter(entry => target === null || entry.message.target === target)
+      .map(entry => entry.message);
+  }
+
+  /**
+   * ログをコンパクション
+   * 終了状態のエントリを捨て、未確認メッセージのみで書き直す
+   */
+  compact() {
+    const tmpPath = `${this.logPath}.tmp`;
+    const now = new Date().toISOString();
+    const lines = [];
+    let removed = 0;
+
+    for (const [id, entry] of this.entries) {
+      if (TERMINAL_STATES.includes(entry.state)) {
+        this.entries.delete(id);
+        removed++;
+        continue;
+      }
+
+      lines.push(JSON.stringify({
+        op: 'enqueue',
+        at: now,
+        message: entry.message,
+        state: entry.state,
+        attempts: entry.attempts,
+        deliveredTo: entry.deliveredTo
+      }));
+    }
+
+    // 一時ファイルに書いてからリネームし、途中でクラッシュしても元のログを残す
+    fs.writeFileSync(tmpPath, lines.length > 0 ? lines.join('\n') + '\n' : '', 'utf8');
+    fs.renameSync(tmpPath, this.logPath);
+
+    this.terminalCount = 0;
+
+    console.log(`✓ Message log compacted: ${removed} entries removed, ${lines.length} kept`);
+    return { removed, kept: lines.length };
+  }
+
+  /**
+   * 統計情報を取得
+   */
+  getStats() {
+    const byState = {};
+    for (const entry of this.entries.values()) {
+      byState[entry.state] = (byState[entry.state] || 0) + 1;
+    }
+
+    return {
+      logPath: this.logPath,
+      entries: this.entries.size,
+      byState
+    };
+  }
+}
+
+module.exports = {
+  MessageLog,
+  DeliveryStates
+};
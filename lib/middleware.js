@@ -0,0 +1,316 @@
+/**
+ * ミドルウェア (Middleware)
+ * BaseSkillAdapter のリクエスト処理と SkillEventBus の送信に挟むKoa風のミドルウェアチェーン
+ *
+ * ミドルウェアは async (ctx, next) => {} の形で、await next() の前後に処理を書く
+ *   ctx.message   対象のメッセージ
+ *   ctx.action    リクエストのアクション名（リクエスト以外はnull）
+ *   ctx.params    リクエストのパラメータ
+ *   ctx.source / ctx.target
+ *   ctx.response  レスポンスのペイロード（{ status, data } / { status: 'error', error }）
+ *   ctx.layer     'skill'（BaseSkillAdapter）または 'bus'（SkillEventBus）
+ *   ctx.state     ミドルウェア間で値を受け渡すためのオブジェクト
+ *   ctx.dispatchError  バスでの配信自体の失敗（'bus' のみ。タイムアウト・キュー満杯など）
+ */
+
+const { matchGlob } = require('./subscription-filter');
+
+const DEFAULT_SENSITIVE_KEYS = [
+  'password',
+  'token',
+  'accessToken',
+  'refreshToken',
+  'apiKey',
+  'secret',
+  'privateKey',
+  'authorization'
+];
+
+/**
+ * ミドルウェアを1つの関数に合成
+ * 返り値の関数は (ctx, handler) を受け取り、チェーンの最後にhandlerを呼ぶ
+ */
+function compose(middleware) {
+  for (const fn of middleware) {
+    if (typeof fn !== 'function') {
+      throw new TypeError('Middleware must be a function');
+    }
+  }
+
+  return function (ctx, handler) {
+    let index = -1;
+
+    const dispatch = (i) => {
+      if (i <= index) {
+        return Promise.reject(new Error('next() called multiple times'));
+      }
+      index = i;
+
+      const fn = i === middleware.length ? handler : middleware[i];
+      if (!fn) {
+        return Promise.resolve();
+      }
+
+      try {
+        return Promise.resolve(fn(ctx, () => dispatch(i + 1)));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    };
+
+    return dispatch(0);
+  };
+}
+
+/**
+ * コンテキストを作成
+ */
+function createContext(message, extra = {}) {
+  return {
+    message,
+    action: message.type === 'request' ? message.payload?.action || null : null,
+    params: message.payload?.params ?? {},
+    source: message.source,
+    target: message.target,
+    response: null,
+    state: {},
+    ...extra
+  };
+}
+
+/**
+ * コード付きエラーを作成
+ */
+function middlewareError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 送信元スキルの認証
+ * rules: [{ target: 'base-wallet', action: 'transfer*', sources: ['approval-gatekeeper'] }]
+ *   target/action/sources はglobパターン（target/action省略時は全て）
+ *   最初に一致したルールの sources に送信元が含まれなければ ERR_PERMISSION_DENIED
+ *   一致するルールがないリクエストは許可する
+ * requireRegistered: バス上に登録されていない送信元を拒否する（バスでのみ有効）
+ * 関数を渡した場合は (ctx) => boolean で判定する
+ */
+function authenticate(options = {}) {
+  const isAllowed = typeof options === 'function'
+    ? options
+    : (ctx) => {
+      if (options.requireRegistered && ctx.bus && !ctx.bus.skills.has(ctx.source)) {
+        return false;
+      }
+
+      const rule = (options.rules || []).find(r =>
+        matchGlob(ctx.target, r.target || '*') && matchGlob(ctx.action, r.action || '*')
+      );
+
+      return !rule || matchGlob(ctx.source, rule.sources || []);
+    };
+
+  return async function authenticateMiddleware(ctx, next) {
+    if (ctx.message.type === 'request' && !(await isAllowed(ctx))) {
+      throw middlewareError(
+        'ERR_PERMISSION_DENIED',
+        `${ctx.source} is not allowed to call ${ctx.target}.${ctx.action}`
+      );
+    }
+
+    await next();
+  };
+}
+
+/**
+ * 機密値をマスクしたコピーを作成（キー名は大文字小文字を区別しない）
+ */
+function redactValue(value, keys, replacement) {
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, keys, replacement));
+  }
+
+  if (typeof value !== 'object' || value === null) {
+    return value;
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = keys.has(key.toLowerCase()) ? replacement : redactValue(item, keys, replacement);
+  }
+  return result;
+}
+
+/**
+ * ペイロードの機密値をマスク
+ * 既定ではレスポンスのみ対象。request: true でハンドラー・配信先に渡す前のメッセージもマスクする
+ */
+function redact(options = {}) {
+  const keys = new Set((options.keys || DEFAULT_SENSITIVE_KEYS).map(key => key.toLowerCase()));
+  const replacement = options.replacement ?? '[REDACTED]';
+  const redactRequest = options.request || false;
+
+  return async function redactMiddleware(ctx, next) {
+    if (redactRequest) {
+      ctx.message = { ...ctx.message, payload: redactValue(ctx.message.payload, keys, replacement) };
+      ctx.params = ctx.message.payload.params ?? {};
+    }
+
+    await next();
+
+    if (ctx.response) {
+      ctx.response = redactValue(ctx.response, keys, replacement);
+    }
+  };
+}
+
+/**
+ * アクションごとの処理時間の計測
+ * 集計は返り値の stats（アクション名 → { count, errors, totalMs, maxMs, avgMs }）で参照できる
+ * バスではアクション名を 'target.action' で集計する
+ */
+function timing(options = {}) {
+  const stats = {};
+
+  const middleware = async function timingMiddleware(ctx, next) {
+    if (ctx.message.type !== 'request') {
+      return next();
+    }
+
+    const name = ctx.layer === 'bus' ? `${ctx.target}.${ctx.action}` : ctx.action;
+    const startedAt = Date.now();
+    let failed = false;
+
+    try {
+      await next();
+      failed = ctx.response?.status === 'error';
+    } catch (error) {
+      failed = true;
+      throw error;
+    } finally {
+      const durationMs = Date.now() - startedAt;
+      const entry = stats[name] || (stats[name] = { count: 0, errors: 0, totalMs: 0, maxMs: 0, avgMs: 0 });
+
+      entry.count++;
+      entry.errors += failed ? 1 : 0;
+      entry.totalMs += durationMs;
+      entry.maxMs = Math.max(entry.maxMs, durationMs);
+      entry.avgMs = Math.round(entry.totalMs / entry.count);
+      ctx.state.durationMs = durationMs;
+
+      if (options.onTiming) {
+        options.onTiming(name, durationMs, ctx);
+      }
+    }
+  };
+
+  middleware.stats = stats;
+  return middleware;
+}
+
+/**
+ * キーをソートしたJSON（パラメータの順序に依存しないキャッシュキー用）
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (typeof value === 'object' && value !== null) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * 冪等なアクションの成功レスポンスをキャッシュ
+ * actions: キャッシュするアクション名（globパターン）
+ * ttl: 有効期間（ミリ秒）、maxEntries: 最大件数（古いものから削除）
+ */
+function cache(options = {}) {
+  const actions = options.actions || [];
+  const ttl = options.ttl || 60000;
+  const maxEntries = options.maxEntries || 500;
+  const keyOf = options.key || ((ctx) => `${ctx.target}.${ctx.action}:${stableStringify(ctx.params)}`);
+
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0 };
+
+  const middleware = async function cacheMiddleware(ctx, next) {
+    if (ctx.message.type !== 'request' || !matchGlob(ctx.action, actions)) {
+      return next();
+    }
+
+    const key = keyOf(ctx);
+    const entry = entries.get(key);
+
+    if (entry && entry.expiresAt > Date.now()) {
+      stats.hits++;
+      ctx.state.cacheHit = true;
+      ctx.response = JSON.parse(JSON.stringify(entry.response));
+      return;
+    }
+
+    stats.misses++;
+    entries.delete(key);
+    await next();
+
+    if (ctx.response && ctx.response.status === 'success') {
+      entries.set(key, { response: JSON.parse(JSON.stringify(ctx.response)), expiresAt: Date.now() + ttl });
+
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  };
+
+  middleware.stats = stats;
+  middleware.clear = () => entries.clear();
+  Object.defineProperty(middleware, 'size', { get: () => entries.size });
+  return middleware;
+}
+
+/**
+ * 例外をプロトコル準拠のエラーレスポンスに変換
+ * エラーコードは SkillErrorHandler.getErrorCode で決める（リクエスト以外は例外をそのまま投げる）
+ * バスでの配信自体の失敗（ctx.dispatchError）は変換しない（requestCapability のフェイルオーバーが例外を必要とする）
+ */
+function errorResponses(options = {}) {
+  const { SkillErrorHandler } = require('./skill-adapter');
+
+  return async function errorResponsesMiddleware(ctx, next) {
+    try {
+      await next();
+    } catch (error) {
+      if (ctx.message.type !== 'request' || error === ctx.dispatchError) {
+        throw error;
+      }
+
+      SkillErrorHandler.handle(ctx.skillId || ctx.target, error, {
+        action: ctx.action,
+        source: ctx.source,
+        layer: ctx.layer
+      });
+
+      ctx.response = SkillErrorHandler.toErrorPayload(error);
+
+      if (options.onError) {
+        options.onError(error, ctx);
+      }
+    }
+  };
+}
+
+module.exports = {
+  compose,
+  createContext,
+  authenticate,
+  redact,
+  redactValue,
+  timing,
+  cache,
+  errorResponses,
+  DEFAULT_SENSITIVE_KEYS
+};
@@ -0,0 +1,143 @@
+/**
+ * スキーマバリデーター (Schema Validator)
+ * スキルアクションのリクエスト・レスポンスをJSON Schemaのサブセットで検証する
+ *
+ * 対応キーワード: type, properties, required, additionalProperties, items,
+ * enum, const, minimum, maximum, minLength, maxLength, pattern,
+ * minItems, maxItems, format(date-time)
+ */
+
+/**
+ * 値のJSON Schema上の型を取得
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * 型が一致するか判定（integerはnumberとしても扱う）
+ */
+function matchesType(value, expected) {
+  const actual = typeOf(value);
+
+  if (Array.isArray(expected)) {
+    return expected.some(type => matchesType(value, type));
+  }
+
+  if (expected === 'number') {
+    return actual === 'number' || actual === 'integer';
+  }
+
+  return actual === expected;
+}
+
+/**
+ * スキーマで値を検証
+ * エラーの配列を返す（空配列なら有効）
+ */
+function validateSchema(value, schema, pathPrefix = 'params') {
+  const errors = [];
+
+  if (!schema || typeof schema !== 'object') {
+    return errors;
+  }
+
+  const addError = (message) => errors.push({ path: pathPrefix, message });
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    addError(`must be ${Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type}`);
+    return errors;
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    addError(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    addError(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      addError(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      addError(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      addError(`must have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      addError(`must have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      addError(`must match pattern ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && isNaN(Date.parse(value))) {
+      addError('must be a date-time string');
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      addError(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      addError(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${pathPrefix}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${pathPrefix}.${key}`, message: 'is required' });
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${pathPrefix}.${key}`));
+      }
+    }
+
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!(key in properties)) {
+          errors.push({ path: `${pathPrefix}.${key}`, message: 'is not allowed' });
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * エラー一覧を1行のメッセージに整形
+ */
+function formatErrors(errors) {
+  return errors.map(e => `${e.path} ${e.message}`).join('; ');
+}
+
+module.exports = {
+  validateSchema,
+  formatErrors
+};
@@ -0,0 +1,420 @@
+/**
+ * シークレット保管庫 (Secrets Vault)
+ * 秘密鍵・APIキーなどをパスフレーズから導出した鍵（scrypt）で暗号化（AES-256-GCM）して1つのファイルに保存する
+ *
+ * 起動時に unlockVault() で開き、以降は getSecret(name) で取り出す
+ * パスフレーズは環境変数 CLAWDBOT_VAULT_PASSPHRASE、なければ端末で入力する
+ *
+ * ファイル形式（~/.clawdbot/vault.json）
+ *   { version, kdf: { name, salt, N, r, p }, cipher, iv, tag, data, updatedAt }
+ *   data はシークレット（名前 → 値）のJSONを暗号化したもの。ヘッダー（version・kdf・cipher）は認証付きデータとして改ざんを検出する
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { Writable } = require('stream');
+
+const CLAWDBOT_DIR = path.join(os.homedir(), '.clawdbot');
+const DEFAULT_VAULT_PATH = path.join(CLAWDBOT_DIR, 'vault.json');
+const CREDENTIALS_DIR = path.join(CLAWDBOT_DIR, 'credentials');
+
+const VAULT_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const DEFAULT_KDF = { name: 'scrypt', N: 2 ** 15, r: 8, p: 1 };
+
+/**
+ * 平文で保存されていたシークレット（import の対象）
+ */
+const LEGACY_SECRET_FILES = {
+  'base-wallet': path.join(CLAWDBOT_DIR, 'base_wallet.json'),
+  moonshot: path.join(CREDENTIALS_DIR, 'moonshot.json'),
+  openai: path.join(CREDENTIALS_DIR, 'openai.json'),
+  deepseek: path.join(CREDENTIALS_DIR, 'deepseek.json'),
+  line: path.join(CREDENTIALS_DIR, 'line.json'),
+  google: path.join(CREDENTIALS_DIR, 'google.json'),
+  'google-token': path.join(CREDENTIALS_DIR, 'token.json')
+};
+
+/**
+ * コード付きエラーを作成
+ */
+function vaultError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * パスフレーズから鍵を導出
+ */
+function deriveKey(passphrase, kdf) {
+  if (!passphrase) {
+    return Promise.reject(vaultError('ERR_VAULT_PASSPHRASE', 'A vault passphrase is required'));
+  }
+
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(passphrase, Buffer.from(kdf.salt, 'base64'), KEY_LENGTH, {
+      N: kdf.N,
+      r: kdf.r,
+      p: kdf.p,
+      maxmem: 256 * kdf.N * kdf.r
+    }, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+/**
+ * 値をJSONにして暗号化（aad は復号時にも同じ値が必要）
+ */
+function encryptJson(key, value, aad = '') {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * encryptJson で暗号化した値を復号（鍵・aadが違う場合や改ざんされた場合は ERR_VAULT_DECRYPT）
+ */
+function decryptJson(key, envelope, aad = '') {
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+    const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  } catch (error) {
+    throw vaultError('ERR_VAULT_DECRYPT', 'Failed to decrypt: wrong key or corrupted data');
+  }
+}
+
+/**
+ * ファイル先頭のヘッダー（認証付きデータ）
+ */
+function headerOf(file) {
+  return JSON.stringify({ version: file.version, kdf: file.kdf, cipher: file.cipher });
+}
+
+/**
+ * 端末でパスフレーズを入力（入力内容は表示しない）
+ */
+function promptPassphrase(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(vaultError('ERR_VAULT_PASSPHRASE', 'Set CLAWDBOT_VAULT_PASSPHRASE to unlock the vault'));
+  }
+
+  return new Promise((resolve) => {
+    const muted = new Writable({ write: (chunk, encoding, callback) => callback() });
+    const rl = readline.createInterface({ input: process.stdin, output: muted, terminal: true });
+
+    process.stdout.write(question);
+    rl.question('', (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * シークレット保管庫
+ */
+class SecretsVault {
+  constructor(options = {}) {
+    this.path = options.path || process.env.CLAWDBOT_VAULT_PATH || DEFAULT_VAULT_PATH;
+    this.kdfOptions = { ...DEFAULT_KDF, ...options.kdf };
+
+    // 開いている間のみ保持する
+    this.key = null;
+    this.kdf = null;
+    this.secrets = null;
+  }
+
+  exists() {
+    return fs.existsSync(this.path);
+  }
+
+  get unlocked() {
+    return this.secrets !== null;
+  }
+
+  /**
+   * 保管庫を作成（既にある場合はエラー）
+   */
+  async create(passphrase) {
+    if (this.exists()) {
+      throw vaultError('ERR_VAULT_EXISTS', `Vault already exists: ${this.path}`);
+    }
+
+    this.kdf = { ...this.kdfOptions, salt: crypto.randomBytes(16).toString('base64') };
+    this.key = await deriveKey(passphrase, this.kdf);
+    this.secrets = {};
+    await this.save();
+    return this;
+  }
+
+  /**
+   * パスフレーズで保管庫を開く（パスフレーズが違う場合は ERR_VAULT_PASSPHRASE）
+   */
+  async unlock(passphrase) {
+    const file = this.readFile();
+    const key = await deriveKey(passphrase, file.kdf);
+
+    try {
+      this.secrets = decryptJson(key, file, headerOf(file));
+    } catch (error) {
+      throw vaultError('ERR_VAULT_PASSPHRASE', 'Incorrect vault passphrase or corrupted vault');
+    }
+
+    this.key = key;
+    this.kdf = file.kdf;
+    return this;
+  }
+
+  /**
+   * 鍵とシークレットをメモリから消す
+   */
+  lock() {
+    if (this.key) {
+      this.key.fill(0);
+    }
+    this.key = null;
+    this.kdf = null;
+    this.secrets = null;
+  }
+
+  /**
+   * シークレットを取得
+   */
+  getSecret(name) {
+    this.assertUnlocked();
+
+    if (!Object.prototype.hasOwnProperty.call(this.secrets, name)) {
+      throw vaultError('ERR_SECRET_NOT_FOUND', `Secret not found: ${name}`);
+    }
+
+    return this.secrets[name];
+  }
+
+  hasSecret(name) {
+    this.assertUnlocked();
+    return Object.prototype.hasOwnProperty.call(this.secrets, name);
+  }
+
+  listSecrets() {
+    this.assertUnlocked();
+    return Object.keys(this.secrets).sort();
+  }
+
+  /**
+   * シークレットを保存
+   * 他のプロセスが書き込んだ内容を失わないよう、ファイルを読み直してから書き込む
+   */
+  async setSecret(name, value) {
+    this.assertUnlocked();
+    this.reload();
+    this.secrets[name] = value;
+    await this.save();
+  }
+
+  /**
+   * シークレットを削除（削除したらtrue）
+   */
+  async deleteSecret(name) {
+    this.assertUnlocked();
+    this.reload();
+
+    if (!Object.prototype.hasOwnProperty.call(this.secrets, name)) {
+      return false;
+    }
+
+    delete this.secrets[name];
+    await this.save();
+    return true;
+  }
+
+  /**
+   * 暗号鍵として使うランダムなバイト列（なければ作成）
+   */
+  async ensureKey(name, length = KEY_LENGTH) {
+    this.assertUnlocked();
+
+    if (!this.hasSecret(name)) {
+      await this.setSecret(name, crypto.randomBytes(length).toString('base64'));
+    }
+
+    return Buffer.from(this.getSecret(name), 'base64');
+  }
+
+  /**
+   * 新しいパスフレーズ（と新しいsalt）で暗号化し直す
+   */
+  async rotate(newPassphrase) {
+    this.assertUnlocked();
+    this.reload();
+
+    const kdf = { ...this.kdfOptions, salt: crypto.randomBytes(16).toString('base64') };
+    const key = await deriveKey(newPassphrase, kdf);
+
+    this.key.fill(0);
+    this.key = key;
+    this.kdf = kdf;
+    await this.save();
+  }
+
+  /**
+   * 平文のJSONファイルをシークレットとして取り込む
+   * options.remove: 取り込んだ後に元のファイルを削除する
+   */
+  async importFile(name, filePath, options = {}) {
+    const value = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    await this.setSecret(name, value);
+
+    if (options.remove) {
+      await fs.promises.unlink(filePath);
+    }
+
+    return value;
+  }
+
+  /**
+   * 暗号化して保存（一時ファイルに書いてから置き換える）
+   */
+  async save() {
+    this.assertUnlocked();
+
+    const file = { version: VAULT_VERSION, kdf: this.kdf, cipher: CIPHER };
+    const envelope = encryptJson(this.key, this.secrets, headerOf(file));
+    const content = JSON.stringify({ ...file, ...envelope, updatedAt: new Date().toISOString() }, null, 2);
+    const tempPath = `${this.path}.${process.pid}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+    await fs.promises.writeFile(tempPath, content, { mode: 0o600 });
+    await fs.promises.rename(tempPath, this.path);
+  }
+
+  /**
+   * ファイルの内容を読み直す（別のパスフレーズで暗号化し直されていた場合は開き直しが必要）
+   */
+  reload() {
+    const file = this.readFile();
+
+    if (file.kdf.salt !== this.kdf.salt) {
+      throw vaultError('ERR_VAULT_CHANGED', 'Vault was re-encrypted by another process; unlock it again');
+    }
+
+    this.secrets = decryptJson(this.key, file, headerOf(file));
+  }
+
+  readFile() {
+    let file;
+
+    try {
+      file = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw vaultError('ERR_VAULT_NOT_FOUND', `Vault not found: ${this.path}`);
+      }
+      throw error;
+    }
+
+    if (file.version !== VAULT_VERSION || file.cipher !== CIPHER) {
+      throw vaultError('ERR_VAULT_FORMAT', `Unsupported vault format: version ${file.version}, cipher ${file.cipher}`);
+    }
+
+    return file;
+  }
+
+  assertUnlocked() {
+    if (!this.unlocked) {
+      throw vaultError('ERR_VAULT_LOCKED', 'Vault is locked');
+    }
+  }
+}
+
+// プロセスで共有する保管庫
+let sharedVault = null;
+
+/**
+ * 共有の保管庫を開く（開いていればそのまま返す）
+ * 保管庫がまだ作成されていない場合は null
+ */
+async function unlockVault(options = {}) {
+  if (sharedVault && sharedVault.unlocked) {
+    return sharedVault;
+  }
+
+  const vault = new SecretsVault(options);
+  if (!vault.exists()) {
+    return null;
+  }
+
+  const passphrase = options.passphrase
+    || process.env.CLAWDBOT_VAULT_PASSPHRASE
+    || await promptPassphrase('Vault passphrase: ');
+
+  sharedVault = await vault.unlock(passphrase);
+  return sharedVault;
+}
+
+/**
+ * 共有の保管庫からシークレットを取得（unlockVault() の後に呼ぶ）
+ */
+function getSecret(name) {
+  if (!sharedVault) {
+    throw vaultError('ERR_VAULT_LOCKED', 'Vault is locked: call unlockVault() first');
+  }
+  return sharedVault.getSecret(name);
+}
+
+/**
+ * シークレットを読み込む（スキルの移行用）
+ * 保管庫にあればその値、なければ平文のファイル（警告を表示）、どちらもなければ null
+ */
+async function loadSecret(name, legacyPath = LEGACY_SECRET_FILES[name]) {
+  const vault = await unlockVault();
+
+  if (vault && vault.hasSecret(name)) {
+    return vault.getSecret(name);
+  }
+
+  if (legacyPath && fs.existsSync(legacyPath)) {
+    console.warn(`Warning: ${legacyPath} is stored in plaintext. Run: node scripts/vault.js import`);
+    return JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+  }
+
+  return null;
+}
+
+/**
+ * 暗号鍵を読み込む（保管庫になければ作成する）
+ * 保管庫がまだ作成されていない場合は null
+ */
+async function loadEncryptionKey(name) {
+  const vault = await unlockVault();
+  return vault ? vault.ensureKey(name) : null;
+}
+
+module.exports = {
+  SecretsVault,
+  unlockVault,
+  getSecret,
+  loadSecret,
+  loadEncryptionKey,
+  encryptJson,
+  decryptJson,
+  promptPassphrase,
+  LEGACY_SECRET_FILES,
+  DEFAULT_VAULT_PATH
+};
@@ -0,0 +1,247 @@
+/**
+ * セマンティックインデックス (Semantic Index)
+ * テキストをベクトルに変換し、コサイン類似度で検索する
+ *
+ * 埋め込み（embedder）は差し替え可能で、次のインターフェースを実装する
+ *   name        識別名
+ *   dimensions  ベクトルの次元数
+ *   embed(text) 数値配列（またはそのPromise）を返す
+ *
+ * 既定の HashingEmbedder は外部サービスを使わず、文字n-gramのハッシュでベクトル化する
+ * （空白で区切られない日本語でも部分一致で類似度が出る）
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LONG_TERM_PATH = path.join(__dirname, '..', 'skills', 'self-learning-agent', 'long-term.json');
+
+/**
+ * FNV-1a（32bit）
+ */
+function hashToken(token) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * 値からテキストを取り出す（オブジェクトは値のみを連結し、キー名は含めない）
+ */
+function textOf(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (typeof value === 'string') {
+    return value;
+  }
+
+  if (typeof value !== 'object') {
+    return String(value);
+  }
+
+  const values = Array.isArray(value) ? value : Object.values(value);
+  return values.map(textOf).filter(Boolean).join(' ');
+}
+
+/**
+ * コサイン類似度
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+/**
+ * 文字n-gramのハッシュによる埋め込み
+ * テキストを正規化（NFKC・小文字化）して記号と空白で区切り、区切りごとの文字n-gramと英数字の単語を特徴にする
+ */
+class HashingEmbedder {
+  constructor(options = {}) {
+    this.name = 'hashing';
+    this.dimensions = options.dimensions || 1024;
+    this.ngramSizes = options.ngramSizes || [2, 3];
+  }
+
+  /**
+   * 特徴（トークン）に分解
+   */
+  tokenize(text) {
+    const normalized = String(text).normalize('NFKC').toLowerCase();
+    const segments = normalized.split(/[\s\p{P}\p{S}]+/u).filter(Boolean);
+    const tokens = [];
+
+    for (const segment of segments) {
+      const chars = Array.from(segment);
+
+      // 英数字のみの区切りは単語としても扱う
+      if (/^[a-z0-9]+$/.test(segment)) {
+        tokens.push(`w:${segment}`);
+      }
+
+      if (chars.length === 1) {
+        tokens.push(`c:${segment}`);
+      }
+
+      for (const size of this.ngramSizes) {
+        for (let i = 0; i + size <= chars.length; i++) {
+          tokens.push(`${size}:${chars.slice(i, i + size).join('')}`);
+        }
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * テキストをL2正規化したベクトルに変換
+   */
+  embed(text) {
+    const vector = new Float32Array(this.dimensions);
+
+    for (const token of this.tokenize(text)) {
+      const hash = hashToken(token);
+      // 上位ビットで符号を決め、衝突による偏りを打ち消す
+      vector[hash % this.dimensions] += hash & 0x80000000 ? -1 : 1;
+    }
+
+    let norm = 0;
+    for (const value of vector) {
+      norm += value * value;
+    }
+
+    if (norm > 0) {
+      const scale = 1 / Math.sqrt(norm);
+      for (let i = 0; i < vector.length; i++) {
+        vector[i] *= scale;
+      }
+    }
+
+    return vector;
+  }
+}
+
+/**
+ * コサイン類似度によるインデックス
+ */
+class SemanticIndex {
+  constructor(options = {}) {
+    this.embedder = options.embedder || new HashingEmbedder();
+
+    // id → { vector, metadata }
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  /**
+   * テキストを追加（同じIDは置き換える）
+   */
+  async add(id, text, metadata = {}) {
+    const vector = await this.embedder.embed(text);
+
+    if (vector.length !== this.embedder.dimensions) {
+      throw new Error(`Embedder ${this.embedder.name} returned ${vector.length} dimensions, expected ${this.embedder.dimensions}`);
+    }
+
+    this.entries.set(id, { vector, metadata });
+  }
+
+  remove(id) {
+    return this.entries.delete(id);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * クエリに類似したエントリを検索（スコアの高い順）
+   * filter: (id, metadata) => boolean で対象を絞り込む
+   */
+  async search(query, options = {}) {
+    const limit = options.limit || 10;
+    const minScore = options.minScore || 0;
+    const queryVector = await this.embedder.embed(query);
+    const results = [];
+
+    for (const [id, entry] of this.entries) {
+      if (options.filter && !options.filter(id, entry.metadata)) {
+        continue;
+      }
+
+      const score = cosineSimilarity(queryVector, entry.vector);
+      if (score > minScore) {
+        results.push({ id, score, metadata: entry.metadata });
+      }
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+/**
+ * long-term.json（self-learning-agent の長期記憶）から検索対象の文書を取り出す
+ * ファイルがなければ空
+ */
+function readLongTermDocuments(longTermPath = DEFAULT_LONG_TERM_PATH) {
+  let memory;
+
+  try {
+    memory = JSON.parse(fs.readFileSync(longTermPath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
+
+  const sections = {
+    insights: entry => entry.description,
+    successfulPatterns: entry => entry.pattern,
+    errorPatterns: entry => entry.pattern,
+    behaviorAdjustments: entry => entry.description || textOf(entry)
+  };
+
+  const documents = [];
+  for (const [section, getText] of Object.entries(sections)) {
+    (memory[section] || []).forEach((entry, index) => {
+      const text = textOf(getText(entry));
+      if (text) {
+        documents.push({ id: `long_term:${section}:${index}`, section, text, entry });
+      }
+    });
+  }
+
+  return documents;
+}
+
+module.exports = {
+  HashingEmbedder,
+  SemanticIndex,
+  cosineSimilarity,
+  textOf,
+  readLongTermDocuments,
+  DEFAULT_LONG_TERM_PATH
+};
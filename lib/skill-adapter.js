@@ -3,6 +3,9 @@
  * 全てのスキルが実装すべき共通インターフェース
  */
 
+const { currentTraceContext, formatTraceparent } = require('./tracing');
+const { compose, createContext } = require('./middleware');
+
 /**
  * UUID生成
  */
@@ -25,6 +28,7 @@ class BaseSkillAdapter {
     this.config = {
       version: config.version || '1.0.0',
       capabilities: config.capabilities || [],
+      actions: config.actions || {},
       heartbeatInterval: config.heartbeatInterval || 30000,
       autoResubscribe: config.autoResubscribe !== false
     };
@@ -41,6 +45,35 @@ class BaseSkillAdapter {
     };
 
     this.heartbeatTimer = null;
+
+    // リクエスト処理のミドルウェア（use()で追加）
+    this.middleware = [];
+    this.pipeline = compose(this.middleware);
+
+    // ミドルウェア処理中のリクエスト: メッセージID → コンテキスト
+    this.activeRequests = new Map();
+
+    for (const middleware of config.middleware || []) {
+      this.use(middleware);
+    }
+
+    // connect()で作成したリモートバスはシャットダウン時に閉じる
+    this.ownsEventBus = false;
+  }
+
+  /**
+   * 別プロセスでホストされているイベントバスに接続してスキルを作成
+   * address: 'tcp://127.0.0.1:7400' / 'unix:/tmp/openclaw-bus.sock' など
+   */
+  static async connect(skillId, address, config = {}) {
+    const { RemoteEventBus } = require('./bus-broker');
+
+    const eventBus = new RemoteEventBus({ ...config.transport, address });
+    await eventBus.connect();
+
+    const skill = new this(skillId, eventBus, config);
+    skill.ownsEventBus = true;
+    return skill;
   }
 
   /**
@@ -52,7 +85,8 @@ class BaseSkillAdapter {
     // イベントバスにスキルを登録
     this.eventBus.register(this.skillId, {
       version: this.config.version,
-      capabilities: this.config.capabilities
+      capabilities: this.config.capabilities,
+      actions: this.config.actions
     });
 
     // デフォルト購読を設定
@@ -70,11 +104,11 @@ class BaseSkillAdapter {
    * デフォルト購読の設定
    */
   setupDefaultSubscriptions() {
-    // 自分へのリクエストを購読
+    // 自分へのリクエストを購読（ミドルウェアを通して処理）
     this.subscribe({
       type: 'request',
       target: this.skillId
-    }, this.handleRequest.bind(this));
+    }, this.processRequest.bind(this));
 
     // 自分へのレスポンスを購読
     this.subscribe({
@@ -146,6 +180,45 @@ class BaseSkillAdapter {
     this.state.metrics.messagesProcessed++;
   }
 
+  /**
+   * ミドルウェアを追加
+   * 例: skill.use(errorResponses()).use(timing())
+   */
+  use(middleware) {
+    this.middleware.push(middleware);
+    this.pipeline = compose(this.middleware);
+    return this;
+  }
+
+  /**
+   * リクエストをミドルウェアチェーンに通して処理
+   * handleRequest は sendResponse を呼ぶか、レスポンスのペイロードを返す
+   * チェーンの完了後に ctx.response をまとめて送信する
+   */
+  async processRequest(message) {
+    if (this.middleware.length === 0) {
+      return await this.handleRequest(message);
+    }
+
+    const ctx = createContext(message, { layer: 'skill', skillId: this.skillId, skill: this });
+    this.activeRequests.set(message.id, ctx);
+
+    try {
+      await this.pipeline(ctx, async () => {
+        const result = await this.handleRequest(ctx.message, ctx);
+        if (ctx.response === null && result && result.status) {
+          ctx.response = result;
+        }
+      });
+    } finally {
+      this.activeRequests.delete(message.id);
+    }
+
+    if (ctx.response) {
+      await this.deliverResponse(message, ctx.response);
+    }
+  }
+
   /**
    * リクエスト処理（サブクラスでオーバーライド）
    */
@@ -206,8 +279,9 @@ class BaseSkillAdapter {
 
   /**
    * メッセージ送信
+   * optionsはイベントバスのsendにそのまま渡す（waitForCapacityなど）
    */
-  async send(message) {
+  async send(message, options = {}) {
     const normalizedMessage = {
       id: uuidv4(),
       timestamp: new Date().toISOString(),
@@ -215,13 +289,31 @@ class BaseSkillAdapter {
       ...message
     };
 
-    return await this.eventBus.send(normalizedMessage);
+    if (currentTraceContext()) {
+      normalizedMessage.metadata = this.withTraceContext(message.metadata);
+    }
+
+    return await this.eventBus.send(normalizedMessage, options);
   }
 
   /**
    * レスポンス送信
    */
   async sendResponse(originalMessage, payload) {
+    // ミドルウェア処理中のリクエストはチェーンの完了後に送信する
+    const ctx = this.activeRequests.get(originalMessage.id);
+    if (ctx) {
+      ctx.response = payload;
+      return { success: true, messageId: null, deferred: true };
+    }
+
+    return await this.deliverResponse(originalMessage, payload);
+  }
+
+  /**
+   * レスポンスをバスに送信
+   */
+  async deliverResponse(originalMessage, payload) {
     return await this.send({
       type: 'response',
       target: originalMessage.source,
@@ -259,6 +351,31 @@ class BaseSkillAdapter {
     });
   }
 
+  /**
+   * 能力を指定してリクエスト送信
+   * 例: this.requestCapability('calendar.read', 'get_events', { days: 7 })
+   */
+  async requestCapability(capability, action, params = {}, options = {}) {
+    return await this.eventBus.requestCapability(capability, action, params, {
+      ...this.withTraceContext(options),
+      source: this.skillId
+    });
+  }
+
+  /**
+   * 処理中のメッセージのトレースコンテキストをメタデータに引き継ぐ
+   * 別プロセスのバスに送る場合もtraceparentで親スパンが伝わる
+   */
+  withTraceContext(metadata = {}) {
+    const traceContext = currentTraceContext();
+
+    if (!traceContext || metadata.traceparent) {
+      return metadata;
+    }
+
+    return { ...metadata, traceparent: formatTraceparent(traceContext) };
+  }
+
   /**
    * メッセージ購読
    */
@@ -340,6 +457,10 @@ class BaseSkillAdapter {
     // イベントバスからスキルを登録解除
     this.eventBus.unregister(this.skillId);
 
+    if (this.ownsEventBus) {
+      await this.eventBus.shutdown();
+    }
+
     this.state.status = 'shutdown';
 
     console.log(`✓ Skill ${this.skillId} shut down`);
@@ -398,6 +519,22 @@ class SkillFactory {
   }
 }
 
+/**
+ * プロトコルで定義されたエラーコード
+ */
+const PROTOCOL_ERROR_CODES = [
+  'ERR_INVALID_REQUEST',
+  'ERR_VALIDATION',
+  'ERR_SKILL_NOT_FOUND',
+  'ERR_TIMEOUT',
+  'ERR_PERMISSION_DENIED',
+  'ERR_UNSUPPORTED_ACTION',
+  'ERR_INTERNAL',
+  'ERR_PAYLOAD_TOO_LARGE',
+  'ERR_RATE_LIMITED',
+  'ERR_QUEUE_FULL'
+];
+
 /**
  * エラーハンドラーユーティリティ
  */
@@ -429,12 +566,49 @@ class SkillErrorHandler {
 
     return recoverableErrors.includes(error.code);
   }
+
+  /**
+   * 例外をプロトコルのエラーコードに対応付ける（不明なコードは ERR_INTERNAL）
+   */
+  static getErrorCode(error) {
+    if (PROTOCOL_ERROR_CODES.includes(error.code)) {
+      return error.code;
+    }
+
+    if (/timeout/i.test(error.message)) {
+      return 'ERR_TIMEOUT';
+    }
+
+    return 'ERR_INTERNAL';
+  }
+
+  /**
+   * 例外をエラーレスポンスのペイロードに変換
+   */
+  static toErrorPayload(error) {
+    const code = this.getErrorCode(error);
+    const payload = {
+      status: 'error',
+      error: {
+        code,
+        message: error.message,
+        recoverable: this.isRecoverable({ code })
+      }
+    };
+
+    if (error.details) {
+      payload.error.details = error.details;
+    }
+
+    return payload;
+  }
 }
 
 module.exports = {
   BaseSkillAdapter,
   SkillFactory,
-  SkillErrorHandler
+  SkillErrorHandler,
+  PROTOCOL_ERROR_CODES
 };
 
 // テスト用：メイン実行
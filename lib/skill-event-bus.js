@@ -4,6 +4,20 @@
  */
 
 const EventEmitter = require('events');
+const { MessageLog } = require('./message-log');
+const { DeadLetterQueue } = require('./dead-letter-queue');
+const { validateSchema, formatErrors } = require('./schema-validator');
+const { matchFilter, validateFilter, SubscriptionIndex } = require('./subscription-filter');
+const { RateLimiter, FairQueue } = require('./flow-control');
+const { compose, createContext } = require('./middleware');
+const {
+  Tracer,
+  SpanKind,
+  currentTraceContext,
+  runWithTraceContext,
+  formatTraceparent,
+  parseTraceparent
+} = require('./tracing');
 
 /**
  * UUID生成
@@ -33,7 +47,6 @@ function normalizeMessage(message) {
     payload: message.payload || {},
     metadata: {
       timeout: message.metadata?.timeout || 5000,
-      retry: message.metadata?.retry || 3,
       encoding: message.metadata?.encoding || 'utf-8',
       ...message.metadata
     }
@@ -42,8 +55,9 @@ function normalizeMessage(message) {
 
 /**
  * メッセージ検証
+ * actions（アクション契約）を渡した場合はリクエストのparamsをスキーマで検証する
  */
-function validateMessage(message) {
+function validateMessage(message, actions = null) {
   const requiredFields = ['type', 'source', 'target', 'payload'];
   const validTypes = ['request', 'response', 'event', 'notification'];
   const validPriorities = ['high', 'normal', 'low'];
@@ -79,6 +93,24 @@ function validateMessage(message) {
     message.correlationId = uuidv4();
   }
 
+  // アクション契約の検証
+  if (message.type === 'request' && actions) {
+    const contract = actions[message.payload.action];
+
+    if (contract && contract.request) {
+      const details = validateSchema(message.payload.params ?? {}, contract.request, 'params');
+
+      if (details.length > 0) {
+        return {
+          valid: false,
+          code: 'ERR_VALIDATION',
+          error: `Invalid params for ${message.target}.${message.payload.action}: ${formatErrors(details)}`,
+          details
+        };
+      }
+    }
+  }
+
   return { valid: true };
 }
 
@@ -91,6 +123,8 @@ class SkillRegistration {
     this.version = options.version || '1.0.0';
     this.capabilities = options.capabilities || [];
     this.endpoints = options.endpoints || {};
+    // アクション名 → { description, request, response }（JSON Schema）
+    this.actions = options.actions || {};
     this.status = 'ready';
     this.registeredAt = new Date().toISOString();
     this.lastHeartbeat = new Date().toISOString();
@@ -106,32 +140,111 @@ class SkillEventBus extends EventEmitter {
 
     this.config = {
       maxQueueSize: config.maxQueueSize || 10000,
-      maxRetries: config.maxRetries || 3,
+      maxRetries: config.maxRetries ?? 3,
+      retryBaseDelay: config.retryBaseDelay || 1000,
+      maxRetryDelay: config.maxRetryDelay || 30000,
+      maxDeadLetters: config.maxDeadLetters || 1000,
       defaultTimeout: config.defaultTimeout || 5000,
-      enableMetrics: config.enableMetrics || true
+      enableMetrics: config.enableMetrics || true,
+      persistence: {
+        enabled: config.persistence?.enabled || false,
+        busId: config.persistence?.busId || 'default',
+        logDir: config.persistence?.logDir,
+        logPath: config.persistence?.logPath,
+        compactThreshold: config.persistence?.compactThreshold || 1000,
+        persistTypes: config.persistence?.persistTypes || ['request', 'event', 'notification'],
+        // 起動後、ブロードキャストの再配信までスキルの登録を待つ時間
+        replayDelay: config.persistence?.replayDelay ?? 5000
+      },
+      tracing: {
+        enabled: config.tracing?.enabled || false,
+        serviceName: config.tracing?.serviceName || 'skill-event-bus',
+        exportPath: config.tracing?.exportPath,
+        batchSize: config.tracing?.batchSize,
+        flushInterval: config.tracing?.flushInterval,
+        traceTypes: config.tracing?.traceTypes || ['request']
+      },
+      flowControl: {
+        // スキルごとの同時配信数の上限（0は無制限）
+        defaultConcurrency: config.flowControl?.defaultConcurrency || 0,
+        concurrency: config.flowControl?.concurrency || {},
+        // 送信元・送信先ペアごとのトークンバケット
+        rateLimits: config.flowControl?.rateLimits || [],
+        // waitForCapacity指定時にキューの空きを待つ最大時間
+        capacityTimeout: config.flowControl?.capacityTimeout || 30000
+      }
     };
 
     // スキル登録情報
     this.skills = new Map();
 
-    // メッセージキュー（優先度順）
+    // メッセージキュー（優先度順、各優先度内は送信元スキルごとにラウンドロビン）
     this.queues = {
-      high: [],
-      normal: [],
-      low: []
+      high: new FairQueue(),
+      normal: new FairQueue(),
+      low: new FairQueue()
     };
 
+    // フロー制御: 送信先ごとの配信中件数・レート制限・キューの空き待ち
+    this.flowStats = new Map();
+    this.rateLimiter = new RateLimiter(this.config.flowControl.rateLimits);
+    this.capacityWaiters = [];
+    this.heldMessages = new WeakSet();
+
+    // 配信を一時停止しているスキル（リロード中など）
+    this.pausedTargets = new Set();
+
+    // 送信時のミドルウェア（use()で追加）
+    this.middleware = [];
+    this.pipeline = compose(this.middleware);
+    for (const middleware of config.middleware || []) {
+      this.use(middleware);
+    }
+
     // 購読者管理
     this.subscribers = new Map();
 
+    // type/targetによる購読インデックス（配信候補の絞り込み用）
+    this.subscriptionIndex = new SubscriptionIndex();
+
     // 待機中のレスポンス（correlationIdベース）
     this.pendingResponses = new Map();
 
+    // 能力ごとのラウンドロビン位置
+    this.capabilityCursors = new Map();
+
+    // 再試行を使い切ったメッセージ
+    this.deadLetters = new DeadLetterQueue({ maxSize: this.config.maxDeadLetters });
+
+    // バックオフ待ちの再配信タイマー
+    this.retryTimers = new Set();
+
+    // 永続化ログ（有効時のみ）
+    this.messageLog = this.config.persistence.enabled
+      ? new MessageLog(this.config.persistence)
+      : null;
+    this.replayTimer = null;
+
+    // 分散トレーシング（有効時のみ）
+    this.tracer = this.config.tracing.enabled
+      ? new Tracer(this.config.tracing)
+      : null;
+
     // メトリクス
     this.metrics = {
       messagesSent: 0,
       messagesReceived: 0,
       messagesFailed: 0,
+      messagesRetried: 0,
+      messagesDeadLettered: 0,
+      capabilityFailovers: 0,
+      validationFailures: 0,
+      contractViolations: 0,
+      messagesThrottled: 0,
+      messagesDeferred: 0,
+      queueFullRejections: 0,
+      capacityWaits: 0,
+      capacityTimeouts: 0,
       skillsRegistered: 0,
       uptime: Date.now()
     };
@@ -140,6 +253,10 @@ class SkillEventBus extends EventEmitter {
     this.startQueueProcessor();
     // ヘルスチェック開始
     this.startHealthCheck();
+    // 再起動前のブロードキャストを再配信
+    if (this.messageLog) {
+      this.scheduleStartupReplay();
+    }
   }
 
   /**
@@ -159,6 +276,11 @@ class SkillEventBus extends EventEmitter {
     // 登録イベントを発行
     this.emit('skill_registered', registration);
 
+    // 配信待ちだったメッセージを再配信
+    if (this.messageLog) {
+      this.replayPending(skillId);
+    }
+
     return registration;
   }
 
@@ -183,43 +305,136 @@ class SkillEventBus extends EventEmitter {
     console.log(`✓ Skill unregistered: ${skillId}`);
   }
 
+  /**
+   * 能力の一致判定
+   * 'calendar.*' のようなワイルドカードは配下の全ての能力に一致する
+   */
+  matchCapability(advertised, capability) {
+    if (advertised === capability) {
+      return true;
+    }
+
+    if (advertised.endsWith('.*')) {
+      return capability.startsWith(advertised.slice(0, -1));
+    }
+
+    return false;
+  }
+
+  /**
+   * 能力を提供するスキルを検索
+   * ハートビートのあるスキルを優先し、非アクティブなスキルは最後の候補にする
+   */
+  findProviders(capability) {
+    const statusRank = { active: 0, ready: 1, inactive: 2 };
+
+    const providers = Array.from(this.skills.values())
+      .filter(registration => registration.status in statusRank)
+      .filter(registration => registration.capabilities.some(c => this.matchCapability(c, capability)));
+
+    // 同じ状態のスキル間ではラウンドロビンで負荷を分散
+    const cursor = this.capabilityCursors.get(capability) || 0;
+    this.capabilityCursors.set(capability, cursor + 1);
+
+    const rotated = providers.length > 0
+      ? providers.slice(cursor % providers.length).concat(providers.slice(0, cursor % providers.length))
+      : providers;
+
+    return rotated.sort((a, b) => statusRank[a.status] - statusRank[b.status]);
+  }
+
+  /**
+   * 能力一覧を取得
+   */
+  listCapabilities() {
+    const capabilities = {};
+
+    for (const registration of this.skills.values()) {
+      for (const capability of registration.capabilities) {
+        if (!capabilities[capability]) {
+          capabilities[capability] = [];
+        }
+        capabilities[capability].push({
+          skillId: registration.skillId,
+          version: registration.version,
+          status: registration.status,
+          lastHeartbeat: registration.lastHeartbeat
+        });
+      }
+    }
+
+    return capabilities;
+  }
+
+  /**
+   * 能力を指定してリクエスト送信
+   * 提供スキルがタイムアウトした場合は次の候補にフェイルオーバーする
+   */
+  async requestCapability(capability, action, params = {}, options = {}) {
+    const { source = 'unknown', priority, ...metadata } = options;
+    const providers = this.findProviders(capability);
+
+    if (providers.length === 0) {
+      const error = new Error(`No skill provides capability: ${capability}`);
+      error.code = 'ERR_SKILL_NOT_FOUND';
+      throw error;
+    }
+
+    let lastError = null;
+
+    for (const [index, provider] of providers.entries()) {
+      try {
+        return await this.send({
+          type: 'request',
+          source,
+          target: provider.skillId,
+          priority,
+          payload: { action, params },
+          // 同じスキルへの再試行ではなく別の提供スキルへ切り替える
+          // failover: 次の候補が残っている間はタイムアウトしてもデッドレターにしない
+          metadata: { retry: 0, ...metadata, capability, failover: index < providers.length - 1 }
+        });
+      } catch (error) {
+        lastError = error;
+
+        if (error.code !== 'ERR_TIMEOUT') {
+          throw error;
+        }
+
+        this.metrics.capabilityFailovers++;
+        console.warn(`Capability ${capability}: ${provider.skillId} timed out, failing over`);
+        this.emit('capability_failover', { capability, skillId: provider.skillId, error });
+      }
+    }
+
+    throw lastError;
+  }
+
   /**
    * メッセージ送信
+   * options.waitForCapacity: キューが満杯の場合に例外にせず空きが出るまで待つ
+   * options.capacityTimeout: 空きを待つ最大時間（ミリ秒）
    */
-  async send(message) {
+  async send(message, options = {}) {
     try {
       // メッセージ正規化
       const normalized = normalizeMessage(message);
 
-      // メッセージ検証
-      const validation = validateMessage(normalized);
+      // メッセージ検証（宛先スキルが宣言したアクション契約も含む）
+      const validation = validateMessage(normalized, this.getActionContracts(normalized.target));
       if (!validation.valid) {
+        // 契約違反のリクエストはスキルに届けず、構造化エラーレスポンスを返す
+        if (validation.code === 'ERR_VALIDATION') {
+          return this.rejectInvalidRequest(normalized, validation);
+        }
         throw new Error(validation.error);
       }
 
-      // キューに追加
-      this.enqueue(normalized);
-      this.metrics.messagesSent++;
-
-      // リクエストの場合はレスポンスを待機
-      if (normalized.type === 'request') {
-        return new Promise((resolve, reject) => {
-          const timeout = normalized.metadata.timeout || this.config.defaultTimeout;
-
-          const timer = setTimeout(() => {
-            this.pendingResponses.delete(normalized.id);
-            reject(new Error(`Request timeout: ${timeout}ms`));
-          }, timeout);
-
-          this.pendingResponses.set(normalized.id, {
-            resolve,
-            reject,
-            timer
-          });
-        });
+      // ミドルウェアを通して送信（未設定時は直接キューに追加）
+      if (this.middleware.length === 0) {
+        return await this.dispatchSend(normalized, options);
       }
-
-      return { success: true, messageId: normalized.id };
+      return await this.runSendPipeline(normalized, options);
     } catch (error) {
       this.metrics.messagesFailed++;
       console.error(`Error sending message: ${error.message}`);
@@ -227,6 +442,409 @@ class SkillEventBus extends EventEmitter {
     }
   }
 
+  /**
+   * ミドルウェアを追加
+   * 例: bus.use(authenticate({ requireRegistered: true })).use(errorResponses())
+   */
+  use(middleware) {
+    this.middleware.push(middleware);
+    this.pipeline = compose(this.middleware);
+    return this;
+  }
+
+  /**
+   * 送信をミドルウェアチェーンに通す
+   * リクエストの場合、ミドルウェアが設定・変更した ctx.response をレスポンスとして返す
+   */
+  async runSendPipeline(message, options) {
+    const ctx = createContext(message, { layer: 'bus', bus: this, options });
+    let result = null;
+
+    await this.pipeline(ctx, async () => {
+      try {
+        result = await this.dispatchSend(ctx.message, options);
+      } catch (error) {
+        // 配信自体の失敗（タイムアウト・キュー満杯）は呼び出し元に例外のまま返す（フェイルオーバーの判定に使う）
+        ctx.dispatchError = error;
+        throw error;
+      }
+      if (ctx.message.type === 'request') {
+        ctx.response = result.payload;
+      }
+    });
+
+    if (message.type !== 'request') {
+      return result || { success: false, messageId: message.id };
+    }
+
+    if (!ctx.response) {
+      const error = new Error(`Request ${message.id} was not answered by the middleware chain`);
+      error.code = 'ERR_INTERNAL';
+      throw error;
+    }
+
+    // キャッシュやエラー変換でチェーンが途中で応答した場合はレスポンスを組み立てる
+    return result
+      ? { ...result, payload: ctx.response }
+      : this.buildResponse(message, ctx.response);
+  }
+
+  /**
+   * キューに追加し、リクエストの場合はレスポンスを待つ
+   */
+  async dispatchSend(normalized, options = {}) {
+    // キューが満杯の場合は空きが出るまで待つ
+    while (options.waitForCapacity && this.isQueueFull()) {
+      await this.waitForCapacity(options.capacityTimeout || this.config.flowControl.capacityTimeout);
+    }
+
+    // 送信スパンを開始し、トレースコンテキストをメタデータで伝播
+    const span = this.startSendSpan(normalized);
+
+    // キューに追加
+    try {
+      this.enqueue(normalized);
+    } catch (error) {
+      if (span) {
+        span.end(error);
+      }
+      throw error;
+    }
+    this.metrics.messagesSent++;
+
+    // リクエストの場合はレスポンスを待機（スパンはレスポンス受信まで計測）
+    if (normalized.type === 'request') {
+      return new Promise((resolve, reject) => {
+        this.pendingResponses.set(normalized.id, {
+          resolve: (response) => {
+            this.checkResponseContract(normalized, response);
+            if (span) {
+              span.end(response.payload?.status === 'error' ? response.payload.error : null);
+            }
+            resolve(response);
+          },
+          reject: (error) => {
+            if (span) {
+              span.end(error);
+            }
+            reject(error);
+          },
+          timer: null
+        });
+
+        this.armRequestTimeout(normalized);
+      });
+    }
+
+    if (span) {
+      span.end();
+    }
+
+    return { success: true, messageId: normalized.id };
+  }
+
+  /**
+   * トレース対象のメッセージか判定
+   */
+  isTraced(message) {
+    return this.tracer !== null &&
+      this.config.tracing.traceTypes.includes(message.type);
+  }
+
+  /**
+   * スパン名・属性に使う操作名（アクション名またはイベントタイプ）
+   */
+  operationName(message) {
+    return message.payload?.action || message.payload?.eventType || message.type;
+  }
+
+  /**
+   * 送信スパンを開始
+   * metadata.traceparent（なければ処理中のスパン）を親にし、新しいスパンでtraceparentを置き換える
+   */
+  startSendSpan(message) {
+    if (!this.isTraced(message)) {
+      return null;
+    }
+
+    const parent = parseTraceparent(message.metadata.traceparent) || currentTraceContext();
+    const span = this.tracer.startSpan(`${message.target} ${this.operationName(message)}`, {
+      kind: message.type === 'request' ? SpanKind.CLIENT : SpanKind.PRODUCER,
+      parent,
+      serviceName: message.source,
+      attributes: {
+        'messaging.system': 'openclaw',
+        'messaging.operation': 'publish',
+        'messaging.message.id': message.id,
+        'messaging.message.conversation_id': message.correlationId,
+        'messaging.destination.name': message.target,
+        'openclaw.message.type': message.type,
+        'openclaw.operation': this.operationName(message)
+      }
+    });
+
+    message.metadata.traceparent = formatTraceparent(span.context());
+    return span;
+  }
+
+  /**
+   * 配信スパンを開始（スキルが処理した時間とキュー待ち時間を記録）
+   */
+  startDeliverySpan(skillId, message) {
+    const parent = this.isTraced(message) ? parseTraceparent(message.metadata.traceparent) : null;
+
+    if (!parent) {
+      return null;
+    }
+
+    return this.tracer.startSpan(`${skillId} ${this.operationName(message)}`, {
+      kind: message.type === 'request' ? SpanKind.SERVER : SpanKind.CONSUMER,
+      parent,
+      serviceName: skillId,
+      attributes: {
+        'messaging.system': 'openclaw',
+        'messaging.operation': 'process',
+        'messaging.message.id': message.id,
+        'messaging.message.conversation_id': message.correlationId,
+        'messaging.source.name': message.source,
+        'openclaw.message.type': message.type,
+        'openclaw.operation': this.operationName(message),
+        'openclaw.attempt': message.metadata.attempt || 0,
+        'openclaw.queue_time_ms': Math.max(0, Date.now() - Date.parse(message.timestamp))
+      }
+    });
+  }
+
+  /**
+   * 宛先スキルのアクション契約を取得
+   */
+  getActionContracts(skillId) {
+    const registration = this.skills.get(skillId);
+    return registration ? registration.actions : null;
+  }
+
+  /**
+   * 契約違反のリクエストにERR_VALIDATIONレスポンスを返す
+   */
+  rejectInvalidRequest(message, validation) {
+    this.metrics.validationFailures++;
+    console.warn(`✗ ${validation.error}`);
+
+    this.emit('validation_failed', { message, details: validation.details });
+
+    return this.buildResponse(message, {
+      status: 'error',
+      error: {
+        code: 'ERR_VALIDATION',
+        message: validation.error,
+        details: validation.details
+      }
+    });
+  }
+
+  /**
+   * バスがスキルに代わって返すレスポンスメッセージを作成
+   */
+  buildResponse(message, payload) {
+    return {
+      id: uuidv4(),
+      type: 'response',
+      timestamp: new Date().toISOString(),
+      source: message.target,
+      target: message.source,
+      priority: message.priority,
+      correlationId: message.id,
+      payload,
+      metadata: {}
+    };
+  }
+
+  /**
+   * レスポンスをアクション契約で検証
+   * 契約違反は呼び出し元に返しつつ警告として記録する
+   */
+  checkResponseContract(request, response) {
+    const contracts = this.getActionContracts(request.target);
+    const contract = contracts ? contracts[request.payload.action] : null;
+
+    if (!contract || !contract.response || response.payload?.status === 'error') {
+      return;
+    }
+
+    const details = validateSchema(response.payload, contract.response, 'payload');
+
+    if (details.length > 0) {
+      this.metrics.contractViolations++;
+      console.warn(`Contract violation in ${request.target}.${request.payload.action} response: ${formatErrors(details)}`);
+      this.emit('contract_violation', { request, response, details });
+    }
+  }
+
+  /**
+   * 登録済みスキルのアクションカタログを取得
+   */
+  getActionCatalog() {
+    const catalog = {};
+
+    for (const registration of this.skills.values()) {
+      catalog[registration.skillId] = {
+        version: registration.version,
+        capabilities: registration.capabilities,
+        actions: registration.actions
+      };
+    }
+
+    return catalog;
+  }
+
+  /**
+   * リクエストのタイムアウトを設定
+   */
+  armRequestTimeout(message) {
+    const pending = this.pendingResponses.get(message.id);
+
+    if (!pending) {
+      return;
+    }
+
+    const timeout = message.metadata.timeout || this.config.defaultTimeout;
+
+    pending.timer = setTimeout(() => {
+      const error = new Error(`Request timeout: ${timeout}ms`);
+      error.code = 'ERR_TIMEOUT';
+
+      // 再試行できない場合は呼び出し元にエラーを返す
+      if (!this.scheduleRetry(message, error)) {
+        this.pendingResponses.delete(message.id);
+        pending.reject(error);
+      }
+    }, timeout);
+  }
+
+  /**
+   * 再試行までの待機時間を計算（指数バックオフ）
+   */
+  calculateBackoff(attempt, baseDelay = this.config.retryBaseDelay) {
+    const delay = baseDelay * Math.pow(2, attempt - 1);
+    return Math.min(delay, this.config.maxRetryDelay);
+  }
+
+  /**
+   * メッセージの再配信をスケジュール
+   * 再試行回数を使い切った場合はデッドレターキューに移してfalseを返す
+   * （能力リクエストのフェイルオーバーが次の候補に切り替えるタイムアウトは移さない）
+   */
+  scheduleRetry(message, error, target = message.target) {
+    const attempt = (message.metadata.attempt || 0) + 1;
+    // リクエストは冪等とは限らないため、明示的に指定しない限り再送しない
+    const maxRetries = message.metadata.retry ??
+      (message.type === 'request' ? 0 : this.config.maxRetries);
+
+    if (attempt > maxRetries) {
+      if (!(message.metadata.failover && error.code === 'ERR_TIMEOUT')) {
+        this.deadLetter({ ...message, target }, error, attempt - 1);
+      }
+      return false;
+    }
+
+    const delay = this.calculateBackoff(attempt, message.metadata.retryDelay);
+    const retryMessage = {
+      ...message,
+      target,
+      metadata: {
+        ...message.metadata,
+        attempt
+      }
+    };
+
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(timer);
+
+      try {
+        this.enqueue(retryMessage);
+        this.armRequestTimeout(retryMessage);
+      } catch (enqueueError) {
+        this.deadLetter(retryMessage, enqueueError, attempt);
+
+        const pending = this.pendingResponses.get(retryMessage.id);
+        if (pending) {
+          this.pendingResponses.delete(retryMessage.id);
+          pending.reject(enqueueError);
+        }
+      }
+    }, delay);
+
+    this.retryTimers.add(timer);
+    this.metrics.messagesRetried++;
+
+    console.warn(`Retrying message ${message.id} to ${target} in ${delay}ms (attempt ${attempt}/${maxRetries})`);
+    this.emit('message_retry', { message: retryMessage, error, attempt, delay });
+
+    return true;
+  }
+
+  /**
+   * メッセージをデッドレターキューに移動
+   */
+  deadLetter(message, error, attempts) {
+    const deadLetter = this.deadLetters.add(message, error, attempts);
+    this.metrics.messagesDeadLettered++;
+
+    if (this.isPersisted(message)) {
+      this.messageLog.recordFailure(message.id, error);
+    }
+
+    console.error(`✗ Message dead-lettered: ${message.id} (${deadLetter.error.message})`);
+    this.emit('message_dead_lettered', deadLetter);
+
+    // 通知自体が配信に失敗してもデッドレターが連鎖しないよう再試行なしで送る
+    if (message.payload?.eventType !== 'message_dead_lettered') {
+      this.send({
+        type: 'event',
+        source: 'skill-event-bus',
+        target: '*',
+        payload: {
+          eventType: 'message_dead_lettered',
+          deadLetter: deadLetter.toSummary()
+        },
+        metadata: { retry: 0 }
+      }).catch(sendError => {
+        console.error(`Failed to publish dead letter event: ${sendError.message}`);
+      });
+    }
+
+    return deadLetter;
+  }
+
+  /**
+   * デッドレター一覧を取得
+   */
+  getDeadLetters(filters = {}) {
+    return this.deadLetters.list(filters);
+  }
+
+  /**
+   * デッドレターを再投入
+   * 再試行回数をリセットして送信し直す（リクエストの場合はレスポンスを返す）
+   */
+  async replayDeadLetter(deadLetterId) {
+    const deadLetter = this.deadLetters.get(deadLetterId);
+
+    if (!deadLetter) {
+      throw new Error(`Dead letter not found: ${deadLetterId}`);
+    }
+
+    this.deadLetters.remove(deadLetterId);
+
+    return await this.send({
+      ...deadLetter.message,
+      metadata: {
+        ...deadLetter.message.metadata,
+        attempt: 0
+      }
+    });
+  }
+
   /**
    * メッセージをキューに追加
    */
@@ -234,30 +852,273 @@ class SkillEventBus extends EventEmitter {
     const priority = message.priority;
 
     // キューサイズチェック
-    const queueSize = this.queues.high.length +
-                     this.queues.normal.length +
-                     this.queues.low.length;
+    if (this.isQueueFull()) {
+      this.metrics.queueFullRejections++;
+      const error = new Error('Message queue is full');
+      error.code = 'ERR_QUEUE_FULL';
+      throw error;
+    }
 
-    if (queueSize >= this.config.maxQueueSize) {
-      throw new Error('Message queue is full');
+    // キュー投入前にログへ書き込む
+    if (this.isPersisted(message)) {
+      this.messageLog.recordEnqueue(message);
     }
 
     // 優先度別キューに追加
     if (priority === 'high') {
-      this.queues.high.unshift(message);
+      this.queues.high.push(message.source, message);
     } else if (priority === 'low') {
-      this.queues.low.unshift(message);
+      this.queues.low.push(message.source, message);
     } else {
-      this.queues.normal.unshift(message);
+      this.queues.normal.push(message.source, message);
     }
 
     this.emit('message_queued', message);
   }
 
+  /**
+   * キュー内のメッセージ数
+   */
+  getQueueSize() {
+    return this.queues.high.length + this.queues.normal.length + this.queues.low.length;
+  }
+
+  isQueueFull() {
+    return this.getQueueSize() >= this.config.maxQueueSize;
+  }
+
+  /**
+   * キューの空きを待つ
+   */
+  waitForCapacity(timeout) {
+    this.metrics.capacityWaits++;
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+
+      waiter.timer = setTimeout(() => {
+        this.capacityWaiters.splice(this.capacityWaiters.indexOf(waiter), 1);
+        this.metrics.capacityTimeouts++;
+        const error = new Error(`Timed out waiting for queue capacity after ${timeout}ms`);
+        error.code = 'ERR_QUEUE_FULL';
+        reject(error);
+      }, timeout);
+
+      this.capacityWaiters.push(waiter);
+    });
+  }
+
+  /**
+   * 空きができたら待機中の送信を1件再開
+   */
+  releaseCapacity() {
+    if (this.capacityWaiters.length > 0 && !this.isQueueFull()) {
+      const waiter = this.capacityWaiters.shift();
+      clearTimeout(waiter.timer);
+      waiter.resolve();
+    }
+  }
+
+  /**
+   * 送信先ごとのフロー制御の統計
+   */
+  getFlowStats(skillId) {
+    if (!this.flowStats.has(skillId)) {
+      this.flowStats.set(skillId, { inFlight: 0, peak: 0, dispatched: 0, deferred: 0 });
+    }
+    return this.flowStats.get(skillId);
+  }
+
+  /**
+   * 送信先スキルの同時配信数の上限（0は無制限）
+   */
+  getConcurrencyLimit(skillId) {
+    return this.config.flowControl.concurrency[skillId] ?? this.config.flowControl.defaultConcurrency;
+  }
+
+  /**
+   * 今すぐ配信できるメッセージか判定
+   * 同時配信数が上限に達した送信先、トークンが尽きた送信元・送信先ペアのメッセージはキューに残す
+   */
+  canDispatch(message) {
+    // レスポンスは待機中のリクエストを解決するだけなので制限しない（上限待ちのデッドロック防止）
+    // 配信停止中のスキル宛てでも保留しない（停止前に送ったリクエストの完了を待てるように）
+    if (message.type === 'response') {
+      return true;
+    }
+
+    // 配信停止中のスキル宛ては保留（ブロードキャストも再開まで待つ）
+    if (this.pausedTargets.has(message.target) || (message.target === '*' && this.pausedTargets.size > 0)) {
+      return false;
+    }
+
+    const limit = this.getConcurrencyLimit(message.target);
+    if (limit > 0 && this.getFlowStats(message.target).inFlight >= limit) {
+      if (!this.heldMessages.has(message)) {
+        this.heldMessages.add(message);
+        this.metrics.messagesDeferred++;
+        this.getFlowStats(message.target).deferred++;
+      }
+      return false;
+    }
+
+    const bucket = this.rateLimiter.getBucket(message.source, message.target);
+    if (bucket && !bucket.available()) {
+      if (!this.heldMessages.has(message)) {
+        this.heldMessages.add(message);
+        this.metrics.messagesThrottled++;
+        this.rateLimiter.recordLimited(message.source, message.target);
+      }
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * スキル宛てのメッセージの配信を一時停止（メッセージはキューに留まる）
+   */
+  pauseDelivery(skillId) {
+    this.pausedTargets.add(skillId);
+    this.emit('delivery_paused', { skillId });
+  }
+
+  /**
+   * 配信を再開
+   */
+  resumeDelivery(skillId) {
+    if (this.pausedTargets.delete(skillId)) {
+      this.emit('delivery_resumed', { skillId });
+    }
+  }
+
+  /**
+   * スキルへの配信中のメッセージが完了するまで待つ（タイムアウト時はfalse）
+   */
+  async waitForIdle(skillId, timeout = this.config.defaultTimeout) {
+    const deadline = Date.now() + timeout;
+
+    while (this.getFlowStats(skillId).inFlight > 0) {
+      if (Date.now() >= deadline) {
+        return false;
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    return true;
+  }
+
+  /**
+   * 配信可能な次のメッセージを取り出す（優先度順、優先度内は送信元ごとに公平）
+   */
+  dequeue() {
+    for (const priority of ['high', 'normal', 'low']) {
+      // 送信元内の順序は送信先ごとに保ち、上限に達した送信先宛てが他の送信先宛てを止めないようにする
+      // レスポンスは同じ送信元の保留中のリクエストを追い越す（入れ子のリクエストのデッドロック防止）
+      const message = this.queues[priority].shift(m => this.canDispatch(m), m => (m.type === 'response' ? null : m.target));
+      if (message) {
+        return message;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * メッセージの配信を開始し、完了まで送信先の配信中件数に数える
+   */
+  dispatch(message) {
+    this.releaseCapacity();
+
+    if (message.type === 'response') {
+      return this.processMessage(message);
+    }
+
+    const bucket = this.rateLimiter.getBucket(message.source, message.target);
+    if (bucket) {
+      bucket.take();
+    }
+
+    const stats = this.getFlowStats(message.target);
+    stats.inFlight++;
+    stats.dispatched++;
+    stats.peak = Math.max(stats.peak, stats.inFlight);
+
+    return this.processMessage(message).then(() => {
+      stats.inFlight--;
+    });
+  }
+
+  /**
+   * 永続化対象のメッセージか判定
+   */
+  isPersisted(message) {
+    return this.messageLog !== null &&
+      this.config.persistence.persistTypes.includes(message.type);
+  }
+
+  /**
+   * 起動時の再配信
+   * スキル宛てのメッセージは登録時に再投入されるが、ブロードキャスト（target '*'）は
+   * 宛先の登録を契機にできないため、スキルが登録されるのを replayDelay だけ待ってから再投入する
+   */
+  scheduleStartupReplay() {
+    this.replayTimer = setTimeout(() => {
+      this.replayTimer = null;
+      this.replayPending('*');
+    }, this.config.persistence.replayDelay);
+  }
+
+  /**
+   * 未確認メッセージを再配信
+   * skillIdを指定した場合はそのスキル宛てのメッセージのみ再投入する
+   */
+  replayPending(skillId = null) {
+    if (!this.messageLog) {
+      return 0;
+    }
+
+    const messages = this.messageLog.getWaiting(skillId);
+
+    for (const message of messages) {
+      this.enqueue(message);
+    }
+
+    if (messages.length > 0) {
+      console.log(`✓ Replayed ${messages.length} pending messages${skillId ? ` for ${skillId}` : ''}`);
+      this.emit('messages_replayed', { skillId, count: messages.length });
+    }
+
+    return messages.length;
+  }
+
+  /**
+   * メッセージの配信状態を取得
+   */
+  getDeliveryState(messageId) {
+    if (!this.messageLog) {
+      return null;
+    }
+
+    return this.messageLog.getState(messageId);
+  }
+
+  /**
+   * メッセージログをコンパクション
+   */
+  compactLog() {
+    if (!this.messageLog) {
+      return null;
+    }
+
+    return this.messageLog.compact();
+  }
+
   /**
    * メッセージ購読
    */
   subscribe(skillId, filter, callback) {
+    validateFilter(filter);
+
     if (!this.subscribers.has(skillId)) {
       this.subscribers.set(skillId, []);
     }
@@ -269,7 +1130,34 @@ class SkillEventBus extends EventEmitter {
     };
 
     this.subscribers.get(skillId).push(subscription);
+    this.subscriptionIndex.add(skillId, subscription);
     console.log(`✓ Skill ${skillId} subscribed to messages`);
+
+    return subscription;
+  }
+
+  /**
+   * 特定の購読を解除
+   */
+  removeSubscription(skillId, subscription) {
+    const subscriptions = this.subscribers.get(skillId);
+
+    if (!subscriptions) {
+      return false;
+    }
+
+    const index = subscriptions.indexOf(subscription);
+    if (index === -1) {
+      return false;
+    }
+
+    subscriptions.splice(index, 1);
+    this.subscriptionIndex.remove(subscription);
+    if (subscriptions.length === 0) {
+      this.subscribers.delete(skillId);
+    }
+
+    return true;
   }
 
   /**
@@ -284,12 +1172,17 @@ class SkillEventBus extends EventEmitter {
 
     if (filter === null) {
       // 全ての購読を解除
-      this.subscribers.delete(skillId);
+      this.unsubscribeAll(skillId);
     } else {
       // 特定のフィルタのみ解除
       const filtered = subscriptions.filter(
         sub => JSON.stringify(sub.filter) !== JSON.stringify(filter)
       );
+      for (const sub of subscriptions) {
+        if (!filtered.includes(sub)) {
+          this.subscriptionIndex.remove(sub);
+        }
+      }
       this.subscribers.set(skillId, filtered);
     }
 
@@ -300,6 +1193,9 @@ class SkillEventBus extends EventEmitter {
    * 全ての購読を解除
    */
   unsubscribeAll(skillId) {
+    for (const subscription of this.subscribers.get(skillId) || []) {
+      this.subscriptionIndex.remove(subscription);
+    }
     this.subscribers.delete(skillId);
   }
 
@@ -308,19 +1204,11 @@ class SkillEventBus extends EventEmitter {
    */
   startQueueProcessor() {
     const processNext = () => {
-      // 優先度順で処理
-      let message = null;
-
-      if (this.queues.high.length > 0) {
-        message = this.queues.high.pop();
-      } else if (this.queues.normal.length > 0) {
-        message = this.queues.normal.pop();
-      } else if (this.queues.low.length > 0) {
-        message = this.queues.low.pop();
-      }
+      // 優先度順・フロー制御を考慮して処理
+      const message = this.dequeue();
 
       if (message) {
-        this.processMessage(message);
+        this.dispatch(message);
       }
 
       // 次のメッセージをスケジュール
@@ -338,89 +1226,137 @@ class SkillEventBus extends EventEmitter {
     try {
       this.metrics.messagesReceived++;
 
+      const persisted = this.isPersisted(message);
+      const failures = [];
+      let delivered = true;
+
       // ターゲットが'*'の場合は全スキルに送信
-      if (message.target === '*') {
-        for (const skillId of this.skills.keys()) {
-          await this.deliverToSkill(skillId, message);
+      const targets = message.target === '*'
+        ? Array.from(this.skills.keys())
+        : [message.target];
+
+      // インデックスからtype/targetが一致し得る購読だけを取り出す
+      const candidates = this.subscriptionIndex.candidates(message);
+
+      for (const skillId of targets) {
+        try {
+          const result = await this.deliverToSkill(skillId, message, candidates.get(skillId) || []);
+          if (message.target !== '*') {
+            delivered = result;
+          }
+          if (result && persisted) {
+            this.messageLog.recordDelivery(message.id, skillId);
+          }
+        } catch (error) {
+          failures.push({ skillId, error });
+        }
+      }
+
+      // 購読者の処理に失敗したスキルにだけ再配信する
+      // リクエストはレスポンスのタイムアウトを契機に再配信する
+      const redelivering = message.type !== 'request' && failures.length > 0;
+      if (redelivering) {
+        for (const { skillId, error } of failures) {
+          this.metrics.messagesFailed++;
+          this.scheduleRetry(message, error, skillId);
+        }
+      }
+
+      // 再配信中・デッドレター済みのメッセージは配信完了にしない
+      if (persisted && !redelivering) {
+        // 配信先が未登録の場合は登録時に再配信する
+        if (delivered) {
+          this.messageLog.recordAck(message.id);
+        } else {
+          this.messageLog.recordWaiting(message.id);
         }
-      } else {
-        // 特定のスキルに送信
-        await this.deliverToSkill(message.target, message);
       }
 
       this.emit('message_processed', message);
     } catch (error) {
       this.metrics.messagesFailed++;
       console.error(`Error processing message: ${error.message}`);
+
+      if (this.isPersisted(message)) {
+        this.messageLog.recordFailure(message.id, error);
+      }
+
       this.emit('message_failed', { message, error });
     }
   }
 
   /**
    * スキルにメッセージを配信
+   * candidatesを省略した場合はスキルの全ての購読を評価する
    */
-  async deliverToSkill(skillId, message) {
+  async deliverToSkill(skillId, message, candidates = null) {
     const subscriptions = this.subscribers.get(skillId);
 
     if (!subscriptions || subscriptions.length === 0) {
       console.warn(`No subscribers for skill: ${skillId}`);
-      return;
+      // 停止・リロード中のスキルが送ったリクエストのレスポンスも待機中のPromiseは解決する
+      this.resolvePendingResponse(message);
+      return false;
     }
 
     // フィルタに一致する購読者に配信
-    for (const subscription of subscriptions) {
-      if (this.matchFilter(message, subscription.filter)) {
+    const matched = (candidates || subscriptions)
+      .filter(subscription => this.matchFilter(message, subscription.filter));
+    const span = matched.length > 0 ? this.startDeliverySpan(skillId, message) : null;
+
+    const errors = [];
+    const invokeCallbacks = async () => {
+      for (const subscription of matched) {
         try {
           await subscription.callback(message);
         } catch (error) {
           console.error(`Subscriber callback error: ${error.message}`);
+          errors.push(error);
         }
       }
+    };
+
+    // 購読者から送られるメッセージは配信スパンの子になる
+    if (span) {
+      await runWithTraceContext(span.context(), invokeCallbacks);
+      span.end(errors[0] || null);
+    } else {
+      await invokeCallbacks();
     }
 
     // レスポンスの場合は待機中のPromiseを解決
-    if (message.type === 'response' && message.correlationId) {
-      const pending = this.pendingResponses.get(message.correlationId);
-      if (pending) {
-        clearTimeout(pending.timer);
-        this.pendingResponses.delete(message.correlationId);
-        pending.resolve(message);
-      }
+    this.resolvePendingResponse(message);
+
+    // 購読者の失敗は呼び出し元で再配信を判断する
+    if (errors.length > 0) {
+      throw errors[0];
     }
+
+    return true;
   }
 
   /**
-   * フィルタマッチング
+   * レスポンスを待っているリクエストのPromiseを解決
    */
-  matchFilter(message, filter) {
-    if (!filter) {
-      return true;
+  resolvePendingResponse(message) {
+    if (message.type !== 'response' || !message.correlationId) {
+      return;
     }
 
-    // 全てのフィルタ条件をチェック
-    for (const [key, value] of Object.entries(filter)) {
-      const messageValue = message[key];
-
-      // 配列かオブジェクトの場合は部分一致を許可
-      if (typeof value === 'object' && value !== null) {
-        if (typeof messageValue !== 'object' || messageValue === null) {
-          return false;
-        }
-        // オブジェクトの場合は全てのキーが含まれているかチェック
-        for (const [subKey, subValue] of Object.entries(value)) {
-          if (messageValue[subKey] !== subValue) {
-            return false;
-          }
-        }
-      } else {
-        // プリミティブ値の場合は完全一致
-        if (messageValue !== value) {
-          return false;
-        }
-      }
+    const pending = this.pendingResponses.get(message.correlationId);
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.pendingResponses.delete(message.correlationId);
+      pending.resolve(message);
     }
+  }
 
-    return true;
+  /**
+   * フィルタマッチング
+   * 演算子・トピックパターン・述語の詳細は subscription-filter.js を参照
+   */
+  matchFilter(message, filter) {
+    return matchFilter(message, filter);
   }
 
   /**
@@ -474,10 +1410,40 @@ class SkillEventBus extends EventEmitter {
         high: this.queues.high.length,
         normal: this.queues.normal.length,
         low: this.queues.low.length,
-        total: this.queues.high.length + this.queues.normal.length + this.queues.low.length
+        total: this.getQueueSize()
       },
+      flowControl: this.getFlowControlMetrics(),
       registeredSkills: Array.from(this.skills.keys()),
-      pendingResponses: this.pendingResponses.size
+      subscriptions: this.subscriptionIndex.size,
+      pendingResponses: this.pendingResponses.size,
+      pendingRetries: this.retryTimers.size,
+      deadLetters: this.deadLetters.size,
+      messageLog: this.messageLog ? this.messageLog.getStats() : null
+    };
+  }
+
+  /**
+   * フロー制御のメトリクス
+   */
+  getFlowControlMetrics() {
+    const queuedBySource = {};
+    for (const queue of Object.values(this.queues)) {
+      for (const [source, size] of Object.entries(queue.sizes())) {
+        queuedBySource[source] = (queuedBySource[source] || 0) + size;
+      }
+    }
+
+    const concurrency = {};
+    for (const [skillId, stats] of this.flowStats) {
+      concurrency[skillId] = { ...stats, limit: this.getConcurrencyLimit(skillId) };
+    }
+
+    return {
+      waitingForCapacity: this.capacityWaiters.length,
+      pausedTargets: Array.from(this.pausedTargets),
+      queuedBySource,
+      concurrency,
+      rateLimits: this.rateLimiter.getStats()
     };
   }
 
@@ -498,6 +1464,18 @@ class SkillEventBus extends EventEmitter {
       }
     }
 
+    // 起動時の再配信をキャンセル
+    if (this.replayTimer) {
+      clearTimeout(this.replayTimer);
+      this.replayTimer = null;
+    }
+
+    // バックオフ待ちの再配信をキャンセル
+    for (const timer of this.retryTimers) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
+
     // 待機中のPromiseをキャンセル
     for (const [id, pending] of this.pendingResponses) {
       clearTimeout(pending.timer);
@@ -505,7 +1483,20 @@ class SkillEventBus extends EventEmitter {
     }
 
     this.pendingResponses.clear();
+
+    // キューの空きを待っている送信をキャンセル
+    for (const waiter of this.capacityWaiters.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Event bus shutdown'));
+    }
+
     this.subscribers.clear();
+    this.subscriptionIndex.clear();
+
+    // 未エクスポートのスパンを書き出す
+    if (this.tracer) {
+      this.tracer.shutdown();
+    }
 
     console.log('✓ Event bus shut down');
   }
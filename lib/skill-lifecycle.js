@@ -0,0 +1,443 @@
+/**
+ * スキルライフサイクル管理 (Skill Lifecycle Manager)
+ * SKILL.md のフロントマター / package.json で宣言された依存関係を解決してスキルを起動し、
+ * 変更されたスキルをキューのメッセージを失わずにホットリロードする
+ *
+ * 依存関係の宣言:
+ *   SKILL.md      dependencies: [self-learning-agent]
+ *   package.json  "openclaw": { "dependencies": ["self-learning-agent"] }
+ *
+ * スキルのモジュールは createSkill(eventBus, config) をエクスポートし、
+ * initialize() / shutdown() を持つインスタンスを返す
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SKILLS_DIR = path.join(__dirname, '..', 'skills');
+
+/**
+ * コード付きエラーを作成
+ */
+function lifecycleError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * フロントマターの値を解析（[a, b] 形式のリスト、JSONオブジェクト、文字列）
+ */
+function parseFrontmatterValue(raw) {
+  const value = raw.trim();
+  const unquote = (text) => text.replace(/^(['"])(.*)\1$/, '$2');
+
+  if (value.startsWith('[') && value.endsWith(']')) {
+    const inner = value.slice(1, -1).trim();
+    return inner ? inner.split(',').map(item => unquote(item.trim())) : [];
+  }
+
+  if (value.startsWith('{')) {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      return value;
+    }
+  }
+
+  return unquote(value);
+}
+
+/**
+ * SKILL.md のフロントマターを解析
+ */
+function parseFrontmatter(content) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---/.exec(content);
+
+  if (!match) {
+    return {};
+  }
+
+  const result = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const field = /^([A-Za-z0-9_-]+):\s*(.*)$/.exec(line);
+    if (field) {
+      result[field[1]] = parseFrontmatterValue(field[2]);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * ファイルを読み込む（存在しない場合はnull）
+ */
+function readOptional(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * スキルのマニフェストを読み込む
+ * SKILL.md のフロントマターを優先し、不足分を package.json から補う
+ */
+function readSkillManifest(skillDir) {
+  const skillMd = readOptional(path.join(skillDir, 'SKILL.md'));
+  const packageJson = readOptional(path.join(skillDir, 'package.json'));
+
+  const frontmatter = skillMd ? parseFrontmatter(skillMd) : {};
+  const pkg = packageJson ? JSON.parse(packageJson) : {};
+
+  const dependencies = frontmatter.dependencies || pkg.openclaw?.dependencies || [];
+  if (!Array.isArray(dependencies)) {
+    throw new Error(`Invalid dependencies in ${skillDir}: expected a list`);
+  }
+
+  const main = path.resolve(skillDir, frontmatter.main || pkg.main || 'index.js');
+
+  return {
+    skillId: frontmatter.name || pkg.name || path.basename(skillDir),
+    version: frontmatter.version || pkg.version || '1.0.0',
+    dependencies,
+    main,
+    dir: skillDir,
+    loadable: hasLifecycleEntry(main)
+  };
+}
+
+/**
+ * モジュールが createSkill を定義しているか（require せずにソースで判定）
+ * CLIとして書かれたスキル（gmail.js など）は require するとトップレベルの main() が動くため読み込まない
+ */
+function hasLifecycleEntry(mainPath) {
+  const source = readOptional(mainPath);
+  return source !== null && /\bcreateSkill\b/.test(source);
+}
+
+/**
+ * 依存関係を解決して起動順を求める（依存先が先）
+ * skillIdsを省略した場合は全てのマニフェストを対象にする
+ */
+function resolveStartOrder(manifests, skillIds = Array.from(manifests.keys())) {
+  const order = [];
+  const state = new Map();
+
+  const visit = (skillId, trail) => {
+    if (state.get(skillId) === 'done') {
+      return;
+    }
+
+    if (state.get(skillId) === 'visiting') {
+      const cycle = [...trail.slice(trail.indexOf(skillId)), skillId];
+      throw lifecycleError('ERR_DEPENDENCY_CYCLE', `Dependency cycle: ${cycle.join(' -> ')}`);
+    }
+
+    const manifest = manifests.get(skillId);
+    if (!manifest) {
+      const dependent = trail[trail.length - 1];
+      throw lifecycleError(
+        'ERR_MISSING_DEPENDENCY',
+        dependent ? `Skill ${dependent} depends on unknown skill ${skillId}` : `Unknown skill: ${skillId}`
+      );
+    }
+
+    state.set(skillId, 'visiting');
+    for (const dependency of manifest.dependencies) {
+      visit(dependency, [...trail, skillId]);
+    }
+    state.set(skillId, 'done');
+    order.push(skillId);
+  };
+
+  for (const skillId of skillIds) {
+    visit(skillId, []);
+  }
+
+  return order;
+}
+
+/**
+ * スキルライフサイクルマネージャー
+ */
+class SkillLifecycleManager {
+  constructor(eventBus, config = {}) {
+    this.eventBus = eventBus;
+    this.config = {
+      skillsDir: config.skillsDir || DEFAULT_SKILLS_DIR,
+      // skillId → createSkill に渡す設定
+      skillConfig: config.skillConfig || {},
+      // リロード前に配信中のメッセージの完了を待つ最大時間
+      drainTimeout: config.drainTimeout || 5000
+    };
+
+    // skillId → マニフェスト
+    this.manifests = new Map();
+
+    // 起動中のスキル（起動順）: skillId → { instance, module, startedAt, reloads }
+    this.running = new Map();
+  }
+
+  /**
+   * スキルディレクトリからマニフェストを読み込む
+   */
+  discover() {
+    this.manifests.clear();
+
+    const entries = fs.readdirSync(this.config.skillsDir, { withFileTypes: true });
+    for (const entry of entries) {
+      if (!entry.isDirectory()) {
+        continue;
+      }
+
+      const manifest = readSkillManifest(path.join(this.config.skillsDir, entry.name));
+      this.manifests.set(manifest.skillId, manifest);
+    }
+
+    console.log(`✓ Discovered ${this.manifests.size} skills in ${this.config.skillsDir}`);
+    return Array.from(this.manifests.values());
+  }
+
+  getManifest(skillId) {
+    if (this.manifests.size === 0) {
+      this.discover();
+    }
+
+    const manifest = this.manifests.get(skillId);
+    if (!manifest) {
+      throw lifecycleError('ERR_SKILL_NOT_FOUND', `Unknown skill: ${skillId}`);
+    }
+    return manifest;
+  }
+
+  /**
+   * スキルのモジュールを読み込む
+   * スキルディレクトリ配下のキャッシュを破棄して、変更後のコードを読み直す
+   */
+  loadModule(manifest) {
+    if (!hasLifecycleEntry(manifest.main)) {
+      throw lifecycleError('ERR_NOT_LOADABLE', `Skill ${manifest.skillId} does not export createSkill()`);
+    }
+
+    const prefix = manifest.dir + path.sep;
+    const vendored = `${path.sep}node_modules${path.sep}`;
+
+    for (const cached of Object.keys(require.cache)) {
+      if (cached.startsWith(prefix) && !cached.includes(vendored, prefix.length - 1)) {
+        delete require.cache[cached];
+      }
+    }
+
+    const skillModule = require(manifest.main);
+
+    if (typeof skillModule.createSkill !== 'function') {
+      throw lifecycleError('ERR_NOT_LOADABLE', `Skill ${manifest.skillId} does not export createSkill()`);
+    }
+
+    return skillModule;
+  }
+
+  /**
+   * モジュールからインスタンスを作成して初期化
+   */
+  async startInstance(manifest, skillModule, reloads = 0) {
+    const instance = skillModule.createSkill(this.eventBus, this.config.skillConfig[manifest.skillId] || {});
+    await instance.initialize();
+
+    this.running.set(manifest.skillId, {
+      instance,
+      module: skillModule,
+      startedAt: new Date().toISOString(),
+      reloads
+    });
+
+    return instance;
+  }
+
+  /**
+   * スキルを起動（依存先は起動済みであること）
+   */
+  async start(skillId) {
+    if (this.running.has(skillId)) {
+      return this.running.get(skillId).instance;
+    }
+
+    const manifest = this.getManifest(skillId);
+    const notRunning = manifest.dependencies.filter(dependency => !this.running.has(dependency));
+    if (notRunning.length > 0) {
+      throw lifecycleError('ERR_DEPENDENCY_FAILED', `Skill ${skillId} requires ${notRunning.join(', ')} to be running`);
+    }
+
+    const instance = await this.startInstance(manifest, this.loadModule(manifest));
+    console.log(`✓ Skill started: ${skillId}`);
+    return instance;
+  }
+
+  /**
+   * 依存関係の順にスキルを起動
+   * 起動に失敗したスキルに依存するスキルは起動しない
+   * skillIdsを省略した場合は createSkill を持つスキルだけを起動する
+   */
+  async startAll(skillIds = null) {
+    if (this.manifests.size === 0) {
+      this.discover();
+    }
+
+    const targets = skillIds || Array.from(this.manifests.values())
+      .filter(manifest => manifest.loadable)
+      .map(manifest => manifest.skillId);
+    const order = resolveStartOrder(this.manifests, targets);
+    const started = [];
+    const failed = new Map();
+
+    for (const skillId of order) {
+      if (this.running.has(skillId)) {
+        continue;
+      }
+
+      const failedDependency = this.manifests.get(skillId).dependencies.find(dependency => failed.has(dependency));
+      if (failedDependency) {
+        failed.set(skillId, lifecycleError('ERR_DEPENDENCY_FAILED', `Dependency ${failedDependency} failed to start`));
+        continue;
+      }
+
+      try {
+        await this.start(skillId);
+        started.push(skillId);
+      } catch (error) {
+        console.error(`Failed to start skill ${skillId}:`, error.message);
+        failed.set(skillId, error);
+      }
+    }
+
+    return {
+      order,
+      started,
+      failed: Array.from(failed, ([skillId, error]) => ({ skillId, code: error.code || 'ERR_UNKNOWN', error: error.message }))
+    };
+  }
+
+  /**
+   * スキルを停止
+   */
+  async stop(skillId) {
+    const entry = this.running.get(skillId);
+
+    if (!entry) {
+      return false;
+    }
+
+    this.running.delete(skillId);
+    await entry.instance.shutdown();
+    console.log(`✓ Skill stopped: ${skillId}`);
+    return true;
+  }
+
+  /**
+   * 起動と逆順に全てのスキルを停止
+   */
+  async stopAll() {
+    for (const skillId of Array.from(this.running.keys()).reverse()) {
+      try {
+        await this.stop(skillId);
+      } catch (error) {
+        console.error(`Error stopping skill ${skillId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * スキルをホットリロード
+   * リロード中に届いたメッセージはキューに留め、新しいインスタンスの登録後に配信する
+   * 新しいモジュールの読み込みに失敗した場合は元のモジュールで起動し直す
+   * 元のモジュールでも起動できなかった場合は、リロードの失敗に復元の失敗を cause として添えて投げる
+   */
+  async reload(skillId) {
+    const entry = this.running.get(skillId);
+
+    if (!entry) {
+      throw lifecycleError('ERR_NOT_RUNNING', `Skill ${skillId} is not running`);
+    }
+
+    this.eventBus.pauseDelivery(skillId);
+
+    try {
+      await this.eventBus.waitForIdle(skillId, this.config.drainTimeout);
+
+      this.running.delete(skillId);
+      await entry.instance.shutdown();
+
+      const manifest = readSkillManifest(this.getManifest(skillId).dir);
+      this.manifests.set(skillId, manifest);
+
+      try {
+        await this.startInstance(manifest, this.loadModule(manifest), entry.reloads + 1);
+      } catch (error) {
+        console.error(`Failed to reload skill ${skillId}, restoring previous version:`, error.message);
+
+        try {
+          // 初期化の途中で失敗した場合は登録が残っている
+          if (this.eventBus.skills.has(skillId)) {
+            this.eventBus.unregister(skillId);
+          }
+          await this.startInstance(manifest, entry.module, entry.reloads);
+        } catch (rollbackError) {
+          console.error(`Failed to restore skill ${skillId}:`, rollbackError.message);
+          error.cause = rollbackError;
+        }
+        throw error;
+      }
+    } finally {
+      this.eventBus.resumeDelivery(skillId);
+    }
+
+    console.log(`✓ Skill reloaded: ${skillId}`);
+    return this.running.get(skillId).instance;
+  }
+
+  /**
+   * スキルの状態一覧
+   */
+  getStatus() {
+    return Array.from(this.manifests.values()).map(manifest => {
+      const entry = this.running.get(manifest.skillId);
+      return {
+        skillId: manifest.skillId,
+        version: manifest.version,
+        dependencies: manifest.dependencies,
+        status: entry ? 'running' : 'stopped',
+        startedAt: entry ? entry.startedAt : null,
+        reloads: entry ? entry.reloads : 0
+      };
+    });
+  }
+}
+
+module.exports = {
+  SkillLifecycleManager,
+  readSkillManifest,
+  parseFrontmatter,
+  resolveStartOrder,
+  DEFAULT_SKILLS_DIR
+};
+
+// テスト用：メイン実行（起動順を表示）
+if (require.main === module) {
+  const { SkillEventBus } = require('./skill-event-bus');
+
+  const manager = new SkillLifecycleManager(new SkillEventBus());
+  manager.discover();
+
+  console.log('\n--- Start order ---');
+  resolveStartOrder(manager.manifests).forEach((skillId, index) => {
+    const { dependencies } = manager.manifests.get(skillId);
+    console.log(`${index + 1}. ${skillId}${dependencies.length > 0 ? ` (needs ${dependencies.join(', ')})` : ''}`);
+  });
+
+  process.exit(0);
+}
@@ -0,0 +1,430 @@
+/**
+ * 購読フィルタ (Subscription Filter)
+ * イベントバスの購読フィルタの評価と、type/targetによる購読インデックス
+ *
+ * フィルタの書き方:
+ *   { type: 'event', target: 'skill-a' }                   完全一致
+ *   { payload: { eventType: { $glob: 'task_*' } } }         演算子（$eq, $ne, $in, $nin, $exists, $regex, $glob）
+ *   { topic: 'event.task_*' }                               トピックパターン（type.eventType / type.action）
+ *   { source: (source, message) => source.startsWith('calendar') }   フィールド単位の述語
+ *   (message) => message.payload.priority === 'high'        フィルタ全体を述語にする
+ */
+
+const OPERATORS = ['$eq', '$ne', '$in', '$nin', '$exists', '$regex', '$options', '$glob'];
+
+/**
+ * globパターンを正規表現に変換
+ * '*' は区切り文字 '.' を含まない任意の文字列、'**' は任意の文字列、'?' は1文字に一致する
+ */
+const globCache = new Map();
+
+function globToRegExp(pattern) {
+  if (globCache.has(pattern)) {
+    return globCache.get(pattern);
+  }
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^.]*';
+    } else if (char === '?') {
+      source += '[^.]';
+    } else {
+      source += char.replace(/[\\^$+?.()|[\]{}]/g, '\\$&');
+    }
+  }
+
+  const regExp = new RegExp(`^${source}$`);
+  globCache.set(pattern, regExp);
+  return regExp;
+}
+
+/**
+ * globパターンとの一致判定
+ */
+function matchGlob(value, patterns) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  return list.some(pattern => globToRegExp(pattern).test(value));
+}
+
+/**
+ * メッセージのトピックを取得
+ * 例: 'event.task_completed', 'request.get_events', 'response'
+ */
+function getTopic(message) {
+  const name = message.payload?.eventType || message.payload?.action;
+  return name ? `${message.type}.${name}` : message.type;
+}
+
+/**
+ * 演算子オブジェクトか判定（全てのキーが'$'で始まる）
+ */
+function isOperatorObject(value) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value) || value instanceof RegExp) {
+    return false;
+  }
+
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every(key => key.startsWith('$'));
+}
+
+/**
+ * 演算子の評価
+ */
+function matchOperators(value, operators, message) {
+  for (const [operator, operand] of Object.entries(operators)) {
+    switch (operator) {
+      case '$eq':
+        if (value !== operand) return false;
+        break;
+
+      case '$ne':
+        if (value === operand) return false;
+        break;
+
+      case '$in':
+        if (!operand.includes(value)) return false;
+        break;
+
+      case '$nin':
+        if (operand.includes(value)) return false;
+        break;
+
+      case '$exists':
+        if ((value !== undefined) !== Boolean(operand)) return false;
+        break;
+
+      case '$regex': {
+        const regExp = operand instanceof RegExp ? operand : new RegExp(operand, operators.$options || '');
+        if (typeof value !== 'string' || !regExp.test(value)) return false;
+        break;
+      }
+
+      case '$options':
+        // $regex と組み合わせて使用
+        break;
+
+      case '$glob':
+        if (!matchGlob(value, operand)) return false;
+        break;
+
+      default:
+        return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * フィルタ値の評価
+ */
+function matchValue(value, expected, message) {
+  // 述語関数
+  if (typeof expected === 'function') {
+    return Boolean(expected(value, message));
+  }
+
+  // 正規表現リテラル
+  if (expected instanceof RegExp) {
+    return typeof value === 'string' && expected.test(value);
+  }
+
+  // 演算子
+  if (isOperatorObject(expected)) {
+    return matchOperators(value, expected, message);
+  }
+
+  // 配列・オブジェクトは部分一致（再帰的に評価）
+  if (typeof expected === 'object' && expected !== null) {
+    if (typeof value !== 'object' || value === null) {
+      return false;
+    }
+
+    for (const [key, subExpected] of Object.entries(expected)) {
+      if (!matchValue(value[key], subExpected, message)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // プリミティブ値は完全一致
+  return value === expected;
+}
+
+/**
+ * フィルタマッチング
+ */
+function matchFilter(message, filter) {
+  if (!filter) {
+    return true;
+  }
+
+  // フィルタ全体が述語
+  if (typeof filter === 'function') {
+    return Boolean(filter(message));
+  }
+
+  for (const [key, expected] of Object.entries(filter)) {
+    // トピックパターン（文字列の場合はglob、それ以外は通常の値として評価）
+    if (key === 'topic') {
+      const topic = getTopic(message);
+      const matched = typeof expected === 'string' || Array.isArray(expected)
+        ? matchGlob(topic, expected)
+        : matchValue(topic, expected, message);
+
+      if (!matched) {
+        return false;
+      }
+      continue;
+    }
+
+    if (!matchValue(message[key], expected, message)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * フィルタの検証
+ * 未知の演算子や不正なオペランドは購読時にエラーにする
+ */
+function validateFilter(filter, pathPrefix = 'filter') {
+  if (filter === null || filter === undefined || typeof filter === 'function' || filter instanceof RegExp) {
+    return;
+  }
+
+  if (typeof filter !== 'object') {
+    return;
+  }
+
+  if (isOperatorObject(filter)) {
+    for (const [operator, operand] of Object.entries(filter)) {
+      if (!OPERATORS.includes(operator)) {
+        throw new Error(`Unknown filter operator ${operator} at ${pathPrefix}`);
+      }
+      if ((operator === '$in' || operator === '$nin') && !Array.isArray(operand)) {
+        throw new Error(`${operator} at ${pathPrefix} requires an array`);
+      }
+      // 不正なパターンは配信時ではなく購読時に拒否する
+      if (operator === '$regex' && !(operand instanceof RegExp)) {
+        try {
+          new RegExp(operand, filter.$options || '');
+        } catch (error) {
+          throw new Error(`Invalid $regex at ${pathPrefix}: ${error.message}`);
+        }
+      }
+    }
+    return;
+  }
+
+  for (const [key, value] of Object.entries(filter)) {
+    validateFilter(value, `${pathPrefix}.${key}`);
+  }
+}
+
+/**
+ * プロセス間で送れる形にフィルタを変換
+ * 述語関数は送れないため除外し、受信側で元のフィルタを使って再評価する
+ */
+function serializeFilter(filter) {
+  if (typeof filter === 'function') {
+    return null;
+  }
+
+  if (filter instanceof RegExp) {
+    return { $regex: filter.source, $options: filter.flags };
+  }
+
+  if (typeof filter !== 'object' || filter === null) {
+    return filter;
+  }
+
+  if (Array.isArray(filter)) {
+    return filter.map(serializeFilter);
+  }
+
+  const serialized = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (typeof value === 'function') {
+      continue;
+    }
+    if (key === '$regex' && value instanceof RegExp) {
+      serialized.$regex = value.source;
+      serialized.$options = value.flags;
+      continue;
+    }
+    serialized[key] = serializeFilter(value);
+  }
+
+  return serialized;
+}
+
+/**
+ * インデックスキーを取得
+ * リテラル値または文字列の$in/$eqならその値、それ以外はワイルドカード '*'
+ */
+function indexKeys(filter, field) {
+  if (!filter || typeof filter !== 'object') {
+    return ['*'];
+  }
+
+  const value = filter[field];
+
+  // トピックパターンの先頭セグメントはメッセージタイプ
+  if (field === 'type' && value === undefined && typeof filter.topic === 'string') {
+    const type = filter.topic.split('.')[0];
+    return /[*?]/.test(type) ? ['*'] : [type];
+  }
+
+  if (typeof value === 'string') {
+    return [value];
+  }
+
+  if (isOperatorObject(value) && Object.keys(value).length === 1) {
+    if (typeof value.$eq === 'string') {
+      return [value.$eq];
+    }
+    if (Array.isArray(value.$in) && value.$in.every(v => typeof v === 'string')) {
+      return value.$in;
+    }
+  }
+
+  return ['*'];
+}
+
+/**
+ * 購読インデックス
+ * フィルタの type / target ごとに購読を分類し、配信時の候補を絞り込む
+ */
+class SubscriptionIndex {
+  constructor() {
+    // type → target → Set<subscription>
+    this.buckets = new Map();
+
+    // subscription → { skillId, seq, keys }
+    this.entries = new Map();
+
+    this.sequence = 0;
+  }
+
+  /**
+   * 購読を追加
+   */
+  add(skillId, subscription) {
+    const keys = [];
+
+    for (const type of indexKeys(subscription.filter, 'type')) {
+      for (const target of indexKeys(subscription.filter, 'target')) {
+        if (!this.buckets.has(type)) {
+          this.buckets.set(type, new Map());
+        }
+        const byTarget = this.buckets.get(type);
+        if (!byTarget.has(target)) {
+          byTarget.set(target, new Set());
+        }
+        byTarget.get(target).add(subscription);
+        keys.push([type, target]);
+      }
+    }
+
+    this.entries.set(subscription, { skillId, seq: this.sequence++, keys });
+  }
+
+  /**
+   * 購読を削除
+   */
+  remove(subscription) {
+    const entry = this.entries.get(subscription);
+
+    if (!entry) {
+      return false;
+    }
+
+    for (const [type, target] of entry.keys) {
+      const byTarget = this.buckets.get(type);
+      const bucket = byTarget.get(target);
+      bucket.delete(subscription);
+
+      if (bucket.size === 0) {
+        byTarget.delete(target);
+      }
+      if (byTarget.size === 0) {
+        this.buckets.delete(type);
+      }
+    }
+
+    this.entries.delete(subscription);
+    return true;
+  }
+
+  /**
+   * 配信候補の購読をスキルごとに取得（購読順）
+   * フィルタの完全な評価は呼び出し側で行う
+   */
+  candidates(message) {
+    const found = new Set();
+
+    for (const type of new Set([message.type, '*'])) {
+      const byTarget = this.buckets.get(type);
+      if (!byTarget) {
+        continue;
+      }
+
+      for (const target of new Set([message.target, '*'])) {
+        const bucket = byTarget.get(target);
+        if (bucket) {
+          for (const subscription of bucket) {
+            found.add(subscription);
+          }
+        }
+      }
+    }
+
+    const bySkill = new Map();
+    const sorted = Array.from(found).sort((a, b) => this.entries.get(a).seq - this.entries.get(b).seq);
+
+    for (const subscription of sorted) {
+      const { skillId } = this.entries.get(subscription);
+      if (!bySkill.has(skillId)) {
+        bySkill.set(skillId, []);
+      }
+      bySkill.get(skillId).push(subscription);
+    }
+
+    return bySkill;
+  }
+
+  /**
+   * 全ての購読を削除
+   */
+  clear() {
+    this.buckets.clear();
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = {
+  matchFilter,
+  matchGlob,
+  getTopic,
+  validateFilter,
+  serializeFilter,
+  SubscriptionIndex
+};
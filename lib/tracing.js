@@ -0,0 +1,467 @@
+/**
+ * 分散トレーシング (Distributed Tracing)
+ * スキル間リクエストのトレース/スパンIDを伝播し、ホップごとの処理時間を記録する
+ * スパンはOpenTelemetry互換のJSON（OTLP/JSON）でローカルファイルに書き出す
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { performance } = require('perf_hooks');
+
+const BASE_DIR = __dirname;
+const DEFAULT_EXPORT_PATH = path.join(BASE_DIR, 'data', 'traces', 'traces.jsonl');
+
+const INSTRUMENTATION_SCOPE = { name: 'openclaw-skill-event-bus', version: '1.0.0' };
+
+/**
+ * スパン種別（OTLPの値）
+ */
+const SpanKind = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3,
+  PRODUCER: 4,
+  CONSUMER: 5
+};
+
+/**
+ * スパン状態（OTLPの値）
+ */
+const SpanStatusCode = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2
+};
+
+/**
+ * 処理中のスパンのコンテキスト（非同期処理をまたいで引き継ぐ）
+ */
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * 現在のトレースコンテキストを取得
+ */
+function currentTraceContext() {
+  return contextStorage.getStore() || null;
+}
+
+/**
+ * トレースコンテキスト内で関数を実行
+ */
+function runWithTraceContext(context, fn) {
+  return contextStorage.run(context, fn);
+}
+
+/**
+ * W3C traceparent形式に変換
+ */
+function formatTraceparent(context) {
+  return `00-${context.traceId}-${context.spanId}-01`;
+}
+
+/**
+ * W3C traceparent形式を解析
+ */
+function parseTraceparent(traceparent) {
+  if (typeof traceparent !== 'string') {
+    return null;
+  }
+
+  const match = /^00-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/.exec(traceparent);
+  return match ? { traceId: match[1], spanId: match[2] } : null;
+}
+
+/**
+ * 現在時刻（UNIXエポックからのナノ秒）
+ */
+function nowUnixNano() {
+  return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1e6));
+}
+
+/**
+ * 属性をOTLPのKeyValue形式に変換
+ */
+function toOtlpAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => {
+      if (typeof value === 'boolean') {
+        return { key, value: { boolValue: value } };
+      }
+      if (Number.isInteger(value)) {
+        return { key, value: { intValue: String(value) } };
+      }
+      if (typeof value === 'number') {
+        return { key, value: { doubleValue: value } };
+      }
+      return { key, value: { stringValue: String(value) } };
+    });
+}
+
+/**
+ * OTLPのKeyValue形式を属性オブジェクトに変換
+ */
+function fromOtlpAttributes(attributes = []) {
+  const result = {};
+
+  for (const { key, value } of attributes) {
+    if ('stringValue' in value) {
+      result[key] = value.stringValue;
+    } else if ('intValue' in value) {
+      result[key] = Number(value.intValue);
+    } else if ('doubleValue' in value) {
+      result[key] = value.doubleValue;
+    } else if ('boolValue' in value) {
+      result[key] = value.boolValue;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * スパン
+ */
+class Span {
+  constructor(tracer, name, options = {}) {
+    const parent = options.parent || null;
+
+    this.tracer = tracer;
+    this.name = name;
+    this.kind = options.kind || SpanKind.INTERNAL;
+    this.serviceName = options.serviceName || tracer.config.serviceName;
+    this.traceId = parent ? parent.traceId : crypto.randomBytes(16).toString('hex');
+    this.spanId = crypto.randomBytes(8).toString('hex');
+    this.parentSpanId = parent ? parent.spanId : null;
+    this.startTimeUnixNano = nowUnixNano();
+    this.endTimeUnixNano = null;
+    this.attributes = { ...options.attributes };
+    this.status = { code: SpanStatusCode.UNSET };
+  }
+
+  /**
+   * 子スパン・メッセージに渡すコンテキスト
+   */
+  context() {
+    return { traceId: this.traceId, spanId: this.spanId };
+  }
+
+  setAttribute(key, value) {
+    this.attributes[key] = value;
+    return this;
+  }
+
+  /**
+   * スパンを終了（errorを渡した場合はエラー状態にする）
+   */
+  end(error = null) {
+    if (this.endTimeUnixNano !== null) {
+      return;
+    }
+
+    this.endTimeUnixNano = nowUnixNano();
+
+    if (error) {
+      this.status = { code: SpanStatusCode.ERROR, message: error.message || String(error) };
+      if (error.code) {
+        this.attributes['error.type'] = error.code;
+      }
+    } else {
+      this.status = { code: SpanStatusCode.OK };
+    }
+
+    this.tracer.record(this);
+  }
+
+  /**
+   * OTLP/JSONのスパン形式に変換
+   */
+  toOtlp() {
+    const span = {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      name: this.name,
+      kind: this.kind,
+      startTimeUnixNano: String(this.startTimeUnixNano),
+      endTimeUnixNano: String(this.endTimeUnixNano),
+      attributes: toOtlpAttributes(this.attributes),
+      status: this.status
+    };
+
+    if (this.parentSpanId) {
+      span.parentSpanId = this.parentSpanId;
+    }
+
+    return span;
+  }
+}
+
+/**
+ * OTLP/JSONファイルエクスポーター
+ * OpenTelemetry Collectorのfileエクスポーターと同じく、1行に1つのエクスポートリクエストを追記する
+ */
+class OtlpFileExporter {
+  constructor(config = {}) {
+    this.exportPath = config.exportPath || DEFAULT_EXPORT_PATH;
+    fs.mkdirSync(path.dirname(this.exportPath), { recursive: true });
+  }
+
+  export(spans) {
+    if (spans.length === 0) {
+      return;
+    }
+
+    // service.name ごとにリソースをまとめる
+    const byService = new Map();
+    for (const span of spans) {
+      if (!byService.has(span.serviceName)) {
+        byService.set(span.serviceName, []);
+      }
+      byService.get(span.serviceName).push(span.toOtlp());
+    }
+
+    const request = {
+      resourceSpans: Array.from(byService, ([serviceName, otlpSpans]) => ({
+        resource: {
+          attributes: toOtlpAttributes({ 'service.name': serviceName })
+        },
+        scopeSpans: [{
+          scope: INSTRUMENTATION_SCOPE,
+          spans: otlpSpans
+        }]
+      }))
+    };
+
+    fs.appendFileSync(this.exportPath, JSON.stringify(request) + '\n');
+  }
+}
+
+/**
+ * トレーサー
+ * 終了したスパンをバッファし、一定数または一定間隔でエクスポートする
+ */
+class Tracer {
+  constructor(config = {}) {
+    this.config = {
+      serviceName: config.serviceName || 'skill-event-bus',
+      batchSize: config.batchSize || 100,
+      flushInterval: config.flushInterval || 5000
+    };
+
+    this.exporter = config.exporter || new OtlpFileExporter({ exportPath: config.exportPath });
+    this.buffer = [];
+
+    this.flushTimer = setInterval(() => this.flush(), this.config.flushInterval);
+    this.flushTimer.unref();
+  }
+
+  /**
+   * スパンを開始
+   * parentを省略した場合は現在のトレースコンテキストを親にする
+   */
+  startSpan(name, options = {}) {
+    const parent = options.parent !== undefined ? options.parent : currentTraceContext();
+    return new Span(this, name, { ...options, parent });
+  }
+
+  /**
+   * 終了したスパンを記録
+   */
+  record(span) {
+    this.buffer.push(span);
+
+    if (this.buffer.length >= this.config.batchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * バッファ中のスパンをエクスポート
+   */
+  flush() {
+    const spans = this.buffer.splice(0);
+
+    try {
+      this.exporter.export(spans);
+    } catch (error) {
+      console.error(`Failed to export spans: ${error.message}`);
+    }
+
+    return spans.length;
+  }
+
+  /**
+   * トレーサーを停止
+   */
+  shutdown() {
+    clearInterval(this.flushTimer);
+    this.flush();
+  }
+}
+
+/**
+ * エクスポートされたスパンを読み込む
+ * 返り値はミリ秒単位の時刻を持つフラットなスパン一覧
+ */
+function loadSpans(exportPath = DEFAULT_EXPORT_PATH) {
+  let content;
+
+  try {
+    content = fs.readFileSync(exportPath, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Error loading traces:', err.message);
+    }
+    return [];
+  }
+
+  const spans = [];
+
+  for (const line of content.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch (err) {
+      console.warn(`Skipping corrupt trace line: ${line.slice(0, 80)}`);
+      continue;
+    }
+
+    for (const resourceSpan of request.resourceSpans || []) {
+      const resource = fromOtlpAttributes(resourceSpan.resource?.attributes);
+
+      for (const scopeSpan of resourceSpan.scopeSpans || []) {
+        for (const span of scopeSpan.spans || []) {
+          const start = Number(BigInt(span.startTimeUnixNano) / 1000n) / 1000;
+          const end = Number(BigInt(span.endTimeUnixNano) / 1000n) / 1000;
+
+          spans.push({
+            traceId: span.traceId,
+            spanId: span.spanId,
+            parentSpanId: span.parentSpanId || null,
+            name: span.name,
+            kind: span.kind,
+            serviceName: resource['service.name'] || 'unknown',
+            start,
+            end,
+            durationMs: end - start,
+            attributes: fromOtlpAttributes(span.attributes),
+            status: span.status || { code: SpanStatusCode.UNSET }
+          });
+        }
+      }
+    }
+  }
+
+  return spans;
+}
+
+/**
+ * ウォーターフォールを作成
+ * idにはトレースID・メッセージID・相関IDのいずれかを指定できる
+ */
+function buildWaterfall(spans, id) {
+  const match = spans.find(span =>
+    span.traceId === id ||
+    span.attributes['messaging.message.id'] === id ||
+    span.attributes['messaging.message.conversation_id'] === id
+  );
+
+  if (!match) {
+    return null;
+  }
+
+  const traceSpans = spans
+    .filter(span => span.traceId === match.traceId)
+    .sort((a, b) => a.start - b.start);
+
+  const byId = new Map(traceSpans.map(span => [span.spanId, span]));
+  const traceStart = traceSpans[0].start;
+  const traceEnd = Math.max(...traceSpans.map(span => span.end));
+
+  // 親をたどって階層の深さを求める（親が未エクスポートの場合はルート扱い）
+  const depthOf = (span) => {
+    let depth = 0;
+    let parent = byId.get(span.parentSpanId);
+    while (parent && depth < traceSpans.length) {
+      depth++;
+      parent = byId.get(parent.parentSpanId);
+    }
+    return depth;
+  };
+
+  return {
+    traceId: match.traceId,
+    startTime: new Date(traceStart).toISOString(),
+    durationMs: traceEnd - traceStart,
+    spans: traceSpans.map(span => ({
+      ...span,
+      depth: depthOf(span),
+      offsetMs: span.start - traceStart
+    }))
+  };
+}
+
+/**
+ * 最近のトレース一覧を取得
+ */
+function listTraces(spans, limit = 50) {
+  const traces = new Map();
+
+  for (const span of spans) {
+    const trace = traces.get(span.traceId) || {
+      traceId: span.traceId,
+      rootName: null,
+      start: span.start,
+      end: span.end,
+      spanCount: 0,
+      services: new Set(),
+      error: false
+    };
+
+    trace.start = Math.min(trace.start, span.start);
+    trace.end = Math.max(trace.end, span.end);
+    trace.spanCount++;
+    trace.services.add(span.serviceName);
+    trace.error = trace.error || span.status.code === SpanStatusCode.ERROR;
+    if (!span.parentSpanId || trace.start === span.start) {
+      trace.rootName = span.name;
+    }
+
+    traces.set(span.traceId, trace);
+  }
+
+  return Array.from(traces.values())
+    .sort((a, b) => b.start - a.start)
+    .slice(0, limit)
+    .map(trace => ({
+      traceId: trace.traceId,
+      rootName: trace.rootName,
+      startTime: new Date(trace.start).toISOString(),
+      durationMs: trace.end - trace.start,
+      spanCount: trace.spanCount,
+      services: Array.from(trace.services),
+      error: trace.error
+    }));
+}
+
+module.exports = {
+  Tracer,
+  Span,
+  SpanKind,
+  SpanStatusCode,
+  OtlpFileExporter,
+  currentTraceContext,
+  runWithTraceContext,
+  formatTraceparent,
+  parseTraceparent,
+  loadSpans,
+  buildWaterfall,
+  listTraces,
+  DEFAULT_EXPORT_PATH
+};
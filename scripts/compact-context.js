@@ -0,0 +1,76 @@
+/**
+ * Context Compaction
+ * Applies the per-type retention policies to the shared context store and reports what was removed
+ *
+ * The agent runs this every hour on its own; use this script from cron when the agent
+ * is not running. Pass --dry-run to see the report without writing anything.
+ *
+ * Usage:
+ *   node scripts/compact-context.js [--dry-run] [--json]
+ */
+
+const { ContextStore, loadContextEncryptionKey } = require('../lib/context-sharing');
+
+/**
+ * Human-readable summary of a compaction report
+ */
+function printReport(report) {
+    console.log(`Removed ${report.total} context items`);
+
+    for (const [reason, count] of Object.entries(report.removed)) {
+        if (count > 0) {
+            console.log(`  ${reason}: ${count}`);
+        }
+    }
+    for (const [type, counts] of Object.entries(report.byType)) {
+        console.log(`  [${type}] ${counts.removed} removed`);
+    }
+
+    const { created, updated } = report.aggregates;
+    if (created + updated > 0) {
+        console.log(`Daily aggregates: ${created} created, ${updated} updated`);
+    }
+}
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const json = process.argv.includes('--json');
+
+    const store = new ContextStore({ autoCleanup: false, encryptionKey: loadContextEncryptionKey });
+    await store.ready;
+
+    try {
+        let report;
+
+        if (dryRun) {
+            // Run the compaction inside a transaction that is always rolled back
+            const rollback = new Error('dry run');
+            await store.transaction(async () => {
+                report = await store.compact();
+                throw rollback;
+            }).catch(err => {
+                if (err !== rollback) throw err;
+            });
+        } else {
+            report = await store.compact();
+        }
+
+        if (json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            printReport(report);
+            if (dryRun) {
+                console.log('(dry run, nothing was changed)');
+            }
+        }
+    } finally {
+        await store.close();
+    }
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error('❌ Compaction failed:', err.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,119 @@
+/**
+ * Context HTTP API
+ * Serves the shared context store over a local HTTP/JSON API for scripts and external tools
+ *
+ * API tokens are kept in the secrets vault under `context-api`. Each token acts as a skill id,
+ * so reads and writes follow the same access levels and ACLs as bus requests from that skill.
+ * CONTEXT_API_TOKEN (with CONTEXT_API_SKILL_ID, default `context-api`) adds a token without the vault.
+ *
+ * Run the API in its own process only while the agent is stopped; both would write the same store.
+ *
+ * Usage:
+ *   node scripts/context-api.js serve [port]             # default port 3100 (CONTEXT_API_PORT)
+ *   node scripts/context-api.js token <skillId> [--admin]  # issue a token, --admin may access all users
+ *   node scripts/context-api.js revoke <skillId>
+ */
+
+const crypto = require('crypto');
+const { SkillEventBus } = require('../lib/skill-event-bus');
+const { ContextSharingManager } = require('../lib/context-sharing');
+const { ContextApiServer, DEFAULT_PORT } = require('../lib/context-api');
+const { unlockVault } = require('../lib/secrets-vault');
+
+const SECRET_NAME = 'context-api';
+
+/**
+ * Tokens and admin skills stored in the vault
+ */
+async function loadConfig({ required = false } = {}) {
+    const vault = await unlockVault();
+    if (!vault) {
+        if (required) {
+            throw new Error('No vault found. Run: node scripts/vault.js init');
+        }
+        return { vault: null, config: { tokens: {}, adminSkills: [] } };
+    }
+
+    const config = vault.hasSecret(SECRET_NAME) ? vault.getSecret(SECRET_NAME) : {};
+    return { vault, config: { tokens: config.tokens || {}, adminSkills: config.adminSkills || [] } };
+}
+
+async function serve(port) {
+    const { config } = await loadConfig();
+    const tokens = { ...config.tokens };
+    if (process.env.CONTEXT_API_TOKEN) {
+        tokens[process.env.CONTEXT_API_TOKEN] = process.env.CONTEXT_API_SKILL_ID || 'context-api';
+    }
+
+    if (Object.keys(tokens).length === 0) {
+        throw new Error('No API tokens. Run: node scripts/context-api.js token <skillId>');
+    }
+
+    const eventBus = new SkillEventBus();
+    const manager = new ContextSharingManager(eventBus, { adminSkills: config.adminSkills });
+    await manager.store.ready;
+
+    const server = new ContextApiServer(manager, { port, tokens });
+    await server.start();
+
+    const shutdown = async () => {
+        await server.stop();
+        manager.stopCompaction();
+        await manager.store.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+async function main() {
+    const args = process.argv.slice(2).filter(arg => arg !== '--admin');
+    const admin = process.argv.includes('--admin');
+    const command = args.shift();
+
+    switch (command) {
+        case 'serve':
+            await serve(Number(args[0] || process.env.CONTEXT_API_PORT || DEFAULT_PORT));
+            break;
+
+        case 'token': {
+            if (!args[0]) {
+                throw new Error('Usage: node scripts/context-api.js token <skillId> [--admin]');
+            }
+            const { vault, config } = await loadConfig({ required: true });
+            const token = crypto.randomBytes(32).toString('base64url');
+            config.tokens[token] = args[0];
+            if (admin && !config.adminSkills.includes(args[0])) {
+                config.adminSkills.push(args[0]);
+            }
+            await vault.setSecret(SECRET_NAME, config);
+            console.log(`✅ Token for ${args[0]}${admin ? ' (admin)' : ''}:`);
+            console.log(token);
+            break;
+        }
+
+        case 'revoke': {
+            if (!args[0]) {
+                throw new Error('Usage: node scripts/context-api.js revoke <skillId>');
+            }
+            const { vault, config } = await loadConfig({ required: true });
+            const before = Object.keys(config.tokens).length;
+            config.tokens = Object.fromEntries(Object.entries(config.tokens).filter(([, skillId]) => skillId !== args[0]));
+            config.adminSkills = config.adminSkills.filter(skillId => skillId !== args[0]);
+            await vault.setSecret(SECRET_NAME, config);
+            console.log(`✅ Revoked ${before - Object.keys(config.tokens).length} token(s) for ${args[0]}`);
+            break;
+        }
+
+        default:
+            console.log('Usage: node scripts/context-api.js [serve|token|revoke]');
+            process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error('❌ Context API failed:', err.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,135 @@
+/**
+ * Action Catalog Generator
+ * Builds docs/ACTION_CATALOG.md from the action schemas each skill declares
+ *
+ * Usage:
+ *   node scripts/generate-action-catalog.js              # from skill modules
+ *   node scripts/generate-action-catalog.js --address <broker-address>
+ *                                                        # from a running broker
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const OUTPUT_PATH = path.join(ROOT_DIR, 'docs', 'ACTION_CATALOG.md');
+
+// Skills that declare ACTION_SCHEMAS
+const SKILL_MODULES = {
+    'feedback-loop': 'skills/feedback-loop',
+    'error-handler': 'skills/error-handler',
+    'google-calendar': 'skills/google-calendar'
+};
+
+/**
+ * Catalog in the same shape as SkillEventBus#getActionCatalog()
+ */
+function loadCatalogFromModules() {
+    const catalog = {};
+
+    for (const [skillId, modulePath] of Object.entries(SKILL_MODULES)) {
+        const { ACTION_SCHEMAS } = require(path.join(ROOT_DIR, modulePath));
+        catalog[skillId] = {
+            version: '1.0.0',
+            capabilities: [],
+            actions: ACTION_SCHEMAS || {}
+        };
+    }
+
+    return catalog;
+}
+
+async function loadCatalogFromBroker(address) {
+    const { RemoteEventBus } = require(path.join(ROOT_DIR, 'lib', 'bus-broker'));
+
+    const bus = new RemoteEventBus({ address, reconnect: false });
+    await bus.connect();
+
+    try {
+        return await bus.getActionCatalog();
+    } finally {
+        await bus.shutdown();
+    }
+}
+
+function renderSchema(schema) {
+    if (!schema) {
+        return '_No schema declared_\n';
+    }
+
+    return '```json\n' + JSON.stringify(schema, null, 2) + '\n```\n';
+}
+
+/**
+ * Render the catalog as markdown
+ */
+function renderActionCatalog(catalog) {
+    const lines = [
+        '# Action Catalog',
+        '',
+        '> Generated by `node scripts/generate-action-catalog.js`. Do not edit by hand.',
+        '',
+        'Requests whose `params` do not match the request schema are rejected by the event bus',
+        'with an `ERR_VALIDATION` response and never reach the skill.',
+        ''
+    ];
+
+    const skillIds = Object.keys(catalog).sort();
+
+    for (const skillId of skillIds) {
+        const entry = catalog[skillId];
+        const actions = Object.keys(entry.actions || {});
+
+        if (actions.length === 0) {
+            continue;
+        }
+
+        lines.push(`## ${skillId}`, '');
+
+        if (entry.capabilities && entry.capabilities.length > 0) {
+            lines.push(`Capabilities: ${entry.capabilities.map(c => `\`${c}\``).join(', ')}`, '');
+        }
+
+        lines.push('| Action | Description |', '|--------|-------------|');
+        for (const action of actions) {
+            lines.push(`| \`${action}\` | ${entry.actions[action].description || ''} |`);
+        }
+        lines.push('');
+
+        for (const action of actions) {
+            const contract = entry.actions[action];
+            lines.push(`### ${skillId}.${action}`, '');
+            if (contract.description) {
+                lines.push(contract.description, '');
+            }
+            lines.push('**Request params**', '', renderSchema(contract.request));
+            lines.push('**Response payload**', '', renderSchema(contract.response));
+        }
+    }
+
+    return lines.join('\n');
+}
+
+async function main() {
+    const addressIndex = process.argv.indexOf('--address');
+    const catalog = addressIndex !== -1
+        ? await loadCatalogFromBroker(process.argv[addressIndex + 1])
+        : loadCatalogFromModules();
+
+    await fs.writeFile(OUTPUT_PATH, renderActionCatalog(catalog));
+
+    const actionCount = Object.values(catalog)
+        .reduce((sum, entry) => sum + Object.keys(entry.actions || {}).length, 0);
+    console.log(`✅ Wrote ${actionCount} actions to ${path.relative(ROOT_DIR, OUTPUT_PATH)}`);
+}
+
+module.exports = {
+    renderActionCatalog
+};
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error('❌ Catalog generation failed:', err.message);
+        process.exit(1);
+    });
+}
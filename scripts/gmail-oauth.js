@@ -3,6 +3,7 @@ const http = require('http');
 const url = require('url');
 const fs = require('fs');
 const path = require('path');
+const { unlockVault, loadSecret } = require('../lib/secrets-vault');
 
 const CREDENTIALS_PATH = path.join(process.env.USERPROFILE, '.clawdbot', 'credentials', 'google.json');
 const TOKEN_PATH = path.join(process.env.USERPROFILE, '.clawdbot', 'credentials', 'token.json');
@@ -10,7 +11,11 @@ const TOKEN_PATH = path.join(process.env.USERPROFILE, '.clawdbot', 'credentials'
 const SCOPES = ['https://www.googleapis.com/auth/gmail.readonly'];
 
 async function main() {
-    const credentials = JSON.parse(fs.readFileSync(CREDENTIALS_PATH, 'utf8'));
+    const credentials = await loadSecret('google', CREDENTIALS_PATH);
+    if (!credentials) {
+        console.error('Google credentials not found in the vault or at', CREDENTIALS_PATH);
+        process.exit(1);
+    }
 
     const oauth2Client = new google.auth.OAuth2(
         credentials.client_id,
@@ -39,16 +44,27 @@ async function main() {
             try {
                 const { tokens } = await oauth2Client.getToken(queryParams.code);
 
-                // Update credentials file with refresh token
                 credentials.refresh_token = tokens.refresh_token;
-                fs.writeFileSync(CREDENTIALS_PATH, JSON.stringify(credentials, null, 2));
+                const vault = await unlockVault();
 
-                // Also save full token
-                fs.writeFileSync(TOKEN_PATH, JSON.stringify(tokens, null, 2));
+                if (vault) {
+                    await vault.setSecret('google', credentials);
+                    await vault.setSecret('google-token', tokens);
 
-                console.log('\n✅ Authorization successful!');
-                console.log('Refresh token saved to:', CREDENTIALS_PATH);
-                console.log('Full token saved to:', TOKEN_PATH);
+                    console.log('\n✅ Authorization successful!');
+                    console.log('Credentials and token saved to vault:', vault.path);
+                } else {
+                    // Update credentials file with refresh token
+                    fs.writeFileSync(CREDENTIALS_PATH, JSON.stringify(credentials, null, 2));
+
+                    // Also save full token
+                    fs.writeFileSync(TOKEN_PATH, JSON.stringify(tokens, null, 2));
+
+                    console.log('\n✅ Authorization successful!');
+                    console.log('Refresh token saved to:', CREDENTIALS_PATH);
+                    console.log('Full token saved to:', TOKEN_PATH);
+                    console.log('Move them into the vault with: node scripts/vault.js import --remove');
+                }
 
                 server.close();
                 process.exit(0);
@@ -0,0 +1,109 @@
+/**
+ * Context Snapshot CLI
+ * Snapshots the agent's memory (shared context, patterns, feedback, long-term memory, SOUL.md)
+ * and restores it to an earlier point in time
+ *
+ * Stop the agent before restoring from the CLI, or use the restore_snapshot bus action
+ * so running skills reload what was restored.
+ *
+ * Usage:
+ *   node scripts/snapshot.js create [label]
+ *   node scripts/snapshot.js list
+ *   node scripts/snapshot.js diff <from> [to]          # `to` defaults to the current state
+ *   node scripts/snapshot.js restore <id> [component...] [--no-backup]
+ */
+
+const { ContextStore, loadContextEncryptionKey } = require('../lib/context-sharing');
+const { ContextSnapshots } = require('../lib/context-snapshots');
+
+/**
+ * One line per changed file or context item group
+ */
+function printDiff(diff) {
+    console.log(`Diff ${diff.from} → ${diff.to}`);
+
+    for (const [name, component] of Object.entries(diff.components)) {
+        if (component.files) {
+            for (const [file, change] of Object.entries(component.files)) {
+                if (change.status === 'unchanged') continue;
+
+                let detail = '';
+                if (change.keys) {
+                    detail = Object.entries(change.keys)
+                        .map(([key, c]) => (c.changed === true ? key : `${key} +${c.added} -${c.removed} ~${c.changed}`))
+                        .join(', ');
+                } else if (change.lines) {
+                    detail = `+${change.lines.added.length} -${change.lines.removed.length} lines`;
+                }
+                console.log(`  ${name}: ${file} ${change.status}${detail ? ` (${detail})` : ''}`);
+            }
+        } else {
+            const { added, removed, changed } = component;
+            if (added.length + removed.length + changed.length > 0) {
+                console.log(`  ${name}: +${added.length} -${removed.length} ~${changed.length} items`);
+            }
+        }
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2).filter(arg => arg !== '--no-backup');
+    const backup = !process.argv.includes('--no-backup');
+    const command = args.shift();
+
+    const store = new ContextStore({ autoCleanup: false, encryptionKey: loadContextEncryptionKey });
+    await store.ready;
+    const snapshots = new ContextSnapshots({ store });
+
+    try {
+        switch (command) {
+            case 'create': {
+                const entry = await snapshots.create({ label: args.join(' ') || null });
+                console.log(`✅ ${entry.id} (${entry.components.context.items} context items)`);
+                break;
+            }
+
+            case 'list':
+                for (const entry of snapshots.list()) {
+                    const components = Object.keys(entry.components).join(', ');
+                    console.log(`${entry.id}\t${entry.createdAt}\t${entry.reason}\t${entry.label || ''}\t[${components}]`);
+                }
+                break;
+
+            case 'diff':
+                if (!args[0]) {
+                    throw new Error('Usage: node scripts/snapshot.js diff <from> [to]');
+                }
+                printDiff(await snapshots.diff(args[0], args[1]));
+                break;
+
+            case 'restore': {
+                if (!args[0]) {
+                    throw new Error('Usage: node scripts/snapshot.js restore <id> [component...]');
+                }
+                const result = await snapshots.restore(args[0], {
+                    components: args.length > 1 ? args.slice(1) : undefined,
+                    backup
+                });
+                console.log(`✅ Restored ${result.components.join(', ')} from ${result.snapshotId}`);
+                if (result.backupId) {
+                    console.log(`Previous state saved as ${result.backupId}`);
+                }
+                break;
+            }
+
+            default:
+                console.log('Usage: node scripts/snapshot.js [create|list|diff|restore]');
+                process.exitCode = 1;
+        }
+    } finally {
+        await store.close();
+    }
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error('❌ Snapshot command failed:', err.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,136 @@
+/**
+ * User Data Admin
+ * Lists, exports and deletes one user's data across the shared context store,
+ * the self-learning-agent store and personalized-ai-agent profiles
+ *
+ * Usage:
+ *   node scripts/user-data.js list
+ *   node scripts/user-data.js export <userId> [file]   # prints JSON when no file is given
+ *   node scripts/user-data.js delete <userId>
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { ContextStore, ALL_USERS, loadContextEncryptionKey } = require('../lib/context-sharing');
+const LearningStore = require('../skills/self-learning-agent/store');
+const { UserProfile } = require('../skills/personalized-ai-agent');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const LEARNING_DIR = path.join(ROOT_DIR, 'skills', 'self-learning-agent');
+
+/**
+ * Users found in any of the stores, with per-store counts
+ */
+async function listUsers(store) {
+    const users = new Map();
+    const entry = (userId) => {
+        if (!users.has(userId)) {
+            users.set(userId, { userId, contextItems: 0, learningData: false, profile: false });
+        }
+        return users.get(userId);
+    };
+
+    for (const { userId, count } of await store.listUsers()) {
+        entry(userId).contextItems = count;
+    }
+    for (const userId of await new LearningStore(LEARNING_DIR).listUsers()) {
+        entry(userId).learningData = true;
+    }
+    for (const userId of await UserProfile.listUsers()) {
+        entry(userId).profile = true;
+    }
+
+    return [...users.values()].sort((a, b) => a.userId.localeCompare(b.userId));
+}
+
+/**
+ * Everything stored for one user
+ */
+async function exportUser(store, userId) {
+    let profile = null;
+    try {
+        profile = JSON.parse(await fs.readFile(UserProfile.pathFor(userId), 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+
+    const context = await store.exportUser(userId);
+
+    return {
+        userId,
+        exportedAt: new Date().toISOString(),
+        context: context.items,
+        contextUndecryptable: context.undecryptable,
+        learning: await new LearningStore(LEARNING_DIR, { userId }).exportUser(),
+        profile
+    };
+}
+
+/**
+ * Delete one user's data from every store
+ */
+async function deleteUser(store, userId) {
+    return {
+        contextItems: await store.deleteUser(userId),
+        learningFiles: await new LearningStore(LEARNING_DIR, { userId }).deleteUser(),
+        profile: await UserProfile.remove(userId)
+    };
+}
+
+async function main() {
+    const [command, userId, file] = process.argv.slice(2);
+
+    if (command !== 'list' && (!userId || userId === ALL_USERS)) {
+        console.log('Usage: node scripts/user-data.js list | export <userId> [file] | delete <userId>');
+        process.exit(1);
+    }
+
+    const store = new ContextStore({ autoCleanup: false, encryptionKey: loadContextEncryptionKey });
+    await store.ready;
+
+    try {
+        switch (command) {
+            case 'list':
+                for (const user of await listUsers(store)) {
+                    console.log(`${user.userId}\tcontext: ${user.contextItems}\tlearning: ${user.learningData ? 'yes' : 'no'}\tprofile: ${user.profile ? 'yes' : 'no'}`);
+                }
+                break;
+
+            case 'export': {
+                const data = JSON.stringify(await exportUser(store, userId), null, 2);
+                if (file) {
+                    await fs.writeFile(file, data);
+                    console.log(`✅ Exported ${userId} to ${file}`);
+                } else {
+                    console.log(data);
+                }
+                break;
+            }
+
+            case 'delete': {
+                const result = await deleteUser(store, userId);
+                console.log(`✅ Deleted ${userId}: ${result.contextItems} context items, ${result.learningFiles} learning files, profile ${result.profile ? 'removed' : 'not found'}`);
+                break;
+            }
+
+            default:
+                console.log('Available commands: list, export, delete');
+                process.exitCode = 1;
+        }
+    } finally {
+        await store.close();
+    }
+}
+
+module.exports = {
+    listUsers,
+    exportUser,
+    deleteUser
+};
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error('❌ User data command failed:', err.message);
+        process.exit(1);
+    });
+}
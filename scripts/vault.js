@@ -0,0 +1,129 @@
+/**
+ * Secrets Vault CLI
+ * Creates the encrypted vault, imports plaintext credential files and rotates the passphrase
+ *
+ * The passphrase is read from CLAWDBOT_VAULT_PASSPHRASE or prompted for;
+ * `rotate` reads the new one from CLAWDBOT_VAULT_NEW_PASSPHRASE or prompts for it.
+ *
+ * Usage:
+ *   node scripts/vault.js init
+ *   node scripts/vault.js list
+ *   node scripts/vault.js import [--remove]                 # every known plaintext file in ~/.clawdbot
+ *   node scripts/vault.js import <name> <file> [--remove]
+ *   node scripts/vault.js rotate
+ *   node scripts/vault.js remove <name>
+ */
+
+const fs = require('fs');
+const {
+    SecretsVault,
+    unlockVault,
+    promptPassphrase,
+    LEGACY_SECRET_FILES
+} = require('../lib/secrets-vault');
+
+/**
+ * Ask twice for a new passphrase unless it is given in the environment
+ */
+async function newPassphrase(envName) {
+    if (process.env[envName]) {
+        return process.env[envName];
+    }
+
+    const passphrase = await promptPassphrase('New vault passphrase: ');
+    const confirmation = await promptPassphrase('Repeat passphrase: ');
+    if (passphrase !== confirmation) {
+        throw new Error('Passphrases do not match');
+    }
+    return passphrase;
+}
+
+async function openVault() {
+    const vault = await unlockVault();
+    if (!vault) {
+        throw new Error('No vault found. Run: node scripts/vault.js init');
+    }
+    return vault;
+}
+
+/**
+ * Import the given file, or every known plaintext file that exists
+ */
+async function importSecrets(vault, args, remove) {
+    const [name, file] = args;
+    const sources = name
+        ? { [name]: file }
+        : Object.fromEntries(Object.entries(LEGACY_SECRET_FILES).filter(([, filePath]) => fs.existsSync(filePath)));
+
+    if (name && !file) {
+        throw new Error('Usage: node scripts/vault.js import <name> <file> [--remove]');
+    }
+
+    if (Object.keys(sources).length === 0) {
+        console.log('No plaintext credential files found.');
+        return;
+    }
+
+    for (const [secretName, filePath] of Object.entries(sources)) {
+        await vault.importFile(secretName, filePath, { remove });
+        console.log(`✅ Imported ${secretName} from ${filePath}${remove ? ' (file removed)' : ''}`);
+    }
+
+    if (!remove) {
+        console.log('The plaintext files were kept. Re-run with --remove to delete them.');
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2).filter(arg => arg !== '--remove');
+    const remove = process.argv.includes('--remove');
+    const command = args.shift();
+
+    switch (command) {
+        case 'init': {
+            const vault = new SecretsVault();
+            await vault.create(await newPassphrase('CLAWDBOT_VAULT_PASSPHRASE'));
+            console.log(`✅ Vault created: ${vault.path}`);
+            console.log('Import existing credentials with: node scripts/vault.js import --remove');
+            break;
+        }
+
+        case 'list': {
+            const vault = await openVault();
+            const names = vault.listSecrets();
+            console.log(names.length > 0 ? names.join('\n') : '(empty)');
+            break;
+        }
+
+        case 'import':
+            await importSecrets(await openVault(), args, remove);
+            break;
+
+        case 'rotate': {
+            const vault = await openVault();
+            await vault.rotate(await newPassphrase('CLAWDBOT_VAULT_NEW_PASSPHRASE'));
+            console.log('✅ Vault re-encrypted with the new passphrase');
+            break;
+        }
+
+        case 'remove': {
+            if (!args[0]) {
+                throw new Error('Usage: node scripts/vault.js remove <name>');
+            }
+            const removed = await (await openVault()).deleteSecret(args[0]);
+            console.log(removed ? `✅ Removed ${args[0]}` : `Secret not found: ${args[0]}`);
+            break;
+        }
+
+        default:
+            console.log('Usage: node scripts/vault.js [init|list|import|rotate|remove]');
+            process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error('❌ Vault command failed:', err.message);
+        process.exit(1);
+    });
+}
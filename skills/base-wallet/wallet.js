@@ -1,30 +1,38 @@
 const { ethers } = require('ethers');
-const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
+const { unlockVault, loadSecret } = require('../../lib/secrets-vault');
 
 // Base Mainnet RPC
 const RPC_URL = "https://mainnet.base.org";
+// Legacy plaintext wallet file (import it with: node scripts/vault.js import)
 const WALLET_FILE = path.join(os.homedir(), '.clawdbot', 'base_wallet.json');
+const WALLET_SECRET = 'base-wallet';
 
 async function getProvider() {
     return new ethers.JsonRpcProvider(RPC_URL);
 }
 
 async function loadWallet() {
-    if (!fs.existsSync(WALLET_FILE)) {
+    const data = await loadSecret(WALLET_SECRET, WALLET_FILE);
+    if (!data) {
         return null;
     }
-    const data = await fs.readJson(WALLET_FILE);
     const provider = await getProvider();
     return new ethers.Wallet(data.privateKey, provider);
 }
 
 async function createWallet() {
-    if (fs.existsSync(WALLET_FILE)) {
+    const existing = await loadWallet();
+    if (existing) {
         console.log("Wallet already exists!");
-        const wallet = await loadWallet();
-        console.log(`Address: ${wallet.address}`);
+        console.log(`Address: ${existing.address}`);
+        return;
+    }
+
+    const vault = await unlockVault();
+    if (!vault) {
+        console.log("No vault found. Run 'node scripts/vault.js init' first.");
         return;
     }
 
@@ -36,12 +44,12 @@ async function createWallet() {
         createdAt: new Date().toISOString()
     };
 
-    // Save with restricted permissions (best effort on node)
-    await fs.writeJson(WALLET_FILE, data, { mode: 0o600 });
+    // The private key is only ever written encrypted
+    await vault.setSecret(WALLET_SECRET, data);
     console.log(`✅ Wallet created!`);
     console.log(`Address: ${wallet.address}`);
-    console.log(`Saved to: ${WALLET_FILE}`);
-    console.log(`WARNING: Keep this file safe. It contains your PRIVATE KEY.`);
+    console.log(`Saved to vault: ${vault.path} (secret "${WALLET_SECRET}")`);
+    console.log(`WARNING: Keep your vault passphrase safe. Without it the PRIVATE KEY cannot be recovered.`);
 }
 
 async function checkBalance() {
@@ -1,7 +1,7 @@
 const { ethers } = require('ethers');
-const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { loadSecret } = require('../../lib/secrets-vault');
 
 // Base Mainnet
 const RPC_URL = "https://mainnet.base.org";
@@ -29,10 +29,10 @@ async function getProvider() {
 }
 
 async function loadWallet() {
-    if (!fs.existsSync(WALLET_FILE)) {
+    const data = await loadSecret('base-wallet', WALLET_FILE);
+    if (!data) {
         return null;
     }
-    const data = JSON.parse(fs.readFileSync(WALLET_FILE, 'utf8'));
     const provider = await getProvider();
     return new ethers.Wallet(data.privateKey, provider);
 }
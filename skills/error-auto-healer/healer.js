@@ -1,13 +1,23 @@
 /**
  * Error Auto-Healer - Main Engine
  *
- * Monitors for CI/CD errors (GitHub Actions, Vercel) via email notifications,
- * automatically diagnoses issues, generates fixes using OpenClaw agents,
- * creates pull requests, and optionally auto-merges them.
+ * Monitors for CI/CD errors (GitHub Actions, Vercel, GitLab CI, local commands)
+ * via signed webhooks and email notifications, automatically diagnoses issues,
+ * generates fixes using OpenClaw agents, creates pull requests, and optionally
+ * auto-merges them.
  *
  * Features:
- *   - Email-based error detection (GitHub Actions & Vercel)
+ *   - Webhook ingestion (GitHub workflow_run / check_suite, Vercel deployment.error)
+ *   - Email-based error detection as a fallback (GitHub Actions, Vercel & GitLab CI)
+ *   - Platform adapters (lib/adapters) for detection, logs, change requests and re-runs
+ *   - Local mode: watch a command such as `npm test` and heal when it fails
+ *   - Log analysis: first failing step, file:line locations, stack traces and
+ *     known signatures, classified into a failure taxonomy with a confidence
  *   - Automated error diagnosis and fix generation via OpenClaw
+ *   - Rule-based fix strategies without an LLM (lib/strategies: dependency-update,
+ *     lint-fix, test-skip), dispatched on the log analysis classification
+ *   - Fix verification: the failing commands are re-run on the pre-fix and
+ *     post-fix trees (Docker sandbox or local subprocess) before committing
  *   - GitHub Issue auto-creation for detected errors
  *   - Pull request creation with detailed analysis
  *   - PR auto-merge with CI status checks
@@ -18,8 +28,9 @@
  *   - Cooldown and rate-limiting safety mechanisms
  *
  * Usage:
- *   node healer.js start        Start monitoring (continuous)
+ *   node healer.js start        Start monitoring (continuous, plus webhooks if enabled)
  *   node healer.js once         Run a single check cycle
+ *   node healer.js watch <cmd>  Heal when a local command fails (optional dir)
  *   node healer.js status       Show current healer status
  *   node healer.js history      Show healing history
  *   node healer.js analyze      Analyze error history for patterns
@@ -34,8 +45,11 @@ const path = require('path');
 const crypto = require('crypto');
 const axios = require('axios');
 const { Octokit } = require('@octokit/rest');
-const simpleGit = require('simple-git');
 const cheerio = require('cheerio');
+const { createAdapters } = require('./lib/adapters');
+const FixVerifier = require('./lib/fix-verifier');
+const LogAnalyzer = require('./lib/log-analyzer');
+const { createStrategies, applyStrategies } = require('./lib/strategies');
 
 // ---------------------------------------------------------------------------
 // Paths
@@ -47,6 +61,9 @@ const DB_PATH = path.join(__dirname, 'logs', 'history.db');
 const LOG_PATH = path.join(__dirname, 'logs', 'healer.log');
 const WORK_DIR = path.join(__dirname, 'workdir');
 
+// How long a webhook delivery suppresses the matching notification email
+const WEBHOOK_DEDUPE_MS = 24 * 60 * 60 * 1000;
+
 // ---------------------------------------------------------------------------
 // Default Configuration
 // ---------------------------------------------------------------------------
@@ -63,7 +80,9 @@ const DEFAULT_CONFIG = {
     createPullRequest: true,
     autoCommit: true,
     branchPrefix: 'auto-fix/',
-    workDir: WORK_DIR
+    workDir: WORK_DIR,
+    // 'ai-fix' is OpenClaw; the others are the rule-based strategies in lib/strategies
+    strategies: ['ai-fix', 'dependency-update', 'lint-fix', 'test-skip']
   },
   github: {
     token: '',
@@ -85,6 +104,34 @@ const DEFAULT_CONFIG = {
   openClaw: {
     endpoint: 'http://localhost:3000',
     agentId: 'coder-agent'
+  },
+  gitlab: {
+    token: '',
+    baseUrl: 'https://gitlab.com',
+    mergeRequestLabels: ['auto-fix', 'bot'],
+    retryPipeline: true
+  },
+  local: {
+    command: '',
+    cwd: '',
+    intervalMs: 60000,
+    timeoutMs: 600000
+  },
+  verification: {
+    enabled: true,
+    mode: 'auto',
+    image: 'openclaw-sandbox',
+    command: '',
+    timeoutMs: 600000,
+    memory: '2g',
+    network: true
+  },
+  webhooks: {
+    enabled: false,
+    port: 3200,
+    host: '127.0.0.1',
+    githubSecret: '',
+    vercelSecret: ''
   }
 };
 
@@ -108,6 +155,11 @@ class ErrorAutoHealer {
     this.monitor = null;
     this.githubClient = null;
     this.openClawIntegration = null;
+    this.webhookServer = null;
+    this.webhookSources = new Map();
+    this.adapters = createAdapters(this);
+    this.logAnalyzer = new LogAnalyzer();
+    this.strategies = createStrategies({ log: (level, message) => this.log(level, message) });
   }
 
   // =========================================================================
@@ -300,7 +352,9 @@ class ErrorAutoHealer {
       prUrl: result.prUrl || null,
       issueUrl: result.issueUrl || null,
       duration: result.duration || 0,
-      error: result.error || null
+      error: result.error || null,
+      classification: result.classification || null,
+      verification: result.verification || null
     };
 
     this.history.push(record);
@@ -404,42 +458,17 @@ class ErrorAutoHealer {
       return null;
     }
 
-    const subject = emailData.subject || '';
-    const body = emailData.body || '';
-    const from = (emailData.from || '').toLowerCase();
-
-    // Detect GitHub Actions errors
-    if (
-      from.includes('github.com') ||
-      from.includes('noreply@github.com') ||
-      subject.toLowerCase().includes('github actions') ||
-      subject.toLowerCase().includes('workflow') ||
-      subject.match(/run\s+failed/i) ||
-      subject.match(/\bfailed\b.*\bactions?\b/i)
-    ) {
-      const ghError = this.parseGitHubError(subject, body);
-      if (ghError) {
-        ghError.emailId = emailData.id || null;
-        ghError.rawSubject = subject;
-        ghError.rawBody = body.substring(0, 5000);
-        return ghError;
+    for (const adapter of Object.values(this.adapters)) {
+      if (!adapter.detect(emailData)) {
+        continue;
       }
-    }
 
-    // Detect Vercel errors
-    if (
-      from.includes('vercel.com') ||
-      from.includes('zeit.co') ||
-      subject.toLowerCase().includes('vercel') ||
-      subject.toLowerCase().includes('deployment failed') ||
-      subject.match(/deploy.*fail/i)
-    ) {
-      const vercelError = this.parseVercelError(subject, body);
-      if (vercelError) {
-        vercelError.emailId = emailData.id || null;
-        vercelError.rawSubject = subject;
-        vercelError.rawBody = body.substring(0, 5000);
-        return vercelError;
+      const errorInfo = adapter.parse(emailData);
+      if (errorInfo) {
+        errorInfo.emailId = emailData.id || null;
+        errorInfo.rawSubject = emailData.subject;
+        errorInfo.rawBody = (emailData.body || '').substring(0, 5000);
+        return errorInfo;
       }
     }
 
@@ -447,173 +476,33 @@ class ErrorAutoHealer {
   }
 
   parseGitHubError(subject, body) {
-    const errorInfo = {
-      platform: 'github-actions',
-      repo: null,
-      owner: null,
-      branch: null,
-      workflow: null,
-      runId: null,
-      errorMessage: '',
-      errorType: 'build',
-      signature: null,
-      detectedAt: new Date().toISOString()
-    };
-
-    // Extract repository from subject/body
-    // Patterns: "owner/repo", "Run failed: owner/repo"
-    const repoMatch =
-      subject.match(/([a-zA-Z0-9_.-]+\/[a-zA-Z0-9_.-]+)/) ||
-      body.match(/repository[:\s]+([a-zA-Z0-9_.-]+\/[a-zA-Z0-9_.-]+)/i);
-    if (repoMatch) {
-      errorInfo.repo = repoMatch[1];
-      const parts = repoMatch[1].split('/');
-      errorInfo.owner = parts[0];
-    }
-
-    // Extract branch
-    const branchMatch =
-      body.match(/branch[:\s]+([a-zA-Z0-9_.\-\/]+)/i) ||
-      subject.match(/branch[:\s]+([a-zA-Z0-9_.\-\/]+)/i) ||
-      body.match(/ref[:\s]+refs\/heads\/([a-zA-Z0-9_.\-\/]+)/i);
-    if (branchMatch) {
-      errorInfo.branch = branchMatch[1].trim();
-    } else {
-      errorInfo.branch = 'main';
-    }
-
-    // Extract workflow name
-    const workflowMatch =
-      body.match(/workflow[:\s]+["']?([^"'\n]+)["']?/i) ||
-      subject.match(/workflow[:\s]+["']?([^"'\n]+)["']?/i) ||
-      body.match(/action[:\s]+["']?([^"'\n]+)["']?/i);
-    if (workflowMatch) {
-      errorInfo.workflow = workflowMatch[1].trim();
-    }
-
-    // Extract run ID
-    const runIdMatch =
-      body.match(/runs\/(\d+)/i) ||
-      body.match(/run[_\s]?id[:\s]+(\d+)/i);
-    if (runIdMatch) {
-      errorInfo.runId = runIdMatch[1];
-    }
-
-    // Extract error message
-    const errorMsgMatch =
-      body.match(/error[:\s]+(.+?)(?:\n|$)/i) ||
-      body.match(/failed[:\s]+(.+?)(?:\n|$)/i) ||
-      body.match(/exit\s+code\s+\d+[:\s]*(.+?)(?:\n|$)/i);
-    if (errorMsgMatch) {
-      errorInfo.errorMessage = errorMsgMatch[1].trim().substring(0, 500);
-    } else {
-      errorInfo.errorMessage = subject;
-    }
-
-    // Classify error type
-    const bodyLower = body.toLowerCase();
-    if (bodyLower.includes('npm test') || bodyLower.includes('jest') || bodyLower.includes('test fail')) {
-      errorInfo.errorType = 'test';
-    } else if (bodyLower.includes('eslint') || bodyLower.includes('lint')) {
-      errorInfo.errorType = 'lint';
-    } else if (bodyLower.includes('type') && bodyLower.includes('error')) {
-      errorInfo.errorType = 'typecheck';
-    } else if (bodyLower.includes('npm install') || bodyLower.includes('dependency')) {
-      errorInfo.errorType = 'dependency';
-    } else if (bodyLower.includes('deploy')) {
-      errorInfo.errorType = 'deploy';
-    }
-
-    // Create signature
-    const sigSource = `${errorInfo.platform}:${errorInfo.repo}:${errorInfo.workflow}:${errorInfo.errorType}:${errorInfo.errorMessage.substring(0, 100)}`;
-    errorInfo.signature = this.hashString(sigSource);
-
-    return errorInfo;
+    return this.adapters['github-actions'].parse({ subject, body });
   }
 
   parseVercelError(subject, body) {
-    const errorInfo = {
-      platform: 'vercel',
-      repo: null,
-      owner: null,
-      branch: null,
-      projectName: null,
-      deploymentId: null,
-      deploymentUrl: null,
-      errorMessage: '',
-      errorType: 'deploy',
-      signature: null,
-      detectedAt: new Date().toISOString()
-    };
-
-    // Extract project name
-    const projectMatch =
-      body.match(/project[:\s]+["']?([a-zA-Z0-9_.-]+)["']?/i) ||
-      subject.match(/(?:project|deployment)\s+["']?([a-zA-Z0-9_.-]+)["']?/i);
-    if (projectMatch) {
-      errorInfo.projectName = projectMatch[1].trim();
-    }
-
-    // Extract repository
-    const repoMatch =
-      body.match(/repository[:\s]+([a-zA-Z0-9_.-]+\/[a-zA-Z0-9_.-]+)/i) ||
-      body.match(/([a-zA-Z0-9_.-]+\/[a-zA-Z0-9_.-]+)/);
-    if (repoMatch) {
-      errorInfo.repo = repoMatch[1];
-      const parts = repoMatch[1].split('/');
-      errorInfo.owner = parts[0];
-    }
-
-    // Extract branch
-    const branchMatch =
-      body.match(/branch[:\s]+([a-zA-Z0-9_.\-\/]+)/i) ||
-      body.match(/git\s+ref[:\s]+([a-zA-Z0-9_.\-\/]+)/i);
-    if (branchMatch) {
-      errorInfo.branch = branchMatch[1].trim();
-    } else {
-      errorInfo.branch = 'main';
-    }
-
-    // Extract deployment ID
-    const deployIdMatch =
-      body.match(/deployment[:\s]+([a-zA-Z0-9_-]+)/i) ||
-      body.match(/dpl_([a-zA-Z0-9]+)/);
-    if (deployIdMatch) {
-      errorInfo.deploymentId = deployIdMatch[1];
-    }
+    return this.adapters.vercel.parse({ subject, body });
+  }
 
-    // Extract deployment URL
-    const urlMatch = body.match(/(https?:\/\/[a-zA-Z0-9_.-]+\.vercel\.app[^\s]*)/i);
-    if (urlMatch) {
-      errorInfo.deploymentUrl = urlMatch[1];
+  getAdapter(platform) {
+    const adapter = this.adapters[platform];
+    if (!adapter) {
+      throw new Error(`No adapter for platform: ${platform}`);
     }
+    return adapter;
+  }
 
-    // Extract error message
-    const errorMsgMatch =
-      body.match(/error[:\s]+(.+?)(?:\n|$)/i) ||
-      body.match(/build\s+failed[:\s]*(.+?)(?:\n|$)/i) ||
-      body.match(/deployment\s+failed[:\s]*(.+?)(?:\n|$)/i);
-    if (errorMsgMatch) {
-      errorInfo.errorMessage = errorMsgMatch[1].trim().substring(0, 500);
-    } else {
-      errorInfo.errorMessage = subject;
+  /**
+   * Key identifying the run or deployment an error came from, shared by the
+   * webhook and email paths so the same failure is not healed twice.
+   */
+  sourceKeyOf(errorInfo) {
+    if (errorInfo.platform === 'github-actions' && errorInfo.repo && errorInfo.runId) {
+      return `github:${errorInfo.repo}:${errorInfo.runId}`;
     }
-
-    // Classify error type
-    const bodyLower = body.toLowerCase();
-    if (bodyLower.includes('build')) {
-      errorInfo.errorType = 'build';
-    } else if (bodyLower.includes('serverless') || bodyLower.includes('function')) {
-      errorInfo.errorType = 'serverless';
-    } else if (bodyLower.includes('timeout')) {
-      errorInfo.errorType = 'timeout';
+    if (errorInfo.platform === 'vercel' && errorInfo.deploymentId) {
+      return `vercel:${String(errorInfo.deploymentId).replace(/^dpl_/, '')}`;
     }
-
-    // Create signature
-    const sigSource = `${errorInfo.platform}:${errorInfo.projectName || errorInfo.repo}:${errorInfo.errorType}:${errorInfo.errorMessage.substring(0, 100)}`;
-    errorInfo.signature = this.hashString(sigSource);
-
-    return errorInfo;
+    return null;
   }
 
   hashString(str) {
@@ -1037,20 +926,10 @@ class ErrorAutoHealer {
               ? logsResponse.data
               : logsResponse.data.toString();
 
-          // Extract the most relevant parts (error lines)
-          const lines = logText.split('\n');
-          const errorLines = lines.filter(
-            (line) =>
-              line.toLowerCase().includes('error') ||
-              line.toLowerCase().includes('failed') ||
-              line.toLowerCase().includes('exception') ||
-              line.toLowerCase().includes('fatal') ||
-              line.includes('##[error]')
-          );
-
+          // Keep step headers, error lines, known signatures and stack frames for the analyzer
           logParts.push(
             `=== Job: ${job.name} ===\n` +
-            errorLines.slice(0, 50).join('\n')
+            LogAnalyzer.relevantLines(logText).join('\n')
           );
         } catch (jobErr) {
           logParts.push(`=== Job: ${job.name} === (logs unavailable: ${jobErr.message})`);
@@ -1338,6 +1217,7 @@ class ErrorAutoHealer {
       errorMessage: errorInfo.errorMessage,
       errorType: errorInfo.errorType,
       scrapedLogs: errorInfo.scrapedLogs || null,
+      analysis: errorInfo.analysis || null,
       context: {
         signature: errorInfo.signature,
         detectedAt: errorInfo.detectedAt,
@@ -1371,48 +1251,110 @@ class ErrorAutoHealer {
       filesChanged: [],
       prUrl: null,
       issueUrl: null,
+      rerun: false,
+      classification: null,
+      verification: null,
       duration: 0,
       error: null
     };
 
+    let adapter = null;
+    let verifier = null;
+    let verifyCommands = [];
+    let beforeRun = null;
+    let afterRun = null;
+
     try {
+      adapter = this.getAdapter(errorInfo.platform);
       await fs.ensureDir(workDir);
 
-      // Step 1: Create GitHub issue if enabled
-      result.issueUrl = await this.createGitHubIssue(errorInfo);
+      // Step 1: Create an issue if the platform supports it
+      result.issueUrl = await adapter.openIssue(errorInfo);
 
-      // Step 2: Scrape additional error logs
-      await this.scrapeErrorLogs(errorInfo);
-
-      // Step 3: Clone repo
-      const { owner, repo } = this.parseRepo(errorInfo.repo);
-      if (!owner || !repo) {
-        throw new Error(`Invalid repository format: ${errorInfo.repo}`);
+      // Step 2: Fetch additional error logs
+      try {
+        const logs = await adapter.fetchLogs(errorInfo);
+        if (logs) {
+          errorInfo.scrapedLogs = logs;
+        }
+      } catch (logErr) {
+        this.log('warn', `Log fetching failed: ${logErr.message}`);
       }
 
-      const repoUrl = `https://github.com/${owner}/${repo}.git`;
-      this.log('info', `Cloning ${repoUrl} into ${workDir}...`);
+      // Step 2b: Classify the failure (strategies dispatch on the category)
+      errorInfo.analysis = this.logAnalyzer.analyze(
+        errorInfo.scrapedLogs || errorInfo.errorMessage,
+        { errorType: errorInfo.errorType }
+      );
+      result.classification = {
+        category: errorInfo.analysis.category,
+        confidence: errorInfo.analysis.confidence
+      };
+      this.log('info', `Classified as ${errorInfo.analysis.category} (${Math.round(errorInfo.analysis.confidence * 100)}% confidence)`);
+
+      // Step 3-4: Check out the code on a new fix branch
+      const repoGit = await adapter.prepareWorkspace(errorInfo, workDir, branchName);
+
+      // Step 4b: Reproduce the failure on the pre-fix tree
+      if (this.config.verification.enabled) {
+        verifier = new FixVerifier(this.config.verification, (level, message) => this.log(level, message));
+        verifyCommands = this.config.verification.command
+          ? [this.config.verification.command]
+          : adapter.verificationCommands(errorInfo, workDir);
+
+        if (verifyCommands.length === 0) {
+          this.log('warn', 'No verification commands found for this failure');
+          result.error = 'Verification failed: no commands to reproduce the failure';
+          result.duration = Date.now() - startTime;
+          return result;
+        }
 
-      const git = simpleGit();
-      await git.clone(repoUrl, workDir);
+        beforeRun = await verifier.verify('before', workDir, verifyCommands);
+        result.verification = {
+          mode: beforeRun.mode,
+          commands: verifyCommands,
+          before: {
+            passed: beforeRun.passed,
+            exitCode: beforeRun.exitCode,
+            inconclusive: beforeRun.inconclusive,
+            durationMs: beforeRun.durationMs
+          },
+          after: null
+        };
 
-      const repoGit = simpleGit(workDir);
-      await repoGit.checkout(errorInfo.branch || 'main');
+        // A timeout, a sandbox that did not start or a failed install says nothing about the reported failure
+        if (beforeRun.inconclusive) {
+          this.log('warn', `Pre-fix verification was inconclusive (${beforeRun.inconclusive}), skipping healing`);
+          result.error = `Verification inconclusive: ${beforeRun.inconclusive}`;
+          result.duration = Date.now() - startTime;
+          return result;
+        }
 
-      // Step 4: Create fix branch
-      await repoGit.checkoutLocalBranch(branchName);
-      this.log('info', `Created branch: ${branchName}`);
+        if (beforeRun.passed) {
+          this.log('warn', 'Failure did not reproduce on the pre-fix tree, skipping healing');
+          result.error = 'Verification failed: failure did not reproduce before the fix';
+          result.duration = Date.now() - startTime;
+          return result;
+        }
+      }
 
       // Step 5: Build and send healing request to OpenClaw
       const healingRequest = this.buildHealingRequest(errorInfo);
       let healingResponse = null;
 
-      if (this.openClawIntegration) {
+      if (!this.config.healing.strategies.includes('ai-fix')) {
+        healingResponse = await this.generateFallbackFix(errorInfo, workDir);
+      } else if (this.openClawIntegration) {
         healingResponse = await this.openClawIntegration.requestHealing(
           healingRequest,
           workDir,
           agentId || this.config.openClaw.agentId
         );
+        if (!healingResponse || healingResponse.success === false) {
+          this.log('warn', `OpenClaw healing failed: ${healingResponse ? healingResponse.message : 'no response'}`);
+          await this.discardChanges(repoGit);
+          healingResponse = await this.generateFallbackFix(errorInfo, workDir);
+        }
       } else {
         // Direct API call to OpenClaw endpoint
         try {
@@ -1427,8 +1369,9 @@ class ErrorAutoHealer {
           healingResponse = apiResponse.data;
         } catch (apiErr) {
           this.log('warn', `OpenClaw API call failed: ${apiErr.message}`);
-          // Use a fallback strategy: attempt simple fixes based on error type
-          healingResponse = this.generateFallbackFix(errorInfo, workDir);
+          await this.discardChanges(repoGit);
+          // Use a fallback strategy: rule-based fixes for the classified error
+          healingResponse = await this.generateFallbackFix(errorInfo, workDir);
         }
       }
 
@@ -1457,6 +1400,24 @@ class ErrorAutoHealer {
         ...statusResult.deleted
       ];
 
+      // Step 6b: The same commands must pass on the post-fix tree
+      if (verifier) {
+        afterRun = await verifier.verify('after', workDir, verifyCommands);
+        result.verification.after = {
+          passed: afterRun.passed,
+          exitCode: afterRun.exitCode,
+          durationMs: afterRun.durationMs
+        };
+
+        if (!afterRun.passed) {
+          this.log('warn', `Fix did not pass verification (exit code ${afterRun.exitCode}), not committing`);
+          result.error = 'Verification failed: failure still reproduces after the fix';
+          result.duration = Date.now() - startTime;
+          return result;
+        }
+        this.log('success', 'Fix verified: failure reproduced before the fix and passes after it');
+      }
+
       // Step 7: Commit changes
       if (this.config.healing.autoCommit) {
         await repoGit.add('.');
@@ -1475,11 +1436,10 @@ class ErrorAutoHealer {
       }
 
       // Step 8: Push branch
-      await repoGit.push('origin', branchName);
-      this.log('info', `Branch ${branchName} pushed`);
+      await adapter.pushBranch(repoGit, branchName);
 
-      // Step 9: Create pull request
-      if (this.config.healing.createPullRequest && this.octokit) {
+      // Step 9: Open a pull / merge request
+      if (this.config.healing.createPullRequest) {
         const prTitle = `[Auto-Fix] ${errorInfo.errorType}: ${errorInfo.errorMessage.substring(0, 60)}`;
 
         const filesChangedList = result.filesChanged
@@ -1498,6 +1458,7 @@ class ErrorAutoHealer {
           `| **Branch** | ${errorInfo.branch || 'N/A'} |`,
           `| **Workflow** | ${errorInfo.workflow || 'N/A'} |`,
           `| **Error Type** | ${errorInfo.errorType || 'N/A'} |`,
+          `| **Classification** | ${result.classification.category} (${Math.round(result.classification.confidence * 100)}%) |`,
           `| **Healing Strategy** | ${result.strategy} |`,
           `| **Signature** | \`${errorInfo.signature}\` |`,
           '',
@@ -1507,6 +1468,10 @@ class ErrorAutoHealer {
           errorInfo.errorMessage.substring(0, 500),
           '```',
           '',
+          '### Log Analysis',
+          '',
+          LogAnalyzer.summarize(errorInfo.analysis),
+          '',
           '### Files Changed',
           '',
           filesChangedList || 'No files listed',
@@ -1518,80 +1483,26 @@ class ErrorAutoHealer {
             : 'Automatic fix applied based on error pattern matching.',
           '',
           result.issueUrl ? `### Related Issue\n\n${result.issueUrl}\n` : '',
+          afterRun ? `${FixVerifier.formatReport(verifyCommands, beforeRun, afterRun)}\n` : '',
           '---',
           '*This pull request was automatically created by Error Auto-Healer.*',
           '*Please review the changes carefully before merging.*'
         ].join('\n');
 
         try {
-          const prResponse = await this.octokit.pulls.create({
-            owner,
-            repo,
-            title: prTitle,
-            body: prBody,
-            head: branchName,
-            base: errorInfo.branch || 'main'
-          });
-
-          result.prUrl = prResponse.data.html_url;
-          const prNumber = prResponse.data.number;
-          this.log('success', `Pull request created: ${result.prUrl}`);
-
-          // Add labels
-          try {
-            await this.octokit.issues.addLabels({
-              owner,
-              repo,
-              issue_number: prNumber,
-              labels: this.config.github.prLabels
-            });
-          } catch (labelErr) {
-            this.log('debug', `Failed to add PR labels: ${labelErr.message}`);
-          }
-
-          // Request reviewers
-          if (this.config.github.reviewers.length > 0) {
-            try {
-              await this.octokit.pulls.requestReviewers({
-                owner,
-                repo,
-                pull_number: prNumber,
-                reviewers: this.config.github.reviewers
-              });
-              this.log('info', `Reviewers requested: ${this.config.github.reviewers.join(', ')}`);
-            } catch (reviewErr) {
-              this.log('debug', `Failed to request reviewers: ${reviewErr.message}`);
-            }
-          }
-
-          // Step 10: Auto-merge if enabled
-          await this.autoMergePullRequest(owner, repo, prNumber);
+          const change = await adapter.openChangeRequest(errorInfo, { branchName, title: prTitle, body: prBody });
+          result.prUrl = change ? change.url : null;
         } catch (prErr) {
           this.log('error', `Failed to create PR: ${prErr.message}`);
           result.error = `PR creation failed: ${prErr.message}`;
         }
       }
 
-      // Step 11: Retry workflow if GitHub Actions
-      if (errorInfo.platform === 'github-actions' && errorInfo.runId && this.octokit) {
-        try {
-          await this.octokit.actions.reRunWorkflow({
-            owner,
-            repo,
-            run_id: parseInt(errorInfo.runId, 10)
-          });
-          this.log('info', `Workflow re-run triggered for run ${errorInfo.runId}`);
-        } catch (rerunErr) {
-          this.log('debug', `Failed to re-run workflow: ${rerunErr.message}`);
-        }
-      }
-
-      // Step 12: Trigger Vercel redeploy if applicable
-      if (errorInfo.platform === 'vercel') {
-        const deploy = await this.triggerVercelRedeploy(errorInfo);
-        if (deploy) {
-          this.log('info', `Vercel redeploy triggered: ${deploy.url}`);
-        }
+      // Step 10: Re-run the failed pipeline (GitHub re-run, Vercel redeploy, GitLab retry, local command)
+      try {
+        result.rerun = await adapter.rerun(errorInfo, { workDir });
+      } catch (rerunErr) {
+        this.log('debug', `Failed to re-run: ${rerunErr.message}`);
       }
 
       result.success = true;
@@ -1631,7 +1542,7 @@ class ErrorAutoHealer {
       // Clean up work directory
       try {
         if (await fs.pathExists(workDir)) {
-          await fs.remove(workDir);
+          await (adapter ? adapter.cleanupWorkspace(workDir) : fs.remove(workDir));
           this.log('debug', `Cleaned up work directory: ${workDir}`);
         }
       } catch (cleanupErr) {
@@ -1642,12 +1553,40 @@ class ErrorAutoHealer {
     return result;
   }
 
-  generateFallbackFix(errorInfo, workDir) {
-    // Simple fallback when OpenClaw is unavailable
+  /**
+   * Drop whatever a failed healing attempt left in the work tree (edits and new files),
+   * so the fallback strategies start from the checked-out commit.
+   */
+  async discardChanges(repoGit) {
+    await repoGit.checkout(['--', '.']);
+    await repoGit.clean('f', ['-d']);
+  }
+
+  async generateFallbackFix(errorInfo, workDir) {
+    // Rule-based fixes when OpenClaw is unavailable (or ai-fix is disabled)
+    const analysis = errorInfo.analysis ||
+      this.logAnalyzer.analyze(errorInfo.scrapedLogs || errorInfo.errorMessage, { errorType: errorInfo.errorType });
+
+    const applied = await applyStrategies(
+      this.strategies,
+      this.config.healing.strategies,
+      { errorInfo, analysis, workDir },
+      (level, message) => this.log(level, message)
+    );
+
+    if (applied) {
+      this.log('info', `Strategy ${applied.strategy} changed ${applied.filesChanged.length} file(s)`);
+      return {
+        strategy: applied.strategy,
+        filesChanged: applied.filesChanged,
+        analysis: applied.description
+      };
+    }
+
     return {
       strategy: `fallback-${errorInfo.errorType}`,
       filesChanged: [],
-      analysis: 'Fallback strategy applied. OpenClaw agent was unavailable.'
+      analysis: `No rule-based strategy could fix ${analysis.category}. OpenClaw agent was unavailable.`
     };
   }
 
@@ -1748,9 +1687,12 @@ class ErrorAutoHealer {
     console.log(`    Auto issue:         ${this.config.github.autoCreateIssue}`);
     console.log(`    Auto merge:         ${this.config.github.autoMerge}`);
     console.log(`    Vercel redeploy:    ${this.config.vercel.autoRedeploy}`);
+    console.log(`    Verification:       ${this.config.verification.enabled ? this.config.verification.mode : 'Disabled'}`);
     console.log(`    Discord webhook:    ${this.config.discord.webhookUrl ? 'Configured' : 'Not set'}`);
+    console.log(`    Webhook server:     ${this.config.webhooks.enabled ? `${this.config.webhooks.host}:${this.config.webhooks.port}` : 'Disabled'}`);
     console.log(`    GitHub token:       ${this.config.github.token ? 'Configured' : 'Not set'}`);
     console.log(`    Vercel token:       ${this.config.vercel.token ? 'Configured' : 'Not set'}`);
+    console.log(`    GitLab token:       ${this.config.gitlab.token ? `Configured (${this.config.gitlab.baseUrl})` : 'Not set'}`);
     console.log('\n==========================================\n');
   }
 
@@ -1791,6 +1733,45 @@ class ErrorAutoHealer {
     console.log('\n==========================================\n');
   }
 
+  // =========================================================================
+  // Webhook Ingestion
+  // =========================================================================
+
+  async startWebhookServer() {
+    const WebhookServer = require('./lib/webhook-server');
+    this.webhookServer = new WebhookServer(this, this.config.webhooks);
+
+    const { host, port } = await this.webhookServer.start();
+    this.log('info', `Webhook server listening on http://${host}:${port}`);
+  }
+
+  async ingestWebhookError(errorInfo) {
+    const now = Date.now();
+    for (const [key, seenAt] of this.webhookSources) {
+      if (now - seenAt > WEBHOOK_DEDUPE_MS) {
+        this.webhookSources.delete(key);
+      }
+    }
+
+    const sourceKey = this.sourceKeyOf(errorInfo);
+    if (sourceKey) {
+      if (this.webhookSources.has(sourceKey)) {
+        this.log('debug', `Duplicate webhook delivery for ${sourceKey}, skipping`);
+        return null;
+      }
+      this.webhookSources.set(sourceKey, now);
+    }
+
+    this.log('info', `Webhook: ${errorInfo.platform} error in ${errorInfo.repo || errorInfo.projectName}`);
+    const result = await this.processError(errorInfo);
+
+    // Not healed (cooldown, too many heals running): let a redelivery or the email fallback try again
+    if (result === null && sourceKey) {
+      this.webhookSources.delete(sourceKey);
+    }
+    return result;
+  }
+
   // =========================================================================
   // Continuous Monitoring
   // =========================================================================
@@ -1798,6 +1779,15 @@ class ErrorAutoHealer {
   async startMonitoring() {
     this.isRunning = true;
     this.log('info', 'Starting continuous monitoring...');
+
+    if (this.config.webhooks.enabled) {
+      try {
+        await this.startWebhookServer();
+      } catch (err) {
+        this.log('error', `Webhook server failed to start: ${err.message}. Falling back to email only.`);
+      }
+    }
+
     this.log('info', `Polling interval: ${this.config.polling.intervalMs}ms`);
 
     while (this.isRunning) {
@@ -1811,6 +1801,37 @@ class ErrorAutoHealer {
     }
   }
 
+  async watchCommand(command, cwd) {
+    if (command) {
+      this.config.local = { ...this.config.local, command, cwd: cwd || this.config.local.cwd };
+    }
+
+    const adapter = this.getAdapter('local');
+    if (!adapter.command) {
+      throw new Error('No command to watch. Usage: node healer.js watch "<command>" [dir]');
+    }
+
+    this.isRunning = true;
+    this.log('info', `Watching \`${adapter.command}\` in ${adapter.cwd} every ${this.config.local.intervalMs}ms`);
+
+    while (this.isRunning) {
+      try {
+        const errorInfo = await adapter.check();
+
+        if (errorInfo) {
+          this.log('info', `Command failed: ${errorInfo.errorMessage.substring(0, 80)}`);
+          await this.processError(errorInfo);
+        } else {
+          this.log('debug', 'Command passed');
+        }
+      } catch (err) {
+        this.log('error', `Watch cycle error: ${err.message}`);
+      }
+
+      await this.sleep(this.config.local.intervalMs);
+    }
+  }
+
   async runOnce() {
     this.log('debug', 'Running check cycle...');
 
@@ -1833,6 +1854,13 @@ class ErrorAutoHealer {
         const errorInfo = this.parseError(email);
 
         if (errorInfo) {
+          // Already received through a webhook; the email is only a fallback
+          const sourceKey = this.sourceKeyOf(errorInfo);
+          if (sourceKey && this.webhookSources.has(sourceKey)) {
+            this.log('debug', `Skipping email for ${sourceKey}, already received via webhook`);
+            continue;
+          }
+
           this.log('info', `Detected ${errorInfo.platform} error in ${errorInfo.repo}`);
           await this.processError(errorInfo);
         }
@@ -1842,10 +1870,16 @@ class ErrorAutoHealer {
     }
   }
 
-  stop() {
+  async stop() {
     this.isRunning = false;
     this.log('info', 'Stopping monitoring...');
 
+    if (this.webhookServer) {
+      const server = this.webhookServer;
+      this.webhookServer = null;
+      await server.stop();
+    }
+
     if (this.db) {
       try {
         this.db.close();
@@ -1971,8 +2005,9 @@ function printUsage() {
   console.log('Usage: node healer.js <command>');
   console.log('');
   console.log('Commands:');
-  console.log('  start      Start continuous monitoring for CI/CD errors');
+  console.log('  start      Start continuous monitoring for CI/CD errors (and the webhook server if enabled)');
   console.log('  once       Run a single check cycle');
+  console.log('  watch      Run a local command repeatedly and heal when it fails');
   console.log('  status     Show current healer status and configuration');
   console.log('  history    Show recent healing history');
   console.log('  analyze    Analyze error history for patterns and recommendations');
@@ -1990,6 +2025,7 @@ function printUsage() {
   console.log('  node healer.js status');
   console.log('  node healer.js analyze');
   console.log('  node healer.js test');
+  console.log('  node healer.js watch "npm test" ~/projects/my-app');
   console.log('');
 }
 
@@ -2004,15 +2040,15 @@ async function main() {
   const healer = new ErrorAutoHealer();
 
   // Handle graceful shutdown
-  process.on('SIGINT', () => {
+  process.on('SIGINT', async () => {
     console.log('\nReceived SIGINT. Shutting down gracefully...');
-    healer.stop();
+    await healer.stop();
     process.exit(0);
   });
 
-  process.on('SIGTERM', () => {
+  process.on('SIGTERM', async () => {
     console.log('\nReceived SIGTERM. Shutting down gracefully...');
-    healer.stop();
+    await healer.stop();
     process.exit(0);
   });
 
@@ -2028,6 +2064,10 @@ async function main() {
         await healer.runOnce();
         break;
 
+      case 'watch':
+        await healer.watchCommand(process.argv[3], process.argv[4]);
+        break;
+
       case 'status':
         await healer.showStatus();
         break;
@@ -0,0 +1,268 @@
+'use strict';
+
+const PlatformAdapter = require('./platform-adapter');
+const { readGitHubWorkflowCommands } = require('../ci-commands');
+
+// Conclusions that mean the run needs healing ("cancelled" / "skipped" are left alone)
+const FAILED_CONCLUSIONS = ['failure', 'timed_out', 'startup_failure'];
+
+/**
+ * GitHub Actions: notification emails, workflow_run / check_suite webhooks,
+ * run logs and re-runs through Octokit, pull requests on github.com.
+ */
+class GitHubActionsAdapter extends PlatformAdapter {
+  constructor(healer, options = {}) {
+    super(healer, options);
+    this.platform = 'github-actions';
+  }
+
+  detect(emailData) {
+    const subject = emailData.subject || '';
+    const from = (emailData.from || '').toLowerCase();
+
+    return Boolean(
+      from.includes('github.com') ||
+      from.includes('noreply@github.com') ||
+      subject.toLowerCase().includes('github actions') ||
+      subject.toLowerCase().includes('workflow') ||
+      subject.match(/run\s+failed/i) ||
+      subject.match(/\bfailed\b.*\bactions?\b/i)
+    );
+  }
+
+  parse(emailData) {
+    const subject = emailData.subject || '';
+    const body = emailData.body || '';
+
+    const errorInfo = {
+      platform: this.platform,
+      repo: null,
+      owner: null,
+      branch: null,
+      workflow: null,
+      runId: null,
+      errorMessage: '',
+      errorType: 'build',
+      signature: null,
+      detectedAt: new Date().toISOString()
+    };
+
+    // Extract repository from subject/body
+    // Patterns: "owner/repo", "Run failed: owner/repo"
+    const repoMatch =
+      subject.match(/([a-zA-Z0-9_.-]+\/[a-zA-Z0-9_.-]+)/) ||
+      body.match(/repository[:\s]+([a-zA-Z0-9_.-]+\/[a-zA-Z0-9_.-]+)/i);
+    if (repoMatch) {
+      errorInfo.repo = repoMatch[1];
+      const parts = repoMatch[1].split('/');
+      errorInfo.owner = parts[0];
+    }
+
+    // Extract branch
+    const branchMatch =
+      body.match(/branch[:\s]+([a-zA-Z0-9_.\-\/]+)/i) ||
+      subject.match(/branch[:\s]+([a-zA-Z0-9_.\-\/]+)/i) ||
+      body.match(/ref[:\s]+refs\/heads\/([a-zA-Z0-9_.\-\/]+)/i);
+    if (branchMatch) {
+      errorInfo.branch = branchMatch[1].trim();
+    } else {
+      errorInfo.branch = 'main';
+    }
+
+    // Extract workflow name
+    const workflowMatch =
+      body.match(/workflow[:\s]+["']?([^"'\n]+)["']?/i) ||
+      subject.match(/workflow[:\s]+["']?([^"'\n]+)["']?/i) ||
+      body.match(/action[:\s]+["']?([^"'\n]+)["']?/i);
+    if (workflowMatch) {
+      errorInfo.workflow = workflowMatch[1].trim();
+    }
+
+    // Extract run ID
+    const runIdMatch =
+      body.match(/runs\/(\d+)/i) ||
+      body.match(/run[_\s]?id[:\s]+(\d+)/i);
+    if (runIdMatch) {
+      errorInfo.runId = runIdMatch[1];
+    }
+
+    // Extract error message
+    const errorMsgMatch =
+      body.match(/error[:\s]+(.+?)(?:\n|$)/i) ||
+      body.match(/failed[:\s]+(.+?)(?:\n|$)/i) ||
+      body.match(/exit\s+code\s+\d+[:\s]*(.+?)(?:\n|$)/i);
+    if (errorMsgMatch) {
+      errorInfo.errorMessage = errorMsgMatch[1].trim().substring(0, 500);
+    } else {
+      errorInfo.errorMessage = subject;
+    }
+
+    errorInfo.errorType = PlatformAdapter.classifyText(body);
+    errorInfo.signature = this.signatureOf(errorInfo);
+
+    return errorInfo;
+  }
+
+  /**
+   * workflow_run and check_suite events. Other events are ignored.
+   */
+  parseWebhook(eventName, payload) {
+    const repository = payload.repository || {};
+    let details;
+
+    if (eventName === 'workflow_run') {
+      const run = payload.workflow_run || {};
+      if (payload.action !== 'completed' || !FAILED_CONCLUSIONS.includes(run.conclusion)) {
+        return null;
+      }
+      details = {
+        branch: run.head_branch,
+        workflow: run.name,
+        runId: run.id !== undefined ? String(run.id) : null,
+        commitSha: run.head_sha,
+        url: run.html_url,
+        conclusion: run.conclusion
+      };
+    } else if (eventName === 'check_suite') {
+      const suite = payload.check_suite || {};
+      // Suites created by GitHub Actions are already reported through workflow_run
+      if (payload.action !== 'completed' || !FAILED_CONCLUSIONS.includes(suite.conclusion) ||
+          suite.app?.slug === 'github-actions') {
+        return null;
+      }
+      details = {
+        branch: suite.head_branch,
+        workflow: suite.app?.name || 'check suite',
+        runId: null,
+        commitSha: suite.head_sha,
+        url: suite.url,
+        conclusion: suite.conclusion
+      };
+    } else {
+      return null;
+    }
+
+    const errorInfo = {
+      platform: this.platform,
+      repo: repository.full_name || null,
+      owner: repository.owner?.login || (repository.full_name || '').split('/')[0] || null,
+      branch: details.branch || repository.default_branch || 'main',
+      workflow: details.workflow || null,
+      runId: details.runId,
+      commitSha: details.commitSha || null,
+      runUrl: details.url || null,
+      errorMessage: `${details.workflow} ${details.conclusion === 'timed_out' ? 'timed out' : 'failed'} on ${details.branch}`,
+      errorType: PlatformAdapter.classifyByName(details.workflow),
+      signature: null,
+      source: 'webhook',
+      detectedAt: new Date().toISOString()
+    };
+    errorInfo.signature = this.signatureOf(errorInfo);
+
+    return errorInfo;
+  }
+
+  signatureOf(errorInfo) {
+    return PlatformAdapter.hash(
+      `${errorInfo.platform}:${errorInfo.repo}:${errorInfo.workflow}:${errorInfo.errorType}:${errorInfo.errorMessage.substring(0, 100)}`
+    );
+  }
+
+  async fetchLogs(errorInfo) {
+    return this.healer.scrapeErrorLogs(errorInfo);
+  }
+
+  /**
+   * The `run:` steps of the failed workflow.
+   */
+  verificationCommands(errorInfo, workDir) {
+    const commands = readGitHubWorkflowCommands(workDir, errorInfo.workflow);
+    return commands.length > 0 ? commands : super.verificationCommands(errorInfo, workDir);
+  }
+
+  cloneUrl(errorInfo) {
+    const { owner, repo } = this.healer.parseRepo(errorInfo.repo);
+    if (!owner || !repo) {
+      throw new Error(`Invalid repository format: ${errorInfo.repo}`);
+    }
+    return `https://github.com/${owner}/${repo}.git`;
+  }
+
+  async openIssue(errorInfo) {
+    return this.healer.createGitHubIssue(errorInfo);
+  }
+
+  async openChangeRequest(errorInfo, { branchName, title, body }) {
+    const octokit = this.healer.octokit;
+    if (!octokit) {
+      return null;
+    }
+
+    const { owner, repo } = this.healer.parseRepo(errorInfo.repo);
+    const prResponse = await octokit.pulls.create({
+      owner,
+      repo,
+      title,
+      body,
+      head: branchName,
+      base: errorInfo.branch || 'main'
+    });
+
+    const prNumber = prResponse.data.number;
+    this.log('success', `Pull request created: ${prResponse.data.html_url}`);
+
+    // Add labels
+    try {
+      await octokit.issues.addLabels({
+        owner,
+        repo,
+        issue_number: prNumber,
+        labels: this.config.github.prLabels
+      });
+    } catch (labelErr) {
+      this.log('debug', `Failed to add PR labels: ${labelErr.message}`);
+    }
+
+    // Request reviewers
+    if (this.config.github.reviewers.length > 0) {
+      try {
+        await octokit.pulls.requestReviewers({
+          owner,
+          repo,
+          pull_number: prNumber,
+          reviewers: this.config.github.reviewers
+        });
+        this.log('info', `Reviewers requested: ${this.config.github.reviewers.join(', ')}`);
+      } catch (reviewErr) {
+        this.log('debug', `Failed to request reviewers: ${reviewErr.message}`);
+      }
+    }
+
+    // Auto-merge if enabled
+    await this.healer.autoMergePullRequest(owner, repo, prNumber);
+
+    return { url: prResponse.data.html_url, number: prNumber };
+  }
+
+  async rerun(errorInfo) {
+    if (!errorInfo.runId || !this.healer.octokit) {
+      return false;
+    }
+
+    const { owner, repo } = this.healer.parseRepo(errorInfo.repo);
+    try {
+      await this.healer.octokit.actions.reRunWorkflow({
+        owner,
+        repo,
+        run_id: parseInt(errorInfo.runId, 10)
+      });
+      this.log('info', `Workflow re-run triggered for run ${errorInfo.runId}`);
+      return true;
+    } catch (rerunErr) {
+      this.log('debug', `Failed to re-run workflow: ${rerunErr.message}`);
+      return false;
+    }
+  }
+}
+
+module.exports = GitHubActionsAdapter;
@@ -0,0 +1,184 @@
+'use strict';
+
+const PlatformAdapter = require('./platform-adapter');
+const LogAnalyzer = require('../log-analyzer');
+const { readGitLabJobCommands } = require('../ci-commands');
+
+/**
+ * GitLab CI: "Failed pipeline" notification emails, job traces and pipeline
+ * retries through the REST API (v4), merge requests.
+ *
+ * Only pipelines on the configured instance (gitlab.baseUrl) are handled, so the
+ * API token is never sent to a host taken from an email.
+ */
+class GitLabAdapter extends PlatformAdapter {
+  constructor(healer, options = {}) {
+    super(healer, options);
+    this.platform = 'gitlab-ci';
+  }
+
+  get baseUrl() {
+    return (this.config.gitlab?.baseUrl || 'https://gitlab.com').replace(/\/+$/, '');
+  }
+
+  /**
+   * API URL for a project path such as "group/subgroup/project".
+   */
+  projectApi(projectPath) {
+    return `${this.baseUrl}/api/v4/projects/${encodeURIComponent(projectPath)}`;
+  }
+
+  requestOptions(extra = {}) {
+    const token = this.config.gitlab?.token || process.env.GITLAB_TOKEN;
+    if (!token) {
+      throw new Error('GitLab token not configured (gitlab.token or GITLAB_TOKEN)');
+    }
+    return { timeout: 15000, headers: { 'PRIVATE-TOKEN': token }, ...extra };
+  }
+
+  detect(emailData) {
+    const from = (emailData.from || '').toLowerCase();
+    const subject = emailData.subject || '';
+    return from.includes('gitlab') && /pipeline/i.test(subject);
+  }
+
+  parse(emailData) {
+    const subject = emailData.subject || '';
+    const body = emailData.body || '';
+
+    if (!/failed pipeline|pipeline .*failed|has failed/i.test(`${subject}\n${body}`)) {
+      return null;
+    }
+
+    // https://gitlab.example.com/group/project/-/pipelines/123
+    const pipelineMatch = body.match(/(https?:\/\/[^\s/()]+)\/([^\s()]+?)\/-\/pipelines\/(\d+)/);
+    if (!pipelineMatch || pipelineMatch[1].replace(/\/+$/, '') !== this.baseUrl) {
+      return null;
+    }
+
+    const [, , projectPath, pipelineId] = pipelineMatch;
+    const branchMatch =
+      body.match(/^\s*branch:\s*(\S+)/im) ||
+      subject.match(/failed pipeline for ([^\s|]+)/i);
+    const jobMatch = body.match(/\/-\/jobs\/(\d+)/);
+    const stageMatch = body.match(/^\s*stage:\s*(.+)$/im);
+    const nameMatch = body.match(/^\s*name:\s*(.+)$/im);
+    const commitMatch = body.match(/\/-\/commit\/([0-9a-f]{7,40})/i);
+
+    const jobName = nameMatch ? nameMatch[1].trim() : null;
+    const stage = stageMatch ? stageMatch[1].trim() : null;
+    const errorLine = body.match(/error[:\s]+(.+?)(?:\n|$)/i);
+
+    const errorInfo = {
+      platform: this.platform,
+      repo: projectPath,
+      owner: projectPath.split('/')[0],
+      branch: branchMatch ? branchMatch[1].trim() : 'main',
+      workflow: jobName || stage || 'pipeline',
+      runId: pipelineId,
+      jobId: jobMatch ? jobMatch[1] : null,
+      stage,
+      commitSha: commitMatch ? commitMatch[1] : null,
+      runUrl: pipelineMatch[0],
+      errorMessage: errorLine
+        ? errorLine[1].trim().substring(0, 500)
+        : `Pipeline #${pipelineId} failed${jobName ? ` in ${stage ? `${stage}/` : ''}${jobName}` : ''}`,
+      errorType: PlatformAdapter.classifyByName(`${stage || ''} ${jobName || ''}`),
+      signature: null,
+      detectedAt: new Date().toISOString()
+    };
+
+    errorInfo.signature = PlatformAdapter.hash(
+      `${errorInfo.platform}:${errorInfo.repo}:${errorInfo.workflow}:${errorInfo.errorType}:${errorInfo.errorMessage.substring(0, 100)}`
+    );
+
+    return errorInfo;
+  }
+
+  /**
+   * Step headers, error lines and signatures from the traces of the pipeline's failed jobs.
+   */
+  async fetchLogs(errorInfo) {
+    if (!errorInfo.runId) {
+      return null;
+    }
+
+    const api = this.projectApi(errorInfo.repo);
+    const { data: jobs } = await this.client.get(
+      `${api}/pipelines/${errorInfo.runId}/jobs`,
+      this.requestOptions({ params: { 'scope[]': 'failed' } })
+    );
+
+    const logParts = [];
+    for (const job of jobs) {
+      try {
+        const { data: trace } = await this.client.get(
+          `${api}/jobs/${job.id}/trace`,
+          this.requestOptions({ responseType: 'text' })
+        );
+        logParts.push(
+          `=== Job: ${job.stage}/${job.name} ===\n` +
+          LogAnalyzer.relevantLines(String(trace)).join('\n')
+        );
+      } catch (jobErr) {
+        logParts.push(`=== Job: ${job.stage}/${job.name} === (logs unavailable: ${jobErr.message})`);
+      }
+    }
+
+    return logParts.join('\n\n') || null;
+  }
+
+  /**
+   * before_script + script of the failed job in .gitlab-ci.yml.
+   */
+  verificationCommands(errorInfo, workDir) {
+    const commands = readGitLabJobCommands(workDir, errorInfo.workflow);
+    return commands.length > 0 ? commands : super.verificationCommands(errorInfo, workDir);
+  }
+
+  cloneUrl(errorInfo) {
+    return `${this.baseUrl}/${errorInfo.repo}.git`;
+  }
+
+  async openChangeRequest(errorInfo, { branchName, title, body }) {
+    const { data } = await this.client.post(
+      `${this.projectApi(errorInfo.repo)}/merge_requests`,
+      {
+        source_branch: branchName,
+        target_branch: errorInfo.branch || 'main',
+        title,
+        description: body,
+        labels: (this.config.gitlab?.mergeRequestLabels || []).join(','),
+        remove_source_branch: true
+      },
+      this.requestOptions()
+    );
+
+    this.log('success', `Merge request created: ${data.web_url}`);
+    return { url: data.web_url, number: data.iid };
+  }
+
+  /**
+   * Retry the failed jobs of the pipeline.
+   */
+  async rerun(errorInfo) {
+    if (!errorInfo.runId || this.config.gitlab?.retryPipeline === false) {
+      return false;
+    }
+
+    try {
+      await this.client.post(
+        `${this.projectApi(errorInfo.repo)}/pipelines/${errorInfo.runId}/retry`,
+        {},
+        this.requestOptions()
+      );
+      this.log('info', `Pipeline retry triggered for #${errorInfo.runId}`);
+      return true;
+    } catch (err) {
+      this.log('debug', `Failed to retry pipeline: ${err.message}`);
+      return false;
+    }
+  }
+}
+
+module.exports = GitLabAdapter;
@@ -0,0 +1,31 @@
+'use strict';
+
+const PlatformAdapter = require('./platform-adapter');
+const GitHubActionsAdapter = require('./github-adapter');
+const VercelAdapter = require('./vercel-adapter');
+const GitLabAdapter = require('./gitlab-adapter');
+const LocalCommandAdapter = require('./local-command-adapter');
+
+/**
+ * Create one adapter per platform, keyed by errorInfo.platform.
+ * Emails are offered to the adapters in this order (GitLab first: its detection is the strictest).
+ */
+function createAdapters(healer, options = {}) {
+  const adapters = [
+    new GitLabAdapter(healer, options),
+    new GitHubActionsAdapter(healer, options),
+    new VercelAdapter(healer, options),
+    new LocalCommandAdapter(healer, options)
+  ];
+
+  return Object.fromEntries(adapters.map((adapter) => [adapter.platform, adapter]));
+}
+
+module.exports = {
+  PlatformAdapter,
+  GitHubActionsAdapter,
+  VercelAdapter,
+  GitLabAdapter,
+  LocalCommandAdapter,
+  createAdapters
+};
@@ -0,0 +1,209 @@
+'use strict';
+
+const { spawn, execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const PlatformAdapter = require('./platform-adapter');
+
+const MAX_OUTPUT_CHARS = 20000;
+
+/**
+ * Local command mode: run a command (e.g. "npm test") in a git checkout and
+ * heal when it fails.
+ *
+ * The fix is made in a separate `git worktree` on a new branch, so the checkout
+ * being watched is never modified. Nothing is pushed; the branch is left for review.
+ */
+class LocalCommandAdapter extends PlatformAdapter {
+  constructor(healer, options = {}) {
+    super(healer, options);
+    this.platform = 'local';
+  }
+
+  get command() {
+    return this.config.local?.command || '';
+  }
+
+  get cwd() {
+    return path.resolve(this.config.local?.cwd || process.cwd());
+  }
+
+  /**
+   * Run the command. Resolves with { exitCode, signal, timedOut, output, durationMs }.
+   */
+  runCommand(cwd = this.cwd) {
+    if (!this.command) {
+      return Promise.reject(new Error('No command configured (local.command)'));
+    }
+
+    const startTime = Date.now();
+    const timeoutMs = this.config.local?.timeoutMs || 600000;
+
+    return new Promise((resolve, reject) => {
+      // Detached so the command leads its own process group: the shell's children
+      // (npm, test runners, watchers) keep the output pipes open until they exit
+      const child = spawn(this.command, { cwd, shell: true, detached: true, env: { ...process.env, CI: 'true' } });
+      let output = '';
+      let timedOut = false;
+      const append = (chunk) => {
+        output = (output + chunk.toString()).slice(-MAX_OUTPUT_CHARS);
+      };
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        append(`\nerror: command timed out after ${timeoutMs}ms\n`);
+        try {
+          process.kill(-child.pid, 'SIGTERM');
+        } catch (err) {
+          // Already exited
+        }
+      }, timeoutMs);
+
+      child.stdout.on('data', append);
+      child.stderr.on('data', append);
+      child.on('error', (err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        resolve({ exitCode: code === null ? 1 : code, signal, timedOut, output, durationMs: Date.now() - startTime });
+      });
+    });
+  }
+
+  /**
+   * Run the command once. Resolves with errorInfo when it fails, null when it passes.
+   */
+  async check() {
+    return this.toErrorInfo(await this.runCommand());
+  }
+
+  /**
+   * errorInfo for a failed run ({ exitCode, output }), or null if it passed.
+   */
+  toErrorInfo(run) {
+    if (run.exitCode === 0) {
+      return null;
+    }
+
+    const errorLines = PlatformAdapter.extractErrorLines(run.output, 1);
+    const errorInfo = {
+      platform: this.platform,
+      repo: path.basename(this.cwd),
+      owner: null,
+      branch: this.currentBranch(),
+      workflow: this.command,
+      runId: null,
+      cwd: this.cwd,
+      exitCode: run.exitCode,
+      output: run.output,
+      errorMessage: errorLines.length > 0
+        ? errorLines[0].trim().substring(0, 500)
+        : `\`${this.command}\` exited with code ${run.exitCode}`,
+      errorType: PlatformAdapter.classifyText(`${this.command}\n${run.output}`),
+      signature: null,
+      detectedAt: new Date().toISOString()
+    };
+
+    errorInfo.signature = PlatformAdapter.hash(
+      `${errorInfo.platform}:${errorInfo.cwd}:${errorInfo.workflow}:${errorInfo.errorType}:${errorInfo.errorMessage.substring(0, 100)}`
+    );
+
+    return errorInfo;
+  }
+
+  currentBranch() {
+    try {
+      return execFileSync('git', ['rev-parse', '--abbrev-ref', 'HEAD'], {
+        cwd: this.cwd,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore']
+      }).trim();
+    } catch (err) {
+      return 'HEAD';
+    }
+  }
+
+  async fetchLogs(errorInfo) {
+    if (!errorInfo.output) {
+      return null;
+    }
+
+    const errorLines = PlatformAdapter.extractErrorLines(errorInfo.output);
+    // Test runners often print the useful part without the word "error", so keep the tail too
+    return [...errorLines, '', '=== Output (tail) ===', errorInfo.output.slice(-5000)].join('\n');
+  }
+
+  /**
+   * The watched command itself.
+   */
+  verificationCommands(errorInfo) {
+    return [errorInfo.workflow || this.command];
+  }
+
+  /**
+   * Check out HEAD of the watched repository into a worktree on a new branch.
+   */
+  async prepareWorkspace(errorInfo, workDir, branchName) {
+    const simpleGit = require('simple-git');
+    const git = simpleGit(errorInfo.cwd || this.cwd);
+
+    if (!(await git.checkIsRepo())) {
+      throw new Error(`Local mode needs a git repository: ${errorInfo.cwd || this.cwd}`);
+    }
+
+    await git.raw(['worktree', 'add', '-b', branchName, workDir, 'HEAD']);
+    this.log('info', `Created worktree ${workDir} on branch ${branchName}`);
+
+    return simpleGit(workDir);
+  }
+
+  async pushBranch(repoGit, branchName) {
+    this.log('info', `Fix kept on local branch ${branchName} (not pushed)`);
+  }
+
+  async openChangeRequest(errorInfo, { branchName }) {
+    this.log('success', `Review the fix with: git diff ${errorInfo.branch || 'HEAD'}...${branchName}`);
+    return null;
+  }
+
+  /**
+   * Run the command again in the worktree to check the fix (after it was committed).
+   */
+  async rerun(errorInfo, { workDir } = {}) {
+    if (!workDir) {
+      return false;
+    }
+
+    // Borrow the watched checkout's dependencies; the link is removed before the worktree is
+    const modules = path.join(errorInfo.cwd || this.cwd, 'node_modules');
+    const link = path.join(workDir, 'node_modules');
+    const linked = fs.existsSync(modules) && !fs.existsSync(link);
+    if (linked) {
+      fs.symlinkSync(modules, link, 'dir');
+    }
+
+    let run;
+    try {
+      run = await this.runCommand(workDir);
+    } finally {
+      if (linked) {
+        fs.unlinkSync(link);
+      }
+    }
+    this.log(run.exitCode === 0 ? 'success' : 'warn', `\`${this.command}\` ${run.exitCode === 0 ? 'passes' : 'still fails'} on the fix branch`);
+    return run.exitCode === 0;
+  }
+
+  async cleanupWorkspace(workDir) {
+    try {
+      const simpleGit = require('simple-git');
+      await simpleGit(this.cwd).raw(['worktree', 'remove', '--force', workDir]);
+    } catch (err) {
+      await super.cleanupWorkspace(workDir);
+    }
+  }
+}
+
+module.exports = LocalCommandAdapter;
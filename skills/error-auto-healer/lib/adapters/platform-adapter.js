@@ -0,0 +1,209 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { defaultCommands } = require('../ci-commands');
+
+/**
+ * Base class for error-source / platform adapters.
+ *
+ * An adapter tells the healer everything that depends on where an error came from:
+ *   detect / parse          recognise and parse a notification email
+ *   parseWebhook            normalise a webhook payload (optional)
+ *   fetchLogs               fetch the failed job's logs
+ *   verificationCommands    commands that reproduce the failure in a checkout
+ *   prepareWorkspace        get the code onto a fix branch in workDir
+ *   pushBranch / openChangeRequest / openIssue
+ *   rerun                   re-run the failed pipeline or command
+ *   cleanupWorkspace
+ *
+ * Every parser returns the shared errorInfo shape
+ * ({ platform, repo, owner, branch, workflow, runId, errorMessage, errorType, signature, detectedAt, ... }).
+ * The defaults below are the "not supported" answers, so an adapter only overrides what its platform can do.
+ */
+class PlatformAdapter {
+  /**
+   * @param {object} healer - the ErrorAutoHealer (used for config, log and platform clients)
+   * @param {object} [options]
+   * @param {object} [options.http] - axios-compatible client (tests pass recorded responses)
+   */
+  constructor(healer, options = {}) {
+    this.healer = healer;
+    this.http = options.http || null;
+    this.platform = 'unknown';
+  }
+
+  get config() {
+    return this.healer.config;
+  }
+
+  get client() {
+    if (!this.http) {
+      this.http = require('axios');
+    }
+    return this.http;
+  }
+
+  log(level, message) {
+    this.healer.log(level, message);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Detection and parsing
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Whether a notification email ({ from, subject, body }) comes from this platform.
+   */
+  detect(emailData) {
+    return false;
+  }
+
+  /**
+   * Parse a notification email into errorInfo, or null if it is not a failure.
+   */
+  parse(emailData) {
+    return null;
+  }
+
+  /**
+   * Parse a webhook payload into errorInfo, or null for events that are not failures.
+   */
+  parseWebhook(eventName, payload) {
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Healing hooks
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Fetch the logs of the failed run. Resolves with the relevant text or null.
+   */
+  async fetchLogs(errorInfo) {
+    return null;
+  }
+
+  /**
+   * Shell commands that reproduce the failure in the checked-out tree (empty if unknown).
+   * Defaults to the package.json script matching the error type.
+   */
+  verificationCommands(errorInfo, workDir) {
+    return defaultCommands(workDir, errorInfo.errorType);
+  }
+
+  /**
+   * Git URL the repository is cloned from.
+   */
+  cloneUrl(errorInfo) {
+    throw new Error(`${this.platform} does not support cloning repositories`);
+  }
+
+  /**
+   * Clone the repository into workDir and check out a new fix branch.
+   * Resolves with a simple-git instance for workDir.
+   */
+  async prepareWorkspace(errorInfo, workDir, branchName) {
+    const simpleGit = require('simple-git');
+    const repoUrl = this.cloneUrl(errorInfo);
+
+    this.log('info', `Cloning ${repoUrl} into ${workDir}...`);
+    await simpleGit().clone(repoUrl, workDir);
+
+    const repoGit = simpleGit(workDir);
+    await repoGit.checkout(errorInfo.branch || 'main');
+    await repoGit.checkoutLocalBranch(branchName);
+    this.log('info', `Created branch: ${branchName}`);
+
+    return repoGit;
+  }
+
+  async pushBranch(repoGit, branchName) {
+    await repoGit.push('origin', branchName);
+    this.log('info', `Branch ${branchName} pushed`);
+  }
+
+  /**
+   * Open an issue for the detected error. Resolves with its URL or null.
+   */
+  async openIssue(errorInfo) {
+    return null;
+  }
+
+  /**
+   * Open a pull/merge request for the pushed fix branch.
+   * Resolves with { url, number } or null.
+   */
+  async openChangeRequest(errorInfo, { branchName, title, body }) {
+    return null;
+  }
+
+  /**
+   * Re-run the failed pipeline or command. Resolves with true when it was triggered (or passed).
+   */
+  async rerun(errorInfo, { workDir } = {}) {
+    return false;
+  }
+
+  async cleanupWorkspace(workDir) {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers shared by the adapters
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Same signature hash the healer uses for cooldowns.
+   */
+  static hash(str) {
+    return crypto.createHash('sha256').update(str).digest('hex').substring(0, 16);
+  }
+
+  /**
+   * Guess the error type from log or email text.
+   */
+  static classifyText(text) {
+    const lower = (text || '').toLowerCase();
+    if (lower.includes('npm test') || lower.includes('jest') || lower.includes('test fail')) return 'test';
+    if (lower.includes('eslint') || lower.includes('lint')) return 'lint';
+    if (lower.includes('type') && lower.includes('error')) return 'typecheck';
+    if (lower.includes('npm install') || lower.includes('dependency')) return 'dependency';
+    if (lower.includes('deploy')) return 'deploy';
+    return 'build';
+  }
+
+  /**
+   * Guess the error type from a workflow, job or stage name ("Lint", "Unit tests", ...).
+   */
+  static classifyByName(name) {
+    const lower = (name || '').toLowerCase();
+    if (/\b(tests?|jest|spec|e2e)\b/.test(lower)) return 'test';
+    if (/\b(lint|eslint|prettier)\b/.test(lower)) return 'lint';
+    if (/\b(types?|typecheck|tsc)\b/.test(lower)) return 'typecheck';
+    if (/\b(deps|dependenc(y|ies)|install)\b/.test(lower)) return 'dependency';
+    if (/\b(deploy|release)\b/.test(lower)) return 'deploy';
+    return 'build';
+  }
+
+  /**
+   * Keep the lines of a job log that look like errors.
+   */
+  static extractErrorLines(logText, limit = 50) {
+    return (logText || '')
+      .split('\n')
+      .filter((line) => {
+        const lower = line.toLowerCase();
+        return (
+          lower.includes('error') ||
+          lower.includes('failed') ||
+          lower.includes('exception') ||
+          lower.includes('fatal') ||
+          line.includes('##[error]')
+        );
+      })
+      .slice(0, limit);
+  }
+}
+
+module.exports = PlatformAdapter;
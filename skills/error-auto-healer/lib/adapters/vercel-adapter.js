@@ -0,0 +1,188 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const PlatformAdapter = require('./platform-adapter');
+const GitHubActionsAdapter = require('./github-adapter');
+const { defaultCommands } = require('../ci-commands');
+
+// Vercel event types for a failed deployment (the dashed form is the legacy webhook format)
+const VERCEL_FAILURE_EVENTS = ['deployment.error', 'deployment-error'];
+
+/**
+ * Vercel deployments. The code lives on GitHub, so cloning, issues and pull
+ * requests come from the GitHub adapter; a re-run is a Vercel redeploy.
+ */
+class VercelAdapter extends GitHubActionsAdapter {
+  constructor(healer, options = {}) {
+    super(healer, options);
+    this.platform = 'vercel';
+  }
+
+  detect(emailData) {
+    const subject = emailData.subject || '';
+    const from = (emailData.from || '').toLowerCase();
+
+    return Boolean(
+      from.includes('vercel.com') ||
+      from.includes('zeit.co') ||
+      subject.toLowerCase().includes('vercel') ||
+      subject.toLowerCase().includes('deployment failed') ||
+      subject.match(/deploy.*fail/i)
+    );
+  }
+
+  parse(emailData) {
+    const subject = emailData.subject || '';
+    const body = emailData.body || '';
+
+    const errorInfo = {
+      platform: this.platform,
+      repo: null,
+      owner: null,
+      branch: null,
+      projectName: null,
+      deploymentId: null,
+      deploymentUrl: null,
+      errorMessage: '',
+      errorType: 'deploy',
+      signature: null,
+      detectedAt: new Date().toISOString()
+    };
+
+    // Extract project name
+    const projectMatch =
+      body.match(/project[:\s]+["']?([a-zA-Z0-9_.-]+)["']?/i) ||
+      subject.match(/(?:project|deployment)\s+["']?([a-zA-Z0-9_.-]+)["']?/i);
+    if (projectMatch) {
+      errorInfo.projectName = projectMatch[1].trim();
+    }
+
+    // Extract repository
+    const repoMatch =
+      body.match(/repository[:\s]+([a-zA-Z0-9_.-]+\/[a-zA-Z0-9_.-]+)/i) ||
+      body.match(/([a-zA-Z0-9_.-]+\/[a-zA-Z0-9_.-]+)/);
+    if (repoMatch) {
+      errorInfo.repo = repoMatch[1];
+      const parts = repoMatch[1].split('/');
+      errorInfo.owner = parts[0];
+    }
+
+    // Extract branch
+    const branchMatch =
+      body.match(/branch[:\s]+([a-zA-Z0-9_.\-\/]+)/i) ||
+      body.match(/git\s+ref[:\s]+([a-zA-Z0-9_.\-\/]+)/i);
+    if (branchMatch) {
+      errorInfo.branch = branchMatch[1].trim();
+    } else {
+      errorInfo.branch = 'main';
+    }
+
+    // Extract deployment ID
+    const deployIdMatch =
+      body.match(/deployment[:\s]+([a-zA-Z0-9_-]+)/i) ||
+      body.match(/dpl_([a-zA-Z0-9]+)/);
+    if (deployIdMatch) {
+      errorInfo.deploymentId = deployIdMatch[1];
+    }
+
+    // Extract deployment URL
+    const urlMatch = body.match(/(https?:\/\/[a-zA-Z0-9_.-]+\.vercel\.app[^\s]*)/i);
+    if (urlMatch) {
+      errorInfo.deploymentUrl = urlMatch[1];
+    }
+
+    // Extract error message
+    const errorMsgMatch =
+      body.match(/error[:\s]+(.+?)(?:\n|$)/i) ||
+      body.match(/build\s+failed[:\s]*(.+?)(?:\n|$)/i) ||
+      body.match(/deployment\s+failed[:\s]*(.+?)(?:\n|$)/i);
+    if (errorMsgMatch) {
+      errorInfo.errorMessage = errorMsgMatch[1].trim().substring(0, 500);
+    } else {
+      errorInfo.errorMessage = subject;
+    }
+
+    // Classify error type
+    const bodyLower = body.toLowerCase();
+    if (bodyLower.includes('build')) {
+      errorInfo.errorType = 'build';
+    } else if (bodyLower.includes('serverless') || bodyLower.includes('function')) {
+      errorInfo.errorType = 'serverless';
+    } else if (bodyLower.includes('timeout')) {
+      errorInfo.errorType = 'timeout';
+    }
+
+    errorInfo.signature = this.signatureOf(errorInfo);
+
+    return errorInfo;
+  }
+
+  /**
+   * deployment.error events. Other event types are ignored.
+   */
+  parseWebhook(eventName, payload) {
+    if (!VERCEL_FAILURE_EVENTS.includes(payload.type)) {
+      return null;
+    }
+
+    const data = payload.payload || {};
+    const deployment = data.deployment || {};
+    const meta = deployment.meta || {};
+    const repo = meta.githubCommitOrg && meta.githubCommitRepo
+      ? `${meta.githubCommitOrg}/${meta.githubCommitRepo}`
+      : null;
+    const projectName = deployment.name || data.name || null;
+
+    const errorInfo = {
+      platform: this.platform,
+      repo,
+      owner: meta.githubCommitOrg || null,
+      branch: meta.githubCommitRef || 'main',
+      projectName,
+      deploymentId: deployment.id || null,
+      deploymentUrl: deployment.url ? `https://${deployment.url.replace(/^https?:\/\//, '')}` : null,
+      inspectorUrl: data.links?.deployment || null,
+      commitSha: meta.githubCommitSha || null,
+      errorMessage: `Deployment of ${projectName || repo} failed${data.target ? ` (${data.target})` : ''}`,
+      errorType: 'deploy',
+      signature: null,
+      source: 'webhook',
+      detectedAt: new Date().toISOString()
+    };
+    errorInfo.signature = this.signatureOf(errorInfo);
+
+    return errorInfo;
+  }
+
+  signatureOf(errorInfo) {
+    return PlatformAdapter.hash(
+      `${errorInfo.platform}:${errorInfo.projectName || errorInfo.repo}:${errorInfo.errorType}:${errorInfo.errorMessage.substring(0, 100)}`
+    );
+  }
+
+  /**
+   * The project's build command (vercel.json buildCommand, else the build script).
+   */
+  verificationCommands(errorInfo, workDir) {
+    try {
+      const { buildCommand } = JSON.parse(fs.readFileSync(path.join(workDir, 'vercel.json'), 'utf8'));
+      if (buildCommand) {
+        return [buildCommand];
+      }
+    } catch (err) {
+      // No vercel.json or no build command
+    }
+    return defaultCommands(workDir, 'build');
+  }
+
+  async rerun(errorInfo) {
+    const deploy = await this.healer.triggerVercelRedeploy(errorInfo);
+    if (deploy) {
+      this.log('info', `Vercel redeploy triggered: ${deploy.url}`);
+    }
+    return Boolean(deploy);
+  }
+}
+
+module.exports = VercelAdapter;
@@ -0,0 +1,199 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Commands that reproduce a CI failure locally, read from the repository's
+ * own CI configuration. Only the subset of YAML those files use in practice
+ * (block mappings, `- item` lists, `|` / `>` block scalars) is understood.
+ */
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    return null;
+  }
+}
+
+function indentOf(line) {
+  return line.length - line.trimStart().length;
+}
+
+function unquote(value) {
+  const trimmed = value.trim();
+  if (/^(['"]).*\1$/.test(trimmed)) {
+    return trimmed.slice(1, -1);
+  }
+  return trimmed;
+}
+
+/**
+ * Read a scalar that starts at lines[index] after "key:" (inline or a | / > block).
+ * Returns { value, next } where next is the first line after the value.
+ */
+function readScalar(lines, index, inline, keyIndent) {
+  if (!/^[|>][-+]?\s*$/.test(inline.trim())) {
+    return { value: unquote(inline), next: index + 1 };
+  }
+
+  const folded = inline.trim().startsWith('>');
+  const block = [];
+  let next = index + 1;
+  while (next < lines.length && (lines[next].trim() === '' || indentOf(lines[next]) > keyIndent)) {
+    block.push(lines[next]);
+    next++;
+  }
+
+  const blockIndent = Math.min(...block.filter((line) => line.trim()).map(indentOf));
+  const text = block.map((line) => line.slice(blockIndent)).join(folded ? ' ' : '\n').trim();
+  return { value: text, next };
+}
+
+/**
+ * Steps that cannot run outside the CI service (expressions, secrets).
+ */
+function isPortable(command) {
+  return command !== '' && !command.includes('${{');
+}
+
+/**
+ * `run:` steps of the GitHub Actions workflow whose name (or file name) matches.
+ */
+function readGitHubWorkflowCommands(workDir, workflowName) {
+  const dir = path.join(workDir, '.github', 'workflows');
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter((file) => /\.ya?ml$/.test(file));
+  } catch (err) {
+    return [];
+  }
+
+  for (const file of files) {
+    const text = readText(path.join(dir, file));
+    const nameMatch = text && text.match(/^name:\s*(.+)$/m);
+    const name = nameMatch ? unquote(nameMatch[1]) : file.replace(/\.ya?ml$/, '');
+    if (!workflowName || (name !== workflowName && file.replace(/\.ya?ml$/, '') !== workflowName)) {
+      continue;
+    }
+
+    const lines = text.split('\n');
+    const commands = [];
+    for (let i = 0; i < lines.length; i++) {
+      const match = lines[i].match(/^(\s*)(?:-\s+)?run:\s*(.*)$/);
+      if (!match) {
+        continue;
+      }
+      const { value, next } = readScalar(lines, i, match[2], indentOf(lines[i]));
+      if (isPortable(value)) {
+        commands.push(value);
+      }
+      i = next - 1;
+    }
+    return commands;
+  }
+
+  return [];
+}
+
+/**
+ * List items under `key:` written at the given indent.
+ */
+function readList(lines, key, keyIndent) {
+  const start = lines.findIndex((line) => indentOf(line) === keyIndent && line.trim() === `${key}:`);
+  if (start === -1) {
+    return null;
+  }
+
+  const items = [];
+  for (let i = start + 1; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.trim() === '' || line.trim().startsWith('#')) {
+      continue;
+    }
+    if (indentOf(line) < keyIndent || (indentOf(line) === keyIndent && !line.trim().startsWith('- '))) {
+      break;
+    }
+
+    const match = line.match(/^(\s*)-\s+(.*)$/);
+    if (match && indentOf(line) >= keyIndent) {
+      const { value, next } = readScalar(lines, i, match[2], indentOf(line));
+      if (isPortable(value)) {
+        items.push(value);
+      }
+      i = next - 1;
+    }
+  }
+  return items;
+}
+
+/**
+ * `before_script` + `script` of a job in .gitlab-ci.yml (the top-level before_script is the default).
+ */
+function readGitLabJobCommands(workDir, jobName) {
+  const text = readText(path.join(workDir, '.gitlab-ci.yml'));
+  if (!text || !jobName) {
+    return [];
+  }
+
+  const lines = text.split('\n');
+  const start = lines.findIndex((line) => unquote(line.replace(/:\s*$/, '')) === jobName && /^\S.*:\s*$/.test(line));
+  if (start === -1) {
+    return [];
+  }
+
+  let end = start + 1;
+  while (end < lines.length && (lines[end].trim() === '' || indentOf(lines[end]) > 0)) {
+    end++;
+  }
+  const job = lines.slice(start + 1, end);
+  const firstKey = job.find((line) => line.trim() !== '');
+  if (!firstKey) {
+    return [];
+  }
+  const jobIndent = indentOf(firstKey);
+
+  // Top-level before_script applies when the job does not define its own
+  const beforeScript = readList(job, 'before_script', jobIndent) || readList(lines, 'before_script', 0) || [];
+  const script = readList(job, 'script', jobIndent) || [];
+
+  return script.length > 0 ? [...beforeScript, ...script] : [];
+}
+
+/**
+ * package.json scripts for an error type when the CI configuration cannot be read.
+ */
+function defaultCommands(workDir, errorType) {
+  const text = readText(path.join(workDir, 'package.json'));
+  let scripts = {};
+  try {
+    scripts = (text && JSON.parse(text).scripts) || {};
+  } catch (err) {
+    return [];
+  }
+
+  const candidates = {
+    test: ['test'],
+    lint: ['lint'],
+    typecheck: ['typecheck', 'type-check', 'tsc'],
+    dependency: ['build', 'test'],
+    deploy: ['build'],
+    build: ['build']
+  }[errorType] || ['build', 'test'];
+
+  const script = candidates.find((name) => scripts[name]);
+  if (script) {
+    return [script === 'test' ? 'npm test' : `npm run ${script}`];
+  }
+  if (errorType === 'typecheck' && fs.existsSync(path.join(workDir, 'tsconfig.json'))) {
+    return ['npx tsc --noEmit'];
+  }
+  return [];
+}
+
+module.exports = {
+  readGitHubWorkflowCommands,
+  readGitLabJobCommands,
+  defaultCommands
+};
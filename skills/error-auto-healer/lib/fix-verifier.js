@@ -0,0 +1,319 @@
+'use strict';
+
+const { spawn, execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SANDBOX_DOCKERFILE = path.join(__dirname, '..', '..', '..', 'docker', 'sandbox.Dockerfile');
+
+// Environment passed to the local sandbox (tokens and other secrets are left out)
+const LOCAL_ENV_KEYS = ['PATH', 'LANG', 'LC_ALL', 'TZ', 'NODE_VERSION'];
+
+const INSTALL_PATTERN = /\b(npm\s+(ci|install|i)|yarn(\s+install)?|pnpm\s+install)\b/;
+
+// A step that only installs dependencies (no test or build chained after it)
+const INSTALL_STEP_PATTERN = /^\s*(npm\s+(ci|install|i)|yarn(\s+install)?|pnpm\s+install)\b[^;&|\n]*$/;
+
+// Printed by the script's ERR trap, so the failing step survives log truncation
+const FAILED_STEP_PATTERN = /^healer-verify: step (\d+) failed$/gm;
+
+// `docker run` exits with 125 when the container could not be started
+const DOCKER_RUN_ERROR = 125;
+
+/**
+ * Runs the commands that reproduce a failure on the pre-fix and post-fix trees,
+ * either in the docker/sandbox.Dockerfile image or in a local subprocess.
+ *
+ * Each run works on a throwaway copy of the tree, so installs and build output
+ * never end up in the fix commit.
+ */
+class FixVerifier {
+  /**
+   * @param {object} config - healer config.verification
+   * @param {function} log - (level, message) => void
+   */
+  constructor(config = {}, log = () => {}) {
+    this.config = {
+      mode: 'auto',
+      image: 'openclaw-sandbox',
+      timeoutMs: 600000,
+      memory: '2g',
+      network: true,
+      logChars: 20000,
+      ...config
+    };
+    this.log = log;
+    this.resolvedMode = null;
+  }
+
+  /**
+   * 'docker' or 'local'. In auto mode Docker is used when the daemon is reachable.
+   */
+  async resolveMode() {
+    if (this.resolvedMode) {
+      return this.resolvedMode;
+    }
+
+    if (this.config.mode === 'local') {
+      this.resolvedMode = 'local';
+    } else if (await this.dockerAvailable()) {
+      await this.ensureImage();
+      this.resolvedMode = 'docker';
+    } else if (this.config.mode === 'docker') {
+      throw new Error('Verification mode is docker but Docker is not available');
+    } else {
+      this.log('warn', 'Docker not available, verifying in a local subprocess');
+      this.resolvedMode = 'local';
+    }
+
+    return this.resolvedMode;
+  }
+
+  dockerAvailable() {
+    return new Promise((resolve) => {
+      execFile('docker', ['info', '--format', '{{.ServerVersion}}'], { timeout: 15000 }, (error) => resolve(!error));
+    });
+  }
+
+  /**
+   * Build the sandbox image from docker/sandbox.Dockerfile if it does not exist yet.
+   */
+  async ensureImage() {
+    const exists = await new Promise((resolve) => {
+      execFile('docker', ['image', 'inspect', this.config.image], (error) => resolve(!error));
+    });
+    if (exists) {
+      return;
+    }
+
+    this.log('info', `Building sandbox image ${this.config.image}...`);
+    // The Dockerfile copies its build context into the image; an empty one is enough here
+    const context = fs.mkdtempSync(path.join(os.tmpdir(), 'healer-sandbox-context-'));
+    try {
+      const run = await this.spawnCapture('docker', ['build', '-t', this.config.image, '-f', SANDBOX_DOCKERFILE, context], {});
+      if (run.exitCode !== 0) {
+        throw new Error(`Failed to build sandbox image: ${run.output.slice(-500)}`);
+      }
+    } finally {
+      fs.rmSync(context, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Run the commands on a copy of workDir.
+   * Resolves with { stage, passed, exitCode, timedOut, failedStep, inconclusive, durationMs, mode, log }.
+   * inconclusive is the reason the run says nothing about the failure (timeout, the
+   * sandbox did not start, dependencies did not install), or null.
+   */
+  async verify(stage, workDir, commands) {
+    const mode = await this.resolveMode();
+    const snapshot = this.snapshot(workDir);
+    const steps = this.buildSteps(snapshot, commands);
+    const script = this.buildScript(steps);
+    const startTime = Date.now();
+
+    this.log('info', `Verifying ${stage}-fix tree (${mode}): ${commands.join(' && ').replace(/\n/g, '; ')}`);
+
+    try {
+      const run = mode === 'docker'
+        ? await this.runDocker(snapshot, script)
+        : await this.runLocal(snapshot, script);
+
+      const markers = [...run.output.matchAll(FAILED_STEP_PATTERN)];
+      const failedStep = run.exitCode !== 0 && markers.length > 0
+        ? steps[Number(markers[markers.length - 1][1])] || null
+        : null;
+
+      return {
+        stage,
+        passed: run.exitCode === 0,
+        exitCode: run.exitCode,
+        timedOut: run.timedOut,
+        failedStep,
+        inconclusive: inconclusiveReason(mode, run, failedStep),
+        durationMs: Date.now() - startTime,
+        mode,
+        log: run.output
+      };
+    } finally {
+      fs.rmSync(snapshot, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Copy the tree without .git and installed dependencies.
+   */
+  snapshot(workDir) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'healer-verify-'));
+    fs.cpSync(workDir, dir, {
+      recursive: true,
+      filter: (source) => !['.git', 'node_modules'].includes(path.basename(source))
+    });
+    return dir;
+  }
+
+  /**
+   * The commands to run, with a dependency install first if the commands do not install.
+   */
+  buildSteps(dir, commands) {
+    const steps = [...commands];
+    const installs = steps.some((command) => INSTALL_PATTERN.test(command));
+    if (!installs && fs.existsSync(path.join(dir, 'package.json'))) {
+      steps.unshift(fs.existsSync(path.join(dir, 'package-lock.json')) ? 'npm ci' : 'npm install');
+    }
+    return steps;
+  }
+
+  /**
+   * One bash script running each step, stopping at the first failure and reporting which step failed.
+   */
+  buildScript(steps) {
+    return [
+      'set -e',
+      `trap 'echo "healer-verify: step $HEALER_STEP failed" >&2' ERR`,
+      ...steps.flatMap((command, index) => [
+        `HEALER_STEP=${index}`,
+        `echo ${shellQuote(`$ ${command.replace(/\n/g, '; ')}`)}`,
+        command
+      ])
+    ].join('\n');
+  }
+
+  runLocal(dir, script) {
+    const home = path.join(dir, '.home');
+    fs.mkdirSync(home);
+
+    const env = { CI: 'true', HOME: home };
+    for (const key of LOCAL_ENV_KEYS) {
+      if (process.env[key]) {
+        env[key] = process.env[key];
+      }
+    }
+
+    return this.spawnCapture('bash', ['-c', script], { cwd: dir, env, detached: true });
+  }
+
+  runDocker(dir, script) {
+    const name = `healer-verify-${crypto.randomBytes(4).toString('hex')}`;
+    const args = [
+      'run', '--rm', '--name', name,
+      `--memory=${this.config.memory}`,
+      `--network=${this.config.network ? 'bridge' : 'none'}`,
+      '-v', `${dir}:/sandbox/workspace`,
+      '-w', '/sandbox/workspace',
+      '-e', 'CI=true',
+      '-e', 'HOME=/tmp'
+    ];
+    // Write to the mounted copy as its owner
+    if (typeof process.getuid === 'function') {
+      args.push('--user', `${process.getuid()}:${process.getgid()}`);
+    }
+    args.push(this.config.image, 'bash', '-c', script);
+
+    return this.spawnCapture('docker', args, {}, () => {
+      execFile('docker', ['rm', '-f', name], () => {});
+    });
+  }
+
+  /**
+   * Spawn a process and keep the tail of its output. Stops it after timeoutMs.
+   */
+  spawnCapture(command, args, options, onTimeout = null) {
+    return new Promise((resolve) => {
+      const child = spawn(command, args, options);
+      let output = '';
+      let timedOut = false;
+      const append = (chunk) => {
+        output = (output + chunk.toString()).slice(-this.config.logChars);
+      };
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        append(`\nVerification timed out after ${this.config.timeoutMs}ms\n`);
+        if (onTimeout) {
+          onTimeout();
+        }
+        try {
+          // Detached children lead their own process group; stop the whole group
+          process.kill(options.detached ? -child.pid : child.pid, 'SIGKILL');
+        } catch (err) {
+          // Already exited
+        }
+      }, this.config.timeoutMs);
+
+      child.stdout.on('data', append);
+      child.stderr.on('data', append);
+      child.on('error', (err) => {
+        clearTimeout(timer);
+        resolve({ exitCode: -1, timedOut, output: `${output}\n${err.message}` });
+      });
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        resolve({ exitCode: code === null ? -1 : code, timedOut, output });
+      });
+    });
+  }
+
+  /**
+   * Markdown section for the pull request body.
+   */
+  static formatReport(commands, before, after, maxLogChars = 6000) {
+    const row = (result) =>
+      `| ${result.stage}-fix | ${result.passed ? 'passed' : 'failed'} | ${result.exitCode} | ${(result.durationMs / 1000).toFixed(1)}s |`;
+    const logBlock = (result) => [
+      '<details>',
+      `<summary>${result.stage}-fix log (${result.mode})</summary>`,
+      '',
+      '```',
+      result.log.slice(-maxLogChars).replace(/```/g, '` ` `'),
+      '```',
+      '</details>'
+    ];
+
+    return [
+      '### Verification',
+      '',
+      'Commands:',
+      '',
+      '```',
+      ...commands,
+      '```',
+      '',
+      '| Tree | Result | Exit code | Duration |',
+      '|------|--------|-----------|----------|',
+      row(before),
+      row(after),
+      '',
+      ...logBlock(before),
+      '',
+      ...logBlock(after)
+    ].join('\n');
+  }
+}
+
+/**
+ * Why a failed run cannot count as reproducing the failure, or null.
+ */
+function inconclusiveReason(mode, run, failedStep) {
+  if (run.timedOut) {
+    return 'timed out';
+  }
+  if (run.exitCode === -1) {
+    return 'the command could not be started or was killed';
+  }
+  if (mode === 'docker' && run.exitCode === DOCKER_RUN_ERROR) {
+    return 'the sandbox container could not be started';
+  }
+  if (failedStep && INSTALL_STEP_PATTERN.test(failedStep)) {
+    return `dependency install failed (${failedStep})`;
+  }
+  return null;
+}
+
+function shellQuote(text) {
+  return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+module.exports = FixVerifier;
@@ -0,0 +1,457 @@
+'use strict';
+
+/**
+ * Failure classes the analyzer can report. `errorType` is the coarse type the
+ * email/webhook parsers use, so an analysis can be compared with errorInfo.errorType.
+ */
+const TAXONOMY = {
+  'dependency-conflict': { errorType: 'dependency', description: 'npm could not resolve the dependency tree' },
+  'missing-dependency': { errorType: 'dependency', description: 'A package is imported but not installed' },
+  'engine-mismatch': { errorType: 'dependency', description: 'The Node.js version does not satisfy a required engine range' },
+  'type-error': { errorType: 'typecheck', description: 'TypeScript compiler errors' },
+  'lint-error': { errorType: 'lint', description: 'ESLint rule violations' },
+  'test-failure': { errorType: 'test', description: 'Failing Jest tests' },
+  'missing-env': { errorType: 'config', description: 'A required environment variable is not set' },
+  'out-of-memory': { errorType: 'resource', description: 'The process ran out of memory' },
+  'syntax-error': { errorType: 'build', description: 'JavaScript/JSON syntax errors' },
+  'build-error': { errorType: 'build', description: 'Unrecognised build failure' },
+  unknown: { errorType: null, description: 'No failure found in the logs' }
+};
+
+// Known failure signatures. Confidence is how sure a single match makes us of the category.
+const SIGNATURES = [
+  {
+    id: 'npm-eresolve',
+    category: 'dependency-conflict',
+    pattern: /\bERESOLVE\b/,
+    confidence: 0.95
+  },
+  {
+    id: 'npm-peer-conflict',
+    category: 'dependency-conflict',
+    pattern: /npm (?:ERR!|error) (?:Could not resolve dependency:|Conflicting peer dependency: (\S+)|peer (\S+) from (\S+)|Found: (\S+))/,
+    confidence: 0.6,
+    details: (match) => pick({ peer: match[1] || match[2], requiredBy: match[3], found: match[4] })
+  },
+  {
+    id: 'missing-module',
+    category: 'missing-dependency',
+    pattern: /Cannot find module '([^'.][^']*)'|Module not found: (?:Error: )?Can't resolve '([^'.][^']*)'/,
+    confidence: 0.8,
+    details: (match) => ({ module: match[1] || match[2] })
+  },
+  {
+    id: 'node-engine',
+    category: 'engine-mismatch',
+    // npm with engine-strict, yarn, and the Next.js version check
+    pattern: /npm (?:ERR!|error) (?:code EBADENGINE|notsup Required: \{"node":"([^"]+)"\})|The engine "node" is incompatible with this module\. Expected version "([^"]+)"|Node\.js version (>=? ?v?[\d.]+) is required/,
+    confidence: 0.85,
+    details: (match) => pick({ required: (match[1] || match[2] || match[3] || '').replace(/\s|v/g, '') || undefined })
+  },
+  {
+    id: 'typescript',
+    category: 'type-error',
+    pattern: /\berror (TS\d{4}):/,
+    confidence: 0.9,
+    details: (match) => ({ code: match[1] })
+  },
+  {
+    id: 'eslint',
+    category: 'lint-error',
+    pattern: /^\s*\d+:\d+\s+error\s+.+?\s{2,}(@?[a-z][\w-]*(?:\/[\w-]+)*)\s*$/,
+    confidence: 0.85,
+    details: (match) => ({ rule: match[1] })
+  },
+  {
+    id: 'eslint-summary',
+    category: 'lint-error',
+    pattern: /✖ \d+ problems? \((\d+) errors?/,
+    confidence: 0.7
+  },
+  {
+    id: 'jest-fail',
+    category: 'test-failure',
+    pattern: /^\s*FAIL\s+(\S+\.(?:test|spec)\.[jt]sx?)/,
+    confidence: 0.8,
+    details: (match) => ({ testFile: match[1] })
+  },
+  {
+    id: 'jest-test',
+    category: 'test-failure',
+    pattern: /^\s*● (?!Test suite failed to run|Console)(.+)$/,
+    confidence: 0.6,
+    // testFile is filled in from the "FAIL <file>" header the test is listed under
+    details: (match) => ({ testName: match[1].trim() })
+  },
+  {
+    id: 'jest-summary',
+    category: 'test-failure',
+    pattern: /^\s*Tests:\s+(\d+) failed/,
+    confidence: 0.8,
+    details: (match) => ({ failed: parseInt(match[1], 10) })
+  },
+  {
+    id: 'missing-env',
+    category: 'missing-env',
+    // Variable names are upper case, so the surrounding words spell out their case instead of using /i
+    pattern: /[Ee]nv(?:ironment)?\s+[Vv]ar(?:iable)?\s+[`'"]?([A-Z][A-Z0-9_]{2,})[`'"]?\s+(?:is\s+)?(?:not set|not defined|missing|undefined|required)|[Mm]issing (?:required )?[Ee]nv(?:ironment)?(?: [Vv]ar(?:iable)?s?)?:?\s*[`'"]?([A-Z][A-Z0-9_]{2,})\b|process\.env\.([A-Z][A-Z0-9_]{2,}) is (?:undefined|not defined)/,
+    confidence: 0.8,
+    details: (match) => ({ variable: match[1] || match[2] || match[3] })
+  },
+  {
+    id: 'node-heap-oom',
+    category: 'out-of-memory',
+    pattern: /JavaScript heap out of memory|Allocation failed - process out of memory|FATAL ERROR: .*Allocation failed/,
+    confidence: 0.95
+  },
+  {
+    id: 'killed-137',
+    category: 'out-of-memory',
+    pattern: /exit code 137\b|\bENOMEM\b|^\s*Killed\s*$/,
+    confidence: 0.6
+  },
+  {
+    id: 'syntax-error',
+    category: 'syntax-error',
+    pattern: /\bSyntaxError: (.+)$/,
+    confidence: 0.7,
+    details: (match) => ({ message: match[1].trim() })
+  }
+];
+
+// Lines that mark the end of a failed step
+const FAILURE_MARKERS = [/^##\[error\]/, /^ERROR: Job failed/, /^Error: Process completed with exit code/];
+
+// A passing Jest suite ends the failing tests listed under the previous FAIL line
+const JEST_PASS_LINE = /^\s*PASS\s+\S/;
+
+const ERROR_LINE = /\berror\b|\bfailed\b|\bexception\b|\bfatal\b|npm ERR!|^##\[error\]/i;
+const FRAME_LINE = /^\s+at\s+\S/;
+const FRAME_LOCATION = /^\s+at\s+(?:(.+?)\s+\()?((?:[A-Za-z]:)?[^\s()]+?):(\d+):(\d+)\)?\s*$/;
+const FILE_ONLY_LINE = /^(?:[A-Za-z]:)?[\w./@\\-]+\.[a-z]{1,4}$/i;
+
+const MAX_ERRORS = 25;
+const MAX_SIGNATURES = 20;
+const MAX_TRACES = 5;
+const MAX_FRAMES = 10;
+
+/**
+ * Turns raw CI output (GitHub Actions job logs, GitLab traces, scraped Vercel
+ * pages, local command output) into a structured analysis: the first failing
+ * step, error lines with file:line locations, stack traces, known failure
+ * signatures, and a classification from TAXONOMY with a confidence score.
+ */
+class LogAnalyzer {
+  /**
+   * @param {string} logText
+   * @param {object} [options]
+   * @param {string} [options.errorType] - type guessed by the parser, used when the logs are inconclusive
+   * @returns {{ category, errorType, confidence, candidates, failingStep, errors, stackTraces, signatures }}
+   */
+  analyze(logText, options = {}) {
+    const lines = LogAnalyzer.normalize(logText);
+    const signatures = [];
+    const errors = [];
+    const stackTraces = [];
+    let failingStep = null;
+    let firstErrorStep = null;
+    let job = null;
+    let step = null;
+    let lastFile = null;
+    let testFile = null;
+    let trace = null;
+
+    lines.forEach((text, index) => {
+      const lineNo = index + 1;
+
+      const jobMatch = text.match(/^=== Job: (.+?) ===/);
+      if (jobMatch) {
+        job = jobMatch[1];
+        step = null;
+        testFile = null;
+        return;
+      }
+      // GitHub Actions "##[group]Run <command>", GitLab and verifier "$ <command>"
+      const stepMatch = text.match(/^##\[group\]Run (.+)$/) || text.match(/^\$ (.+)$/);
+      if (stepMatch) {
+        step = stepMatch[1].trim();
+        return;
+      }
+
+      if (!failingStep && FAILURE_MARKERS.some((marker) => marker.test(text))) {
+        failingStep = { job, step, line: lineNo };
+      }
+
+      // Stack traces: consecutive "at ..." frames below the message line
+      if (FRAME_LINE.test(text)) {
+        if (!trace) {
+          trace = { message: LogAnalyzer.previousMessage(lines, index), line: lineNo, frames: [] };
+          if (stackTraces.length < MAX_TRACES) {
+            stackTraces.push(trace);
+          }
+        }
+        const frame = text.match(FRAME_LOCATION);
+        if (frame && trace.frames.length < MAX_FRAMES) {
+          trace.frames.push({
+            function: frame[1] || null,
+            file: frame[2],
+            line: parseInt(frame[3], 10),
+            column: parseInt(frame[4], 10)
+          });
+        }
+        return;
+      }
+      trace = null;
+
+      if (FILE_ONLY_LINE.test(text.trim())) {
+        lastFile = text.trim();
+        return;
+      }
+
+      const hits = [];
+      for (const signature of SIGNATURES) {
+        const match = text.match(signature.pattern);
+        if (match) {
+          hits.push({
+            id: signature.id,
+            category: signature.category,
+            confidence: signature.confidence,
+            line: lineNo,
+            text: text.trim(),
+            details: signature.details ? signature.details(match) : {}
+          });
+        }
+      }
+      // Jest lists each suite's failing tests below its "FAIL <file>" line
+      if (JEST_PASS_LINE.test(text)) {
+        testFile = null;
+      }
+      for (const hit of hits) {
+        if (hit.id === 'jest-fail') {
+          testFile = hit.details.testFile;
+        } else if (hit.id === 'jest-test' && testFile) {
+          hit.details.testFile = testFile;
+        }
+      }
+      if (signatures.length < MAX_SIGNATURES) {
+        signatures.push(...hits.slice(0, MAX_SIGNATURES - signatures.length));
+      }
+
+      if (hits.length > 0 || ERROR_LINE.test(text)) {
+        if (!firstErrorStep) {
+          firstErrorStep = { job, step, line: lineNo };
+        }
+        if (errors.length < MAX_ERRORS && !errors.some((e) => e.text === text.trim())) {
+          const details = Object.assign({}, ...hits.map((hit) => hit.details));
+          // ESLint prints the file once, above its problems
+          const location = LogAnalyzer.parseLocation(text) ||
+            (hits.some((hit) => hit.id === 'eslint') && lastFile ? { file: lastFile, ...LogAnalyzer.parseLineColumn(text) } : null);
+          errors.push({
+            text: text.trim(),
+            line: lineNo,
+            file: location ? location.file : null,
+            fileLine: location ? location.line : null,
+            column: location ? location.column : null,
+            code: details.code || details.rule || null
+          });
+        }
+      }
+    });
+
+    const candidates = LogAnalyzer.score(signatures, errors, options.errorType);
+    const best = candidates[0] || { category: 'unknown', confidence: 0 };
+
+    return {
+      category: best.category,
+      errorType: TAXONOMY[best.category].errorType,
+      confidence: best.confidence,
+      candidates,
+      failingStep: failingStep || firstErrorStep,
+      errors,
+      stackTraces,
+      signatures
+    };
+  }
+
+  /**
+   * Rank the categories. Distinct signatures of a category reinforce each other
+   * (1 - Π(1 - confidence)); ties go to the category seen first in the log.
+   */
+  static score(signatures, errors, errorTypeHint) {
+    const byCategory = new Map();
+    for (const hit of signatures) {
+      const entry = byCategory.get(hit.category) || { category: hit.category, firstLine: hit.line, rules: new Map() };
+      entry.rules.set(hit.id, Math.max(entry.rules.get(hit.id) || 0, hit.confidence));
+      byCategory.set(hit.category, entry);
+    }
+
+    // Nothing recognisable: fall back to the parser's guess, then to a generic build error
+    if (byCategory.size === 0 && errors.length > 0) {
+      const hinted = {
+        test: 'test-failure',
+        lint: 'lint-error',
+        typecheck: 'type-error'
+      }[errorTypeHint];
+      const category = hinted || 'build-error';
+      byCategory.set(category, { category, firstLine: errors[0].line, rules: new Map([['fallback', hinted ? 0.4 : 0.3]]) });
+    }
+
+    return [...byCategory.values()]
+      .map((entry) => {
+        const miss = [...entry.rules.values()].reduce((product, confidence) => product * (1 - confidence), 1);
+        return {
+          category: entry.category,
+          confidence: Math.round(Math.min(0.99, 1 - miss) * 100) / 100,
+          firstLine: entry.firstLine
+        };
+      })
+      .sort((a, b) => b.confidence - a.confidence || a.firstLine - b.firstLine)
+      .map(({ category, confidence }) => ({ category, confidence }));
+  }
+
+  /**
+   * Strip ANSI colours, GitLab section markers and GitHub timestamps, and split into lines.
+   */
+  static normalize(logText) {
+    return String(logText || '')
+      .replace(/\x1b\[[0-9;]*[A-Za-z]/g, '')
+      .replace(/section_(?:start|end):\d+:[\w-]+(?:\[[^\]]*\])?\r?/g, '')
+      .split(/\r?\n/)
+      .map((line) => line.replace(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z\s?/, '').replace(/\r/g, ''));
+  }
+
+  /**
+   * file:line[:column] or file(line,column) (tsc) in a log line.
+   */
+  static parseLocation(text) {
+    const match =
+      text.match(/((?:[A-Za-z]:)?[\w./@\\-]*[\w-]\.[a-z]{1,4})\((\d+),(\d+)\)/i) ||
+      text.match(/(?:^|[\s('"])((?:[A-Za-z]:)?[\w./@\\-]*[\w-]\.[a-z]{1,4}):(\d+)(?::(\d+))?/i);
+    if (!match) {
+      return null;
+    }
+    return {
+      file: match[1],
+      line: parseInt(match[2], 10),
+      column: match[3] ? parseInt(match[3], 10) : null
+    };
+  }
+
+  static parseLineColumn(text) {
+    const match = text.match(/^\s*(\d+):(\d+)/);
+    return match ? { line: parseInt(match[1], 10), column: parseInt(match[2], 10) } : { line: null, column: null };
+  }
+
+  static previousMessage(lines, index) {
+    for (let i = index - 1; i >= 0 && i >= index - 5; i--) {
+      if (lines[i].trim()) {
+        return lines[i].trim();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The lines worth keeping from a long job log: step headers, error lines,
+   * known signatures and the first frames of each stack trace.
+   * A "$ command" step header (GitLab) and a file path header (ESLint) are kept
+   * only when a kept line follows them, so analyze() still finds the step and file.
+   */
+  static relevantLines(logText, limit = 80) {
+    const kept = [];
+    let frames = 0;
+    let pendingStep = null;
+    let pendingFile = null;
+
+    for (const text of LogAnalyzer.normalize(logText)) {
+      if (FRAME_LINE.test(text)) {
+        if (frames++ < 3) {
+          kept.push(text);
+        }
+        continue;
+      }
+      frames = 0;
+
+      if (/^\$ /.test(text)) {
+        pendingStep = text;
+        pendingFile = null;
+        continue;
+      }
+      if (FILE_ONLY_LINE.test(text.trim())) {
+        pendingFile = text;
+        continue;
+      }
+
+      if (/^##\[group\]Run /.test(text) || ERROR_LINE.test(text) ||
+          SIGNATURES.some((signature) => signature.pattern.test(text))) {
+        kept.push(...[pendingStep, pendingFile].filter(Boolean), text);
+        pendingStep = null;
+        pendingFile = null;
+      }
+    }
+
+    return kept.slice(0, limit);
+  }
+
+  /**
+   * Markdown summary for prompts, issues and pull requests.
+   */
+  static summarize(analysis, maxErrors = 10) {
+    if (!analysis || analysis.category === 'unknown') {
+      return 'No known failure signature found in the logs.';
+    }
+
+    const parts = [
+      `- **Classification**: ${analysis.category} (${Math.round(analysis.confidence * 100)}% confidence) - ${TAXONOMY[analysis.category].description}`
+    ];
+
+    if (analysis.failingStep && (analysis.failingStep.job || analysis.failingStep.step)) {
+      const { job, step } = analysis.failingStep;
+      parts.push(`- **First failing step**: ${[job, step].filter(Boolean).join(' › ')}`);
+    }
+
+    // id -> detail key -> distinct values
+    const signatureDetails = new Map();
+    for (const hit of analysis.signatures) {
+      const details = signatureDetails.get(hit.id) || new Map();
+      for (const [key, value] of Object.entries(hit.details)) {
+        details.set(key, (details.get(key) || new Set()).add(value));
+      }
+      signatureDetails.set(hit.id, details);
+    }
+    if (signatureDetails.size > 0) {
+      parts.push('- **Signatures**:');
+      for (const [id, details] of signatureDetails) {
+        const fields = [...details].map(([key, values]) => `${key}: ${[...values].join(', ')}`);
+        parts.push(`  - ${id}${fields.length > 0 ? ` (${fields.join('; ')})` : ''}`);
+      }
+    }
+
+    const located = analysis.errors.filter((error) => error.file);
+    if (located.length > 0) {
+      parts.push('- **Locations**:');
+      for (const error of located.slice(0, maxErrors)) {
+        const position = [error.file, error.fileLine, error.column].filter((value) => value !== null).join(':');
+        parts.push(`  - \`${position}\`${error.code ? ` ${error.code}` : ''}: ${error.text.substring(0, 160)}`);
+      }
+    }
+
+    for (const trace of analysis.stackTraces.filter((t) => t.frames.length > 0).slice(0, 2)) {
+      const top = trace.frames[0];
+      parts.push(`- **Stack trace**: ${trace.message || 'unknown error'} at \`${top.file}:${top.line}\``);
+    }
+
+    return parts.join('\n');
+  }
+}
+
+/**
+ * Drop undefined fields.
+ */
+function pick(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+LogAnalyzer.TAXONOMY = TAXONOMY;
+
+module.exports = LogAnalyzer;
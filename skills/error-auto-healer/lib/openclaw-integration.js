@@ -4,6 +4,7 @@ const { execSync, spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const LogAnalyzer = require('./log-analyzer');
 
 const GATEWAY_PORT = 18789;
 const GATEWAY_URL = `http://localhost:${GATEWAY_PORT}`;
@@ -185,6 +186,12 @@ class OpenClawIntegration {
       parts.push(`- **Log URL**: ${errorInfo.logUrl}`);
     }
 
+    if (errorInfo.analysis) {
+      parts.push('');
+      parts.push('## Log Analysis');
+      parts.push(LogAnalyzer.summarize(errorInfo.analysis));
+    }
+
     parts.push('');
     parts.push('## Working Directory');
     parts.push(`The repository has been cloned to: ${repoDir}`);
@@ -196,14 +203,15 @@ class OpenClawIntegration {
     parts.push('4. Ensure the fix does not break existing functionality.');
     parts.push('5. If you cannot determine the fix with high confidence, report that.');
 
-    if (errorInfo.errorLog) {
+    const errorLog = errorInfo.errorLog || errorInfo.scrapedLogs;
+    if (errorLog) {
       parts.push('');
       parts.push('## Error Log');
       parts.push('```');
       // Truncate very long logs
-      const log = errorInfo.errorLog.length > 3000
-        ? errorInfo.errorLog.substring(0, 3000) + '\n... (truncated)'
-        : errorInfo.errorLog;
+      const log = errorLog.length > 3000
+        ? errorLog.substring(0, 3000) + '\n... (truncated)'
+        : errorLog;
       parts.push(log);
       parts.push('```');
     }
@@ -0,0 +1,230 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { builtinModules } = require('module');
+const FixStrategy = require('./fix-strategy');
+
+// How far back the lockfile history is searched for a last good version
+const LOCKFILE_HISTORY_DEPTH = 30;
+
+const LOCKFILE_ARGS = ['install', '--package-lock-only', '--ignore-scripts', '--no-audit', '--no-fund'];
+
+/**
+ * npm dependency failures:
+ *   dependency-conflict  pin the package that changed to its last good version from the
+ *                        lockfile history, then regenerate package-lock.json (ERESOLVE)
+ *   missing-dependency   declare a package that is only installed transitively, or
+ *                        regenerate a lockfile that is out of sync with package.json
+ *   engine-mismatch      add the missing `engines.node` field
+ */
+class DependencyUpdateStrategy extends FixStrategy {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'dependency-update';
+    this.classifications = ['dependency-conflict', 'missing-dependency', 'engine-mismatch'];
+  }
+
+  async apply({ analysis, workDir }) {
+    const pkg = FixStrategy.readPackageJson(workDir);
+    if (!pkg) {
+      return null;
+    }
+
+    const details = analysis.signatures.map((hit) => hit.details);
+    let description;
+
+    if (analysis.category === 'engine-mismatch') {
+      description = this.addEngines(pkg, workDir, details);
+    } else if (analysis.category === 'missing-dependency') {
+      description = await this.fixMissingModule(pkg, workDir, details);
+    } else {
+      description = await this.resolveConflict(pkg, workDir, details);
+    }
+
+    if (!description) {
+      return null;
+    }
+    const filesChanged = await this.changedFiles(workDir);
+    return filesChanged.length > 0 ? { filesChanged, description } : null;
+  }
+
+  /**
+   * ERESOLVE: undo the most recent version change of an involved package, then
+   * regenerate the lockfile. Falls back to legacy peer dependency resolution.
+   */
+  async resolveConflict(pkg, workDir, details) {
+    const names = [...new Set(
+      details.flatMap((detail) => [detail.found, detail.requiredBy, detail.peer]).filter(Boolean).map(packageName)
+    )];
+
+    const pinned = await this.pinLastGoodVersion(pkg, workDir, names);
+    if (pinned) {
+      FixStrategy.writePackageJson(pkg);
+      this.log('info', `Pinned ${pinned.name} to ${pinned.version} (was ${pinned.current})`);
+    }
+
+    const regenerated = await this.regenerateLockfile(workDir);
+    if (regenerated) {
+      return pinned
+        ? `Pinned ${pinned.name} to its last good version ${pinned.version} (lockfile had ${pinned.current}) and regenerated package-lock.json.`
+        : 'Regenerated package-lock.json.';
+    }
+
+    // Peer ranges still conflict: resolve like npm 6 did and make `npm ci` do the same
+    const legacy = await this.run('npm', [...LOCKFILE_ARGS, '--legacy-peer-deps'], workDir);
+    if (legacy.exitCode !== 0) {
+      this.log('warn', `Lockfile could not be regenerated: ${legacy.output.slice(-300)}`);
+      return pinned ? `Pinned ${pinned.name} to its last good version ${pinned.version}.` : null;
+    }
+    const npmrc = path.join(workDir, '.npmrc');
+    const existing = fs.existsSync(npmrc) ? fs.readFileSync(npmrc, 'utf8') : '';
+    if (!/^legacy-peer-deps\s*=/m.test(existing)) {
+      fs.writeFileSync(npmrc, `${existing}${existing && !existing.endsWith('\n') ? '\n' : ''}legacy-peer-deps=true\n`);
+    }
+    return `${pinned ? `Pinned ${pinned.name} to ${pinned.version}; ` : ''}regenerated package-lock.json with legacy peer dependency resolution (.npmrc legacy-peer-deps=true).`;
+  }
+
+  /**
+   * For the first direct dependency whose locked version changed in the lockfile
+   * history, pin package.json to the version it had before the change.
+   */
+  async pinLastGoodVersion(pkg, workDir, names) {
+    const direct = names.filter((name) => sectionOf(pkg.data, name));
+    if (direct.length === 0) {
+      return null;
+    }
+
+    const current = readLockfile(path.join(workDir, 'package-lock.json'));
+    const log = await this.git(['log', `-n${LOCKFILE_HISTORY_DEPTH}`, '--format=%H', '--', 'package-lock.json'], workDir);
+    if (!current || log.exitCode !== 0) {
+      return null;
+    }
+
+    for (const sha of log.output.split('\n').filter(Boolean)) {
+      const shown = await this.git(['show', `${sha}:package-lock.json`], workDir);
+      if (shown.exitCode !== 0) {
+        continue;
+      }
+      let lockfile;
+      try {
+        lockfile = JSON.parse(shown.output);
+      } catch (err) {
+        continue;
+      }
+
+      for (const name of direct) {
+        const before = lockedVersion(lockfile, name);
+        const now = lockedVersion(current, name);
+        if (before && now && before !== now) {
+          pkg.data[sectionOf(pkg.data, name)][name] = before;
+          return { name, version: before, current: now };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * `Cannot find module 'x'`: declare x when it is only installed transitively,
+   * otherwise bring the lockfile back in sync with package.json.
+   */
+  async fixMissingModule(pkg, workDir, details) {
+    const names = [...new Set(details.map((detail) => detail.module).filter(Boolean).map(packageName))]
+      .filter((name) => !builtinModules.includes(name.replace(/^node:/, '')) && !name.startsWith('node:'));
+    if (names.length === 0) {
+      return null;
+    }
+
+    const lockfile = readLockfile(path.join(workDir, 'package-lock.json'));
+    const added = [];
+    for (const name of names) {
+      const version = lockfile && lockedVersion(lockfile, name);
+      if (!sectionOf(pkg.data, name) && version) {
+        pkg.data.dependencies = pkg.data.dependencies || {};
+        pkg.data.dependencies[name] = `^${version}`;
+        added.push(`${name}@^${version}`);
+      }
+    }
+
+    if (added.length > 0) {
+      FixStrategy.writePackageJson(pkg);
+    } else if (!names.some((name) => sectionOf(pkg.data, name))) {
+      // Not declared and not locked: which version to add is a judgement call
+      return null;
+    }
+
+    if (!(await this.regenerateLockfile(workDir))) {
+      return null;
+    }
+    return added.length > 0
+      ? `Declared ${added.join(', ')} (previously only installed transitively) and regenerated package-lock.json.`
+      : `Regenerated package-lock.json to install ${names.join(', ')}.`;
+  }
+
+  /**
+   * Add `engines.node` (Vercel and most CI images pick the Node.js version from it).
+   * Existing engine ranges are left alone.
+   */
+  addEngines(pkg, workDir, details) {
+    if (pkg.data.engines && pkg.data.engines.node) {
+      return null;
+    }
+
+    let range = details.map((detail) => detail.required).find(Boolean);
+    if (!range) {
+      const versionFile = ['.nvmrc', '.node-version']
+        .map((name) => path.join(workDir, name))
+        .find((file) => fs.existsSync(file));
+      const version = versionFile && fs.readFileSync(versionFile, 'utf8').trim().replace(/^v/, '');
+      range = /^\d+(\.\d+){0,2}$/.test(version || '') ? `>=${version}` : null;
+    }
+    if (!range) {
+      return null;
+    }
+
+    pkg.data.engines = { ...pkg.data.engines, node: range };
+    FixStrategy.writePackageJson(pkg);
+    return `Added engines.node "${range}" to package.json.`;
+  }
+
+  async regenerateLockfile(workDir) {
+    if (!fs.existsSync(path.join(workDir, 'package-lock.json'))) {
+      return true;
+    }
+    const result = await this.run('npm', LOCKFILE_ARGS, workDir);
+    return result.exitCode === 0;
+  }
+}
+
+/**
+ * "react@18.3.1", 'react@"^17.0.0"', "@scope/pkg@1.0.0", "lodash/fp" -> package name
+ */
+function packageName(spec) {
+  const match = String(spec).match(/^(@[^/@\s]+\/[^/@\s]+|[^/@\s]+)/);
+  return match ? match[1] : spec;
+}
+
+function sectionOf(packageJson, name) {
+  return ['dependencies', 'devDependencies', 'optionalDependencies']
+    .find((section) => packageJson[section] && packageJson[section][name]) || null;
+}
+
+function readLockfile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Top-level installed version in a lockfile (v2/v3 "packages" or v1 "dependencies").
+ */
+function lockedVersion(lockfile, name) {
+  const entry = (lockfile.packages && lockfile.packages[`node_modules/${name}`]) ||
+    (lockfile.dependencies && lockfile.dependencies[name]);
+  return entry && entry.version ? entry.version : null;
+}
+
+module.exports = DependencyUpdateStrategy;
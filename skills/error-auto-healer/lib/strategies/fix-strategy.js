@@ -0,0 +1,141 @@
+'use strict';
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Base class for rule-based fix strategies (no LLM involved).
+ *
+ * A strategy declares the LogAnalyzer categories it handles and edits the
+ * checked-out tree in apply(). It resolves with { filesChanged, description }
+ * when it changed something, or null when it had nothing to do.
+ */
+class FixStrategy {
+  /**
+   * @param {object} [options]
+   * @param {function} [options.log] - (level, message) => void
+   * @param {function} [options.run] - (command, args, { cwd, timeoutMs }) => Promise<{ exitCode, output }>
+   *   for the project tools (npm, eslint, prettier); tests pass a recording runner. git always runs for real.
+   * @param {number} [options.timeoutMs] - per-command timeout
+   */
+  constructor(options = {}) {
+    this.name = 'unknown';
+    this.classifications = [];
+    this.minConfidence = 0.5;
+    this.log = options.log || (() => {});
+    this.runner = options.run || null;
+    this.timeoutMs = options.timeoutMs || 300000;
+  }
+
+  /**
+   * Whether this strategy applies to a LogAnalyzer result.
+   */
+  handles(analysis) {
+    return Boolean(analysis) &&
+      this.classifications.includes(analysis.category) &&
+      analysis.confidence >= this.minConfidence;
+  }
+
+  /**
+   * @param {object} context - { errorInfo, analysis, workDir }
+   */
+  async apply(context) {
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers shared by the strategies
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Run a project tool without a shell. Resolves with { exitCode, output } (never rejects).
+   */
+  run(command, args, cwd) {
+    if (this.runner) {
+      return this.runner(command, args, { cwd, timeoutMs: this.timeoutMs });
+    }
+    return exec(command, args, cwd, this.timeoutMs);
+  }
+
+  git(args, cwd) {
+    return exec('git', args, cwd, 60000);
+  }
+
+  /**
+   * Undo every edit and new file in the working tree (ignored files such as node_modules stay).
+   */
+  async discardChanges(workDir) {
+    await this.git(['checkout', '--', '.'], workDir);
+    await this.git(['clean', '-fd'], workDir);
+  }
+
+  /**
+   * Files changed in the working tree, relative to workDir.
+   */
+  async changedFiles(workDir) {
+    const { exitCode, output } = await this.git(['status', '--porcelain', '--untracked-files=all'], workDir);
+    if (exitCode !== 0) {
+      return [];
+    }
+    return output
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line) => line.substring(3).replace(/^.* -> /, '').replace(/^"|"$/g, ''));
+  }
+
+  /**
+   * Map a path from a CI log (often absolute on the runner, e.g. /builds/org/repo/src/a.js)
+   * to a file in workDir. Returns the relative path or null.
+   */
+  static resolveFile(workDir, reportedPath) {
+    const parts = String(reportedPath || '').split(/[\\/]+/).filter(Boolean);
+    if (parts.includes('..')) {
+      return null;
+    }
+    for (let i = 0; i < parts.length; i++) {
+      const candidate = parts.slice(i).join('/');
+      if (fs.existsSync(path.join(workDir, candidate)) && fs.statSync(path.join(workDir, candidate)).isFile()) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * package.json with the formatting needed to write it back unchanged apart from the edit.
+   */
+  static readPackageJson(workDir) {
+    const file = path.join(workDir, 'package.json');
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+    const text = fs.readFileSync(file, 'utf8');
+    const indentMatch = text.match(/^[ \t]+(?=")/m);
+    return {
+      file,
+      data: JSON.parse(text),
+      indent: indentMatch ? indentMatch[0] : '  ',
+      newline: text.endsWith('\n') ? '\n' : ''
+    };
+  }
+
+  static writePackageJson(pkg) {
+    fs.writeFileSync(pkg.file, JSON.stringify(pkg.data, null, pkg.indent) + pkg.newline);
+  }
+}
+
+function exec(command, args, cwd, timeoutMs) {
+  return new Promise((resolve) => {
+    execFile(command, args, { cwd, timeout: timeoutMs, maxBuffer: 20 * 1024 * 1024 }, (error, stdout, stderr) => {
+      const output = `${stdout || ''}${stderr || ''}`;
+      if (!error) {
+        resolve({ exitCode: 0, output });
+      } else {
+        resolve({ exitCode: typeof error.code === 'number' ? error.code : -1, output: output || error.message });
+      }
+    });
+  });
+}
+
+module.exports = FixStrategy;
@@ -0,0 +1,60 @@
+'use strict';
+
+const FixStrategy = require('./fix-strategy');
+const DependencyUpdateStrategy = require('./dependency-update-strategy');
+const LintFixStrategy = require('./lint-fix-strategy');
+const TestSkipStrategy = require('./test-skip-strategy');
+
+/**
+ * The rule-based strategies, in the order they are tried.
+ */
+function createStrategies(options = {}) {
+  return [
+    new DependencyUpdateStrategy(options),
+    new LintFixStrategy(options),
+    new TestSkipStrategy(options)
+  ];
+}
+
+/**
+ * Apply the first enabled strategy that handles the analysis and changes something.
+ * A strategy that gives up (null) or throws may already have edited files; those edits
+ * are discarded so neither the next strategy nor the commit picks them up.
+ *
+ * @param {FixStrategy[]} strategies
+ * @param {string[]} enabled - healing.strategies from the config
+ * @param {object} context - { errorInfo, analysis, workDir }
+ * @param {function} [log]
+ * @returns {Promise<{ strategy, filesChanged, description } | null>}
+ */
+async function applyStrategies(strategies, enabled, context, log = () => {}) {
+  for (const strategy of strategies) {
+    if (!enabled.includes(strategy.name) || !strategy.handles(context.analysis)) {
+      continue;
+    }
+
+    try {
+      log('info', `Trying ${strategy.name} for ${context.analysis.category}`);
+      const outcome = await strategy.apply(context);
+      if (outcome) {
+        return { strategy: strategy.name, ...outcome };
+      }
+    } catch (err) {
+      log('warn', `Strategy ${strategy.name} failed: ${err.message}`);
+    }
+
+    if (context.workDir) {
+      await strategy.discardChanges(context.workDir);
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  FixStrategy,
+  DependencyUpdateStrategy,
+  LintFixStrategy,
+  TestSkipStrategy,
+  createStrategies,
+  applyStrategies
+};
@@ -0,0 +1,94 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const FixStrategy = require('./fix-strategy');
+
+const PRETTIER_CONFIGS = ['.prettierrc', '.prettierrc.json', '.prettierrc.js', '.prettierrc.cjs', '.prettierrc.yaml', '.prettierrc.yml', 'prettier.config.js', 'prettier.config.cjs'];
+
+/**
+ * ESLint failures: `prettier --write` (when the project uses Prettier) and
+ * `eslint --fix` on the files the log reported, with the project's own
+ * versions and configuration. Problems that have no autofix stay as they are.
+ */
+class LintFixStrategy extends FixStrategy {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'lint-fix';
+    this.classifications = ['lint-error'];
+  }
+
+  async apply({ analysis, workDir }) {
+    const files = [...new Set(
+      analysis.errors
+        .filter((error) => error.file && error.code)
+        .map((error) => FixStrategy.resolveFile(workDir, error.file))
+        .filter(Boolean)
+    )];
+    if (files.length === 0) {
+      return null;
+    }
+
+    const pkg = FixStrategy.readPackageJson(workDir);
+    const nodeModules = path.join(workDir, 'node_modules');
+    const installed = !fs.existsSync(nodeModules);
+
+    try {
+      if (installed) {
+        // The project's eslint, prettier and plugins; without a lockfile npm must not create one in the fix
+        const install = await this.run(
+          'npm',
+          fs.existsSync(path.join(workDir, 'package-lock.json'))
+            ? ['ci', '--ignore-scripts', '--no-audit', '--no-fund']
+            : ['install', '--no-package-lock', '--ignore-scripts', '--no-audit', '--no-fund'],
+          workDir
+        );
+        if (install.exitCode !== 0) {
+          this.log('warn', `Could not install lint tools: ${install.output.slice(-300)}`);
+          return null;
+        }
+      }
+
+      const bin = (tool) => path.join(nodeModules, '.bin', tool);
+      const tools = [];
+
+      if (usesPrettier(pkg, workDir) && fs.existsSync(bin('prettier'))) {
+        await this.run(bin('prettier'), ['--write', ...files], workDir);
+        tools.push('prettier --write');
+      }
+      if (fs.existsSync(bin('eslint'))) {
+        // Exits non-zero while unfixable problems remain; the changed files tell what it fixed
+        await this.run(bin('eslint'), ['--fix', ...files], workDir);
+        tools.push('eslint --fix');
+      }
+      if (tools.length === 0) {
+        return null;
+      }
+
+      const filesChanged = (await this.changedFiles(workDir)).filter((file) => !file.startsWith('node_modules/'));
+      if (filesChanged.length === 0) {
+        return null;
+      }
+      return {
+        filesChanged,
+        description: `Ran ${tools.join(' and ')} on ${files.join(', ')}.`
+      };
+    } finally {
+      if (installed) {
+        fs.rmSync(nodeModules, { recursive: true, force: true });
+      }
+    }
+  }
+}
+
+function usesPrettier(pkg, workDir) {
+  const data = pkg ? pkg.data : {};
+  return Boolean(
+    data.prettier ||
+    (data.devDependencies && data.devDependencies.prettier) ||
+    (data.dependencies && data.dependencies.prettier) ||
+    PRETTIER_CONFIGS.some((name) => fs.existsSync(path.join(workDir, name)))
+  );
+}
+
+module.exports = LintFixStrategy;
@@ -0,0 +1,85 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const FixStrategy = require('./fix-strategy');
+
+/**
+ * Jest failures: mark exactly the failing tests as skipped (`it.skip` /
+ * `test.skip`) with a comment pointing at the failed run, so the pipeline is
+ * unblocked while the pull request makes the skipped test visible for review.
+ */
+class TestSkipStrategy extends FixStrategy {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'test-skip';
+    this.classifications = ['test-failure'];
+    // Skipping a test hides a failure; only act when the log is clearly a test failure
+    this.minConfidence = 0.8;
+  }
+
+  async apply({ errorInfo = {}, analysis, workDir }) {
+    // Failing test titles per file: each title is only looked for in the suite it failed in
+    const titlesByFile = new Map();
+    for (const { details } of analysis.signatures) {
+      if (!details.testFile || !details.testName) {
+        continue;
+      }
+      const file = FixStrategy.resolveFile(workDir, details.testFile);
+      if (!file) {
+        continue;
+      }
+      if (!titlesByFile.has(file)) {
+        titlesByFile.set(file, new Set());
+      }
+      // "describe › nested › test title" -> "test title"
+      titlesByFile.get(file).add(details.testName.split(' › ').pop().trim());
+    }
+    if (titlesByFile.size === 0) {
+      return null;
+    }
+
+    const reference = errorInfo.runUrl || errorInfo.deploymentUrl || errorInfo.signature || 'CI';
+    const skipped = [];
+    const filesChanged = [];
+
+    for (const [file, titles] of titlesByFile) {
+      const fullPath = path.join(workDir, file);
+      const lines = fs.readFileSync(fullPath, 'utf8').split('\n');
+      let changed = false;
+
+      for (const title of titles) {
+        const pattern = new RegExp(`^(\\s*)(it|test)(?:\\.only)?\\((\\s*)(['"\`])${escapeRegExp(title)}\\4`);
+        const index = lines.findIndex((line) => pattern.test(line));
+        if (index === -1) {
+          continue;
+        }
+        const [, indent] = lines[index].match(pattern);
+        lines[index] = lines[index].replace(/^(\s*)(it|test)(?:\.only)?\(/, '$1$2.skip(');
+        lines.splice(index, 0, `${indent}// Skipped by Error Auto-Healer: failing in ${reference}`);
+        skipped.push(`${file}: ${title}`);
+        changed = true;
+      }
+
+      if (changed) {
+        fs.writeFileSync(fullPath, lines.join('\n'));
+        filesChanged.push(file);
+      }
+    }
+
+    if (filesChanged.length === 0) {
+      return null;
+    }
+    this.log('warn', `Skipped ${skipped.length} failing test(s)`);
+    return {
+      filesChanged,
+      description: `Skipped failing tests so the pipeline can pass; they still need a real fix:\n${skipped.map((test) => `- ${test}`).join('\n')}`
+    };
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = TestSkipStrategy;
@@ -0,0 +1,165 @@
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const { GitHubWebhookHandler } = require('../../github-api-integration');
+
+const DEFAULT_PORT = 3200;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Receives GitHub and Vercel webhooks, verifies their signatures and hands
+ * failures to the healer. The platform adapters turn payloads into the same
+ * errorInfo shape the email parsers produce.
+ *
+ * Endpoints:
+ *   POST /webhooks/github   workflow_run / check_suite (X-Hub-Signature-256)
+ *   POST /webhooks/vercel   deployment.error (X-Vercel-Signature)
+ *   GET  /health
+ *
+ * An endpoint whose secret is not configured is disabled; unsigned payloads are never accepted.
+ */
+class WebhookServer {
+  constructor(healer, config = {}) {
+    this.healer = healer;
+    this.config = {
+      port: config.port ?? DEFAULT_PORT,
+      host: config.host || '127.0.0.1',
+      githubSecret: config.githubSecret || process.env.GITHUB_WEBHOOK_SECRET || '',
+      vercelSecret: config.vercelSecret || process.env.VERCEL_WEBHOOK_SECRET || ''
+    };
+    this.server = null;
+  }
+
+  /**
+   * Start listening. Resolves with the bound address.
+   */
+  async start() {
+    if (!this.config.githubSecret && !this.config.vercelSecret) {
+      throw new Error('Webhook server needs webhooks.githubSecret or webhooks.vercelSecret');
+    }
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res);
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, resolve);
+    });
+
+    const { address, port } = this.server.address();
+    return { host: address, port };
+  }
+
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+
+  async handleRequest(req, res) {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+
+      if (pathname === '/health' && req.method === 'GET') {
+        this.send(res, 200, { status: 'ok' });
+        return;
+      }
+
+      const source = { '/webhooks/github': 'github', '/webhooks/vercel': 'vercel' }[pathname];
+      const secret = source && this.config[`${source}Secret`];
+      if (!secret) {
+        this.send(res, 404, { error: `Not found: ${pathname}` });
+        return;
+      }
+      if (req.method !== 'POST') {
+        this.send(res, 405, { error: 'Use POST' });
+        return;
+      }
+
+      const rawBody = await this.readBody(req);
+      const verified = source === 'github'
+        ? GitHubWebhookHandler.verifyWebhook(rawBody, req.headers['x-hub-signature-256'], secret)
+        : WebhookServer.verifyVercelSignature(rawBody, req.headers['x-vercel-signature'], secret);
+      if (!verified) {
+        this.send(res, 401, { error: 'Invalid signature' });
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(rawBody.toString('utf8'));
+      } catch (err) {
+        this.send(res, 400, { error: `Invalid JSON body: ${err.message}` });
+        return;
+      }
+
+      const errorInfo = source === 'github'
+        ? this.healer.adapters['github-actions'].parseWebhook(req.headers['x-github-event'], payload)
+        : this.healer.adapters.vercel.parseWebhook(payload.type, payload);
+
+      if (!errorInfo) {
+        this.send(res, 202, { ignored: true });
+        return;
+      }
+
+      // Reply before healing starts: GitHub and Vercel give up on slow deliveries
+      this.send(res, 202, { accepted: true, signature: errorInfo.signature });
+      this.healer.ingestWebhookError(errorInfo).catch((err) => {
+        this.healer.log('error', `Webhook healing failed: ${err.message}`);
+      });
+    } catch (err) {
+      const status = err.statusCode || 500;
+      this.send(res, status, { error: status === 500 ? 'Internal server error' : err.message });
+      if (status === 500) {
+        this.healer.log('error', `Webhook request failed: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Read the raw request body (signatures are computed over the exact bytes).
+   */
+  async readBody(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        const err = new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`);
+        err.statusCode = 413;
+        throw err;
+      }
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+  }
+
+  send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Vercel signs the raw body with HMAC-SHA1 (hex) using the webhook secret.
+   */
+  static verifyVercelSignature(payload, signature, secret) {
+    if (!secret || typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha1', secret).update(payload).digest('hex'));
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+}
+
+WebhookServer.DEFAULT_PORT = DEFAULT_PORT;
+
+module.exports = WebhookServer;
@@ -38,6 +38,90 @@ const SeverityLevels = {
   LOW: 'low'
 };
 
+/**
+ * 提供する能力
+ */
+const CAPABILITIES = ['error_handling', 'logging', 'recovery', 'health_check'];
+
+/**
+ * アクション契約（リクエスト・レスポンスのJSON Schema）
+ * イベントバスへの登録時に宣言し、バス側でparamsを検証する
+ */
+const ACTION_SCHEMAS = {
+  get_errors: {
+    description: '条件に一致するエラーを取得する',
+    request: {
+      type: 'object',
+      properties: {
+        filters: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: Object.values(ErrorTypes) },
+            severity: { type: 'string', enum: Object.values(SeverityLevels) },
+            source: { type: 'string' }
+          }
+        }
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['status', 'data'],
+      properties: {
+        data: {
+          type: 'object',
+          required: ['errors'],
+          properties: { errors: { type: 'array' } }
+        }
+      }
+    }
+  },
+  get_stats: {
+    description: 'エラー統計を取得する',
+    request: { type: 'object' },
+    response: {
+      type: 'object',
+      required: ['status', 'data'],
+      properties: {
+        data: { type: 'object', required: ['stats'] }
+      }
+    }
+  },
+  get_health: {
+    description: '登録済みサービスのヘルス状態を取得する',
+    request: { type: 'object' },
+    response: {
+      type: 'object',
+      required: ['status', 'data'],
+      properties: {
+        data: { type: 'object', required: ['health'] }
+      }
+    }
+  },
+  register_service: {
+    description: 'ヘルスチェック対象のサービスを登録する',
+    request: {
+      type: 'object',
+      required: ['serviceId'],
+      properties: {
+        serviceId: { type: 'string', minLength: 1 },
+        status: { type: 'string' }
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['status', 'data']
+    }
+  },
+  clear_errors: {
+    description: 'エラーログを全て削除する',
+    request: { type: 'object' },
+    response: {
+      type: 'object',
+      required: ['status', 'data']
+    }
+  }
+};
+
 /**
  * エラーエントリ
  */
@@ -498,6 +582,13 @@ class ErrorHandler {
     // エラーログの読み込み
     await this.errorLog.load();
 
+    // イベントバスに登録（アクション契約を宣言）
+    this.eventBus.register('error-handler', {
+      version: '1.0.0',
+      capabilities: CAPABILITIES,
+      actions: ACTION_SCHEMAS
+    });
+
     // イベント購読を設定
     this.setupEventSubscriptions();
 
@@ -518,7 +609,7 @@ class ErrorHandler {
         eventType: 'agent_ready',
         skillId: 'error-handler',
         version: '1.0.0',
-        capabilities: ['error_handling', 'logging', 'recovery', 'health_check']
+        capabilities: CAPABILITIES
       }
     });
   }
@@ -535,6 +626,14 @@ class ErrorHandler {
       }
     }, this.handleErrorEvent.bind(this));
 
+    // デッドレターイベント
+    this.eventBus.subscribe('error-handler', {
+      type: 'event',
+      payload: {
+        eventType: 'message_dead_lettered'
+      }
+    }, this.handleDeadLetterEvent.bind(this));
+
     // リクエスト処理
     this.eventBus.subscribe('error-handler', {
       type: 'request',
@@ -610,6 +709,24 @@ class ErrorHandler {
     await this.handleError(error, context);
   }
 
+  /**
+   * デッドレターイベントハンドラ
+   */
+  async handleDeadLetterEvent(event) {
+    const { deadLetter } = event.payload;
+
+    const error = new Error(`Message delivery failed after ${deadLetter.attempts} retries: ${deadLetter.error.message}`);
+    error.code = deadLetter.error.code;
+
+    await this.handleError(error, {
+      source: deadLetter.source,
+      operation: deadLetter.action || deadLetter.eventType || 'deliver_message',
+      target: deadLetter.target,
+      deadLetterId: deadLetter.id,
+      messageId: deadLetter.messageId
+    });
+  }
+
   /**
    * 自動リカバリを試行
    */
@@ -880,18 +997,30 @@ class ErrorHandler {
       }
     });
 
+    // イベントバスから登録解除
+    this.eventBus.unregister('error-handler');
+
     this.initialized = false;
     console.log('✓ Error Handler shut down');
   }
 }
 
+/**
+ * ライフサイクルマネージャー用のファクトリ
+ */
+function createSkill(eventBus, config = {}) {
+  return new ErrorHandler(eventBus, config);
+}
+
 module.exports = {
   ErrorHandler,
+  createSkill,
   ErrorLog,
   HealthChecker,
   ErrorEntry,
   ErrorTypes,
-  SeverityLevels
+  SeverityLevels,
+  ACTION_SCHEMAS
 };
 
 // テスト用：メイン実行
@@ -33,6 +33,123 @@ const FeedbackItemType = {
   RECOMMENDATION: 'recommendation'
 };
 
+/**
+ * 提供する能力
+ */
+const CAPABILITIES = ['feedback_collection', 'confidence_update', 'analysis'];
+
+/**
+ * アクション契約（リクエスト・レスポンスのJSON Schema）
+ * イベントバスへの登録時に宣言し、バス側でparamsを検証する
+ */
+const ACTION_SCHEMAS = {
+  record_feedback: {
+    description: 'フィードバックを記録し、必要に応じて信頼度を更新する',
+    request: {
+      type: 'object',
+      required: ['itemId'],
+      properties: {
+        itemId: { type: 'string', minLength: 1 },
+        itemType: { type: 'string', enum: Object.values(FeedbackItemType) },
+        rating: { type: 'integer', minimum: 1, maximum: 5 },
+        sentiment: { type: 'string', enum: Object.values(FeedbackSentiment) },
+        comment: { type: 'string' },
+        context: { type: 'object' }
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['status', 'data'],
+      properties: {
+        data: { type: 'object', required: ['feedback'] }
+      }
+    }
+  },
+  get_stats: {
+    description: 'フィードバック統計を取得する',
+    request: { type: 'object' },
+    response: {
+      type: 'object',
+      required: ['status', 'data'],
+      properties: {
+        data: { type: 'object', required: ['stats'] }
+      }
+    }
+  },
+  get_feedback: {
+    description: '条件に一致するフィードバックを取得する',
+    request: {
+      type: 'object',
+      properties: {
+        filters: { type: 'object' }
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['status', 'data'],
+      properties: {
+        data: {
+          type: 'object',
+          required: ['feedbacks'],
+          properties: { feedbacks: { type: 'array' } }
+        }
+      }
+    }
+  },
+  get_item_feedback: {
+    description: 'アイテムごとのフィードバックを取得する',
+    request: {
+      type: 'object',
+      required: ['itemId'],
+      properties: {
+        itemId: { type: 'string', minLength: 1 }
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['status', 'data'],
+      properties: {
+        data: {
+          type: 'object',
+          required: ['feedbacks'],
+          properties: { feedbacks: { type: 'array' } }
+        }
+      }
+    }
+  },
+  get_recommendations: {
+    description: 'フィードバックに基づく改善提案を生成する',
+    request: { type: 'object' },
+    response: {
+      type: 'object',
+      required: ['status', 'data'],
+      properties: {
+        data: {
+          type: 'object',
+          required: ['recommendations'],
+          properties: { recommendations: { type: 'array' } }
+        }
+      }
+    }
+  },
+  analyze_trend: {
+    description: '指定日数のフィードバック傾向を分析する',
+    request: {
+      type: 'object',
+      properties: {
+        days: { type: 'integer', minimum: 1 }
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['status', 'data'],
+      properties: {
+        data: { type: 'object', required: ['trend'] }
+      }
+    }
+  }
+};
+
 /**
  * フィードバックデータ構造
  */
@@ -295,6 +412,16 @@ class FeedbackStore {
     await fs.writeFile(STATS_PATH, JSON.stringify(data.stats, null, 2), 'utf8');
   }
 
+  /**
+   * 読み込み直し（スナップショットから復元された場合など）
+   */
+  async reload() {
+    this.feedback = [];
+    this.feedbackByItem.clear();
+    this.feedbackByType.clear();
+    await this.load();
+  }
+
   /**
    * 読み込み
    */
@@ -482,6 +609,13 @@ class FeedbackLoopManager {
     // フィードバックの読み込み
     await this.feedbackStore.load();
 
+    // イベントバスに登録（アクション契約を宣言）
+    this.eventBus.register('feedback-loop', {
+      version: '1.0.0',
+      capabilities: CAPABILITIES,
+      actions: ACTION_SCHEMAS
+    });
+
     // イベント購読を設定
     this.setupEventSubscriptions();
 
@@ -502,7 +636,7 @@ class FeedbackLoopManager {
         eventType: 'agent_ready',
         skillId: 'feedback-loop',
         version: '1.0.0',
-        capabilities: ['feedback_collection', 'confidence_update', 'analysis']
+        capabilities: CAPABILITIES
       }
     });
   }
@@ -524,6 +658,23 @@ class FeedbackLoopManager {
       type: 'request',
       target: 'feedback-loop'
     }, this.handleRequest.bind(this));
+
+    // スナップショットからの復元
+    this.eventBus.subscribe('feedback-loop', {
+      type: 'event',
+      payload: {
+        eventType: 'context_restored'
+      }
+    }, this.handleContextRestored.bind(this));
+  }
+
+  /**
+   * 復元されたフィードバックを読み込み直す
+   */
+  async handleContextRestored(event) {
+    if (event.payload.data.components.includes('feedback')) {
+      await this.feedbackStore.reload();
+    }
   }
 
   /**
@@ -894,18 +1045,30 @@ class FeedbackLoopManager {
       }
     });
 
+    // イベントバスから登録解除
+    this.eventBus.unregister('feedback-loop');
+
     this.initialized = false;
     console.log('✓ Feedback Loop Manager shut down');
   }
 }
 
+/**
+ * ライフサイクルマネージャー用のファクトリ
+ */
+function createSkill(eventBus, config = {}) {
+  return new FeedbackLoopManager(eventBus, config);
+}
+
 module.exports = {
   FeedbackLoopManager,
+  createSkill,
   FeedbackStore,
   FeedbackAnalyzer,
   Feedback,
   FeedbackSentiment,
-  FeedbackItemType
+  FeedbackItemType,
+  ACTION_SCHEMAS
 };
 
 // テスト用：メイン実行
@@ -546,11 +546,24 @@ class GitHubWebhookHandler {
    * Webhook署名を検証
    */
   verifyWebhook(payload, signature, secret) {
+    return GitHubWebhookHandler.verifyWebhook(payload, signature, secret);
+  }
+
+  /**
+   * Webhook署名（X-Hub-Signature-256）を検証
+   * 他のスキルからも使えるよう静的メソッドにしている。比較は一定時間で行う
+   */
+  static verifyWebhook(payload, signature, secret) {
+    if (!secret || typeof signature !== 'string') {
+      return false;
+    }
+
     const crypto = require('crypto');
-    const hmac = crypto.createHmac('sha256', secret);
-    const digest = hmac.update(payload).digest('hex');
+    const digest = crypto.createHmac('sha256', secret).update(payload).digest('hex');
+    const expected = Buffer.from(`sha256=${digest}`);
+    const actual = Buffer.from(signature);
 
-    return `sha256=${digest}` === signature;
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
   }
 }
 
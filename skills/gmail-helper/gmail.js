@@ -2,19 +2,44 @@ const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { unlockVault, loadSecret } = require('../../lib/secrets-vault');
 
 const HOME = os.homedir();
 const CREDENTIALS_PATH = path.join(HOME, '.clawdbot', 'credentials', 'google.json');
 const TOKEN_PATH = path.join(HOME, '.clawdbot', 'credentials', 'token.json');
+// Vault secret names (the files above are legacy plaintext fallbacks)
+const CREDENTIALS_SECRET = 'google';
+const TOKEN_SECRET = 'google-token';
 
 const MAX_RETRIES = 3;
 const BASE_DELAY_MS = 1000;
 
+/**
+ * Save refreshed tokens to the vault when it is in use, otherwise to the legacy token file.
+ */
+async function saveToken(tokens) {
+    const vault = await unlockVault();
+
+    if (vault) {
+        const existing = vault.hasSecret(TOKEN_SECRET) ? vault.getSecret(TOKEN_SECRET) : {};
+        await vault.setSecret(TOKEN_SECRET, { ...existing, ...tokens });
+        return;
+    }
+
+    let existing = {};
+    if (fs.existsSync(TOKEN_PATH)) {
+        existing = JSON.parse(fs.readFileSync(TOKEN_PATH, 'utf8'));
+    }
+    fs.writeFileSync(TOKEN_PATH, JSON.stringify({ ...existing, ...tokens }, null, 2));
+}
+
 /**
  * Load OAuth2 credentials and create an authenticated Gmail client.
  */
-function getAuthClient() {
-    if (!fs.existsSync(CREDENTIALS_PATH)) {
+async function getAuthClient() {
+    const credentials = await loadSecret(CREDENTIALS_SECRET, CREDENTIALS_PATH);
+
+    if (!credentials) {
         console.log('Error: Google credentials not found.');
         console.log('Setup instructions:');
         console.log('  1. Go to Google Cloud Console and enable the Gmail API');
@@ -22,14 +47,12 @@ function getAuthClient() {
         console.log('  3. Save credentials to: ' + CREDENTIALS_PATH);
         console.log('     Format: { "client_id": "...", "client_secret": "...", "refresh_token": "..." }');
         console.log('  4. Run: node scripts/gmail-oauth.js');
+        console.log('  5. Import them into the vault: node scripts/vault.js import --remove');
         process.exit(1);
     }
 
-    const credentials = JSON.parse(fs.readFileSync(CREDENTIALS_PATH, 'utf8'));
-
     if (!credentials.client_id || !credentials.client_secret) {
-        console.log('Error: Invalid credentials file. Must contain client_id and client_secret.');
-        console.log('File: ' + CREDENTIALS_PATH);
+        console.log('Error: Invalid credentials. Must contain client_id and client_secret.');
         process.exit(1);
     }
 
@@ -40,8 +63,8 @@ function getAuthClient() {
     );
 
     // Load saved tokens
-    if (fs.existsSync(TOKEN_PATH)) {
-        const tokens = JSON.parse(fs.readFileSync(TOKEN_PATH, 'utf8'));
+    const tokens = await loadSecret(TOKEN_SECRET, TOKEN_PATH);
+    if (tokens) {
         oauth2Client.setCredentials(tokens);
     } else if (credentials.refresh_token) {
         oauth2Client.setCredentials({ refresh_token: credentials.refresh_token });
@@ -52,17 +75,10 @@ function getAuthClient() {
     }
 
     // Auto-save refreshed tokens
-    oauth2Client.on('tokens', (tokens) => {
-        try {
-            let existing = {};
-            if (fs.existsSync(TOKEN_PATH)) {
-                existing = JSON.parse(fs.readFileSync(TOKEN_PATH, 'utf8'));
-            }
-            const updated = { ...existing, ...tokens };
-            fs.writeFileSync(TOKEN_PATH, JSON.stringify(updated, null, 2));
-        } catch (err) {
+    oauth2Client.on('tokens', (refreshed) => {
+        saveToken(refreshed).catch((err) => {
             console.error('Warning: Could not save refreshed token:', err.message);
-        }
+        });
     });
 
     return oauth2Client;
@@ -360,7 +376,7 @@ async function main() {
         return;
     }
 
-    const auth = getAuthClient();
+    const auth = await getAuthClient();
     const gmail = google.gmail({ version: 'v1', auth });
 
     try {
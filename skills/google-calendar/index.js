@@ -10,6 +10,156 @@ const { ContextSharingManager, ContextTypes } = require(path.join(__dirname, '..
 const BASE_DIR = __dirname;
 const CREDENTIALS_DIR = path.join(BASE_DIR, 'credentials');
 
+/**
+ * 提供する能力
+ */
+const CAPABILITIES = ['event_management', 'schedule_sync', 'calendar_analysis'];
+
+/**
+ * リマインダーのスキーマ
+ */
+const REMINDER_SCHEMA = {
+  type: 'object',
+  required: ['method', 'minutes'],
+  properties: {
+    method: { type: 'string', enum: ['email', 'popup'] },
+    minutes: { type: 'integer', minimum: 0 }
+  }
+};
+
+/**
+ * アクション契約（リクエスト・レスポンスのJSON Schema）
+ * イベントバスへの登録時に宣言し、バス側でparamsを検証する
+ */
+const ACTION_SCHEMAS = {
+  create_event: {
+    description: 'カレンダーにイベントを作成する',
+    request: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        summary: { type: 'string' },
+        description: { type: 'string' },
+        location: { type: 'string' },
+        start: { type: 'string', format: 'date-time' },
+        end: { type: 'string', format: 'date-time' },
+        reminders: { type: 'array', items: REMINDER_SCHEMA }
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['status', 'data'],
+      properties: {
+        data: { type: 'object', required: ['event'] }
+      }
+    }
+  },
+  get_events: {
+    description: '期間内のイベント一覧を取得する',
+    request: {
+      type: 'object',
+      properties: {
+        timeMin: { type: 'string', format: 'date-time' },
+        timeMax: { type: 'string', format: 'date-time' },
+        maxResults: { type: 'integer', minimum: 1, maximum: 2500 }
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['status', 'data'],
+      properties: {
+        data: {
+          type: 'object',
+          required: ['events'],
+          properties: { events: { type: 'array' } }
+        }
+      }
+    }
+  },
+  get_events_for_week: {
+    description: '今週のイベント一覧を取得する',
+    request: { type: 'object' },
+    response: {
+      type: 'object',
+      required: ['status', 'data'],
+      properties: {
+        data: {
+          type: 'object',
+          required: ['events'],
+          properties: { events: { type: 'array' } }
+        }
+      }
+    }
+  },
+  update_event: {
+    description: 'イベントを更新する',
+    request: {
+      type: 'object',
+      required: ['eventId', 'data'],
+      properties: {
+        eventId: { type: 'string', minLength: 1 },
+        data: { type: 'object' }
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['status', 'data'],
+      properties: {
+        data: { type: 'object', required: ['event'] }
+      }
+    }
+  },
+  delete_event: {
+    description: 'イベントを削除する',
+    request: {
+      type: 'object',
+      required: ['eventId'],
+      properties: {
+        eventId: { type: 'string', minLength: 1 }
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['status', 'data']
+    }
+  },
+  sync_calendar: {
+    description: 'カレンダーを同期する',
+    request: { type: 'object' },
+    response: {
+      type: 'object',
+      required: ['status', 'data']
+    }
+  },
+  analyze_schedule: {
+    description: '過去のスケジュールを分析する',
+    request: {
+      type: 'object',
+      properties: {
+        days: { type: 'integer', minimum: 1 }
+      }
+    },
+    response: {
+      type: 'object',
+      required: ['status', 'data'],
+      properties: {
+        data: { type: 'object', required: ['analysis'] }
+      }
+    }
+  },
+  get_stats: {
+    description: 'カレンダー統計を取得する',
+    request: { type: 'object' },
+    response: {
+      type: 'object',
+      required: ['status', 'data'],
+      properties: {
+        data: { type: 'object', required: ['stats'] }
+      }
+    }
+  }
+};
+
 /**
  * Google Calendar Manager
  */
@@ -36,6 +186,13 @@ class GoogleCalendarManager {
   async initialize() {
     console.log('📅 Google Calendar Manager initializing...');
 
+    // イベントバスに登録（アクション契約を宣言）
+    this.eventBus.register('google-calendar', {
+      version: '1.0.0',
+      capabilities: CAPABILITIES,
+      actions: ACTION_SCHEMAS
+    });
+
     try {
       // 認証を設定
       await this.setupAuth();
@@ -68,7 +225,7 @@ class GoogleCalendarManager {
           eventType: 'agent_ready',
           skillId: 'google-calendar',
           version: '1.0.0',
-          capabilities: ['event_management', 'schedule_sync', 'calendar_analysis']
+          capabilities: CAPABILITIES
         }
       });
     } catch (error) {
@@ -673,13 +830,25 @@ class GoogleCalendarManager {
       }
     });
 
+    // イベントバスから登録解除
+    this.eventBus.unregister('google-calendar');
+
     this.initialized = false;
     console.log('✓ Google Calendar Manager shut down');
   }
 }
 
+/**
+ * ライフサイクルマネージャー用のファクトリ
+ */
+function createSkill(eventBus, config = {}) {
+  return new GoogleCalendarManager(eventBus, config);
+}
+
 module.exports = {
-  GoogleCalendarManager
+  GoogleCalendarManager,
+  createSkill,
+  ACTION_SCHEMAS
 };
 
 // テスト用：メイン実行
@@ -4,12 +4,14 @@
  */
 
 const http = require('http');
-const { ContextSharingManager, ContextTypes } = require('../../lib/context-sharing');
+const { ContextSharingManager, ContextTypes, ALL_USERS } = require('../../lib/context-sharing');
+const { loadSpans, buildWaterfall, listTraces, DEFAULT_EXPORT_PATH } = require('../../lib/tracing');
 const fs = require('fs').promises;
 const path = require('path');
 
 const DASHBOARD_PORT = process.env.DASHBOARD_PORT || 3000;
 const DATA_REFRESH_INTERVAL = 30000; // 30秒ごと更新
+const TRACE_PATH = process.env.OPENCLAW_TRACE_PATH || DEFAULT_EXPORT_PATH;
 
 /**
  * HTMLテンプレート
@@ -170,6 +172,7 @@ const DASHBOARD_HTML = `<!DOCTYPE html>
     <div class="header">
       <h1>🧠 Learning Data Dashboard</h1>
       <p>OpenClaw AIエージェントの学習データを可視化します</p>
+      <p><a href="/traces" style="color: #8ab4f8;">🔍 スキル間リクエストのトレース</a></p>
     </div>
 
     <div class="stats-grid">
@@ -540,15 +543,253 @@ const DASHBOARD_HTML = `<!DOCTYPE html>
 </body>
 </html>`;
 
+/**
+ * トレースのウォーターフォール表示用HTMLテンプレート
+ */
+const TRACES_HTML = `<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Trace Waterfall | OpenClaw</title>
+  <style>
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+      background: #1a1a2e;
+      color: #ffffff;
+      min-height: 100vh;
+    }
+    .container {
+      max-width: 1400px;
+      margin: 0 auto;
+      padding: 20px;
+    }
+    .header {
+      margin-bottom: 20px;
+      padding: 20px;
+      background: rgba(255, 255, 255, 0.1);
+      border-radius: 8px;
+    }
+    .header h1 {
+      margin: 0 0 10px 0;
+      font-size: 24px;
+    }
+    .header a {
+      color: #8ab4f8;
+    }
+    .search {
+      display: flex;
+      gap: 10px;
+      margin-top: 10px;
+    }
+    .search input {
+      flex: 1;
+      padding: 8px;
+      border-radius: 4px;
+      border: none;
+      font-family: 'Consolas', 'Monaco', monospace;
+    }
+    .search button {
+      padding: 8px 16px;
+      border-radius: 4px;
+      border: none;
+      background: #1a73e8;
+      color: white;
+      cursor: pointer;
+    }
+    .panel {
+      background: rgba(255, 255, 255, 0.05);
+      border-radius: 8px;
+      padding: 20px;
+      margin-bottom: 20px;
+    }
+    .trace-item {
+      padding: 8px;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+      cursor: pointer;
+      font-size: 14px;
+    }
+    .trace-item:hover {
+      background: rgba(255, 255, 255, 0.1);
+    }
+    .span-row {
+      display: grid;
+      grid-template-columns: 320px 1fr 90px;
+      align-items: center;
+      gap: 10px;
+      padding: 4px 0;
+      font-size: 13px;
+    }
+    .span-name {
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+    .span-service {
+      color: #999;
+      margin-left: 6px;
+    }
+    .span-track {
+      position: relative;
+      height: 16px;
+      background: rgba(255, 255, 255, 0.05);
+      border-radius: 3px;
+    }
+    .span-bar {
+      position: absolute;
+      height: 100%;
+      min-width: 2px;
+      border-radius: 3px;
+    }
+    .kind-client { background: #1a73e8; }
+    .kind-server { background: #4CAF50; }
+    .kind-other { background: #FFA726; }
+    .span-error { background: #ff5252; }
+    .span-duration {
+      text-align: right;
+      font-family: 'Consolas', 'Monaco', monospace;
+    }
+    .empty {
+      color: #999;
+      padding: 20px;
+      text-align: center;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>🔍 Trace Waterfall</h1>
+      <p>相関ID・メッセージID・トレースIDを入力すると、スキル間リクエストの連鎖を表示します（<a href="/">ダッシュボードに戻る</a>）</p>
+      <div class="search">
+        <input id="traceQuery" placeholder="correlation ID / message ID / trace ID">
+        <button onclick="showWaterfall(document.getElementById('traceQuery').value.trim())">表示</button>
+      </div>
+    </div>
+
+    <div class="panel">
+      <h2 id="waterfallTitle">Waterfall</h2>
+      <div id="waterfall" class="empty">IDを指定してください</div>
+    </div>
+
+    <div class="panel">
+      <h2>Recent Traces</h2>
+      <div id="traceList" class="empty">Loading traces...</div>
+    </div>
+  </div>
+
+  <script>
+    const SPAN_KIND_SERVER = 2;
+    const SPAN_KIND_CLIENT = 3;
+    const SPAN_STATUS_ERROR = 2;
+
+    window.addEventListener('DOMContentLoaded', () => {
+      const id = new URLSearchParams(window.location.search).get('id');
+      if (id) {
+        document.getElementById('traceQuery').value = id;
+        showWaterfall(id);
+      }
+      loadTraceList();
+    });
+
+    function escapeHtml(value) {
+      return String(value).replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+      })[c]);
+    }
+
+    async function loadTraceList() {
+      const response = await fetch('/api/traces');
+      const result = await response.json();
+      const container = document.getElementById('traceList');
+
+      if (!result.success || result.traces.length === 0) {
+        container.textContent = 'トレースがありません';
+        return;
+      }
+
+      container.className = '';
+      container.innerHTML = '';
+      for (const trace of result.traces) {
+        const item = document.createElement('div');
+        item.className = 'trace-item';
+        item.innerHTML =
+          (trace.error ? '❌ ' : '✅ ') +
+          '<strong>' + escapeHtml(trace.rootName || trace.traceId) + '</strong>' +
+          ' <span class="span-service">' + new Date(trace.startTime).toLocaleString('ja-JP') +
+          ' · ' + trace.spanCount + ' spans · ' + trace.durationMs.toFixed(1) + 'ms · ' +
+          escapeHtml(trace.services.join(', ')) + '</span>';
+        item.onclick = () => {
+          document.getElementById('traceQuery').value = trace.traceId;
+          showWaterfall(trace.traceId);
+        };
+        container.appendChild(item);
+      }
+    }
+
+    async function showWaterfall(id) {
+      if (!id) {
+        return;
+      }
+
+      const response = await fetch('/api/traces/waterfall?id=' + encodeURIComponent(id));
+      const result = await response.json();
+      const container = document.getElementById('waterfall');
+
+      if (!result.success) {
+        container.className = 'empty';
+        container.textContent = result.error;
+        return;
+      }
+
+      const waterfall = result.waterfall;
+      const total = Math.max(waterfall.durationMs, 0.001);
+
+      document.getElementById('waterfallTitle').textContent =
+        'Waterfall: ' + waterfall.traceId + ' (' + waterfall.durationMs.toFixed(1) + 'ms)';
+
+      container.className = '';
+      container.innerHTML = '';
+      for (const span of waterfall.spans) {
+        const kindClass = span.status.code === SPAN_STATUS_ERROR ? 'span-error' :
+                          span.kind === SPAN_KIND_CLIENT ? 'kind-client' :
+                          span.kind === SPAN_KIND_SERVER ? 'kind-server' : 'kind-other';
+
+        const row = document.createElement('div');
+        row.className = 'span-row';
+        row.title = JSON.stringify(span.attributes, null, 2);
+        row.innerHTML =
+          '<div class="span-name" style="padding-left: ' + (span.depth * 16) + 'px;">' +
+            escapeHtml(span.name) + '<span class="span-service">' + escapeHtml(span.serviceName) + '</span>' +
+          '</div>' +
+          '<div class="span-track">' +
+            '<div class="span-bar ' + kindClass + '" style="left: ' + (span.offsetMs / total * 100) + '%; ' +
+              'width: ' + (span.durationMs / total * 100) + '%;"></div>' +
+          '</div>' +
+          '<div class="span-duration">' + span.durationMs.toFixed(1) + 'ms</div>';
+        container.appendChild(row);
+      }
+    }
+  </script>
+</body>
+</html>`;
+
 /**
  * Webサーバー
  */
 class DashboardServer {
-  constructor(port, contextManager) {
+  constructor(port, contextManager, config = {}) {
     this.port = port || 3000;
     this.server = null;
     this.contextManager = contextManager;
     this.clients = new Set();
+    this.tracePath = config.tracePath || TRACE_PATH;
+    this.patternWatchId = null;
   }
 
   /**
@@ -568,6 +809,17 @@ class DashboardServer {
     this.server.listen(this.port, () => {
       console.log('✓ Dashboard server listening on http://localhost:' + this.port);
     });
+
+    // パターンの変更を再読み込みせずにクライアントへプッシュ
+    if (this.contextManager) {
+      this.contextManager.watch({ type: ContextTypes.PATTERNS, userId: ALL_USERS }, (diff) => {
+        this.broadcastUpdate({ patterns: diff });
+      }).then(({ subscriptionId }) => {
+        this.patternWatchId = subscriptionId;
+      }).catch((err) => {
+        console.error('Pattern watch error:', err);
+      });
+    }
   }
 
   /**
@@ -618,6 +870,19 @@ class DashboardServer {
         await this.handleExportData(req, res);
         break;
 
+      case '/traces':
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.end(TRACES_HTML);
+        break;
+
+      case '/api/traces':
+        this.handleGetTraces(req, res);
+        break;
+
+      case '/api/traces/waterfall':
+        this.handleGetWaterfall(req, res);
+        break;
+
       default:
         res.writeHead(404);
         res.end('Not Found');
@@ -759,6 +1024,57 @@ class DashboardServer {
     }
   }
 
+  /**
+   * 最近のトレース一覧を返す
+   */
+  handleGetTraces(req, res) {
+    try {
+      const urlParams = new URL(req.url, 'http://localhost:' + this.port).searchParams;
+      const limit = parseInt(urlParams.get('limit')) || 50;
+
+      const traces = listTraces(loadSpans(this.tracePath), limit);
+      this.sendJson(res, 200, { success: true, traces });
+    } catch (error) {
+      console.error('Error handling traces request:', error);
+      this.sendJson(res, 500, { success: false, error: error.message });
+    }
+  }
+
+  /**
+   * 相関IDに対応するトレースのウォーターフォールを返す
+   */
+  handleGetWaterfall(req, res) {
+    try {
+      const urlParams = new URL(req.url, 'http://localhost:' + this.port).searchParams;
+      const id = urlParams.get('id');
+
+      if (!id) {
+        this.sendJson(res, 400, { success: false, error: 'id is required' });
+        return;
+      }
+
+      const waterfall = buildWaterfall(loadSpans(this.tracePath), id);
+
+      if (!waterfall) {
+        this.sendJson(res, 404, { success: false, error: `Trace not found: ${id}` });
+        return;
+      }
+
+      this.sendJson(res, 200, { success: true, waterfall });
+    } catch (error) {
+      console.error('Error handling waterfall request:', error);
+      this.sendJson(res, 500, { success: false, error: error.message });
+    }
+  }
+
+  /**
+   * JSONレスポンスを送信
+   */
+  sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
   /**
    * データをCSVフォーマットに変換
    */
@@ -799,13 +1115,16 @@ class DashboardServer {
    */
   shutdown() {
     console.log('🚀 Shutting down Dashboard server...');
+    if (this.patternWatchId) {
+      this.contextManager.unwatch(this.patternWatchId);
+    }
     this.server.close(() => {
       console.log('✓ Dashboard server shut down');
     });
   }
 }
 
-module.exports = { DashboardServer, DASHBOARD_HTML };
+module.exports = { DashboardServer, DASHBOARD_HTML, TRACES_HTML };
 
 // メイン実行：サーバー起動
 if (require.main === module) {
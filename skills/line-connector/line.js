@@ -1,44 +1,47 @@
 const { messagingApi, middleware } = require('@line/bot-sdk');
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { loadSecret } = require('../../lib/secrets-vault');
 
 const HOME = os.homedir();
+// Legacy plaintext credentials (import them with: node scripts/vault.js import)
 const CREDENTIALS_PATH = path.join(HOME, '.clawdbot', 'credentials', 'line.json');
 const WEBHOOK_PORT = 3001;
 
-function loadCredentials() {
-    if (!fs.existsSync(CREDENTIALS_PATH)) {
+async function loadCredentials() {
+    let data;
+    try {
+        data = await loadSecret('line', CREDENTIALS_PATH);
+    } catch (err) {
+        console.log('Error: Failed to load LINE credentials:', err.message);
+        return null;
+    }
+
+    if (!data) {
         console.log('Error: LINE credentials not found.');
         console.log('');
         console.log('Setup instructions:');
         console.log('  1. Go to LINE Developers console: https://developers.line.biz/');
         console.log('  2. Create a new Messaging API channel');
         console.log('  3. Get your Channel Access Token (long-lived) and Channel Secret');
-        console.log('  4. Save credentials to ' + CREDENTIALS_PATH + ':');
+        console.log('  4. Save them to a JSON file:');
         console.log('');
         console.log('     {');
         console.log('       "channelAccessToken": "YOUR_CHANNEL_ACCESS_TOKEN",');
         console.log('       "channelSecret": "YOUR_CHANNEL_SECRET"');
         console.log('     }');
         console.log('');
-        console.log('  Make sure the directory exists:');
-        console.log('    mkdir -p ~/.clawdbot/credentials');
+        console.log('  5. Import the file into the vault:');
+        console.log('    node scripts/vault.js import line <file> --remove');
         return null;
     }
 
-    try {
-        const data = JSON.parse(fs.readFileSync(CREDENTIALS_PATH, 'utf8'));
-        if (!data.channelAccessToken || !data.channelSecret) {
-            console.log('Error: credentials file must contain both "channelAccessToken" and "channelSecret".');
-            return null;
-        }
-        return data;
-    } catch (err) {
-        console.log('Error: Failed to parse credentials file:', err.message);
+    if (!data.channelAccessToken || !data.channelSecret) {
+        console.log('Error: credentials must contain both "channelAccessToken" and "channelSecret".');
         return null;
     }
+    return data;
 }
 
 function createClient(credentials) {
@@ -202,13 +205,13 @@ async function main() {
 
     try {
         if (command === 'webhook') {
-            const credentials = loadCredentials();
+            const credentials = await loadCredentials();
             if (!credentials) return;
             startWebhookServer(credentials);
             return; // Server keeps running
         }
 
-        const credentials = loadCredentials();
+        const credentials = await loadCredentials();
         if (!credentials) return;
 
         const client = createClient(credentials);
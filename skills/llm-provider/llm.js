@@ -2,6 +2,7 @@ const OpenAI = require('openai');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { loadSecret } = require('../../lib/secrets-vault');
 
 const HOME = os.homedir();
 const CREDENTIALS_PATH = path.join(HOME, '.clawdbot', 'credentials', 'moonshot.json');
@@ -63,7 +64,8 @@ function saveConfig(config) {
 
 // --- Credential helpers ---
 
-function loadCredentials(provider) {
+// Secrets are read from the vault (secret name = provider), falling back to the legacy plaintext file
+async function loadCredentials(provider) {
     const credFile = CREDENTIAL_FILES[provider];
     if (!credFile) {
         console.error(`Error: Unknown provider "${provider}".`);
@@ -72,33 +74,35 @@ function loadCredentials(provider) {
     }
 
     const credPath = path.join(HOME, '.clawdbot', 'credentials', credFile);
-    if (!fs.existsSync(credPath)) {
+    let data;
+    try {
+        data = await loadSecret(provider, credPath);
+    } catch (err) {
+        console.error(`Error: Could not load credentials for provider "${provider}".`);
+        console.error(err.message);
+        return null;
+    }
+
+    if (!data) {
         const keyUrl = PROVIDER_KEY_URLS[provider] || '(provider website)';
         console.error(`Error: Credentials not found for provider "${provider}".`);
         console.log('');
         console.log('Setup instructions:');
         console.log(`  1. Get your API key from: ${keyUrl}`);
-        console.log(`  2. Create the credentials file:`);
-        console.log(`     ${credPath}`);
-        console.log('  3. Add the following JSON:');
+        console.log(`  2. Create a JSON file with the following content:`);
         console.log('     {');
         console.log('       "apiKey": "YOUR_API_KEY_HERE"');
         console.log('     }');
+        console.log(`  3. Import it into the vault:`);
+        console.log(`     node scripts/vault.js import ${provider} <file> --remove`);
         return null;
     }
 
-    try {
-        const data = JSON.parse(fs.readFileSync(credPath, 'utf8'));
-        if (!data.apiKey) {
-            console.error(`Error: "apiKey" field missing in ${credPath}`);
-            return null;
-        }
-        return data;
-    } catch (err) {
-        console.error(`Error: Could not parse credentials file: ${credPath}`);
-        console.error(err.message);
+    if (!data.apiKey) {
+        console.error(`Error: "apiKey" field missing in the "${provider}" secret`);
         return null;
     }
+    return data;
 }
 
 // --- Client factory ---
@@ -137,7 +141,7 @@ async function chatCommand(args, config) {
         return;
     }
 
-    const credentials = loadCredentials(config.provider);
+    const credentials = await loadCredentials(config.provider);
     if (!credentials) return;
 
     const client = createClient(config.provider, credentials);
@@ -301,7 +305,7 @@ async function configCommand(args, config) {
 function handleApiError(err) {
     if (err.status === 401 || err.code === 'invalid_api_key') {
         console.error('Error: Authentication failed. Please check your API key.');
-        console.error('Verify credentials in ~/.clawdbot/credentials/');
+        console.error('Verify the API key with: node scripts/vault.js list');
     } else if (err.status === 429) {
         console.error('Error: Rate limit exceeded. Please wait and try again.');
         if (err.message) {
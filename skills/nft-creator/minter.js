@@ -1,7 +1,7 @@
 const { ethers } = require('ethers');
-const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { loadSecret } = require('../../lib/secrets-vault');
 
 const WALLET_FILE = path.join(os.homedir(), '.clawdbot', 'base_wallet.json');
 
@@ -9,10 +9,10 @@ const WALLET_FILE = path.join(os.homedir(), '.clawdbot', 'base_wallet.json');
 const ZORA_CONTRACT = "0x...ZoraFactoryAddress...";
 
 async function loadWallet() {
-    if (!fs.existsSync(WALLET_FILE)) {
+    const data = await loadSecret('base-wallet', WALLET_FILE);
+    if (!data) {
         return null;
     }
-    const data = JSON.parse(fs.readFileSync(WALLET_FILE, 'utf8'));
     // Mock Provider
     const provider = new ethers.JsonRpcProvider("https://mainnet.base.org");
     return new ethers.Wallet(data.privateKey, provider);
@@ -5,10 +5,14 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { HashingEmbedder, cosineSimilarity, textOf } = require('../../lib/semantic-index');
 
 const BASE_DIR = __dirname;
 const CONFIG_PATH = path.join(BASE_DIR, 'config.json');
 const PROFILE_PATH = path.join(BASE_DIR, 'profile.json');
+// 既定ユーザー以外のプロフィールは profiles/<userId>.json に保存する
+const PROFILES_DIR = path.join(BASE_DIR, 'profiles');
+const DEFAULT_USER_ID = 'default';
 const CONTEXT_PATH = path.join(BASE_DIR, 'context.json');
 
 // コンテキスト記憶クラス
@@ -17,6 +21,8 @@ class ContextMemory {
     this.shortTermSize = config.memory?.shortTermSize || 10;
     this.longTermSize = config.memory?.longTermSize || 1000;
     this.factRetentionDays = config.memory?.factRetentionDays || 90;
+    this.relevanceThreshold = config.memory?.relevanceThreshold || 0.3;
+    this.embedder = new HashingEmbedder();
 
     this.shortTerm = [];
     this.longTerm = [];
@@ -64,12 +70,12 @@ class ContextMemory {
   getRelevantContext(currentRequest) {
     // 短期記憶から関連文脈を検索
     const relevantShort = this.shortTerm.filter(ctx =>
-      this.calculateRelevance(ctx, currentRequest) > 0.5
+      this.calculateRelevance(ctx, currentRequest) > this.relevanceThreshold
     );
 
     // 長期記憶から事実を検索
     const relevantFacts = this.userFacts.filter(fact =>
-      this.calculateRelevance(fact.fact, currentRequest) > 0.5
+      this.calculateRelevance(fact.fact, currentRequest) > this.relevanceThreshold
     );
 
     return {
@@ -78,32 +84,28 @@ class ContextMemory {
     };
   }
 
+  // 文字n-gramのベクトルのコサイン類似度（空白で区切られない日本語にも対応）
   calculateRelevance(context, currentRequest) {
-    const ctxStr = JSON.stringify(context).toLowerCase();
-    const reqStr = currentRequest.toLowerCase();
+    // 記憶した時刻は内容ではないので比較に含めない
+    const { addedAt, ...content } = typeof context === 'object' && context !== null ? context : { value: context };
 
-    // 単純なキーワードマッチ
-    const reqWords = reqStr.split(/\s+/);
-    let matchCount = 0;
-
-    for (const word of reqWords) {
-      if (ctxStr.includes(word)) {
-        matchCount++;
-      }
-    }
-
-    return matchCount / reqWords.length;
+    return cosineSimilarity(
+      this.embedder.embed(textOf(content)),
+      this.embedder.embed(currentRequest)
+    );
   }
 }
 
 // プロフィール管理クラス
 class UserProfile {
-  constructor(config) {
+  constructor(config, options = {}) {
     this.updateInterval = config.profiling?.updateInterval || 'weekly';
     this.categories = config.profiling?.categories || [];
+    this.userId = options.userId || DEFAULT_USER_ID;
+    this.profilePath = UserProfile.pathFor(this.userId);
 
     this.profile = {
-      userId: 'default',
+      userId: this.userId,
       preferences: {
         communicationStyle: 'balanced',  // concise, detailed, friendly, balanced
         workingHours: {
@@ -162,7 +164,7 @@ class UserProfile {
 
   async load() {
     try {
-      const data = await fs.readFile(PROFILE_PATH, 'utf8');
+      const data = await fs.readFile(this.profilePath, 'utf8');
       this.profile = JSON.parse(data);
     } catch (e) {
       // 初期プロフィール作成
@@ -171,7 +173,49 @@ class UserProfile {
   }
 
   async save() {
-    await fs.writeFile(PROFILE_PATH, JSON.stringify(this.profile, null, 2), 'utf8');
+    await fs.mkdir(path.dirname(this.profilePath), { recursive: true });
+    await fs.writeFile(this.profilePath, JSON.stringify(this.profile, null, 2), 'utf8');
+  }
+
+  // ユーザーのプロフィールファイルのパス
+  static pathFor(userId) {
+    return userId === DEFAULT_USER_ID
+      ? PROFILE_PATH
+      : path.join(PROFILES_DIR, `${encodeURIComponent(userId)}.json`);
+  }
+
+  // プロフィールのあるユーザー一覧
+  static async listUsers() {
+    const users = [];
+
+    try {
+      await fs.access(PROFILE_PATH);
+      users.push(DEFAULT_USER_ID);
+    } catch {
+      // 既定ユーザーのプロフィールなし
+    }
+
+    try {
+      const files = await fs.readdir(PROFILES_DIR);
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        users.push(decodeURIComponent(file.slice(0, -'.json'.length)));
+      }
+    } catch {
+      // profiles/ なし
+    }
+
+    return users;
+  }
+
+  // ユーザーのプロフィールを削除（削除したらtrue）
+  static async remove(userId) {
+    try {
+      await fs.unlink(UserProfile.pathFor(userId));
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
   }
 }
 
@@ -365,7 +409,7 @@ async function run(context, command = 'analyze') {
 
   const config = await loadConfig();
   const memory = new ContextMemory(config);
-  const profile = new UserProfile(config);
+  const profile = new UserProfile(config, { userId: context?.userId });
   await profile.load();
 
   switch (command) {
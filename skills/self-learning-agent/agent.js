@@ -11,6 +11,11 @@ const BASE_DIR = __dirname;
 const CONFIG_PATH = path.join(BASE_DIR, 'config.json');
 const store = new LearningStore(BASE_DIR);
 
+// ユーザーごとのストア（省略時は既定ユーザー）
+function storeFor(userId) {
+    return userId ? store.forUser(userId) : store;
+}
+
 // 設定読み込み
 async function loadConfig() {
     try {
@@ -104,9 +109,10 @@ function classifyRequest(message) {
 }
 
 // パターン分析レポート生成
-async function generateAnalysisReport() {
-    const patterns = await store.loadPatterns();
-    const profile = await store.loadProfile();
+async function generateAnalysisReport(userId) {
+    const userStore = storeFor(userId);
+    const patterns = await userStore.loadPatterns();
+    const profile = await userStore.loadProfile();
 
     let report = `🧠 自己学習レポート\n\n`;
     report += `━━━━━━━━━━━━━━━━━━━━━━\n`;
@@ -135,7 +141,7 @@ async function generateAnalysisReport() {
 }
 
 // 新しいパターンを学習
-async function learnNewPattern(name, type, description, confidence = 0.8) {
+async function learnNewPattern(name, type, description, confidence = 0.8, userId) {
     const pattern = {
         name,
         type,
@@ -144,14 +150,15 @@ async function learnNewPattern(name, type, description, confidence = 0.8) {
         learnedAt: new Date().toISOString()
     };
 
-    await store.savePattern(pattern);
+    await storeFor(userId).savePattern(pattern);
     console.log(`📚 New pattern learned: ${name}`);
     return pattern;
 }
 
 // コンテキスト更新
-async function updateConversationContext(topic, message) {
-    const context = await store.loadContext();
+async function updateConversationContext(topic, message, userId) {
+    const userStore = storeFor(userId);
+    const context = await userStore.loadContext();
 
     // アクティブトピック更新
     if (!context.activeTopics.includes(topic)) {
@@ -167,14 +174,15 @@ async function updateConversationContext(topic, message) {
         timestamp: new Date().toISOString()
     };
 
-    await store.updateContext(context);
+    await userStore.updateContext(context);
     return context;
 }
 
 // 提案生成
-async function generateSuggestions() {
-    const patterns = await store.loadPatterns();
-    const context = await store.loadContext();
+async function generateSuggestions(userId) {
+    const userStore = storeFor(userId);
+    const patterns = await userStore.loadPatterns();
+    const context = await userStore.loadContext();
     const suggestions = [];
 
     // 頻出パターンに基づく提案
@@ -206,10 +214,11 @@ async function run(context, command = 'analyze') {
     console.log('🧠 Self-Learning Agent starting...');
 
     const config = await loadConfig();
+    const userId = context?.userId;
 
     switch (command) {
         case 'analyze':
-            const report = await generateAnalysisReport();
+            const report = await generateAnalysisReport(userId);
             if (context?.channels?.send) {
                 await context.channels.send('discord', report);
             } else {
@@ -219,7 +228,7 @@ async function run(context, command = 'analyze') {
             return { success: true, report };
 
         case 'suggest':
-            const suggestions = await generateSuggestions();
+            const suggestions = await generateSuggestions(userId);
             const suggestionText = suggestions.map(s => `• ${s.text}`).join('\n') || 'まだ提案はありません。';
             if (context?.channels?.send) {
                 await context.channels.send('discord', `💡 学習に基づく提案\n\n${suggestionText}`);
@@ -317,6 +317,16 @@ class PatternStore {
     await fs.writeFile(PATTERNS_PATH, JSON.stringify(data, null, 2), 'utf8');
   }
 
+  /**
+   * パターンを読み込み直す（スナップショットから復元された場合など）
+   */
+  async reload() {
+    this.patterns.clear();
+    this.patternsByType.clear();
+    this.patternsByCategory.clear();
+    await this.load();
+  }
+
   /**
    * パターンを読み込み
    */
@@ -858,6 +868,23 @@ class SelfLearningAgent {
         eventType: 'profile_updated'
       }
     }, this.handleProfileUpdate.bind(this));
+
+    // スナップショットからの復元
+    this.eventBus.subscribe('self-learning-agent', {
+      type: 'event',
+      payload: {
+        eventType: 'context_restored'
+      }
+    }, this.handleContextRestored.bind(this));
+  }
+
+  /**
+   * 復元されたパターンを読み込み直す
+   */
+  async handleContextRestored(event) {
+    if (event.payload.data.components.includes('patterns')) {
+      await this.patternStore.reload();
+    }
   }
 
   /**
@@ -911,7 +938,7 @@ class SelfLearningAgent {
         title: data.title,
         status: 'completed',
         completedAt: new Date().toISOString()
-      }, 'self-learning-agent');
+      }, 'self-learning-agent', { userId: data.userId || event.metadata?.userId });
 
     } catch (error) {
       console.error('Error handling task completed:', error.message);
@@ -936,7 +963,7 @@ class SelfLearningAgent {
         command: data.command,
         timestamp: data.timestamp,
         confidence: 0.7
-      }, 'self-learning-agent');
+      }, 'self-learning-agent', { userId: data.userId || event.metadata?.userId });
 
     } catch (error) {
       console.error('Error handling command usage:', error.message);
@@ -970,7 +997,9 @@ class SelfLearningAgent {
           break;
 
         case 'analyze_user':
-          const userProfile = await this.contextManager.store.getUserProfile();
+          const userProfile = await this.contextManager.store.getUserProfile({
+            userId: params.userId || event.metadata?.userId
+          });
           const behaviorPatterns = this.getBehaviorPatterns();
           const stats = this.patternStore.getStats();
 
@@ -1696,8 +1725,16 @@ class SelfLearningAgent {
   }
 }
 
+/**
+ * ライフサイクルマネージャー用のファクトリ
+ */
+function createSkill(eventBus, config = {}) {
+  return new SelfLearningAgent(eventBus, config);
+}
+
 module.exports = {
   SelfLearningAgent,
+  createSkill,
   PatternStore,
   PatternAnalyzer,
   PatternPredictor,
@@ -1,17 +1,105 @@
 /**
  * Self-Learning Agent Store
  * 学習データの永続化と管理
+ *
+ * ユーザーごとに保存先を分ける（既定ユーザーは baseDir 直下、それ以外は users/<userId>/）
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 
+const DEFAULT_USER_ID = 'default';
+const USERS_DIR = 'users';
+
 class LearningStore {
-  constructor(baseDir) {
+  constructor(baseDir, options = {}) {
     this.baseDir = baseDir;
-    this.patternsFile = path.join(baseDir, 'patterns.json');
-    this.profileFile = path.join(baseDir, 'profile.json');
-    this.contextFile = path.join(baseDir, 'context.json');
+    this.userId = options.userId || DEFAULT_USER_ID;
+
+    const dataDir = this.userId === DEFAULT_USER_ID
+      ? baseDir
+      : path.join(baseDir, USERS_DIR, encodeURIComponent(this.userId));
+
+    this.dataDir = dataDir;
+    this.patternsFile = path.join(dataDir, 'patterns.json');
+    this.profileFile = path.join(dataDir, 'profile.json');
+    this.contextFile = path.join(dataDir, 'context.json');
+  }
+
+  // 別ユーザーのストア
+  forUser(userId) {
+    return new LearningStore(this.baseDir, { userId });
+  }
+
+  // 保存先を作成してから書き込む
+  async writeJson(file, data) {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    await fs.writeFile(file, JSON.stringify(data, null, 2));
+  }
+
+  // データのあるユーザー一覧
+  async listUsers() {
+    const users = [];
+
+    if (await this.forUser(DEFAULT_USER_ID).hasData()) {
+      users.push(DEFAULT_USER_ID);
+    }
+
+    try {
+      const entries = await fs.readdir(path.join(this.baseDir, USERS_DIR), { withFileTypes: true });
+      for (const entry of entries) {
+        if (entry.isDirectory()) {
+          users.push(decodeURIComponent(entry.name));
+        }
+      }
+    } catch {
+      // users/ がなければ既定ユーザーのみ
+    }
+
+    return users;
+  }
+
+  // いずれかのデータファイルがあるか
+  async hasData() {
+    for (const file of [this.patternsFile, this.profileFile, this.contextFile]) {
+      try {
+        await fs.access(file);
+        return true;
+      } catch {
+        // 次のファイルを確認
+      }
+    }
+    return false;
+  }
+
+  // ユーザーの学習データを書き出し
+  async exportUser() {
+    return {
+      userId: this.userId,
+      patterns: await this.loadPatterns(),
+      profile: await this.loadProfile(),
+      context: await this.loadContext()
+    };
+  }
+
+  // ユーザーの学習データを削除（削除したファイル数を返す）
+  async deleteUser() {
+    let deleted = 0;
+
+    for (const file of [this.patternsFile, this.profileFile, this.contextFile]) {
+      try {
+        await fs.unlink(file);
+        deleted++;
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+
+    if (this.userId !== DEFAULT_USER_ID) {
+      await fs.rm(this.dataDir, { recursive: true, force: true });
+    }
+
+    return deleted;
   }
 
   // パターン読み込み
@@ -37,7 +125,7 @@ class LearningStore {
       data.patterns.push(pattern);
     }
     
-    await fs.writeFile(this.patternsFile, JSON.stringify(data, null, 2));
+    await this.writeJson(this.patternsFile, data);
     return pattern;
   }
 
@@ -62,7 +150,7 @@ class LearningStore {
     const profile = await this.loadProfile();
     Object.assign(profile, updates);
     profile.updatedAt = new Date().toISOString();
-    await fs.writeFile(this.profileFile, JSON.stringify(profile, null, 2));
+    await this.writeJson(this.profileFile, profile);
     return profile;
   }
 
@@ -96,9 +184,10 @@ class LearningStore {
   async updateContext(updates) {
     const context = await this.loadContext();
     Object.assign(context, updates);
-    await fs.writeFile(this.contextFile, JSON.stringify(context, null, 2));
+    await this.writeJson(this.contextFile, context);
     return context;
   }
 }
 
 module.exports = LearningStore;
+module.exports.DEFAULT_USER_ID = DEFAULT_USER_ID;
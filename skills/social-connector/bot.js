@@ -1,7 +1,7 @@
 const { ethers } = require('ethers');
-const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { loadSecret } = require('../../lib/secrets-vault');
 const axios = require('axios');
 
 const WALLET_FILE = path.join(os.homedir(), '.clawdbot', 'base_wallet.json');
@@ -10,10 +10,10 @@ const WALLET_FILE = path.join(os.homedir(), '.clawdbot', 'base_wallet.json');
 const FARCASTER_API = "https://api.neynar.com/v2/farcaster/cast";
 
 async function loadWallet() {
-    if (!fs.existsSync(WALLET_FILE)) {
+    const data = await loadSecret('base-wallet', WALLET_FILE);
+    if (!data) {
         return null;
     }
-    const data = JSON.parse(fs.readFileSync(WALLET_FILE, 'utf8'));
     // Provider not strictly needed for social, but wallet is needed for signing
     return new ethers.Wallet(data.privateKey);
 }
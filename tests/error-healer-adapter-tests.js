@@ -0,0 +1,690 @@
+/**
+ * エラー自動修復のプラットフォームアダプター契約テスト
+ * (Error Auto-Healer Platform Adapter Contract Tests)
+ *
+ * 実際の通知メール・Webhook・APIレスポンスを記録したフィクスチャ（tests/fixtures/error-auto-healer）を使う
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  PlatformAdapter,
+  GitHubActionsAdapter,
+  VercelAdapter,
+  GitLabAdapter,
+  LocalCommandAdapter,
+  createAdapters
+} = require('../skills/error-auto-healer/lib/adapters');
+const FixVerifier = require('../skills/error-auto-healer/lib/fix-verifier');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'error-auto-healer');
+
+function fixture(name) {
+  const text = fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+  return name.endsWith('.json') ? JSON.parse(text) : text;
+}
+
+/**
+ * 記録したレスポンスを返すHTTPクライアント（axios互換の get / post）
+ */
+class RecordedHttp {
+  constructor(responses) {
+    this.responses = responses;
+    this.requests = [];
+  }
+
+  respond(method, url, data, options) {
+    this.requests.push({ method, url, data, options });
+    const key = `${method} ${url}`;
+    if (!(key in this.responses)) {
+      return Promise.reject(new Error(`No recorded response for ${key}`));
+    }
+    return Promise.resolve({ data: this.responses[key] });
+  }
+
+  get(url, options) {
+    return this.respond('GET', url, undefined, options);
+  }
+
+  post(url, data, options) {
+    return this.respond('POST', url, data, options);
+  }
+}
+
+/**
+ * アダプターに渡すヒーラーの代わり
+ */
+function createHealer(overrides = {}) {
+  return {
+    config: {
+      github: { prLabels: ['auto-fix'], reviewers: [] },
+      gitlab: { token: 'glpat-test', baseUrl: 'https://gitlab.example.com/', mergeRequestLabels: ['auto-fix', 'bot'] },
+      local: { command: '', cwd: '', intervalMs: 60000, timeoutMs: 10000 },
+      ...overrides
+    },
+    logs: [],
+    log(level, message) {
+      this.logs.push({ level, message });
+    }
+  };
+}
+
+/**
+ * テストスイート
+ */
+class ErrorHealerAdapterTests {
+  constructor() {
+    this.testResults = [];
+    this.tempDirs = [];
+  }
+
+  /**
+   * テスト実行
+   */
+  async runTests() {
+    console.log('\n=== Running Tests ===\n');
+
+    await this.testErrorInfoContract();
+    await this.testEmailDetection();
+    await this.testWebhookParsing();
+    await this.testGitLabApi();
+    await this.testLocalCommand();
+    await this.testDefaultCapabilities();
+    await this.testVerification();
+
+    this.displayResults();
+
+    for (const dir of this.tempDirs) {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * 全アダプター共通の errorInfo の形
+   */
+  errorInfoAssertions(label, errorInfo, platform) {
+    return [
+      {
+        description: `${label}: platform should be ${platform}`,
+        pass: errorInfo?.platform === platform
+      },
+      {
+        description: `${label}: repo and branch should be strings`,
+        pass: typeof errorInfo?.repo === 'string' && errorInfo.repo !== '' && typeof errorInfo.branch === 'string'
+      },
+      {
+        description: `${label}: errorMessage and errorType should be set`,
+        pass: typeof errorInfo?.errorMessage === 'string' && errorInfo.errorMessage !== '' && typeof errorInfo.errorType === 'string'
+      },
+      {
+        description: `${label}: signature should be a 16-char hash`,
+        pass: /^[0-9a-f]{16}$/.test(errorInfo?.signature || '')
+      },
+      {
+        description: `${label}: detectedAt should be an ISO date`,
+        pass: !Number.isNaN(Date.parse(errorInfo?.detectedAt))
+      }
+    ];
+  }
+
+  /**
+   * テスト: 記録したメール・Webhookから共通の errorInfo を作れる
+   */
+  async testErrorInfoContract() {
+    const testName = 'errorInfo Contract';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      const adapters = createAdapters(createHealer());
+      const local = adapters.local;
+      local.config.local.cwd = os.tmpdir();
+      local.config.local.command = 'npm test';
+
+      const cases = [
+        ['GitHub email', adapters['github-actions'].parse(fixture('github-email.json')), 'github-actions'],
+        ['Vercel email', adapters.vercel.parse(fixture('vercel-email.json')), 'vercel'],
+        ['GitLab email', adapters['gitlab-ci'].parse(fixture('gitlab-email.json')), 'gitlab-ci'],
+        ['GitHub webhook', adapters['github-actions'].parseWebhook('workflow_run', fixture('github-workflow-run.json')), 'github-actions'],
+        ['Vercel webhook', adapters.vercel.parseWebhook('deployment.error', fixture('vercel-deployment-error.json')), 'vercel'],
+        ['Local run', local.toErrorInfo({ exitCode: 1, output: fixture('jest-output.txt') }), 'local']
+      ];
+
+      const again = adapters['gitlab-ci'].parse(fixture('gitlab-email.json'));
+
+      const assertions = [
+        {
+          description: 'Every platform should have an adapter',
+          pass: ['github-actions', 'vercel', 'gitlab-ci', 'local'].every(platform => adapters[platform] instanceof PlatformAdapter)
+        },
+        ...cases.flatMap(([label, errorInfo, platform]) => this.errorInfoAssertions(label, errorInfo, platform)),
+        {
+          description: 'The same email should give the same signature',
+          pass: again.signature === cases[2][1].signature
+        }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+    }
+  }
+
+  /**
+   * テスト: 各アダプターは自分のプラットフォームのメールだけを検出・解析する
+   */
+  async testEmailDetection() {
+    const testName = 'Email Detection';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      const adapters = createAdapters(createHealer());
+      const emails = {
+        'github-actions': fixture('github-email.json'),
+        vercel: fixture('vercel-email.json'),
+        'gitlab-ci': fixture('gitlab-email.json')
+      };
+
+      const detected = Object.fromEntries(Object.entries(emails).map(([platform, email]) => [
+        platform,
+        Object.values(adapters).filter(adapter => adapter.detect(email)).map(adapter => adapter.platform)
+      ]));
+
+      const github = adapters['github-actions'].parse(emails['github-actions']);
+      const vercel = adapters.vercel.parse(emails.vercel);
+      const gitlab = adapters['gitlab-ci'].parse(emails['gitlab-ci']);
+
+      // 設定と違うGitLabインスタンスのメールは扱わない（トークンを送らない）
+      const otherInstance = createAdapters(createHealer({ gitlab: { token: 't', baseUrl: 'https://gitlab.com' } }));
+
+      const assertions = [
+        {
+          description: 'Each email should be detected by its own adapter only',
+          pass: Object.entries(detected).every(([platform, platforms]) => platforms.length === 1 && platforms[0] === platform)
+        },
+        {
+          description: 'GitHub email should give repo, workflow and run ID',
+          pass: github.repo === 'acme/storefront' && github.workflow === 'CI' && github.runId === '9876543210' && github.errorType === 'test'
+        },
+        {
+          description: 'Vercel email should give project, deployment and URL',
+          pass: vercel.projectName === 'storefront' && vercel.deploymentId === 'dpl_8KxT2mQe4nR7vW1s' &&
+            vercel.deploymentUrl === 'https://storefront-git-main-acme.vercel.app'
+        },
+        {
+          description: 'GitLab email should give project path, pipeline, job and stage',
+          pass: gitlab.repo === 'platform/billing-api' && gitlab.owner === 'platform' && gitlab.branch === 'main' &&
+            gitlab.runId === '48213' && gitlab.jobId === '902114' && gitlab.workflow === 'unit-tests' && gitlab.errorType === 'test'
+        },
+        {
+          description: 'GitLab email should keep the commit SHA',
+          pass: gitlab.commitSha === '7c3e9a41b2d05f6e8a9c1b2d3e4f5a6b7c8d9e0f'
+        },
+        {
+          description: 'Email from another GitLab instance should be ignored',
+          pass: otherInstance['gitlab-ci'].parse(emails['gitlab-ci']) === null
+        }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+    }
+  }
+
+  /**
+   * テスト: Webhookのペイロード
+   */
+  async testWebhookParsing() {
+    const testName = 'Webhook Parsing';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      const github = new GitHubActionsAdapter(createHealer());
+      const vercel = new VercelAdapter(createHealer());
+      const workflowRun = fixture('github-workflow-run.json');
+      const deploymentError = fixture('vercel-deployment-error.json');
+
+      const run = github.parseWebhook('workflow_run', workflowRun);
+      const deployment = vercel.parseWebhook(deploymentError.type, deploymentError);
+      const succeeded = { ...workflowRun, workflow_run: { ...workflowRun.workflow_run, conclusion: 'success' } };
+      const actionsSuite = {
+        action: 'completed',
+        check_suite: { conclusion: 'failure', head_branch: 'main', app: { slug: 'github-actions', name: 'GitHub Actions' } },
+        repository: workflowRun.repository
+      };
+      const otherSuite = { ...actionsSuite, check_suite: { ...actionsSuite.check_suite, app: { slug: 'circleci', name: 'CircleCI' } } };
+
+      const assertions = [
+        {
+          description: 'workflow_run should give run ID, branch and error type',
+          pass: run.runId === '9876543210' && run.branch === 'feature/cart' && run.workflow === 'Lint' &&
+            run.errorType === 'lint' && run.source === 'webhook'
+        },
+        {
+          description: 'Successful runs should be ignored',
+          pass: github.parseWebhook('workflow_run', succeeded) === null
+        },
+        {
+          description: 'GitHub Actions check suites should be left to workflow_run',
+          pass: github.parseWebhook('check_suite', actionsSuite) === null
+        },
+        {
+          description: 'Other failed check suites should be reported',
+          pass: github.parseWebhook('check_suite', otherSuite)?.workflow === 'CircleCI'
+        },
+        {
+          description: 'deployment.error should give repo, deployment and URL',
+          pass: deployment.repo === 'acme/storefront' && deployment.deploymentId === 'dpl_8KxT2mQe4nR7vW1s' &&
+            deployment.deploymentUrl === 'https://storefront-8kxt2mqe4-acme.vercel.app'
+        },
+        {
+          description: 'Other Vercel events should be ignored',
+          pass: vercel.parseWebhook('deployment.succeeded', { ...deploymentError, type: 'deployment.succeeded' }) === null
+        }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+    }
+  }
+
+  /**
+   * テスト: GitLab API（ログ取得・マージリクエスト・パイプライン再実行）
+   */
+  async testGitLabApi() {
+    const testName = 'GitLab API';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      const http = new RecordedHttp(fixture('gitlab-api.json'));
+      const adapter = new GitLabAdapter(createHealer(), { http });
+      const errorInfo = adapter.parse(fixture('gitlab-email.json'));
+
+      const logs = await adapter.fetchLogs(errorInfo);
+      const change = await adapter.openChangeRequest(errorInfo, {
+        branchName: 'auto-fix/abc123',
+        title: '[Auto-Fix] test: unit-tests',
+        body: 'Fix'
+      });
+      const retried = await adapter.rerun(errorInfo);
+
+      const mergeRequest = http.requests.find(request => request.url.endsWith('/merge_requests'));
+
+      let missingToken = null;
+      try {
+        await new GitLabAdapter(createHealer({ gitlab: { baseUrl: 'https://gitlab.example.com' } }), { http }).fetchLogs(errorInfo);
+      } catch (error) {
+        missingToken = error;
+      }
+
+      const assertions = [
+        {
+          description: 'Logs should contain the failing lines of the job trace',
+          pass: logs.includes('=== Job: test/unit-tests ===') && logs.includes('ERROR: Job failed: exit code 1') && !logs.includes('npm ci')
+        },
+        {
+          description: 'Only failed jobs should be requested',
+          pass: http.requests[0].options.params['scope[]'] === 'failed'
+        },
+        {
+          description: 'Every request should send the token',
+          pass: http.requests.every(request => request.options.headers['PRIVATE-TOKEN'] === 'glpat-test')
+        },
+        {
+          description: 'Merge request should target the failing branch with labels',
+          pass: mergeRequest.data.source_branch === 'auto-fix/abc123' && mergeRequest.data.target_branch === 'main' &&
+            mergeRequest.data.labels === 'auto-fix,bot' && mergeRequest.data.remove_source_branch === true
+        },
+        {
+          description: 'Merge request URL and IID should be returned',
+          pass: change.url === 'https://gitlab.example.com/platform/billing-api/-/merge_requests/317' && change.number === 317
+        },
+        {
+          description: 'Pipeline should be retried',
+          pass: retried === true && http.requests.some(request => request.url.endsWith('/pipelines/48213/retry'))
+        },
+        {
+          description: 'Clone URL should point at the configured instance',
+          pass: adapter.cloneUrl(errorInfo) === 'https://gitlab.example.com/platform/billing-api.git'
+        },
+        {
+          description: 'API calls without a token should fail',
+          pass: missingToken !== null && /token/i.test(missingToken.message)
+        }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+    }
+  }
+
+  /**
+   * テスト: ローカルのコマンドを実行して失敗を検出する
+   */
+  async testLocalCommand() {
+    const testName = 'Local Command';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'healer-local-'));
+      this.tempDirs.push(cwd);
+
+      const healer = createHealer();
+      healer.config.local.cwd = cwd;
+      const adapter = new LocalCommandAdapter(healer);
+
+      healer.config.local.command = `node -e "console.error('Error: Cannot find module ./config'); process.exit(2)"`;
+      const failed = await adapter.check();
+      const logs = await adapter.fetchLogs(failed);
+
+      healer.config.local.command = 'node -e "process.exit(0)"';
+      const passed = await adapter.check();
+
+      // タイムアウトしたコマンドはシェルの子プロセスごと止める（子が残ると出力のパイプが閉じず終了を待ち続ける）
+      healer.config.local.timeoutMs = 300;
+      healer.config.local.command = 'node -e "setTimeout(() => {}, 5000)"; echo done';
+      const timedOut = await adapter.runCommand();
+      healer.config.local.timeoutMs = 10000;
+
+      healer.config.local.command = '';
+      let missingCommand = null;
+      try {
+        await adapter.check();
+      } catch (error) {
+        missingCommand = error;
+      }
+
+      const jest = adapter.toErrorInfo({ exitCode: 1, output: fixture('jest-output.txt') });
+
+      const assertions = [
+        ...this.errorInfoAssertions('Failed command', failed, 'local'),
+        {
+          description: 'Failed command should keep exit code and first error line',
+          pass: failed.exitCode === 2 && failed.errorMessage === 'Error: Cannot find module ./config' && failed.cwd === cwd
+        },
+        {
+          description: 'Logs should come from the command output',
+          pass: logs.includes('Cannot find module ./config')
+        },
+        {
+          description: 'Passing command should not report an error',
+          pass: passed === null
+        },
+        {
+          description: 'Missing command should be rejected',
+          pass: missingCommand !== null
+        },
+        {
+          description: 'Timed-out commands should stop with their child processes',
+          pass: timedOut.timedOut === true && timedOut.exitCode !== 0 && timedOut.durationMs < 3000 && !timedOut.output.includes('done')
+        },
+        {
+          description: 'Jest output should be classified as a test failure',
+          pass: jest.errorType === 'test' && jest.errorMessage.includes('1 failed')
+        },
+        {
+          description: 'Local fixes should not be pushed or opened as change requests',
+          pass: (await adapter.openChangeRequest(jest, { branchName: 'auto-fix/x' })) === null
+        }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+    }
+  }
+
+  /**
+   * テスト: 基底クラスは「対応していない」を返す
+   */
+  async testDefaultCapabilities() {
+    const testName = 'Default Adapter Capabilities';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      const adapter = new PlatformAdapter(createHealer());
+      const email = fixture('github-email.json');
+
+      let cloneError = null;
+      try {
+        adapter.cloneUrl({});
+      } catch (error) {
+        cloneError = error;
+      }
+
+      const assertions = [
+        {
+          description: 'Detection and parsing should find nothing',
+          pass: adapter.detect(email) === false && adapter.parse(email) === null && adapter.parseWebhook('push', {}) === null
+        },
+        {
+          description: 'Logs, issues and change requests should be unavailable',
+          pass: (await adapter.fetchLogs({})) === null && (await adapter.openIssue({})) === null &&
+            (await adapter.openChangeRequest({}, {})) === null
+        },
+        {
+          description: 'Re-run should not be triggered',
+          pass: (await adapter.rerun({})) === false
+        },
+        {
+          description: 'Cloning should be unsupported',
+          pass: cloneError !== null
+        },
+        {
+          description: 'Names should be classified like the email parsers',
+          pass: PlatformAdapter.classifyByName('Unit tests') === 'test' && PlatformAdapter.classifyByName('ESLint') === 'lint' &&
+            PlatformAdapter.classifyByName('Build') === 'build'
+        }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+    }
+  }
+
+  /**
+   * テスト: 修正の検証（CI設定からのコマンド取得、修正前後のサンドボックス実行）
+   */
+  async testVerification() {
+    const testName = 'Fix Verification';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'healer-verify-test-'));
+      this.tempDirs.push(workDir);
+
+      fs.mkdirSync(path.join(workDir, '.github', 'workflows'), { recursive: true });
+      fs.writeFileSync(path.join(workDir, '.github', 'workflows', 'ci.yml'), [
+        'name: CI',
+        'on: push',
+        'jobs:',
+        '  test:',
+        '    runs-on: ubuntu-latest',
+        '    steps:',
+        '      - uses: actions/checkout@v4',
+        '      - run: npm ci',
+        '      - name: Test',
+        '        run: |',
+        '          npm test',
+        '      - run: echo ${{ secrets.TOKEN }}',
+        ''
+      ].join('\n'));
+      fs.writeFileSync(path.join(workDir, '.gitlab-ci.yml'), [
+        'before_script:',
+        '  - npm ci',
+        'lint:',
+        '  stage: test',
+        '  script:',
+        '    - npm run lint',
+        ''
+      ].join('\n'));
+      fs.writeFileSync(path.join(workDir, 'package.json'), JSON.stringify({
+        scripts: { build: 'tsc', test: 'jest' }
+      }));
+
+      const healer = createHealer();
+      healer.config.local.command = 'npm test';
+      const github = new GitHubActionsAdapter(healer).verificationCommands({ workflow: 'CI', errorType: 'test' }, workDir);
+      const gitlab = new GitLabAdapter(healer).verificationCommands({ workflow: 'lint', errorType: 'lint' }, workDir);
+      const vercel = new VercelAdapter(healer).verificationCommands({ errorType: 'deploy' }, workDir);
+      const local = new LocalCommandAdapter(healer).verificationCommands({});
+      const fallback = new GitHubActionsAdapter(healer).verificationCommands({ workflow: 'Release', errorType: 'test' }, workDir);
+
+      // 修正前はマーカーファイルが無いので失敗し、修正後は通る
+      const treeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'healer-verify-tree-'));
+      this.tempDirs.push(treeDir);
+      const commands = [`node -e "process.exit(require('fs').existsSync('fixed.txt') ? 0 : 3)"`];
+      const verifier = new FixVerifier({ mode: 'local', timeoutMs: 10000 });
+
+      const before = await verifier.verify('before', treeDir, commands);
+      fs.writeFileSync(path.join(treeDir, 'fixed.txt'), 'ok');
+      const after = await verifier.verify('after', treeDir, commands);
+
+      const timeoutVerifier = new FixVerifier({ mode: 'local', timeoutMs: 500 });
+      const timedOut = await timeoutVerifier.verify('after', treeDir, ['node -e "setTimeout(() => {}, 60000)"']);
+
+      // lockfileの無いnpm ciは失敗するので、インストールの失敗として扱われる
+      const installDir = fs.mkdtempSync(path.join(os.tmpdir(), 'healer-verify-install-'));
+      this.tempDirs.push(installDir);
+      fs.writeFileSync(path.join(installDir, 'package.json'), JSON.stringify({ name: 'verify-install', version: '1.0.0' }));
+      const installFailed = await verifier.verify('before', installDir, ['npm ci', 'exit 3']);
+
+      const report = FixVerifier.formatReport(commands, before, after);
+
+      const assertions = [
+        {
+          description: 'GitHub commands should be the portable run steps of the failed workflow',
+          pass: JSON.stringify(github) === JSON.stringify(['npm ci', 'npm test'])
+        },
+        {
+          description: 'GitLab commands should be the before_script and script of the failed job',
+          pass: JSON.stringify(gitlab) === JSON.stringify(['npm ci', 'npm run lint'])
+        },
+        {
+          description: 'Vercel and unknown workflows should fall back to package.json scripts',
+          pass: JSON.stringify(vercel) === JSON.stringify(['npm run build']) &&
+            JSON.stringify(fallback) === JSON.stringify(['npm test'])
+        },
+        {
+          description: 'Local mode should verify with the watched command',
+          pass: JSON.stringify(local) === JSON.stringify(['npm test'])
+        },
+        {
+          description: 'Pre-fix tree should reproduce the failure',
+          pass: before.passed === false && before.exitCode === 3 && before.mode === 'local'
+        },
+        {
+          description: 'A failing command should reproduce the failure conclusively',
+          pass: before.inconclusive === null && before.failedStep === commands[0]
+        },
+        {
+          description: 'A failed dependency install should be inconclusive',
+          pass: installFailed.passed === false && installFailed.failedStep === 'npm ci' &&
+            installFailed.inconclusive === 'dependency install failed (npm ci)'
+        },
+        {
+          description: 'Post-fix tree should pass',
+          pass: after.passed === true && after.exitCode === 0
+        },
+        {
+          description: 'Runs should work on a copy of the tree',
+          pass: fs.readdirSync(treeDir).join(',') === 'fixed.txt'
+        },
+        {
+          description: 'Hanging commands should be stopped at the timeout',
+          pass: timedOut.passed === false && timedOut.timedOut === true && timedOut.inconclusive === 'timed out'
+        },
+        {
+          description: 'Report should list the commands and both results',
+          pass: report.includes('### Verification') && report.includes(commands[0]) &&
+            report.includes('| before-fix | failed | 3 |') && report.includes('| after-fix | passed | 0 |')
+        }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+    }
+  }
+
+  /**
+   * テスト結果を記録
+   */
+  recordTest(testName, pass, assertions, error = null) {
+    this.testResults.push({
+      testName,
+      pass,
+      assertions,
+      error: error ? error.message : null,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * テスト結果表示
+   */
+  displayResults() {
+    console.log('\n=== Test Results ===\n');
+
+    const passed = this.testResults.filter(r => r.pass).length;
+    const failed = this.testResults.filter(r => !r.pass).length;
+    const total = this.testResults.length;
+
+    console.log(`Total Tests: ${total}`);
+    console.log(`✓ Passed: ${passed}`);
+    console.log(`✗ Failed: ${failed}`);
+    console.log(`Success Rate: ${((passed / total) * 100).toFixed(1)}%`);
+
+    console.log('\n--- Detailed Results ---\n');
+
+    for (const result of this.testResults) {
+      const status = result.pass ? '✓ PASS' : '✗ FAIL';
+      console.log(`${status}: ${result.testName}`);
+
+      if (result.error) {
+        console.log(`  Error: ${result.error}`);
+      }
+
+      if (result.assertions.length > 0) {
+        for (const assertion of result.assertions) {
+          const assStatus = assertion.pass ? '  ✓' : '  ✗';
+          console.log(`${assStatus} ${assertion.description}`);
+        }
+      }
+
+      console.log('');
+    }
+  }
+}
+
+// メイン実行
+if (require.main === module) {
+  const tests = new ErrorHealerAdapterTests();
+  tests.runTests().then(() => {
+    console.log('\n✓ All tests completed');
+    process.exit(0);
+  }).catch(error => {
+    console.error('\n✗ Test execution failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { ErrorHealerAdapterTests };
@@ -0,0 +1,628 @@
+/**
+ * エラー自動修復のルールベース修復戦略テスト
+ * (Error Auto-Healer Rule-Based Fix Strategy Tests)
+ *
+ * 一時的なgitリポジトリに記録したCIログの分類結果を適用する。
+ * npm / eslint / prettier は記録用のランナーに置き換え、gitは実際に実行する
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LogAnalyzer = require('../skills/error-auto-healer/lib/log-analyzer');
+const {
+  DependencyUpdateStrategy,
+  LintFixStrategy,
+  TestSkipStrategy,
+  createStrategies,
+  applyStrategies
+} = require('../skills/error-auto-healer/lib/strategies');
+const { GitLabAdapter } = require('../skills/error-auto-healer/lib/adapters');
+const { ErrorAutoHealer } = require('../skills/error-auto-healer/healer');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'error-auto-healer');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+/**
+ * コマンドを記録するランナー（handler で結果やファイル変更を再現する）
+ */
+function recordingRunner(handler = () => ({ exitCode: 0, output: '' })) {
+  const calls = [];
+  const run = async (command, args, options) => {
+    calls.push({ command, args, cwd: options.cwd });
+    return handler(command, args, options);
+  };
+  return { run, calls };
+}
+
+/**
+ * テストスイート
+ */
+class ErrorHealerStrategyTests {
+  constructor() {
+    this.testResults = [];
+    this.tempDirs = [];
+    this.analyzer = new LogAnalyzer();
+  }
+
+  /**
+   * テスト実行
+   */
+  async runTests() {
+    console.log('\n=== Running Tests ===\n');
+
+    await this.testDispatch();
+    await this.testDependencyConflict();
+    await this.testMissingModuleAndEngines();
+    await this.testLintFix();
+    await this.testTestSkip();
+    await this.testFetchedLogs();
+
+    this.displayResults();
+
+    for (const dir of this.tempDirs) {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * コミットを順に作った一時リポジトリ（commits: [{ message, files: { path: content } }]）
+   */
+  createRepo(commits) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'healer-strategy-'));
+    this.tempDirs.push(dir);
+    const git = (...args) => execFileSync('git', ['-c', 'user.email=healer@example.com', '-c', 'user.name=healer', ...args], {
+      cwd: dir,
+      stdio: 'pipe'
+    });
+
+    git('init', '-q');
+    for (const commit of commits) {
+      for (const [file, content] of Object.entries(commit.files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content, null, 2) + '\n');
+      }
+      git('add', '-A');
+      git('commit', '-q', '-m', commit.message);
+    }
+    return dir;
+  }
+
+  /**
+   * テスト: 戦略が扱う分類の宣言と選択
+   */
+  async testDispatch() {
+    const testName = 'Strategy Dispatch';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      const strategies = createStrategies();
+      const jest = this.analyzer.analyze(fixture('jest-output.txt'));
+      const weakTest = { ...jest, confidence: 0.4 };
+      const lint = this.analyzer.analyze(fixture('ci-output/eslint.txt'));
+
+      const applied = [];
+      const fakes = strategies.map((strategy) => Object.assign(Object.create(Object.getPrototypeOf(strategy)), strategy, {
+        apply: async () => {
+          applied.push(strategy.name);
+          return strategy.name === 'test-skip' ? { filesChanged: ['a.test.js'], description: 'skipped' } : null;
+        }
+      }));
+
+      const all = await applyStrategies(fakes, ['dependency-update', 'lint-fix', 'test-skip'], { analysis: jest });
+      const disabled = await applyStrategies(fakes, ['ai-fix', 'lint-fix'], { analysis: jest });
+
+      // 途中まで書き換えて諦めた戦略・例外を投げた戦略の変更は残さない
+      const workDir = this.createRepo([{ message: 'init', files: { 'package.json': '{}\n' } }]);
+      const partial = strategies.map((strategy) => Object.assign(Object.create(Object.getPrototypeOf(strategy)), strategy, {
+        handles: () => true,
+        apply: async ({ workDir: dir }) => {
+          fs.writeFileSync(path.join(dir, 'package.json'), `{ "by": "${strategy.name}" }\n`);
+          fs.writeFileSync(path.join(dir, `${strategy.name}.tmp`), 'partial');
+          if (strategy.name === 'lint-fix') {
+            throw new Error('tool crashed');
+          }
+          return null;
+        }
+      }));
+      const gaveUp = await applyStrategies(partial, ['dependency-update', 'lint-fix', 'test-skip'], { analysis: jest, workDir });
+      const leftover = execFileSync('git', ['status', '--porcelain'], { cwd: workDir, encoding: 'utf8' });
+
+      const assertions = [
+        {
+          description: 'Every strategy should declare categories from the analyzer taxonomy',
+          pass: strategies.every((strategy) => strategy.classifications.length > 0 &&
+            strategy.classifications.every((category) => category in LogAnalyzer.TAXONOMY))
+        },
+        {
+          description: 'Names should match healing.strategies in the config template',
+          pass: JSON.stringify(strategies.map((strategy) => strategy.name)) === JSON.stringify(['dependency-update', 'lint-fix', 'test-skip'])
+        },
+        {
+          description: 'Strategies should only handle their own categories',
+          pass: strategies.find((s) => s.name === 'lint-fix').handles(lint) &&
+            !strategies.find((s) => s.name === 'lint-fix').handles(jest) &&
+            strategies.find((s) => s.name === 'test-skip').handles(jest)
+        },
+        {
+          description: 'test-skip should need a confident classification',
+          pass: !strategies.find((s) => s.name === 'test-skip').handles(weakTest)
+        },
+        {
+          description: 'The first handling strategy that changes files should be reported',
+          pass: all?.strategy === 'test-skip' && all.filesChanged[0] === 'a.test.js' && JSON.stringify(applied) === JSON.stringify(['test-skip'])
+        },
+        {
+          description: 'Strategies missing from healing.strategies should not run',
+          pass: disabled === null
+        },
+        {
+          description: 'Edits of strategies that return null or throw should be discarded',
+          pass: gaveUp === null && leftover === ''
+        }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+    }
+  }
+
+  /**
+   * テスト: ERESOLVE（lockfileの履歴から最後に通ったバージョンへ固定 → lockfile再生成）
+   */
+  async testDependencyConflict() {
+    const testName = 'Dependency Conflict';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      const lockfile = (react) => ({
+        name: 'storefront',
+        lockfileVersion: 3,
+        packages: {
+          '': { dependencies: { react: '^' + react, 'react-beautiful-dnd': '^13.1.1' } },
+          'node_modules/react': { version: react },
+          'node_modules/react-beautiful-dnd': { version: '13.1.1' }
+        }
+      });
+      const pkg = (react) => ({ name: 'storefront', dependencies: { react: '^' + react, 'react-beautiful-dnd': '^13.1.1' } });
+
+      const workDir = this.createRepo([
+        { message: 'init', files: { 'package.json': pkg('17.0.2'), 'package-lock.json': lockfile('17.0.2') } },
+        { message: 'bump react', files: { 'package.json': pkg('18.3.1'), 'package-lock.json': lockfile('18.3.1') } }
+      ]);
+      const analysis = this.analyzer.analyze(fixture('ci-output/npm-eresolve.txt'));
+      const runner = recordingRunner();
+      const outcome = await new DependencyUpdateStrategy({ run: runner.run }).apply({ analysis, workDir });
+      const pinned = JSON.parse(fs.readFileSync(path.join(workDir, 'package.json'), 'utf8'));
+
+      // 履歴が無く、peerの衝突が解消しない場合は legacy-peer-deps
+      const noHistory = this.createRepo([
+        { message: 'init', files: { 'package.json': pkg('18.3.1'), 'package-lock.json': lockfile('18.3.1') } }
+      ]);
+      const conflicted = recordingRunner((command, args) => ({
+        exitCode: args.includes('--legacy-peer-deps') ? 0 : 1,
+        output: 'npm ERR! code ERESOLVE'
+      }));
+      const legacy = await new DependencyUpdateStrategy({ run: conflicted.run }).apply({ analysis, workDir: noHistory });
+
+      const assertions = [
+        {
+          description: 'The package that changed should be pinned to its last good locked version',
+          pass: pinned.dependencies.react === '17.0.2' && pinned.dependencies['react-beautiful-dnd'] === '^13.1.1'
+        },
+        {
+          description: 'The lockfile should be regenerated without installing or running scripts',
+          pass: runner.calls.length === 1 && runner.calls[0].command === 'npm' &&
+            runner.calls[0].args.includes('--package-lock-only') && runner.calls[0].args.includes('--ignore-scripts')
+        },
+        {
+          description: 'Outcome should list package.json and describe the pin',
+          pass: outcome?.filesChanged.includes('package.json') && outcome.description.includes('react') &&
+            outcome.description.includes('17.0.2')
+        },
+        {
+          description: 'Without history the conflict should fall back to legacy peer resolution in .npmrc',
+          pass: legacy?.filesChanged.includes('.npmrc') &&
+            fs.readFileSync(path.join(noHistory, '.npmrc'), 'utf8') === 'legacy-peer-deps=true\n' &&
+            conflicted.calls.length === 2
+        }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+    }
+  }
+
+  /**
+   * テスト: 未宣言のモジュール・engines フィールドの追加
+   */
+  async testMissingModuleAndEngines() {
+    const testName = 'Missing Module and Engines';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      const workDir = this.createRepo([{
+        message: 'init',
+        files: {
+          'package.json': '{\n    "name": "api",\n    "dependencies": {\n        "express": "^4.19.2"\n    }\n}\n',
+          'package-lock.json': {
+            lockfileVersion: 3,
+            packages: { 'node_modules/express': { version: '4.19.2' }, 'node_modules/debug': { version: '2.6.9' } }
+          }
+        }
+      }]);
+      const runner = recordingRunner();
+      const strategy = new DependencyUpdateStrategy({ run: runner.run });
+
+      const missing = this.analyzer.analyze("Error: Cannot find module 'debug'\nRequire stack:\n- /app/src/index.js");
+      const moduleOutcome = await strategy.apply({ analysis: missing, workDir });
+      const afterModule = fs.readFileSync(path.join(workDir, 'package.json'), 'utf8');
+
+      const builtin = this.analyzer.analyze("Error: Cannot find module 'node:fs/promises'");
+      const builtinOutcome = await strategy.apply({ analysis: builtin, workDir });
+
+      const engine = this.analyzer.analyze(
+        'error api@1.0.0: The engine "node" is incompatible with this module. Expected version ">=18.17.0". Got "16.20.2"'
+      );
+      const engineOutcome = await strategy.apply({ analysis: engine, workDir });
+      const afterEngine = JSON.parse(fs.readFileSync(path.join(workDir, 'package.json'), 'utf8'));
+      const again = await strategy.apply({ analysis: engine, workDir });
+
+      const assertions = [
+        {
+          description: 'A transitively installed module should be declared with its locked version',
+          pass: JSON.parse(afterModule).dependencies.debug === '^2.6.9' && moduleOutcome?.description.includes('debug@^2.6.9')
+        },
+        {
+          description: 'package.json indentation should be preserved',
+          pass: afterModule.includes('\n        "debug": "^2.6.9"')
+        },
+        {
+          description: 'Node built-in modules should be left alone',
+          pass: builtinOutcome === null
+        },
+        {
+          description: 'Engine mismatch should add engines.node from the log',
+          pass: engine.category === 'engine-mismatch' && afterEngine.engines?.node === '>=18.17.0' && engineOutcome !== null
+        },
+        {
+          description: 'An existing engines.node should not be changed',
+          pass: again === null
+        }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+    }
+  }
+
+  /**
+   * テスト: ESLint（報告されたファイルに prettier --write と eslint --fix）
+   */
+  async testLintFix() {
+    const testName = 'Lint Fix';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      const workDir = this.createRepo([{
+        message: 'init',
+        files: {
+          'package.json': { name: 'storefront', devDependencies: { eslint: '^8.57.0', prettier: '^3.3.0' } },
+          'package-lock.json': { lockfileVersion: 3, packages: {} },
+          '.prettierrc': '{}\n',
+          'src/cart/total.js': 'const discount = 1;\nconsole.log("x")\n',
+          'src/hooks/useCart.js': 'export default function useCart() {}\n'
+        }
+      }]);
+      const analysis = this.analyzer.analyze(fixture('ci-output/eslint.txt'));
+
+      // npm ci が node_modules/.bin を作り、eslint --fix がファイルを直す
+      const runner = recordingRunner((command, args, { cwd }) => {
+        if (command === 'npm') {
+          fs.mkdirSync(path.join(cwd, 'node_modules', '.bin'), { recursive: true });
+          fs.writeFileSync(path.join(cwd, 'node_modules', '.bin', 'eslint'), '');
+          fs.writeFileSync(path.join(cwd, 'node_modules', '.bin', 'prettier'), '');
+        }
+        if (command.endsWith('eslint')) {
+          fs.writeFileSync(path.join(cwd, 'src/cart/total.js'), 'console.log("x");\n');
+          return { exitCode: 1, output: '1 problem (1 error, 0 warnings)' };
+        }
+        return { exitCode: 0, output: '' };
+      });
+      const outcome = await new LintFixStrategy({ run: runner.run }).apply({ analysis, workDir });
+      const [install, prettier, eslint] = runner.calls;
+
+      const assertions = [
+        {
+          description: 'Project tools should be installed from the lockfile first',
+          pass: install?.command === 'npm' && install.args[0] === 'ci'
+        },
+        {
+          description: 'prettier --write should run on the reported files before eslint',
+          pass: prettier?.command.endsWith(path.join('.bin', 'prettier')) && prettier.args[0] === '--write'
+        },
+        {
+          description: 'eslint --fix should get the runner paths mapped to the checkout',
+          pass: eslint?.command.endsWith(path.join('.bin', 'eslint')) &&
+            JSON.stringify(eslint.args) === JSON.stringify(['--fix', 'src/cart/total.js', 'src/hooks/useCart.js'])
+        },
+        {
+          description: 'Only the fixed source files should be reported (not node_modules)',
+          pass: JSON.stringify(outcome?.filesChanged) === JSON.stringify(['src/cart/total.js'])
+        },
+        {
+          description: 'Dependencies installed for the fix should be removed again',
+          pass: !fs.existsSync(path.join(workDir, 'node_modules'))
+        }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+    }
+  }
+
+  /**
+   * テスト: Jest（失敗したテストだけを it.skip にする）
+   */
+  async testTestSkip() {
+    const testName = 'Test Skip';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      const workDir = this.createRepo([{
+        message: 'init',
+        files: {
+          'src/price.test.js': [
+            "const { formatPrice } = require('./price');",
+            '',
+            "describe('formatPrice', () => {",
+            "  it('formats yen without decimals', () => {",
+            "    expect(formatPrice(1200, 'JPY')).toBe('¥1,200');",
+            '  });',
+            '',
+            "  it('formats dollars with cents', () => {",
+            "    expect(formatPrice(12, 'USD')).toBe('$12.00');",
+            '  });',
+            '});',
+            ''
+          ].join('\n')
+        }
+      }]);
+      const analysis = this.analyzer.analyze(fixture('jest-output.txt'));
+      const outcome = await new TestSkipStrategy().apply({
+        errorInfo: { runUrl: 'https://github.com/acme/storefront/actions/runs/42' },
+        analysis,
+        workDir
+      });
+      const lines = fs.readFileSync(path.join(workDir, 'src/price.test.js'), 'utf8').split('\n');
+
+      // 2つのスイートが失敗したログ: 両方のファイルに同じタイトルがあっても、失敗したファイルでだけスキップする
+      const sharedTitles = [
+        "it('rounds half up', () => {});",
+        "it('rejects negative amounts', () => {});",
+        ''
+      ].join('\n');
+      const pairDir = this.createRepo([{
+        message: 'init',
+        files: { 'src/tax.test.js': sharedTitles, 'src/discount.test.js': sharedTitles }
+      }]);
+      const twoSuites = this.analyzer.analyze([
+        'FAIL src/tax.test.js',
+        '  ● rounds half up',
+        '',
+        '    expect(received).toBe(expected)',
+        '',
+        'FAIL src/discount.test.js',
+        '  ● rejects negative amounts',
+        '',
+        '    expect(received).toThrow()',
+        '',
+        'Tests:       2 failed, 2 passed, 4 total'
+      ].join('\n'));
+      const paired = await new TestSkipStrategy().apply({ errorInfo: {}, analysis: twoSuites, workDir: pairDir });
+      const tax = fs.readFileSync(path.join(pairDir, 'src/tax.test.js'), 'utf8');
+      const discount = fs.readFileSync(path.join(pairDir, 'src/discount.test.js'), 'utf8');
+
+      const assertions = [
+        {
+          description: 'The failing test should be skipped',
+          pass: lines[4] === "  it.skip('formats yen without decimals', () => {"
+        },
+        {
+          description: 'A comment should point at the failed run',
+          pass: lines[3] === '  // Skipped by Error Auto-Healer: failing in https://github.com/acme/storefront/actions/runs/42'
+        },
+        {
+          description: 'Passing tests should be untouched',
+          pass: lines.includes("  it('formats dollars with cents', () => {")
+        },
+        {
+          description: 'Outcome should list the file and the skipped test',
+          pass: JSON.stringify(outcome?.filesChanged) === JSON.stringify(['src/price.test.js']) &&
+            outcome.description.includes('formats yen without decimals')
+        },
+        {
+          description: 'Each failing test should be skipped in its own file only',
+          pass: tax.includes("it.skip('rounds half up'") && tax.includes("it('rejects negative amounts'") &&
+            discount.includes("it('rounds half up'") && discount.includes("it.skip('rejects negative amounts'") &&
+            JSON.stringify([...paired.filesChanged].sort()) === JSON.stringify(['src/discount.test.js', 'src/tax.test.js'])
+        }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+    }
+  }
+
+  /**
+   * テスト: 取得して抽出したCIログ（GitHub Actions・GitLab）から分類し、戦略を適用する
+   */
+  async testFetchedLogs() {
+    const testName = 'Fetched Logs';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      // GitHub Actions: タイムスタンプ付きのジョブログを healer が取得・抽出する
+      const githubLog = fixture('ci-output/eslint.txt')
+        .split('\n')
+        .map((line) => `2026-09-14T03:12:09.2210432Z ${line}`)
+        .join('\n');
+      const healer = new ErrorAutoHealer();
+      healer.log = () => {};
+      healer.octokit = {
+        actions: {
+          listJobsForWorkflowRun: async () => ({ data: { jobs: [{ id: 7, name: 'lint', conclusion: 'failure' }] } }),
+          downloadJobLogsForWorkflowRun: async () => ({ data: githubLog })
+        }
+      };
+      const githubLogs = await healer.getGitHubActionsLogs('acme', 'storefront', '42');
+      const lint = this.analyzer.analyze(githubLogs);
+
+      const lintDir = this.createRepo([{
+        message: 'init',
+        files: {
+          'package.json': { name: 'storefront', devDependencies: { eslint: '^8.57.0' } },
+          'src/cart/total.js': 'const discount = 1;\n',
+          'src/hooks/useCart.js': 'export default function useCart() {}\n'
+        }
+      }]);
+      fs.mkdirSync(path.join(lintDir, 'node_modules', '.bin'), { recursive: true });
+      fs.writeFileSync(path.join(lintDir, 'node_modules', '.bin', 'eslint'), '');
+      const runner = recordingRunner((command, args, { cwd }) => {
+        if (command.endsWith('eslint')) {
+          fs.writeFileSync(path.join(cwd, 'src/cart/total.js'), '\n');
+        }
+        return { exitCode: 0, output: '' };
+      });
+      const lintOutcome = await new LintFixStrategy({ run: runner.run }).apply({ analysis: lint, workDir: lintDir });
+      const eslint = runner.calls.find((call) => call.command.endsWith('eslint'));
+
+      // GitLab: 失敗したジョブのトレースをアダプターが取得・抽出する
+      const trace = `Running with gitlab-runner 17.4.0\n$ npm ci\nadded 812 packages in 21s\n$ npm test\n${fixture('jest-output.txt')}`;
+      const http = {
+        get: async (url) => ({ data: url.endsWith('/jobs') ? [{ id: 9, stage: 'test', name: 'unit-tests' }] : trace })
+      };
+      const gitlab = new GitLabAdapter({ config: { gitlab: { token: 'glpat-test' } }, log: () => {} }, { http });
+      const gitlabLogs = await gitlab.fetchLogs({ repo: 'acme/storefront', runId: '48213' });
+      const jest = this.analyzer.analyze(gitlabLogs);
+
+      const testDir = this.createRepo([{
+        message: 'init',
+        files: {
+          'src/price.test.js': "describe('formatPrice', () => {\n  it('formats yen without decimals', () => {});\n});\n"
+        }
+      }]);
+      const skipOutcome = await new TestSkipStrategy().apply({ analysis: jest, workDir: testDir });
+
+      const assertions = [
+        {
+          description: 'Filtered GitHub logs should keep the ESLint file headers',
+          pass: lint.category === 'lint-error' && lint.errors.some((error) => error.file === '/builds/acme/storefront/src/cart/total.js')
+        },
+        {
+          description: 'lint-fix should act on the files from the filtered GitHub logs',
+          pass: JSON.stringify(eslint?.args) === JSON.stringify(['--fix', 'src/cart/total.js', 'src/hooks/useCart.js']) &&
+            JSON.stringify(lintOutcome?.filesChanged) === JSON.stringify(['src/cart/total.js'])
+        },
+        {
+          description: 'Filtered GitLab traces should keep the failing step, suite and test',
+          pass: jest.failingStep?.step === 'npm test' &&
+            jest.signatures.some((hit) => hit.details.testFile === 'src/price.test.js' && hit.details.testName)
+        },
+        {
+          description: 'test-skip should act on the test from the filtered GitLab trace',
+          pass: JSON.stringify(skipOutcome?.filesChanged) === JSON.stringify(['src/price.test.js']) &&
+            fs.readFileSync(path.join(testDir, 'src/price.test.js'), 'utf8').includes("it.skip('formats yen without decimals'")
+        }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+    }
+  }
+
+  /**
+   * テスト結果を記録
+   */
+  recordTest(testName, pass, assertions, error = null) {
+    this.testResults.push({
+      testName,
+      pass,
+      assertions,
+      error: error ? error.message : null,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * テスト結果表示
+   */
+  displayResults() {
+    console.log('\n=== Test Results ===\n');
+
+    const passed = this.testResults.filter(r => r.pass).length;
+    const failed = this.testResults.filter(r => !r.pass).length;
+    const total = this.testResults.length;
+
+    console.log(`Total Tests: ${total}`);
+    console.log(`✓ Passed: ${passed}`);
+    console.log(`✗ Failed: ${failed}`);
+    console.log(`Success Rate: ${((passed / total) * 100).toFixed(1)}%`);
+
+    console.log('\n--- Detailed Results ---\n');
+
+    for (const result of this.testResults) {
+      const status = result.pass ? '✓ PASS' : '✗ FAIL';
+      console.log(`${status}: ${result.testName}`);
+
+      if (result.error) {
+        console.log(`  Error: ${result.error}`);
+      }
+
+      if (result.assertions.length > 0) {
+        for (const assertion of result.assertions) {
+          const assStatus = assertion.pass ? '  ✓' : '  ✗';
+          console.log(`${assStatus} ${assertion.description}`);
+        }
+      }
+
+      console.log('');
+    }
+  }
+}
+
+// メイン実行
+if (require.main === module) {
+  const tests = new ErrorHealerStrategyTests();
+  tests.runTests().then(() => {
+    console.log('\n✓ All tests completed');
+    process.exit(0);
+  }).catch(error => {
+    console.error('\n✗ Test execution failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { ErrorHealerStrategyTests };
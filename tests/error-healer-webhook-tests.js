@@ -0,0 +1,382 @@
+/**
+ * エラー自動修復の Webhook サーバーテスト
+ * (Error Auto-Healer Webhook Server Tests)
+ *
+ * ポート0でサーバーを起動し、署名付き・署名なしのリクエストを送る
+ * ErrorAutoHealer を使うため、skills/error-auto-healer で npm install が必要
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const WebhookServer = require('../skills/error-auto-healer/lib/webhook-server');
+const { ErrorAutoHealer } = require('../skills/error-auto-healer/healer');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'error-auto-healer');
+const GITHUB_SECRET = 'github-webhook-secret';
+const VERCEL_SECRET = 'vercel-webhook-secret';
+
+function fixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8'));
+}
+
+function githubSignature(body, secret = GITHUB_SECRET) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function vercelSignature(body, secret = VERCEL_SECRET) {
+  return crypto.createHmac('sha1', secret).update(body).digest('hex');
+}
+
+/**
+ * サーバーにリクエストを送り、ステータスとJSONの本文を返す
+ */
+function request(port, { method = 'POST', path: urlPath, headers = {}, body = '' }) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: urlPath, headers }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        resolve({ status: res.statusCode, body: text ? JSON.parse(text) : null });
+      });
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * processError を記録に置き換えたヒーラー（修復は行わない）
+ */
+function createHealer() {
+  const healer = new ErrorAutoHealer();
+  healer.processed = [];
+  healer.logs = [];
+  healer.log = (level, message) => healer.logs.push({ level, message });
+  healer.processError = async (errorInfo) => {
+    healer.processed.push(errorInfo);
+    return { success: true };
+  };
+  return healer;
+}
+
+/**
+ * テストスイート
+ */
+class ErrorHealerWebhookTests {
+  constructor() {
+    this.testResults = [];
+  }
+
+  /**
+   * テスト実行
+   */
+  async runTests() {
+    console.log('\n=== Running Tests ===\n');
+
+    await this.testSignedDeliveries();
+    await this.testRejectedDeliveries();
+    await this.testBodyLimit();
+    await this.testDeduplication();
+
+    this.displayResults();
+  }
+
+  /**
+   * テスト用のサーバーを起動して fn を実行する
+   */
+  async withServer(config, fn) {
+    const healer = createHealer();
+    const server = new WebhookServer(healer, { port: 0, ...config });
+    const { port } = await server.start();
+
+    try {
+      return await fn({ healer, port });
+    } finally {
+      await server.stop();
+    }
+  }
+
+  /**
+   * テスト: 署名付きの GitHub・Vercel の Webhook を受け付ける
+   */
+  async testSignedDeliveries() {
+    const testName = 'Signed Deliveries';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      const workflowRun = JSON.stringify(fixture('github-workflow-run.json'));
+      const deploymentError = JSON.stringify(fixture('vercel-deployment-error.json'));
+      const succeeded = fixture('github-workflow-run.json');
+      succeeded.workflow_run.conclusion = 'success';
+      const succeededBody = JSON.stringify(succeeded);
+
+      const results = await this.withServer({ githubSecret: GITHUB_SECRET, vercelSecret: VERCEL_SECRET }, async ({ healer, port }) => {
+        const health = await request(port, { method: 'GET', path: '/health' });
+        const github = await request(port, {
+          path: '/webhooks/github',
+          headers: { 'X-GitHub-Event': 'workflow_run', 'X-Hub-Signature-256': githubSignature(workflowRun) },
+          body: workflowRun
+        });
+        const vercel = await request(port, {
+          path: '/webhooks/vercel',
+          headers: { 'X-Vercel-Signature': vercelSignature(deploymentError) },
+          body: deploymentError
+        });
+        const ignored = await request(port, {
+          path: '/webhooks/github',
+          headers: { 'X-GitHub-Event': 'workflow_run', 'X-Hub-Signature-256': githubSignature(succeededBody) },
+          body: succeededBody
+        });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return { health, github, vercel, ignored, processed: healer.processed };
+      });
+
+      const assertions = [
+        { description: 'Health check should respond', pass: results.health.status === 200 && results.health.body.status === 'ok' },
+        { description: 'Signed GitHub workflow_run should be accepted', pass: results.github.status === 202 && results.github.body.accepted === true },
+        { description: 'Signed Vercel deployment.error should be accepted', pass: results.vercel.status === 202 && results.vercel.body.accepted === true },
+        { description: 'Successful runs should be acknowledged but ignored', pass: results.ignored.status === 202 && results.ignored.body.ignored === true },
+        {
+          description: 'Accepted deliveries should reach the healer',
+          pass: results.processed.length === 2 && results.processed[0].runId === '9876543210' &&
+            results.processed[1].deploymentId === 'dpl_8KxT2mQe4nR7vW1s'
+        }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+    }
+  }
+
+  /**
+   * テスト: 署名が違う・署名のない Webhook を拒否する
+   */
+  async testRejectedDeliveries() {
+    const testName = 'Rejected Deliveries';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      const workflowRun = JSON.stringify(fixture('github-workflow-run.json'));
+      const deploymentError = JSON.stringify(fixture('vercel-deployment-error.json'));
+
+      const results = await this.withServer({ githubSecret: GITHUB_SECRET, vercelSecret: VERCEL_SECRET }, async ({ healer, port }) => {
+        const githubWrongSecret = await request(port, {
+          path: '/webhooks/github',
+          headers: { 'X-GitHub-Event': 'workflow_run', 'X-Hub-Signature-256': githubSignature(workflowRun, 'wrong-secret') },
+          body: workflowRun
+        });
+        const githubUnsigned = await request(port, {
+          path: '/webhooks/github',
+          headers: { 'X-GitHub-Event': 'workflow_run' },
+          body: workflowRun
+        });
+        const vercelWrongSecret = await request(port, {
+          path: '/webhooks/vercel',
+          headers: { 'X-Vercel-Signature': vercelSignature(deploymentError, 'wrong-secret') },
+          body: deploymentError
+        });
+        const vercelUnsigned = await request(port, { path: '/webhooks/vercel', body: deploymentError });
+        const invalidJson = await request(port, {
+          path: '/webhooks/github',
+          headers: { 'X-GitHub-Event': 'workflow_run', 'X-Hub-Signature-256': githubSignature('{not json') },
+          body: '{not json'
+        });
+        const wrongMethod = await request(port, { method: 'GET', path: '/webhooks/github' });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return { githubWrongSecret, githubUnsigned, vercelWrongSecret, vercelUnsigned, invalidJson, wrongMethod, processed: healer.processed };
+      });
+
+      // シークレットのないエンドポイントは無効（署名なしでは受け付けない）
+      const githubOnly = await this.withServer({ githubSecret: GITHUB_SECRET, vercelSecret: '' }, ({ port }) =>
+        request(port, { path: '/webhooks/vercel', body: deploymentError }));
+
+      let startError = null;
+      try {
+        await new WebhookServer(createHealer(), { port: 0, githubSecret: '', vercelSecret: '' }).start();
+      } catch (error) {
+        startError = error;
+      }
+
+      const assertions = [
+        { description: 'GitHub deliveries signed with another secret should get 401', pass: results.githubWrongSecret.status === 401 },
+        { description: 'Unsigned GitHub deliveries should get 401', pass: results.githubUnsigned.status === 401 },
+        { description: 'Vercel deliveries signed with another secret should get 401', pass: results.vercelWrongSecret.status === 401 },
+        { description: 'Unsigned Vercel deliveries should get 401', pass: results.vercelUnsigned.status === 401 },
+        { description: 'Signed bodies that are not JSON should get 400', pass: results.invalidJson.status === 400 },
+        { description: 'Non-POST requests should get 405', pass: results.wrongMethod.status === 405 },
+        { description: 'Rejected deliveries should not reach the healer', pass: results.processed.length === 0 },
+        { description: 'Endpoints without a secret should be disabled', pass: githubOnly.status === 404 },
+        { description: 'The server should not start without any secret', pass: /githubSecret or webhooks\.vercelSecret/.test(startError?.message || '') }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+    }
+  }
+
+  /**
+   * テスト: 大きすぎる本文は読み込まずに 413 を返す
+   */
+  async testBodyLimit() {
+    const testName = 'Body Limit';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      const results = await this.withServer({ githubSecret: GITHUB_SECRET }, async ({ healer, port }) => {
+        const body = Buffer.alloc(5 * 1024 * 1024 + 1, 'a');
+        const tooLarge = await request(port, {
+          path: '/webhooks/github',
+          headers: { 'X-GitHub-Event': 'workflow_run', 'X-Hub-Signature-256': githubSignature(body) },
+          body
+        });
+        // 拒否した後も次のリクエストを受け付ける
+        const health = await request(port, { method: 'GET', path: '/health' });
+        return { tooLarge, health, processed: healer.processed };
+      });
+
+      const assertions = [
+        { description: 'Bodies over 5MB should get 413', pass: results.tooLarge.status === 413 && /exceeds/.test(results.tooLarge.body.error) },
+        { description: 'The server should keep serving after a 413', pass: results.health.status === 200 },
+        { description: 'Oversized deliveries should not reach the healer', pass: results.processed.length === 0 }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+    }
+  }
+
+  /**
+   * テスト: 同じ実行・デプロイの再配信は一度だけ修復する
+   */
+  async testDeduplication() {
+    const testName = 'Delivery De-duplication';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      const workflowRun = fixture('github-workflow-run.json');
+      const body = JSON.stringify(workflowRun);
+      const rerun = JSON.stringify({ ...workflowRun, workflow_run: { ...workflowRun.workflow_run, id: 1234567890 } });
+
+      const results = await this.withServer({ githubSecret: GITHUB_SECRET }, async ({ healer, port }) => {
+        const deliver = payload => request(port, {
+          path: '/webhooks/github',
+          headers: { 'X-GitHub-Event': 'workflow_run', 'X-Hub-Signature-256': githubSignature(payload) },
+          body: payload
+        });
+
+        const first = await deliver(body);
+        const redelivery = await deliver(body);
+        const otherRun = await deliver(rerun);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return { first, redelivery, otherRun, healer };
+      });
+
+      const { healer } = results;
+      const deployment = healer.adapters.vercel.parseWebhook('deployment.error', fixture('vercel-deployment-error.json'));
+      const firstDeployment = await healer.ingestWebhookError(deployment);
+      const repeatedDeployment = await healer.ingestWebhookError({ ...deployment, deploymentId: deployment.deploymentId.replace(/^dpl_/, '') });
+
+      // 修復を始めなかった配信（クールダウン・同時実行数の上限）は記録せず、メールや再配信で拾えるようにする
+      const busy = createHealer();
+      busy.processError = async () => null;
+      const dropped = await busy.ingestWebhookError(deployment);
+      const keptAfterDrop = busy.webhookSources.has(busy.sourceKeyOf(deployment));
+
+      const assertions = [
+        { description: 'Every delivery should be acknowledged', pass: [results.first, results.redelivery, results.otherRun].every(r => r.status === 202) },
+        {
+          description: 'A redelivered workflow run should be healed once',
+          pass: healer.processed.filter(info => info.runId === '9876543210').length === 1
+        },
+        { description: 'Another run of the same workflow should be healed', pass: healer.processed.some(info => info.runId === '1234567890') },
+        { description: 'Vercel deployment IDs with and without dpl_ should match', pass: firstDeployment !== null && repeatedDeployment === null },
+        {
+          description: 'A delivery that did not start healing should not suppress the email fallback',
+          pass: dropped === null && !keptAfterDrop
+        },
+        { description: 'Duplicates should be logged', pass: healer.logs.some(entry => entry.message.startsWith('Duplicate webhook delivery')) }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+    }
+  }
+
+  /**
+   * テスト結果を記録
+   */
+  recordTest(testName, pass, assertions, error = null) {
+    this.testResults.push({
+      testName,
+      pass,
+      assertions,
+      error: error ? error.message : null,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * テスト結果表示
+   */
+  displayResults() {
+    console.log('\n=== Test Results ===\n');
+
+    const passed = this.testResults.filter(r => r.pass).length;
+    const failed = this.testResults.filter(r => !r.pass).length;
+    const total = this.testResults.length;
+
+    console.log(`Total Tests: ${total}`);
+    console.log(`✓ Passed: ${passed}`);
+    console.log(`✗ Failed: ${failed}`);
+    console.log(`Success Rate: ${((passed / total) * 100).toFixed(1)}%`);
+
+    console.log('\n--- Detailed Results ---\n');
+
+    for (const result of this.testResults) {
+      const status = result.pass ? '✓ PASS' : '✗ FAIL';
+      console.log(`${status}: ${result.testName}`);
+
+      if (result.error) {
+        console.log(`  Error: ${result.error}`);
+      }
+
+      if (result.assertions.length > 0) {
+        for (const assertion of result.assertions) {
+          const assStatus = assertion.pass ? '  ✓' : '  ✗';
+          console.log(`${assStatus} ${assertion.description}`);
+        }
+      }
+
+      console.log('');
+    }
+  }
+}
+
+// メイン実行
+if (require.main === module) {
+  const tests = new ErrorHealerWebhookTests();
+  tests.runTests().then(() => {
+    console.log('\n✓ All tests completed');
+    process.exit(0);
+  }).catch(error => {
+    console.error('\n✗ Test execution failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { ErrorHealerWebhookTests };
@@ -3,8 +3,15 @@
  * (Skill Communication Protocol Integration Tests)
  */
 
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
 const { SkillEventBus, normalizeMessage, validateMessage } = require('../lib/skill-event-bus');
 const { BaseSkillAdapter, SkillFactory } = require('../lib/skill-adapter');
+const { BusBroker } = require('../lib/bus-broker');
+const { loadSpans, buildWaterfall, SpanKind } = require('../lib/tracing');
+const { SkillLifecycleManager, resolveStartOrder } = require('../lib/skill-lifecycle');
+const { authenticate, redact, timing, cache, errorResponses } = require('../lib/middleware');
 
 /**
  * テスト用スキル実装
@@ -37,6 +44,24 @@ class MockSkill extends BaseSkillAdapter {
         });
         break;
 
+      case 'relay': {
+        // 別のスキルにリクエストを中継（トレースの多段ホップ用）
+        const relayed = await this.request(params.target, 'echo', params.data);
+        await this.sendResponse(message, {
+          status: 'success',
+          data: relayed.payload.data
+        });
+        break;
+      }
+
+      case 'count':
+        // 呼び出し回数を返す（キャッシュの確認用）
+        this.callCount = (this.callCount || 0) + 1;
+        return { status: 'success', data: { count: this.callCount } };
+
+      case 'throw':
+        throw new Error('Handler failed');
+
       case 'delayed':
         setTimeout(() => {
           this.sendResponse(message, {
@@ -124,8 +149,20 @@ class SkillCommunicationTests {
     await this.testRequestResponse();
     await this.testErrorHandling();
     await this.testTimeoutHandling();
+    await this.testRequestRetryDefault();
     await this.testEventSubscription();
     await this.testMultipleSubscribers();
+    await this.testPersistentReplay();
+    await this.testRetryWithBackoff();
+    await this.testDeadLetterQueue();
+    await this.testRemoteTransport();
+    await this.testCapabilityRouting();
+    await this.testActionContracts();
+    await this.testPatternSubscriptions();
+    await this.testDistributedTracing();
+    await this.testFlowControl();
+    await this.testSkillLifecycle();
+    await this.testMiddlewarePipeline();
 
     // テスト結果を表示
     this.displayResults();
@@ -414,6 +451,65 @@ class SkillCommunicationTests {
     }
   }
 
+  /**
+   * テスト: リクエストの再試行はオプトイン
+   */
+  async testRequestRetryDefault() {
+    const testName = 'Request Retry Default';
+    console.log(`Testing: ${testName}`);
+
+    const retried = [];
+    const onRetry = ({ message }) => retried.push(message.id);
+    this.eventBus.on('message_retry', onRetry);
+
+    try {
+      const request = (metadata) => this.eventBus.send({
+        type: 'request',
+        source: 'skill-a',
+        target: 'skill-b',
+        payload: { action: 'delayed', params: {} },
+        metadata: { timeout: 50, ...metadata }
+      }).then(() => null, error => error);
+
+      // 応答が遅いリクエストは再送されずにタイムアウトする
+      const timedOut = await request({});
+      const retriesByDefault = retried.length;
+
+      // metadata.retry を指定した場合だけ同じIDで再送される
+      await request({ retry: 1, retryDelay: 20 });
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      // retry を指定しないイベントはバス設定の maxRetries まで再配信される
+      const configuredBus = new SkillEventBus({ maxRetries: 1, retryBaseDelay: 20 });
+      let configuredAttempts = 0;
+      configuredBus.register('flaky-skill');
+      configuredBus.subscribe('flaky-skill', { type: 'event', payload: { eventType: 'flaky_event' } }, () => {
+        configuredAttempts++;
+        throw new Error('Permanent failure');
+      });
+      await configuredBus.send({ type: 'event', source: 'skill-a', target: 'flaky-skill', payload: { eventType: 'flaky_event' } });
+      await new Promise(resolve => setTimeout(resolve, 200));
+      await configuredBus.shutdown();
+
+      const assertions = [
+        { description: 'Unset retry should be left to the bus config', pass: normalizeMessage({ type: 'event' }).metadata.retry === undefined },
+        { description: 'retry: 0 should be kept as is', pass: normalizeMessage({ type: 'event', metadata: { retry: 0 } }).metadata.retry === 0 },
+        { description: 'config.maxRetries should apply to events without retry', pass: configuredAttempts === 2 },
+        { description: 'A timed out request should not be resent', pass: timedOut?.code === 'ERR_TIMEOUT' && retriesByDefault === 0 },
+        { description: 'metadata.retry should opt in to resending', pass: retried.length === 1 }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+      console.log(pass ? '✓ PASS' : '✗ FAIL');
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+      console.log('✗ FAIL:', error.message);
+    } finally {
+      this.eventBus.off('message_retry', onRetry);
+    }
+  }
+
   /**
    * テスト: イベント購読
    */
@@ -506,6 +602,1007 @@ class SkillCommunicationTests {
     }
   }
 
+  /**
+   * テスト: 永続化ログからの再配信
+   */
+  async testPersistentReplay() {
+    const testName = 'Persistent Replay';
+    console.log(`Testing: ${testName}`);
+
+    const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-bus-'));
+    const persistence = { enabled: true, busId: 'replay-test', logDir };
+
+    try {
+      // 再起動前のバス：配信先が未登録のままメッセージを送信
+      const busBefore = new SkillEventBus({ persistence });
+      const sent = await busBefore.send({
+        type: 'event',
+        source: 'skill-a',
+        target: 'late-skill',
+        payload: { eventType: 'nightly_reflection' }
+      });
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const stateBefore = busBefore.getDeliveryState(sent.messageId);
+      await busBefore.shutdown();
+
+      // 再起動後のバス：スキル登録時に再配信される
+      const busAfter = new SkillEventBus({ persistence });
+      const received = [];
+      busAfter.register('late-skill');
+      busAfter.subscribe('late-skill', { type: 'event' }, (message) => {
+        received.push(message.id);
+      });
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const stateAfter = busAfter.getDeliveryState(sent.messageId);
+      const compacted = busAfter.compactLog();
+      await busAfter.shutdown();
+
+      // キューに残ったブロードキャストを抱えたままクラッシュしたバス
+      const broadcastPersistence = { ...persistence, busId: 'replay-broadcast-test', replayDelay: 50 };
+      const crashed = new SkillEventBus({ persistence: broadcastPersistence });
+      crashed.pauseDelivery('any-skill');
+      const broadcast = await crashed.send({
+        type: 'event',
+        source: 'skill-a',
+        target: '*',
+        payload: { eventType: 'daily_summary' }
+      });
+      await new Promise(resolve => setTimeout(resolve, 20));
+      const broadcastBefore = crashed.getDeliveryState(broadcast.messageId);
+
+      // 再起動後のバス：起動時の再配信で登録済みの全スキルに届く
+      const restarted = new SkillEventBus({ persistence: broadcastPersistence });
+      const broadcastReceivers = [];
+      for (const skillId of ['summary-reader', 'summary-archiver']) {
+        restarted.register(skillId);
+        restarted.subscribe(skillId, { type: 'event' }, (message) => {
+          if (message.id === broadcast.messageId) {
+            broadcastReceivers.push(skillId);
+          }
+        });
+      }
+      await new Promise(resolve => setTimeout(resolve, 200));
+      const broadcastAfter = restarted.getDeliveryState(broadcast.messageId);
+      await restarted.shutdown();
+      await crashed.shutdown();
+
+      const assertions = [
+        { description: 'Undeliverable message should wait for its target', pass: stateBefore.state === 'waiting' },
+        { description: 'Message should be replayed after restart', pass: received.includes(sent.messageId) },
+        { description: 'Replayed message should be acknowledged', pass: stateAfter.state === 'acked' },
+        { description: 'Compaction should drop acknowledged entries', pass: compacted.kept === 0 && compacted.removed === 1 },
+        {
+          description: 'A broadcast queued at crash time should be replayed to every skill on startup',
+          pass: broadcastBefore.state === 'pending' && broadcastReceivers.sort().join(',') === 'summary-archiver,summary-reader' &&
+            broadcastAfter.state === 'acked'
+        }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+      console.log(pass ? '✓ PASS' : '✗ FAIL');
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+      console.log('✗ FAIL:', error.message);
+    } finally {
+      fs.rmSync(logDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * テスト: 失敗時の再配信
+   */
+  async testRetryWithBackoff() {
+    const testName = 'Retry With Backoff';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      let attempts = 0;
+      let succeeded = false;
+
+      // 初回だけ失敗する購読者
+      this.skills[2].subscribe({
+        type: 'event',
+        payload: { eventType: 'flaky_event' }
+      }, () => {
+        attempts++;
+        if (attempts === 1) {
+          throw new Error('Temporary failure');
+        }
+        succeeded = true;
+      });
+
+      await this.eventBus.send({
+        type: 'event',
+        source: 'skill-a',
+        target: 'skill-c',
+        payload: { eventType: 'flaky_event' },
+        metadata: { retry: 2, retryDelay: 20 }
+      });
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      const assertions = [
+        { description: 'Failed delivery should be retried', pass: attempts === 2 },
+        { description: 'Retry should eventually succeed', pass: succeeded },
+        { description: 'Backoff should double per attempt', pass: this.eventBus.calculateBackoff(3, 100) === 400 }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+      console.log(pass ? '✓ PASS' : '✗ FAIL');
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+      console.log('✗ FAIL:', error.message);
+    }
+  }
+
+  /**
+   * テスト: デッドレターキュー
+   */
+  async testDeadLetterQueue() {
+    const testName = 'Dead Letter Queue';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      let attempts = 0;
+      let notified = null;
+
+      // 常に失敗する購読者
+      this.skills[2].subscribe({
+        type: 'event',
+        payload: { eventType: 'poison_event' }
+      }, () => {
+        attempts++;
+        throw new Error('Permanent failure');
+      });
+
+      this.skills[0].subscribe({
+        type: 'event',
+        payload: { eventType: 'message_dead_lettered' }
+      }, (message) => {
+        notified = message.payload.deadLetter;
+      });
+
+      const sent = await this.eventBus.send({
+        type: 'event',
+        source: 'skill-a',
+        target: 'skill-c',
+        payload: { eventType: 'poison_event' },
+        metadata: { retry: 1, retryDelay: 20 }
+      });
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      const deadLetters = this.eventBus.getDeadLetters({ target: 'skill-c' });
+      const deadLetter = deadLetters.find(d => d.messageId === sent.messageId);
+
+      // 再投入すると再試行回数がリセットされて再び配信される
+      const attemptsBeforeReplay = attempts;
+      if (deadLetter) {
+        await this.eventBus.replayDeadLetter(deadLetter.id);
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+
+      const assertions = [
+        { description: 'Message should be attempted 1 + retry times', pass: attemptsBeforeReplay === 2 },
+        { description: 'Exhausted message should be dead-lettered', pass: !!deadLetter && deadLetter.attempts === 1 },
+        { description: 'message_dead_lettered event should be published', pass: !!notified && notified.messageId === sent.messageId },
+        { description: 'Replayed dead letter should be redelivered', pass: attempts > attemptsBeforeReplay }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+      console.log(pass ? '✓ PASS' : '✗ FAIL');
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+      console.log('✗ FAIL:', error.message);
+    }
+  }
+
+  /**
+   * テスト: プロセス間トランスポート
+   */
+  async testRemoteTransport() {
+    const testName = 'Remote Transport';
+    console.log(`Testing: ${testName}`);
+
+    const broker = new BusBroker(this.eventBus, { address: 'tcp://127.0.0.1:0' });
+
+    try {
+      const address = await broker.start();
+
+      // ブローカー経由で接続するスキル
+      const remoteSkill = await MockSkill.connect('remote-skill', address);
+      await remoteSkill.initialize();
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      // ローカル → リモート
+      const inbound = await this.eventBus.send({
+        type: 'request',
+        source: 'skill-a',
+        target: 'remote-skill',
+        payload: { action: 'echo', params: { via: 'broker' } },
+        metadata: { timeout: 2000 }
+      });
+
+      // リモート → ローカル
+      const outbound = await remoteSkill.request('skill-b', 'echo', { from: 'remote' }, { timeout: 2000 });
+
+      // リモートでの購読
+      let eventReceived = false;
+      remoteSkill.subscribe({
+        type: 'event',
+        payload: { eventType: 'remote_broadcast' }
+      }, () => {
+        eventReceived = true;
+      });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      await this.eventBus.send({
+        type: 'event',
+        source: 'skill-a',
+        target: '*',
+        payload: { eventType: 'remote_broadcast' }
+      });
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      // 接続で登録していないスキルへのなりすまし
+      const rejected = (promise) => promise.then(() => null, error => error.code);
+      const spoofedSend = await rejected(remoteSkill.eventBus.send({
+        type: 'event',
+        source: 'skill-a',
+        target: 'skill-b',
+        payload: { eventType: 'spoofed' }
+      }));
+      const spoofedCapability = await rejected(remoteSkill.eventBus.requestCapability('test.echo', 'echo', {}, { source: 'skill-a' }));
+
+      // 別の接続からremote-skillとして操作する
+      const intruder = await MockSkill.connect('intruder-skill', address);
+      await intruder.initialize();
+      const heartbeatBefore = this.eventBus.skills.get('remote-skill').lastHeartbeat;
+      const subscriptionsBefore = this.eventBus.subscribers.get('remote-skill').length;
+      await new Promise(resolve => setTimeout(resolve, 10));
+      const spoofed = {};
+      spoofed.unregister = await rejected(intruder.eventBus.call('unregister', { skillId: 'remote-skill' }));
+      spoofed.subscribe = await rejected(intruder.eventBus.call('subscribe', {
+        skillId: 'remote-skill',
+        filter: { type: 'event' },
+        subscriptionId: 'intruder-subscription'
+      }));
+      spoofed.unsubscribe = await rejected(intruder.eventBus.call('unsubscribe', { skillId: 'remote-skill' }));
+      spoofed.heartbeat = await rejected(intruder.eventBus.call('heartbeat', { skillId: 'remote-skill' }));
+      const subscriptionsAfter = (this.eventBus.subscribers.get('remote-skill') || []).length;
+      const heartbeatAfter = this.eventBus.skills.get('remote-skill')?.lastHeartbeat;
+      await intruder.shutdown();
+
+      const registeredBefore = this.eventBus.skills.has('remote-skill');
+      await remoteSkill.shutdown();
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const assertions = [
+        { description: 'Remote skill should be registered on the host bus', pass: registeredBefore },
+        { description: 'Local request should reach remote skill', pass: inbound.payload.data.via === 'broker' },
+        { description: 'Remote request should reach local skill', pass: outbound.payload.data.from === 'remote' },
+        { description: 'Correlation ID should match the request', pass: inbound.correlationId !== null },
+        { description: 'Remote subscription should receive broadcasts', pass: eventReceived },
+        { description: 'Sends with another skill as source should be rejected', pass: spoofedSend === 'ERR_PERMISSION_DENIED' },
+        { description: 'Capability requests with another skill as source should be rejected', pass: spoofedCapability === 'ERR_PERMISSION_DENIED' },
+        {
+          description: 'Another connection should not unregister, subscribe, unsubscribe or heartbeat as the skill',
+          pass: Object.values(spoofed).every(code => code === 'ERR_PERMISSION_DENIED') && Object.keys(spoofed).length === 4
+        },
+        {
+          description: 'Rejected frames should leave the skill registration and subscriptions intact',
+          pass: registeredBefore && subscriptionsAfter === subscriptionsBefore && heartbeatAfter === heartbeatBefore
+        },
+        { description: 'Shutdown should unregister remote skill', pass: !this.eventBus.skills.has('remote-skill') }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+      console.log(pass ? '✓ PASS' : '✗ FAIL');
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+      console.log('✗ FAIL:', error.message);
+    } finally {
+      await broker.stop();
+    }
+  }
+
+  /**
+   * テスト: 能力ベースのルーティングとフェイルオーバー
+   */
+  async testCapabilityRouting() {
+    const testName = 'Capability Routing';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      // 応答しない提供スキル（ハートビートがあるため優先される）
+      this.eventBus.register('calendar-stale', { capabilities: ['calendar.*'] });
+      this.eventBus.subscribe('calendar-stale', { type: 'request' }, () => {});
+      this.eventBus.updateHeartbeat('calendar-stale');
+
+      // 正常に応答する提供スキル
+      const liveSkill = new MockSkill('calendar-live', this.eventBus, {
+        capabilities: ['calendar.read']
+      });
+      await liveSkill.initialize();
+
+      let failedOver = null;
+      const onFailover = (info) => { failedOver = info.skillId; };
+      this.eventBus.on('capability_failover', onFailover);
+
+      // フェイルオーバーで切り替わったタイムアウトはデッドレターにならない
+      const deadLettered = [];
+      const onDeadLettered = (deadLetter) => deadLettered.push(deadLetter);
+      this.eventBus.on('message_dead_lettered', onDeadLettered);
+
+      const response = await this.skills[0].requestCapability('calendar.read', 'echo', { day: 'mon' }, { timeout: 100 });
+
+      this.eventBus.removeListener('capability_failover', onFailover);
+      this.eventBus.removeListener('message_dead_lettered', onDeadLettered);
+
+      const capabilities = this.eventBus.listCapabilities();
+
+      let missingError = null;
+      try {
+        await this.eventBus.requestCapability('weather.read', 'get', {});
+      } catch (error) {
+        missingError = error;
+      }
+
+      await liveSkill.shutdown();
+      this.eventBus.unregister('calendar-stale');
+
+      const assertions = [
+        { description: 'Active provider should be tried first', pass: failedOver === 'calendar-stale' },
+        { description: 'Request should fail over to a live provider', pass: response.source === 'calendar-live' && response.payload.data.day === 'mon' },
+        { description: 'Failed over timeouts should not be dead-lettered', pass: deadLettered.length === 0 && this.eventBus.getDeadLetters({ target: 'calendar-stale' }).length === 0 },
+        { description: 'listCapabilities should list providers', pass: capabilities['calendar.read'][0].skillId === 'calendar-live' && capabilities['calendar.*'].length === 1 },
+        { description: 'Unknown capability should be rejected', pass: missingError && missingError.code === 'ERR_SKILL_NOT_FOUND' }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+      console.log(pass ? '✓ PASS' : '✗ FAIL');
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+      console.log('✗ FAIL:', error.message);
+    }
+  }
+
+  /**
+   * テスト: アクション契約の検証
+   */
+  async testActionContracts() {
+    const testName = 'Action Contracts';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      const contractSkill = new MockSkill('contract-skill', this.eventBus, {
+        actions: {
+          echo: {
+            description: 'Echo params',
+            request: {
+              type: 'object',
+              required: ['text'],
+              properties: {
+                text: { type: 'string', minLength: 1 },
+                count: { type: 'integer', minimum: 1 }
+              }
+            },
+            response: {
+              type: 'object',
+              required: ['status', 'data'],
+              properties: {
+                data: { type: 'object', required: ['text'] }
+              }
+            }
+          },
+          delayed: {
+            request: { type: 'object' },
+            response: {
+              type: 'object',
+              properties: {
+                data: { type: 'object', required: ['finished'] }
+              }
+            }
+          }
+        }
+      });
+      await contractSkill.initialize();
+
+      let delivered = 0;
+      this.eventBus.subscribe('contract-skill', { type: 'request' }, () => { delivered++; });
+
+      const valid = await this.skills[0].request('contract-skill', 'echo', { text: 'hi', count: 2 });
+      const deliveredAfterValid = delivered;
+
+      const invalid = await this.skills[0].request('contract-skill', 'echo', { count: 0 });
+
+      const violations = [];
+      const onViolation = (info) => { violations.push(info); };
+      this.eventBus.on('contract_violation', onViolation);
+      const conforming = await this.skills[0].request('contract-skill', 'echo', { text: 'x' });
+      const violating = await this.skills[0].request('contract-skill', 'delayed', {});
+      this.eventBus.removeListener('contract_violation', onViolation);
+
+      const catalog = this.eventBus.getActionCatalog();
+
+      const { renderActionCatalog } = require('../scripts/generate-action-catalog');
+      const markdown = renderActionCatalog(catalog);
+
+      await contractSkill.shutdown();
+
+      const details = invalid.payload.error?.details || [];
+
+      const assertions = [
+        { description: 'Valid params should reach the skill', pass: valid.payload.status === 'success' && deliveredAfterValid === 1 },
+        { description: 'Invalid params should return ERR_VALIDATION', pass: invalid.payload.status === 'error' && invalid.payload.error.code === 'ERR_VALIDATION' },
+        { description: 'Invalid request should not reach the skill', pass: delivered === 3 },
+        { description: 'Validation details should list each violation', pass: details.some(d => d.path === 'params.text') && details.some(d => d.path === 'params.count') },
+        { description: 'Conforming response should pass the contract', pass: conforming.payload.status === 'success' && !violations.some(v => v.request.payload.action === 'echo') },
+        { description: 'Non-conforming response should be reported', pass: violating.payload.data.delayed === true && violations.length === 1 && violations[0].details[0].path === 'payload.data.finished' },
+        { description: 'Catalog should include declared actions', pass: catalog['contract-skill'].actions.echo.description === 'Echo params' },
+        { description: 'Catalog markdown should document actions', pass: markdown.includes('### contract-skill.echo') },
+        { description: 'Non-request messages should skip contracts', pass: validateMessage(normalizeMessage({ type: 'event', source: 'a', target: 'b', payload: { action: 'echo' } }), { echo: { request: { type: 'object', required: ['text'] } } }).valid }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+      console.log(pass ? '✓ PASS' : '✗ FAIL');
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+      console.log('✗ FAIL:', error.message);
+    }
+  }
+
+  /**
+   * テスト: パターン・演算子・述語による購読
+   */
+  async testPatternSubscriptions() {
+    const testName = 'Pattern Subscriptions';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      this.eventBus.register('pattern-watcher');
+
+      const received = { topic: [], glob: [], inSources: [], exists: [], regex: [], predicate: [], field: [] };
+      const watch = (key, filter) => this.eventBus.subscribe('pattern-watcher', filter, (message) => {
+        received[key].push(message.payload.eventType);
+      });
+
+      watch('topic', { topic: 'event.task_*' });
+      watch('glob', { type: 'event', payload: { eventType: { $glob: 'task_*' } } });
+      watch('inSources', { type: 'event', source: { $in: ['skill-a', 'skill-b'] } });
+      watch('exists', { type: 'event', payload: { urgent: { $exists: true } } });
+      watch('regex', { payload: { eventType: { $regex: '^TASK_', $options: 'i' } } });
+      watch('predicate', (message) => message.type === 'event' && message.payload.score > 5);
+      watch('field', { type: 'event', source: (source) => source.endsWith('-c') });
+
+      const events = [
+        { source: 'skill-a', payload: { eventType: 'task_created' } },
+        { source: 'skill-b', payload: { eventType: 'task_completed', urgent: true } },
+        { source: 'skill-c', payload: { eventType: 'pattern_detected', score: 9 } },
+        { source: 'skill-c', payload: { eventType: 'task.sub_event' } }
+      ];
+
+      for (const event of events) {
+        await this.eventBus.send({ type: 'event', target: '*', ...event });
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      // type/targetの一致しない購読は候補に含まれない（typeを指定しない2件のみ残る）
+      const indexed = this.eventBus.subscriptionIndex.candidates({ type: 'request', target: 'skill-a' });
+      const indexedWatcher = (indexed.get('pattern-watcher') || []).length;
+
+      let operatorError = null;
+      try {
+        this.eventBus.subscribe('pattern-watcher', { source: { $startsWith: 'skill' } }, () => {});
+      } catch (error) {
+        operatorError = error;
+      }
+
+      let regexError = null;
+      try {
+        this.eventBus.subscribe('pattern-watcher', { source: { $regex: 'skill-(' } }, () => {});
+      } catch (error) {
+        regexError = error;
+      }
+
+      this.eventBus.unregister('pattern-watcher');
+      const remaining = this.eventBus.subscriptionIndex.candidates({ type: 'event', target: '*' }).has('pattern-watcher');
+
+      const assertions = [
+        { description: 'Topic pattern should match within one segment', pass: JSON.stringify(received.topic) === JSON.stringify(['task_created', 'task_completed']) },
+        { description: '$glob should match field values', pass: received.glob.length === 2 },
+        { description: '$in should match a set of sources', pass: JSON.stringify(received.inSources) === JSON.stringify(['task_created', 'task_completed']) },
+        { description: '$exists should match present fields', pass: JSON.stringify(received.exists) === JSON.stringify(['task_completed']) },
+        { description: '$regex should honour $options', pass: received.regex.length === 2 },
+        { description: 'Predicate filter should receive the message', pass: JSON.stringify(received.predicate) === JSON.stringify(['pattern_detected']) },
+        { description: 'Field predicate should receive the field value', pass: received.field.length === 2 },
+        { description: 'Index should skip subscriptions for other types', pass: indexedWatcher === 2 },
+        { description: 'Unknown operators should be rejected', pass: operatorError !== null },
+        { description: 'Invalid $regex patterns should be rejected on subscribe', pass: regexError !== null && regexError.message.includes('Invalid $regex') },
+        { description: 'Unregister should remove indexed subscriptions', pass: remaining === false }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+      console.log(pass ? '✓ PASS' : '✗ FAIL');
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+      console.log('✗ FAIL:', error.message);
+    }
+  }
+
+  /**
+   * テスト: 分散トレーシング
+   */
+  async testDistributedTracing() {
+    const testName = 'Distributed Tracing';
+    console.log(`Testing: ${testName}`);
+
+    const traceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-trace-'));
+    const exportPath = path.join(traceDir, 'traces.jsonl');
+
+    try {
+      const bus = new SkillEventBus({ tracing: { enabled: true, exportPath } });
+      const factory = new SkillFactory(bus);
+      factory.registerSkillType('trace-front', MockSkill);
+      factory.registerSkillType('trace-middle', MockSkill);
+      factory.registerSkillType('trace-back', MockSkill);
+      const [front, middle, back] = await factory.initializeAll(['trace-front', 'trace-middle', 'trace-back']);
+
+      const response = await front.request('trace-middle', 'relay', { target: 'trace-back', data: { hop: 2 } });
+      const metrics = bus.getMetrics();
+
+      for (const skill of [front, middle, back]) {
+        await skill.shutdown();
+      }
+      await bus.shutdown();
+
+      const spans = loadSpans(exportPath);
+      const clientSpan = spans.find(span => span.name === 'trace-middle relay' && span.kind === SpanKind.CLIENT);
+      const conversationId = clientSpan && clientSpan.attributes['messaging.message.conversation_id'];
+      const waterfall = conversationId ? buildWaterfall(spans, conversationId) : null;
+      const names = waterfall ? waterfall.spans.map(span => `${span.depth}:${span.name}`) : [];
+
+      const assertions = [
+        { description: 'Relayed request should succeed', pass: response.payload.data.hop === 2 && metrics.pendingResponses === 0 },
+        { description: 'Spans should be exported as OTLP JSON', pass: JSON.parse(fs.readFileSync(exportPath, 'utf8').split('\n')[0]).resourceSpans.length > 0 },
+        { description: 'All hops should share one trace', pass: spans.length === 4 && new Set(spans.map(span => span.traceId)).size === 1 },
+        { description: 'Waterfall should nest each hop under its caller', pass: JSON.stringify(names) === JSON.stringify(['0:trace-middle relay', '1:trace-middle relay', '2:trace-back echo', '3:trace-back echo']) },
+        { description: 'Spans should record per-hop timing', pass: waterfall && waterfall.spans.every(span => span.durationMs >= 0 && span.offsetMs >= 0) && waterfall.durationMs >= waterfall.spans[3].durationMs },
+        { description: 'Spans should carry the skill as service name', pass: waterfall && waterfall.spans[1].serviceName === 'trace-middle' && waterfall.spans[2].serviceName === 'trace-middle' }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+      console.log(pass ? '✓ PASS' : '✗ FAIL');
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+      console.log('✗ FAIL:', error.message);
+    } finally {
+      fs.rmSync(traceDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * テスト: フロー制御（同時配信数・レート制限・公平スケジューリング・空き待ち）
+   */
+  async testFlowControl() {
+    const testName = 'Flow Control';
+    console.log(`Testing: ${testName}`);
+
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    try {
+      const bus = new SkillEventBus({
+        maxQueueSize: 5,
+        flowControl: {
+          concurrency: { 'fc-slow': 2 },
+          rateLimits: [{ source: 'fc-burst', target: 'fc-sink', rate: 20, burst: 2 }]
+        }
+      });
+      bus.register('fc-slow');
+      bus.register('fc-sink');
+      bus.register('fc-fair');
+
+      // 同時配信数: 上限を超えたメッセージはキューで待つ
+      let active = 0;
+      let maxActive = 0;
+      let slowDelivered = 0;
+      bus.subscribe('fc-slow', { type: 'event' }, async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await sleep(30);
+        active--;
+        slowDelivered++;
+      });
+
+      const event = (source, target) => ({ type: 'event', source, target, payload: { eventType: 'tick' } });
+      const sends = [];
+      for (let i = 0; i < 5; i++) {
+        sends.push(bus.send(event('fc-producer', 'fc-slow')));
+      }
+
+      // キューが満杯: 通常の送信は例外、waitForCapacityは空きを待つ
+      let fullError = null;
+      await bus.send(event('fc-producer', 'fc-slow')).catch(error => { fullError = error; });
+      const waiting = bus.send(event('fc-producer', 'fc-slow'), { waitForCapacity: true });
+      const waitingMetric = bus.getMetrics().flowControl.waitingForCapacity;
+      await Promise.all([...sends, waiting]);
+      await sleep(200);
+
+      // レート制限: バースト分の後はトークン補充ごとに配信
+      const sinkTimes = [];
+      bus.subscribe('fc-sink', { type: 'event' }, () => {
+        sinkTimes.push(Date.now());
+      });
+      const startedAt = Date.now();
+      await Promise.all([1, 2, 3, 4, 5].map(() => bus.send(event('fc-burst', 'fc-sink'))));
+      await sleep(300);
+
+      // 公平スケジューリング: 大量送信するスキルがいても他のスキルのメッセージは待たされない
+      const fairOrder = [];
+      bus.subscribe('fc-fair', { type: 'event' }, (message) => {
+        fairOrder.push(message.source);
+      });
+      bus.config.maxQueueSize = 100;
+      const fairSends = [];
+      for (let i = 0; i < 20; i++) {
+        fairSends.push(bus.send(event('fc-chatty', 'fc-fair')));
+      }
+      fairSends.push(bus.send(event('fc-quiet', 'fc-fair')));
+      await Promise.all(fairSends);
+      await sleep(100);
+
+      const metrics = bus.getMetrics();
+      await bus.shutdown();
+
+      // 入れ子のリクエスト: 上限で保留中のリクエストの後ろにあるレスポンスも配信される
+      const nestedBus = new SkillEventBus({ flowControl: { concurrency: { 'fc-relay': 1 } } });
+      const caller = new MockSkill('fc-caller', nestedBus);
+      const relay = new MockSkill('fc-relay', nestedBus);
+      await caller.initialize();
+      await relay.initialize();
+      const nestedStartedAt = Date.now();
+      const nested = await Promise.all([1, 2].map(i => caller.request('fc-relay', 'relay', {
+        target: 'fc-caller',
+        data: { i }
+      }, { timeout: 1000 }))).catch(error => error);
+      const nestedElapsed = Date.now() - nestedStartedAt;
+      await caller.shutdown();
+      await relay.shutdown();
+      await nestedBus.shutdown();
+
+      // 上限に達した送信先宛てのメッセージは、同じ送信元から他の送信先へのメッセージを止めない
+      const laneBus = new SkillEventBus({ flowControl: { concurrency: { 'fc-busy': 1 } } });
+      laneBus.register('fc-busy');
+      laneBus.register('fc-idle');
+      const busyOrder = [];
+      let firstBusyDoneAt = null;
+      let idleAt = null;
+      laneBus.subscribe('fc-busy', { type: 'event' }, async (message) => {
+        await sleep(100);
+        busyOrder.push(message.payload.n);
+        firstBusyDoneAt = firstBusyDoneAt || Date.now();
+      });
+      laneBus.subscribe('fc-idle', { type: 'event' }, () => {
+        idleAt = Date.now();
+      });
+      const laneEvent = (target, n) => ({ type: 'event', source: 'fc-mixed', target, payload: { eventType: 'tick', n } });
+      await laneBus.send(laneEvent('fc-busy', 1));
+      await laneBus.send(laneEvent('fc-busy', 2));
+      await laneBus.send(laneEvent('fc-idle', 0));
+      await laneBus.send(laneEvent('fc-busy', 3));
+      await sleep(450);
+      await laneBus.shutdown();
+
+      const rateStats = metrics.flowControl.rateLimits.find(r => r.source === 'fc-burst');
+
+      const assertions = [
+        { description: 'Full queue should reject plain sends with ERR_QUEUE_FULL', pass: fullError !== null && fullError.code === 'ERR_QUEUE_FULL' },
+        { description: 'waitForCapacity should wait instead of throwing', pass: waitingMetric === 1 && metrics.capacityWaits === 1 && slowDelivered === 6 },
+        { description: 'Inbound concurrency should not exceed the per-skill limit', pass: maxActive === 2 && metrics.flowControl.concurrency['fc-slow'].peak === 2 },
+        { description: 'Messages over the concurrency limit should be deferred', pass: metrics.messagesDeferred > 0 && metrics.flowControl.concurrency['fc-slow'].deferred > 0 },
+        { description: 'Rate limit should allow the burst immediately', pass: sinkTimes.length === 5 && sinkTimes[1] - startedAt < 40 },
+        { description: 'Rate limit should space out messages beyond the burst', pass: sinkTimes.length === 5 && sinkTimes[4] - startedAt >= 120 },
+        { description: 'Rate limit metrics should count throttled messages', pass: metrics.messagesThrottled === 3 && rateStats && rateStats.limited === 3 },
+        { description: 'Quiet skill should not wait behind a chatty one', pass: fairOrder.length === 21 && fairOrder.indexOf('fc-quiet') <= 1 },
+        { description: 'Queue full rejections should be counted', pass: metrics.queueFullRejections === 1 },
+        {
+          description: 'Responses should not wait behind a request held by the concurrency limit',
+          pass: Array.isArray(nested) && nested.map(r => r.payload.data.i).join() === '1,2' && nestedElapsed < 500
+        },
+        { description: 'A held target should not block the same source\'s messages to other targets', pass: idleAt !== null && firstBusyDoneAt !== null && idleAt < firstBusyDoneAt },
+        { description: 'Messages to the same target should keep their order', pass: busyOrder.join() === '1,2,3' }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+      console.log(pass ? '✓ PASS' : '✗ FAIL');
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+      console.log('✗ FAIL:', error.message);
+    }
+  }
+
+  /**
+   * テスト: ライフサイクル管理（依存関係順の起動・ホットリロード）
+   */
+  async testSkillLifecycle() {
+    const testName = 'Skill Lifecycle';
+    console.log(`Testing: ${testName}`);
+
+    const skillsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-skills-'));
+    const adapterPath = JSON.stringify(path.join(__dirname, '..', 'lib', 'skill-adapter'));
+
+    // リクエストに自分のバージョンを返すスキルのモジュール
+    const skillSource = (skillId, version) => `
+const { BaseSkillAdapter } = require(${adapterPath});
+class VersionSkill extends BaseSkillAdapter {
+  async handleRequest(message) {
+    await this.sendResponse(message, { status: 'success', data: { version: ${version} } });
+  }
+}
+module.exports = { createSkill: (eventBus, config) => new VersionSkill('${skillId}', eventBus, config) };
+`;
+    const writeSkill = (dir, files) => {
+      fs.mkdirSync(path.join(skillsDir, dir), { recursive: true });
+      for (const [name, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(skillsDir, dir, name), content);
+      }
+    };
+
+    try {
+      writeSkill('lc-store', {
+        'SKILL.md': '---\nname: lc-store\nversion: 1.0.0\n---\n',
+        'index.js': skillSource('lc-store', 1)
+      });
+      writeSkill('lc-consumer', {
+        'SKILL.md': '---\nname: lc-consumer\ndependencies: [lc-store]\n---\n',
+        'index.js': skillSource('lc-consumer', 1)
+      });
+      writeSkill('lc-package', {
+        'package.json': JSON.stringify({ name: 'lc-package', main: 'skill.js', openclaw: { dependencies: ['lc-consumer'] } }),
+        'skill.js': skillSource('lc-package', 1)
+      });
+      writeSkill('lc-broken', {
+        'SKILL.md': '---\nname: lc-broken\n---\n',
+        'index.js': 'module.exports = {};'
+      });
+      writeSkill('lc-orphan', {
+        'SKILL.md': '---\nname: lc-orphan\ndependencies: [lc-broken]\n---\n',
+        'index.js': skillSource('lc-orphan', 1)
+      });
+      // 一度しか起動できないスキル（リロード失敗時の復元も失敗する）
+      writeSkill('lc-fragile', {
+        'SKILL.md': '---\nname: lc-fragile\n---\n',
+        'index.js': `
+const { BaseSkillAdapter } = require(${adapterPath});
+let created = 0;
+module.exports = {
+  createSkill: (eventBus, config) => {
+    if (created++ > 0) {
+      throw new Error('lc-fragile cannot be restarted');
+    }
+    return new BaseSkillAdapter('lc-fragile', eventBus, config);
+  }
+};
+`
+      });
+      // CLIとして書かれたスキル（require するとトップレベルのコードが動く）
+      const cliMarker = path.join(skillsDir, 'lc-cli-ran');
+      writeSkill('lc-cli', {
+        'SKILL.md': '---\nname: lc-cli\n---\n',
+        'index.js': `require('fs').writeFileSync(${JSON.stringify(cliMarker)}, 'ran');\n`
+      });
+      // リクエストの処理中に別のスキルへリクエストするスキル
+      writeSkill('lc-relay', {
+        'SKILL.md': '---\nname: lc-relay\n---\n',
+        'index.js': `
+const { BaseSkillAdapter } = require(${adapterPath});
+class RelaySkill extends BaseSkillAdapter {
+  async handleRequest(message) {
+    await new Promise(resolve => setTimeout(resolve, 30));
+    const reply = await this.request('lc-client', 'delayed', {}, { timeout: 2000 });
+    await this.sendResponse(message, { status: 'success', data: reply.payload.data });
+  }
+}
+module.exports = { createSkill: (eventBus, config) => new RelaySkill('lc-relay', eventBus, config) };
+`
+      });
+
+      const bus = new SkillEventBus();
+      const registered = [];
+      bus.on('skill_registered', (registration) => registered.push(registration.skillId));
+
+      const manager = new SkillLifecycleManager(bus, { skillsDir });
+      manager.discover();
+      const result = await manager.startAll(['lc-package', 'lc-orphan']);
+
+      const client = new MockSkill('lc-client', bus);
+      await client.initialize();
+
+      const before = await client.request('lc-store', 'version');
+
+      // リロード中に送ったリクエストは破棄されず、新しいバージョンが処理する
+      fs.writeFileSync(path.join(skillsDir, 'lc-store', 'index.js'), skillSource('lc-store', 2));
+      const reloading = manager.reload('lc-store');
+      const during = client.request('lc-store', 'version');
+      await reloading;
+      const after = await during;
+
+      // 読み込みに失敗した場合は元のバージョンに戻す
+      fs.writeFileSync(path.join(skillsDir, 'lc-store', 'index.js'), 'module.exports = {};');
+      let reloadError = null;
+      await manager.reload('lc-store').catch(error => { reloadError = error; });
+      const restored = await client.request('lc-store', 'version');
+
+      const status = manager.getStatus().find(s => s.skillId === 'lc-store');
+
+      // 元のバージョンでも起動できない場合は、リロードの失敗に復元の失敗が添えられる
+      await manager.start('lc-fragile');
+      fs.writeFileSync(path.join(skillsDir, 'lc-fragile', 'index.js'), 'module.exports = {};');
+      let rollbackFailure = null;
+      await manager.reload('lc-fragile').catch(error => { rollbackFailure = error; });
+
+      // 処理中のリクエストが自分のリクエストのレスポンスを待っていてもリロードできる
+      await manager.start('lc-relay');
+      const relayStartedAt = Date.now();
+      const relayed = client.request('lc-relay', 'relay', {}, { timeout: 2000 });
+      await new Promise(resolve => setTimeout(resolve, 10));
+      await manager.reload('lc-relay');
+      const relayReply = await relayed.catch(error => error);
+      const relayElapsed = Date.now() - relayStartedAt;
+
+      let cliError = null;
+      await manager.start('lc-cli').catch(error => { cliError = error; });
+
+      await client.shutdown();
+      await manager.stopAll();
+      const remaining = Array.from(bus.skills.keys());
+      await bus.shutdown();
+
+      // 既定の startAll は createSkill を持たないスキルを読み込まない
+      const defaultBus = new SkillEventBus();
+      const defaultManager = new SkillLifecycleManager(defaultBus, { skillsDir });
+      const defaultResult = await defaultManager.startAll();
+      await defaultManager.stopAll();
+      await defaultBus.shutdown();
+
+      let cycleError = null;
+      try {
+        resolveStartOrder(new Map([
+          ['a', { dependencies: ['b'] }],
+          ['b', { dependencies: ['a'] }]
+        ]));
+      } catch (error) {
+        cycleError = error;
+      }
+
+      const orphan = result.failed.find(f => f.skillId === 'lc-orphan');
+
+      const assertions = [
+        { description: 'Dependencies should start first', pass: JSON.stringify(registered.slice(0, 3)) === JSON.stringify(['lc-store', 'lc-consumer', 'lc-package']) },
+        { description: 'package.json dependencies should be honoured', pass: JSON.stringify(result.order.slice(0, 3)) === JSON.stringify(['lc-store', 'lc-consumer', 'lc-package']) },
+        { description: 'Skills depending on a failed skill should not start', pass: orphan && orphan.code === 'ERR_DEPENDENCY_FAILED' && result.started.length === 3 },
+        { description: 'Reload should load the changed module', pass: before.payload.data.version === 1 && after.payload.data.version === 2 },
+        { description: 'Failed reload should restore the previous module', pass: reloadError && reloadError.code === 'ERR_NOT_LOADABLE' && restored.payload.data.version === 2 && status.reloads === 1 },
+        {
+          description: 'A failed restore should keep the reload error and attach the restore error as its cause',
+          pass: rollbackFailure?.code === 'ERR_NOT_LOADABLE' && rollbackFailure.cause?.message === 'lc-fragile cannot be restarted'
+        },
+        {
+          description: 'Reload should wait for responses to requests the skill sent',
+          pass: relayReply.payload?.data?.delayed === true && relayElapsed < 1000
+        },
+        {
+          description: 'Modules without createSkill should not be required',
+          pass: cliError?.code === 'ERR_NOT_LOADABLE' && !defaultResult.order.includes('lc-cli') && !fs.existsSync(cliMarker)
+        },
+        { description: 'Default startAll should start the lifecycle skills', pass: defaultResult.started.includes('lc-relay') },
+        { description: 'stopAll should unregister every skill', pass: remaining.length === 0 },
+        { description: 'Dependency cycles should be rejected', pass: cycleError && cycleError.code === 'ERR_DEPENDENCY_CYCLE' }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+      console.log(pass ? '✓ PASS' : '✗ FAIL');
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+      console.log('✗ FAIL:', error.message);
+    } finally {
+      fs.rmSync(skillsDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * テスト: ミドルウェア（認証・マスク・計測・キャッシュ・エラー変換）
+   */
+  async testMiddlewarePipeline() {
+    const testName = 'Middleware Pipeline';
+    console.log(`Testing: ${testName}`);
+
+    try {
+      const bus = new SkillEventBus();
+      const timer = timing();
+      const skillCache = cache({ actions: ['count'] });
+
+      const server = new MockSkill('mw-server', bus, {
+        middleware: [
+          errorResponses(),
+          authenticate({ rules: [{ action: 'echo', sources: ['mw-client'] }] }),
+          timer,
+          skillCache,
+          redact({ keys: ['password'] })
+        ]
+      });
+      const client = new MockSkill('mw-client', bus);
+      const intruder = new MockSkill('mw-intruder', bus);
+      for (const skill of [server, client, intruder]) {
+        await skill.initialize();
+      }
+
+      const echoed = await client.request('mw-server', 'echo', { user: 'alice', password: 'hunter2' });
+      const denied = await intruder.request('mw-server', 'echo', { user: 'mallory' });
+      const thrown = await client.request('mw-server', 'throw');
+      const firstCount = await client.request('mw-server', 'count', { a: 1, b: 2 });
+      const secondCount = await client.request('mw-server', 'count', { b: 2, a: 1 });
+
+      // バス側のミドルウェア: 未登録の送信元を拒否し、レスポンスをキャッシュする
+      const busCache = cache({ actions: ['count'] });
+      bus.use(errorResponses()).use(authenticate({ requireRegistered: true })).use(busCache);
+
+      const ghost = await bus.send({ type: 'request', source: 'mw-ghost', target: 'mw-server', payload: { action: 'echo', params: {} } });
+      const busFirst = await client.request('mw-server', 'count', { c: 1 });
+      const busRequest = { id: 'mw-cached-request', type: 'request', source: 'mw-client', target: 'mw-server', payload: { action: 'count', params: { c: 1 } } };
+      const busSecond = await bus.send(busRequest);
+
+      // バス側の errorResponses があっても、タイムアウトした提供スキルからフェイルオーバーする
+      bus.register('mw-stale', { capabilities: ['mw.read'] });
+      bus.subscribe('mw-stale', { type: 'request' }, () => {});
+      bus.updateHeartbeat('mw-stale');
+      const live = new MockSkill('mw-live', bus, { capabilities: ['mw.read'] });
+      await live.initialize();
+      const failoversBefore = bus.getMetrics().capabilityFailovers;
+      const failedOver = await client.requestCapability('mw.read', 'echo', { day: 'tue' }, { timeout: 100 });
+      const failovers = bus.getMetrics().capabilityFailovers - failoversBefore;
+      await live.shutdown();
+
+      for (const skill of [server, client, intruder]) {
+        await skill.shutdown();
+      }
+      await bus.shutdown();
+
+      const assertions = [
+        { description: 'Redaction should mask sensitive response fields', pass: echoed.payload.data.user === 'alice' && echoed.payload.data.password === '[REDACTED]' },
+        { description: 'Unauthorised sources should get ERR_PERMISSION_DENIED', pass: denied.payload.status === 'error' && denied.payload.error.code === 'ERR_PERMISSION_DENIED' },
+        { description: 'Thrown errors should become ERR_INTERNAL responses', pass: thrown.payload.status === 'error' && thrown.payload.error.code === 'ERR_INTERNAL' },
+        { description: 'Returned payloads should be sent as responses', pass: firstCount.payload.data.count === 1 },
+        { description: 'Idempotent actions should be served from cache', pass: secondCount.payload.data.count === 1 && skillCache.stats.hits === 1 },
+        { description: 'Timing should record each action', pass: timer.stats.echo.count === 1 && timer.stats.throw.errors === 1 },
+        { description: 'Bus middleware should reject unregistered sources', pass: ghost.payload.error.code === 'ERR_PERMISSION_DENIED' && ghost.target === 'mw-ghost' },
+        { description: 'Bus cache should answer with a response to the new request', pass: busFirst.payload.data.count === 2 && busSecond.payload.data.count === 2 && busSecond.correlationId === 'mw-cached-request' && busCache.stats.hits === 1 },
+        {
+          description: 'Bus errorResponses should keep timeouts as exceptions so capabilities fail over',
+          pass: failedOver.source === 'mw-live' && failedOver.payload.data.day === 'tue' && failovers === 1
+        }
+      ];
+
+      const pass = assertions.every(a => a.pass);
+      this.recordTest(testName, pass, assertions);
+      console.log(pass ? '✓ PASS' : '✗ FAIL');
+    } catch (error) {
+      this.recordTest(testName, false, [], error);
+      console.log('✗ FAIL:', error.message);
+    }
+  }
+
   /**
    * テスト結果記録
    */